@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   Search,
   Filter,
@@ -10,17 +10,167 @@ import {
   Send,
   Minimize2,
   Mail,
+  Plus,
+  Pencil,
+  Trash2,
+  ArrowUpDown,
+  ArrowUp,
+  ArrowDown,
+  Columns,
+  Bookmark,
+  Link2,
+  LayoutGrid,
+  Table,
+  Download,
+  Upload,
+  Inbox,
+  History,
+  SlidersHorizontal,
+  CalendarClock,
+  Undo2,
+  Square,
+  RotateCcw,
+  MessagesSquare,
 } from 'lucide-react';
+import {
+  fetchAllRecords,
+  isAbortError,
+  createRecord,
+  updateRecord,
+  deleteRecord,
+  fetchTableSchema,
+  updateRecords,
+  deleteRecords,
+  runInBatches,
+} from './airtable';
+import { validateClientFields } from './validation';
+import {
+  inferSchema,
+  schemaByName,
+  isEditableField,
+  valueToText,
+  NUMBER_TYPES,
+} from './schema';
+import { FieldValue, FieldInput } from './FieldValue';
+import FilterBuilder from './FilterBuilder';
+import FilterChips from './FilterChips';
+import ClientTable from './ClientTable';
+import BulkActionBar, { BulkJobStatus } from './BulkActionBar';
+import ExportDialog from './ExportDialog';
+import ImportWizard from './ImportWizard';
+import EmailPreview from './EmailPreview';
+import { createId } from './mailer';
+import SendQueuePanel from './SendQueuePanel';
+import CampaignHistory from './CampaignHistory';
+import {
+  CONTACTED_STATUSES,
+  loadHistory,
+  loadWriteBack,
+  markSent,
+  recordDelivery,
+  storeHistory,
+  storeWriteBack,
+  unrecordedRecipients,
+  updateRecipients,
+  writeBackContacts,
+  writeBackError,
+} from './history';
+import {
+  SUPPRESSION_REASONS,
+  applySuppression,
+  countByReason,
+  loadConsentField,
+  loadDoNotContact,
+  storeConsentField,
+  storeDoNotContact,
+  suppressionReason,
+} from './suppression';
+import { normalizeRecipients } from './recipients';
+import FieldMappingDialog from './FieldMappingDialog';
+import {
+  clientEmail,
+  displayName,
+  loadFieldMapping,
+  storeFieldMapping,
+} from './fieldMapping';
+import { identityFields } from './importer';
+import { answerWithQueries, draftCampaign, routeMessage } from './assistant';
+import {
+  createProvider,
+  llmConfigError,
+  loadLlmSettings,
+  storeLlmSettings,
+} from './llm';
+import AssistantSettings from './AssistantSettings';
+import MarkdownText from './MarkdownText';
+import ConversationList from './ConversationList';
+import {
+  createConversation,
+  conversationTitle,
+  loadConversations,
+  sortConversations,
+  storeConversations,
+} from './conversations';
+import { classifyLocally, resolveRecipients } from './intents';
+import {
+  loadEmailFormat,
+  loadSignature,
+  storeEmailFormat,
+  storeSignature,
+  textToHtml,
+} from './emailHtml';
+import {
+  createSender,
+  loadSenderSettings,
+  senderConfigError,
+  storeSenderSettings,
+} from './senders';
+import {
+  isScheduled,
+  loadQueue,
+  queueItems,
+  runSendQueue,
+  storeQueue,
+} from './sendQueue';
+import SchedulerView from './SchedulerView';
+import { VARIANT_LABELS, requestedVariantCount } from './variants';
+import {
+  createGroup,
+  createCondition,
+  countConditions,
+  matchesFilter,
+} from './filters';
+import {
+  createView,
+  decodeView,
+  encodeView,
+  describeView,
+  loadSavedViews,
+  matchesSearch,
+  moveField,
+  storeSavedViews,
+  sortClients,
+} from './views';
 
 export default function ClientDatabase() {
   const [clients, setClients] = useState([]);
   const [filteredClients, setFilteredClients] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
+  // A shared link may carry a view in its query string
+  const [initialView] = useState(() => decodeView(window.location.search));
+  const [searchTerm, setSearchTerm] = useState(initialView.searchTerm);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [loadProgress, setLoadProgress] = useState(null);
+  const loadControllerRef = useRef(null);
   const [showConfig, setShowConfig] = useState(true);
   const [selectedClient, setSelectedClient] = useState(null);
 
+  // Client editing states
+  const [clientDraft, setClientDraft] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [clientError, setClientError] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
   // Airtable configuration
   const [config, setConfig] = useState({
     apiKey: '',
@@ -29,22 +179,124 @@ export default function ClientDatabase() {
   });
 
   // Filter states
-  const [filters, setFilters] = useState({});
-  const [availableFilters, setAvailableFilters] = useState([]);
+  const [filters, setFilters] = useState(initialView.filters);
+  const [tableSchema, setTableSchema] = useState([]);
   const [showFilters, setShowFilters] = useState(false);
 
+  // Sort, visible fields and saved views
+  const [sort, setSort] = useState(initialView.sort);
+  const [visibleFields, setVisibleFields] = useState(initialView.visibleFields);
+  const [activeViewName, setActiveViewName] = useState(initialView.name);
+  const [savedViews, setSavedViews] = useState([]);
+  const [showSort, setShowSort] = useState(false);
+  const [showFieldPicker, setShowFieldPicker] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Layout states
+  const [layout, setLayout] = useState(initialView.layout);
+  const [columnWidths, setColumnWidths] = useState({});
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const selectionAnchorRef = useRef(null);
+
+  // Bulk action states
+  const [bulkJob, setBulkJob] = useState(null);
+  // Which clients the export dialog is for: 'filtered' or 'selected'
+  const [exportScope, setExportScope] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+
   // Chat states
   const [showChat, setShowChat] = useState(false);
-  const [chatMessages, setChatMessages] = useState([]);
+  const [conversations, setConversations] = useState(() => {
+    const stored = sortConversations(loadConversations());
+    return stored.length > 0 ? stored : [createConversation()];
+  });
+  const [activeConversationId, setActiveConversationId] = useState(
+    conversations[0].id,
+  );
+  const [showConversations, setShowConversations] = useState(false);
+  const [chatMessages, setChatMessages] = useState(conversations[0].messages);
   const [chatInput, setChatInput] = useState('');
   const [chatLoading, setChatLoading] = useState(false);
-  const [openaiKey, setOpenaiKey] = useState('');
-  const [showOpenAIConfig, setShowOpenAIConfig] = useState(false);
+  // The reply as it streams in, until it's complete
+  const [streamingReply, setStreamingReply] = useState(null);
+  // The last question while it's being edited: { index, text }
+  const [editingMessage, setEditingMessage] = useState(null);
+  const chatControllerRef = useRef(null);
+  // The language model the assistant uses; its API key stays in memory
+  const [llmSettings, setLlmSettings] = useState(loadLlmSettings);
+  const [llmKey, setLlmKey] = useState('');
+  const [showLlmSettings, setShowLlmSettings] = useState(false);
   const chatEndRef = useRef(null);
 
   // Email campaign states
   const [emailCampaign, setEmailCampaign] = useState(null);
   const [showEmailPreview, setShowEmailPreview] = useState(false);
+  // Clients a campaign is aimed at; null means the filtered clients
+  const [campaignAudience, setCampaignAudience] = useState(null);
+
+  // Outgoing mail queue and the mail server it is sent through
+  const [sendQueue, setSendQueue] = useState(loadQueue);
+  const [senderSettings, setSenderSettings] = useState(loadSenderSettings);
+  const [senderSecret, setSenderSecret] = useState('');
+  const [queuePaused, setQueuePaused] = useState(false);
+  const [queueRunning, setQueueRunning] = useState(false);
+  const [showOutbox, setShowOutbox] = useState(false);
+  const sendQueueRef = useRef(sendQueue);
+  const senderRef = useRef({ settings: senderSettings, secret: '' });
+  const queueControllerRef = useRef(null);
+  // Shifts the queue's clock to try out scheduled sends without waiting
+  const [clockOffset, setClockOffset] = useState(0);
+  const clockOffsetRef = useRef(0);
+  const [showScheduler, setShowScheduler] = useState(false);
+
+  // Log of sent campaigns for the current table, and where contacts are
+  // recorded in Airtable
+  const [campaignHistory, setCampaignHistory] = useState([]);
+  const [writeBack, setWriteBack] = useState(() => loadWriteBack(config));
+  const [showHistory, setShowHistory] = useState(false);
+  const [recordingContacts, setRecordingContacts] = useState(0);
+  const historyRef = useRef(campaignHistory);
+  const deliveryLogRef = useRef(null);
+
+  // Which fields hold each client's email, name, phone and birth date
+  const [fieldMapping, setFieldMapping] = useState({});
+  const [showFieldMapping, setShowFieldMapping] = useState(false);
+
+  // Consent field for this table and the clinic-wide do-not-contact list.
+  // A field guessed from its name isn't confirmed until the user says so.
+  const [consentField, setConsentField] = useState('');
+  const [consentConfirmed, setConsentConfirmed] = useState(true);
+  const [doNotContact, setDoNotContact] = useState(loadDoNotContact);
+  const [emailFormat, setEmailFormat] = useState(loadEmailFormat);
+  const [emailSignature, setEmailSignature] = useState(loadSignature);
+
+  const fieldsByName = useMemo(() => schemaByName(tableSchema), [tableSchema]);
+  const availableFilters = useMemo(
+    () => tableSchema.map((field) => field.name),
+    [tableSchema],
+  );
+
+  // Fields shown on each card, in the order the view lists them
+  const displayedFields = useMemo(
+    () =>
+      visibleFields
+        ? visibleFields.map((name) => fieldsByName[name]).filter(Boolean)
+        : tableSchema,
+    [visibleFields, fieldsByName, tableSchema],
+  );
+
+  const importIdentity = useMemo(
+    () => identityFields(tableSchema, fieldMapping),
+    [tableSchema, fieldMapping],
+  );
+
+  // Primary field value per record, used to label linked record chips
+  const recordNames = useMemo(() => {
+    const primary = tableSchema[0]?.name;
+    return Object.fromEntries(
+      clients.map((c) => [c.id, valueToText(c.fields[primary]) || c.id]),
+    );
+  }, [clients, tableSchema]);
 
   // Scroll to bottom of chat
   const scrollToBottom = () => {
@@ -53,69 +305,285 @@ export default function ClientDatabase() {
 
   useEffect(() => {
     scrollToBottom();
-  }, [chatMessages]);
+  }, [chatMessages, streamingReply]);
+
+  // Keep the open conversation's messages in the saved list
+  useEffect(() => {
+    setConversations((prev) =>
+      prev.map((c) =>
+        c.id === activeConversationId && c.messages !== chatMessages
+          ? { ...c, messages: chatMessages, updatedAt: Date.now() }
+          : c,
+      ),
+    );
+  }, [chatMessages, activeConversationId]);
 
-  // Fetch clients from Airtable
+  useEffect(() => {
+    storeConversations(conversations);
+  }, [conversations]);
+
+  useEffect(() => {
+    storeLlmSettings(llmSettings);
+  }, [llmSettings]);
+
+  const llmError = llmConfigError(llmSettings, llmKey);
+  const llm = useMemo(
+    () => createProvider(llmSettings, llmKey),
+    [llmSettings, llmKey],
+  );
+
+  // Fetch clients from Airtable, following pagination until every
+  // record is loaded
   const fetchClients = async () => {
     if (!config.apiKey || !config.baseId || !config.tableName) {
       setError('Please configure all Airtable settings');
       return;
     }
 
+    loadControllerRef.current?.abort();
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
+
     setLoading(true);
     setError('');
+    setLoadProgress({ loaded: 0, done: false });
 
     try {
-      const response = await fetch(
-        `https://api.airtable.com/v0/${config.baseId}/${encodeURIComponent(
-          config.tableName,
-        )}`,
-        {
-          headers: {
-            Authorization: `Bearer ${config.apiKey}`,
-          },
-        },
-      );
+      const records = await fetchAllRecords(config, {
+        signal: controller.signal,
+        onProgress: setLoadProgress,
+      });
 
-      if (!response.ok) {
-        throw new Error(`Error: ${response.status} - ${response.statusText}`);
+      // Prefer the table metadata; fall back to scanning the records if
+      // the token can't read the schema
+      let schema;
+      try {
+        const table = await fetchTableSchema(config, {
+          signal: controller.signal,
+        });
+        // Keep the primary field first so it can label linked records
+        schema = [
+          ...table.fields.filter((f) => f.id === table.primaryFieldId),
+          ...table.fields.filter((f) => f.id !== table.primaryFieldId),
+        ];
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        schema = inferSchema(records);
       }
 
-      const data = await response.json();
-      setClients(data.records);
-      setFilteredClients(data.records);
-
-      if (data.records.length > 0) {
-        const fields = Object.keys(data.records[0].fields);
-        setAvailableFilters(fields);
-      }
+      setClients(records);
+      setFilteredClients(records);
+      setTableSchema(schema);
+      setSavedViews(loadSavedViews(config));
+      historyRef.current = loadHistory(config);
+      setCampaignHistory(historyRef.current);
+      setWriteBack(loadWriteBack(config));
+      const consent = loadConsentField(config, schema);
+      setConsentField(consent.field);
+      setConsentConfirmed(consent.confirmed);
+      setFieldMapping(loadFieldMapping(config, schema));
 
       setShowConfig(false);
     } catch (err) {
-      setError(err.message);
+      // A refresh that replaced this load reports for itself
+      if (loadControllerRef.current !== controller) return;
+      if (isAbortError(err)) {
+        setError('Loading cancelled');
+      } else {
+        setError(err.message);
+      }
     } finally {
-      setLoading(false);
+      if (loadControllerRef.current === controller) {
+        loadControllerRef.current = null;
+        setLoading(false);
+        setLoadProgress(null);
+      }
     }
   };
 
-  // Extract emails from filtered clients
-  const extractEmails = () => {
+  const cancelFetchClients = () => {
+    loadControllerRef.current?.abort();
+  };
+
+  // Fields that can be edited in the client form. Computed fields
+  // (formulas, lookups, attachments...) are shown read-only.
+  const isEditable = (key, value) =>
+    isEditableField(fieldsByName[key]) &&
+    (value === undefined ||
+      value === null ||
+      ['string', 'number', 'boolean'].includes(typeof value));
+
+  const replaceClient = (id, client) => {
+    setClients((prev) => prev.map((c) => (c.id === id ? client : c)));
+  };
+
+  const openClient = (client) => {
+    setSelectedClient(client);
+    setClientDraft(null);
+    setFieldErrors({});
+    setClientError('');
+    setConfirmDelete(false);
+  };
+
+  const closeClientModal = () => {
+    setSelectedClient(null);
+    setClientDraft(null);
+    setFieldErrors({});
+    setClientError('');
+    setConfirmDelete(false);
+  };
+
+  const startNewClient = () => {
+    openClient(null);
+    setClientDraft({ id: null, fields: {} });
+  };
+
+  const startEditClient = () => {
+    const fields = {};
+    Object.entries(selectedClient.fields).forEach(([key, value]) => {
+      if (isEditable(key, value)) fields[key] = value;
+    });
+    setClientDraft({ id: selectedClient.id, fields });
+    setFieldErrors({});
+    setClientError('');
+  };
+
+  const handleDraftChange = (field, value) => {
+    setClientDraft((prev) => ({
+      ...prev,
+      fields: { ...prev.fields, [field]: value },
+    }));
+    setFieldErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  // Convert draft values back to what Airtable expects. Numbers stay
+  // numbers and cleared fields are sent as null so PATCH empties them.
+  const draftToFields = (draft, original = {}) => {
+    const fields = {};
+    Object.entries(draft.fields).forEach(([key, value]) => {
+      if (value === original[key]) return;
+      if (value === '' || value === null) {
+        if (original[key] !== undefined) fields[key] = null;
+        return;
+      }
+      const isNumber =
+        NUMBER_TYPES.includes(fieldsByName[key]?.type) ||
+        typeof original[key] === 'number';
+      if (isNumber && !Number.isNaN(Number(value))) {
+        fields[key] = Number(value);
+        return;
+      }
+      fields[key] = typeof value === 'string' ? value.trim() : value;
+    });
+    return fields;
+  };
+
+  // Save the draft with an optimistic update, rolling back on failure
+  const saveClient = async () => {
+    const draft = clientDraft;
+    const errors = validateClientFields(draft.fields, fieldsByName);
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      return;
+    }
+
+    const original = draft.id ? selectedClient : null;
+    const changes = draftToFields(draft, original?.fields);
+
+    if (Object.keys(changes).length === 0) {
+      if (original) {
+        setClientDraft(null);
+      } else {
+        setClientError('Enter at least one field');
+      }
+      return;
+    }
+
+    setClientError('');
+
+    if (original) {
+      const optimisticFields = { ...original.fields };
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === null) {
+          delete optimisticFields[key];
+        } else {
+          optimisticFields[key] = value;
+        }
+      });
+      const optimistic = { ...original, fields: optimisticFields };
+
+      replaceClient(original.id, optimistic);
+      setSelectedClient(optimistic);
+      setClientDraft(null);
+
+      try {
+        const saved = await updateRecord(config, original.id, changes);
+        replaceClient(original.id, saved);
+        setSelectedClient((current) =>
+          current?.id === original.id ? saved : current,
+        );
+      } catch (err) {
+        replaceClient(original.id, original);
+        setSelectedClient(original);
+        setClientDraft(draft);
+        setClientError(`Failed to save changes: ${err.message}`);
+      }
+    } else {
+      const tempId = `pending-${Date.now()}`;
+      const optimistic = { id: tempId, fields: changes, pending: true };
+
+      setClients((prev) => [...prev, optimistic]);
+      setSelectedClient(optimistic);
+      setClientDraft(null);
+
+      try {
+        const saved = await createRecord(config, changes);
+        replaceClient(tempId, saved);
+        setSelectedClient((current) =>
+          current?.id === tempId ? saved : current,
+        );
+      } catch (err) {
+        setClients((prev) => prev.filter((c) => c.id !== tempId));
+        setSelectedClient(null);
+        setClientDraft(draft);
+        setClientError(`Failed to create client: ${err.message}`);
+      }
+    }
+  };
+
+  const deleteClient = async () => {
+    const client = selectedClient;
+    const index = clients.findIndex((c) => c.id === client.id);
+
+    setClients((prev) => prev.filter((c) => c.id !== client.id));
+    closeClientModal();
+
+    try {
+      await deleteRecord(config, client.id);
+    } catch (err) {
+      setClients((prev) => {
+        const next = [...prev];
+        next.splice(index, 0, client);
+        return next;
+      });
+      setError(`Failed to delete client: ${err.message}`);
+    }
+  };
+
+  // Extract emails from the campaign audience
+  // One candidate per client with the raw email cell; the preview
+  // splits, validates and dedupes the addresses (see recipients.js)
+  const extractEmails = (source = campaignAudience || filteredClients) => {
     const emails = [];
-    filteredClients.forEach((client) => {
+    source.forEach((client) => {
       const fields = client.fields;
-      const emailField = Object.keys(fields).find(
-        (key) =>
-          key.toLowerCase().includes('email') ||
-          key.toLowerCase() === 'e-mail',
-      );
-      if (emailField && fields[emailField]) {
+      const email = clientEmail(fields, fieldMapping);
+      if (email) {
         emails.push({
-          email: fields[emailField],
-          name:
-            fields.Name ||
-            fields.name ||
-            fields['First Name'] ||
-            'Client',
+          id: client.id,
+          email: email.value,
+          emailField: email.field,
+          name: displayName(fields, fieldMapping),
           clientData: fields,
         });
       }
@@ -123,43 +591,22 @@ export default function ClientDatabase() {
     return emails;
   };
 
-  // Extract specific client names from prompt
-  const extractClientNamesFromPrompt = (prompt) => {
-    const lowerPrompt = prompt.toLowerCase();
-    const clientNames = [];
-    
-    // Check each client's name against the prompt
-    filteredClients.forEach((client) => {
-      const fields = client.fields;
-      const name = fields.Name || fields.name || fields['First Name'] || '';
-      if (name && lowerPrompt.includes(name.toLowerCase())) {
-        clientNames.push(name);
-      }
-    });
-    
-    return clientNames;
-  };
-
-  // Generate email campaign
-  const generateEmailCampaign = async (prompt) => {
-    if (!openaiKey) {
-      setShowOpenAIConfig(true);
-      return null;
-    }
-
+  // Generate email campaign, for the clients named in the request
+  // (`clientIds`) or else the current audience
+  const generateEmailCampaign = async (
+    prompt,
+    {
+      clientIds = null,
+      variantCount = requestedVariantCount(prompt),
+      signal,
+    } = {},
+  ) => {
     setChatLoading(true);
 
     try {
-      // Check if user specified specific clients
-      const specifiedNames = extractClientNamesFromPrompt(prompt);
-      let recipients = extractEmails();
-      
-      // Filter recipients if specific names were mentioned
-      if (specifiedNames.length > 0) {
-        recipients = recipients.filter(r => 
-          specifiedNames.some(name => r.name.toLowerCase().includes(name.toLowerCase()))
-        );
-      }
+      const recipients = extractEmails(
+        clientIds ? clients.filter((c) => clientIds.includes(c.id)) : undefined,
+      );
 
       if (recipients.length === 0) {
         throw new Error(
@@ -167,71 +614,101 @@ export default function ClientDatabase() {
         );
       }
 
-      const systemMessage = {
-        role: 'system',
-        content: `You are an expert email copywriter. Generate professional, personalized email content based on the user's request. Return ONLY a JSON object with this exact structure:
-{
-  "subject": "Email subject line",
-  "body": "Email body content",
-  "usePersonalization": true/false
-}
-
-The body should be professional, engaging, and appropriate for the context. If usePersonalization is true, use {{name}} as a placeholder where the recipient's name should appear.`,
-      };
-
-      const response = await fetch(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${openaiKey}`,
-          },
-          body: JSON.stringify({
-            model: 'gpt-4o-mini',
-            messages: [
-              systemMessage,
-              {
-                role: 'user',
-                content: `Generate an email for: ${prompt}\n\nRecipient count: ${recipients.length}`,
-              },
-            ],
-            max_tokens: 1500,
-            temperature: 0.7,
-          }),
-        },
-      );
-
-      if (!response.ok) {
-        const errorData = await response.json();
+      // Patients who haven't opted in or asked not to be contacted stay
+      // in the campaign so the preview can say why they were left out.
+      // Invalid addresses are fixed there too.
+      const { recipients: valid, invalid } = normalizeRecipients(recipients);
+      const { allowed, suppressed } = applySuppression(valid, {
+        consentField,
+        doNotContact,
+        schema: fieldsByName,
+      });
+      if (allowed.length === 0 && invalid.length === 0) {
+        const reasons = Object.entries(countByReason(suppressed))
+          .map(
+            ([reason, count]) =>
+              `${count} ${SUPPRESSION_REASONS[reason].toLowerCase()}`,
+          )
+          .join(', ');
         throw new Error(
-          errorData.error?.message || 'Failed to generate email',
+          `Every matching client is excluded from email (${reasons}).`,
         );
       }
 
-      const data = await response.json();
-      let emailContent = data.choices[0].message.content;
-
-      // Clean up the response - remove markdown code blocks if present
-      emailContent = emailContent
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
+      const audience = `${allowed.length}${
+        suppressed.length > 0
+          ? ` (${suppressed.length} excluded by consent or do-not-contact)`
+          : ''
+      }${
+        clientIds
+          ? `\n👤 ${recipients.map((recipient) => recipient.name).join(', ')}`
+          : ''
+      }${
+        invalid.length > 0
+          ? `\n⚠️ ${invalid.length} invalid address${
+              invalid.length === 1 ? '' : 'es'
+            } to fix in the preview`
+          : ''
+      }`;
+
+      // Without a model there is nothing to draft with: start an empty
+      // email to write in the preview
+      if (llmError) {
+        const greeting = 'Hi {{name | "there"}},\n\n';
+        setEmailCampaign({
+          id: createId('cmp'),
+          subject: '',
+          body: emailFormat === 'html' ? textToHtml(greeting) : greeting,
+          format: emailFormat,
+          recipients,
+          usePersonalization: true,
+        });
+        setShowEmailPreview(true);
+        return {
+          role: 'assistant',
+          content: `📝 The assistant isn't set up, so I started a blank email.\n\n📧 Recipients: ${audience}\n\nWrite it in the preview, or set up a language model to have it drafted for you.`,
+          showPreviewButton: true,
+        };
+      }
 
-      const emailData = JSON.parse(emailContent);
+      const { subject, body, usePersonalization, variants } =
+        await draftCampaign(llm, {
+          prompt,
+          recipientCount: recipients.length,
+          variantCount,
+          format: emailFormat,
+          fields: tableSchema,
+          maxTokens: llmSettings.maxTokens,
+          signal,
+        });
 
       setEmailCampaign({
-        subject: emailData.subject,
-        body: emailData.body,
+        id: createId('cmp'),
+        subject,
+        body,
+        format: emailFormat,
+        ...(variants.length > 0 && {
+          variants,
+          split: { mode: 'even', weights: [] },
+        }),
         recipients: recipients,
-        usePersonalization: emailData.usePersonalization,
+        usePersonalization,
       });
 
       setShowEmailPreview(true);
 
       return {
         role: 'assistant',
-        content: `✅ Email campaign created!\n\n📧 Recipients: ${recipients.length}\n📝 Subject: ${emailData.subject}\n\nClick "Preview Campaign" below to review and send.`,
+        content: `✅ Email campaign created!\n\n📧 Recipients: ${audience}\n📝 Subject: ${subject}${
+          variants.length > 0
+            ? `\n🧪 ${variants.length + 1} variants, split evenly:${variants
+                .map(
+                  (variant, index) =>
+                    `\n   ${VARIANT_LABELS[index + 1]}: ${variant.subject}`,
+                )
+                .join('')}`
+            : ''
+        }\n\nClick "Preview Campaign" below to review and send.`,
         showPreviewButton: true,
       };
     } catch (err) {
@@ -241,149 +718,621 @@ The body should be professional, engaging, and appropriate for the context. If u
     }
   };
 
-  // Send emails via mailto link
-  const sendEmails = async () => {
-    if (!emailCampaign) return;
+  useEffect(() => {
+    sendQueueRef.current = sendQueue;
+    storeQueue(sendQueue);
+  }, [sendQueue]);
 
+  useEffect(() => {
+    senderRef.current = { settings: senderSettings, secret: senderSecret };
+    storeSenderSettings(senderSettings);
+  }, [senderSettings, senderSecret]);
+
+  const senderError = senderConfigError(senderSettings);
+  const hasQueuedMail = sendQueue.some((item) => item.status === 'queued');
+  const clockNow = () => Date.now() + clockOffsetRef.current;
+  const queueWaiting = sendQueue.filter(
+    (i) => i.status === 'queued' && !isScheduled(i, clockNow()),
+  ).length;
+  const queueFailures = sendQueue.filter((i) => i.status === 'failed').length;
+
+  // Work through the send queue whenever it has mail waiting. The
+  // sender reads the latest settings on every message, so fixing a
+  // wrong password takes effect without restarting the run. Everything
+  // else comes from refs and setters, so settings edits don't restart it.
+  useEffect(() => {
+    if (queuePaused || queueRunning || senderError || !hasQueuedMail) return;
+
+    const controller = new AbortController();
+    queueControllerRef.current = controller;
+    setQueueRunning(true);
+    runSendQueue(
+      () => sendQueueRef.current,
+      {
+        send: (message) => {
+          const { settings, secret } = senderRef.current;
+          return createSender(settings, secret).send(message);
+        },
+      },
+      {
+        now: () => Date.now() + clockOffsetRef.current,
+        ratePerMinute: senderRef.current.settings.ratePerMinute,
+        maxAttempts: senderRef.current.settings.maxAttempts,
+        signal: controller.signal,
+        suppressed: (item) => deliveryLogRef.current.suppressed(item),
+        onUpdate: (id, changes) => {
+          sendQueueRef.current = sendQueueRef.current.map((item) =>
+            item.id === id ? { ...item, ...changes } : item,
+          );
+          setSendQueue(sendQueueRef.current);
+          if (changes.status === 'sent' || changes.status === 'failed') {
+            const item = sendQueueRef.current.find((i) => i.id === id);
+            deliveryLogRef.current.queueItemDone(item);
+          }
+        },
+      },
+    )
+      .catch((err) => setError(`Sending failed: ${err.message}`))
+      .finally(() => {
+        queueControllerRef.current = null;
+        setQueueRunning(false);
+      });
+  }, [queuePaused, queueRunning, senderError, hasQueuedMail]);
+
+  // Pausing lets the message being sent finish, then stops
+  const pauseQueue = (paused) => {
+    setQueuePaused(paused);
+    if (paused) queueControllerRef.current?.abort();
+  };
+
+  const updateQueue = (update) => {
+    sendQueueRef.current = update(sendQueueRef.current);
+    setSendQueue(sendQueueRef.current);
+  };
+
+  // Queue each step of a campaign; scheduled messages wait in the queue
+  // until their send time
+  const queueCampaign = (plan) => {
+    let scheduled = false;
+    plan.forEach(({ campaign, messages }) => {
+      updateQueue((prev) => [...prev, ...queueItems(messages, campaign)]);
+      const later = messages.filter((message) => message.sendAt);
+      const immediate = messages.filter((message) => !message.sendAt);
+      [
+        [immediate, 'queued'],
+        [later, 'scheduled'],
+      ].forEach(([batch, status]) => {
+        if (batch.length === 0) return;
+        logDelivery(
+          campaign,
+          batch.map((message) => message.recipient),
+          status,
+          'queue',
+        );
+      });
+      scheduled = scheduled || later.length > 0;
+    });
+    setShowEmailPreview(false);
+    if (scheduled) setShowScheduler(true);
+    else setShowOutbox(true);
+  };
+
+  const changeClockOffset = (offset) => {
+    clockOffsetRef.current = offset;
+    setClockOffset(offset);
+    // Restart the runner so it looks at the queue with the new time
+    queueControllerRef.current?.abort();
+  };
+
+  const retryFailed = (campaignId) => {
+    const failed = sendQueueRef.current.filter(
+      (item) => item.campaignId === campaignId && item.status === 'failed',
+    );
+    updateQueue((prev) =>
+      prev.map((item) =>
+        failed.includes(item)
+          ? { ...item, status: 'queued', attempts: 0, nextAttemptAt: 0 }
+          : item,
+      ),
+    );
+    updateHistory((prev) =>
+      updateRecipients(
+        prev,
+        campaignId,
+        failed.map((item) => item.recipientKey),
+        { status: 'queued', error: null },
+      ),
+    );
+  };
+
+  const cancelItems = (cancelled) => {
+    updateQueue((prev) => prev.filter((item) => !cancelled.includes(item)));
+    const at = new Date().toISOString();
+    updateHistory((prev) =>
+      cancelled.reduce(
+        (next, item) =>
+          updateRecipients(next, item.campaignId, [item.recipientKey], {
+            status: 'cancelled',
+            at,
+          }),
+        prev,
+      ),
+    );
+  };
+
+  const cancelQueued = (campaignId) => {
+    cancelItems(
+      sendQueueRef.current.filter(
+        (item) => item.campaignId === campaignId && item.status === 'queued',
+      ),
+    );
+  };
+
+  const cancelScheduled = (ids) => {
+    cancelItems(sendQueueRef.current.filter((item) => ids.includes(item.id)));
+  };
+
+  // Save a corrected email cell from the campaign preview to Airtable
+  // and to the campaign's copy of the client
+  const fixRecipientEmail = async (candidate, value) => {
+    const saved = await updateRecord(config, candidate.id, {
+      [candidate.emailField]: value,
+    });
+    applyUpdatedRecords([saved]);
+    setEmailCampaign((prev) => ({
+      ...prev,
+      recipients: prev.recipients.map((r) =>
+        r.id === saved.id
+          ? {
+              ...r,
+              email: saved.fields[candidate.emailField],
+              clientData: saved.fields,
+            }
+          : r,
+      ),
+    }));
+  };
+
+  const changeFieldMapping = (mapping) => {
+    setFieldMapping(mapping);
+    storeFieldMapping(config, mapping);
+  };
+
+  const changeConsentField = (field) => {
+    setConsentField(field);
+    setConsentConfirmed(true);
+    storeConsentField(config, field);
+  };
+
+  const changeDoNotContact = (list) => {
+    setDoNotContact(list);
+    storeDoNotContact(list);
+  };
+
+  const changeEmailFormat = (format) => {
+    setEmailFormat(format);
+    storeEmailFormat(format);
+  };
+
+  const changeEmailSignature = (signature) => {
+    setEmailSignature(signature);
+    storeSignature(signature);
+  };
+
+  const updateHistory = (update) => {
+    historyRef.current = update(historyRef.current);
+    setCampaignHistory(historyRef.current);
+    storeHistory(config, historyRef.current);
+  };
+
+  const changeWriteBack = (settings) => {
+    setWriteBack(settings);
+    storeWriteBack(config, settings);
+  };
+
+  // Write contacts back to Airtable and note the outcome per recipient.
+  // A failure here never affects the delivery itself.
+  const recordContacts = async (campaign, recipients) => {
+    if (writeBack.mode === 'none' || writeBackError(writeBack, fieldsByName)) {
+      return;
+    }
+    setRecordingContacts((n) => n + 1);
     try {
-      // Prepare recipients list
-      const toList = emailCampaign.recipients.map(r => r.email).join(',');
-      
-      // Prepare body - use first recipient's name for personalization preview
-      let emailBody = emailCampaign.body;
-      if (emailCampaign.usePersonalization && emailCampaign.recipients.length > 0) {
-        // Note in body about personalization
-        emailBody = `[Note: This template uses {{name}} for personalization. Replace with actual names when sending individually]\n\n${emailBody}`;
-      }
-      
-      // Encode subject and body for URL
-      const subject = encodeURIComponent(emailCampaign.subject);
-      const body = encodeURIComponent(emailBody);
-      
-      // Create mailto link
-      const mailtoLink = `mailto:${toList}?subject=${subject}&body=${body}`;
-      
-      // Open default email client
-      window.location.href = mailtoLink;
-      
-      // Show success message
-      alert(`Opening email client with ${emailCampaign.recipients.length} recipients...`);
-      
-    } catch (err) {
-      alert(`Error opening email client: ${err.message}`);
+      const outcome = await writeBackContacts(
+        config,
+        writeBack,
+        fieldsByName,
+        campaign,
+        recipients,
+      );
+      if (outcome.records.length > 0) applyUpdatedRecords(outcome.records);
+      updateHistory((prev) =>
+        outcome.failures.reduce(
+          (next, { key, error }) =>
+            updateRecipients(next, campaign.id, [key], { recordError: error }),
+          updateRecipients(prev, campaign.id, outcome.recorded, {
+            recorded: true,
+            recordError: null,
+          }),
+        ),
+      );
+    } finally {
+      setRecordingContacts((n) => n - 1);
     }
   };
 
-  // Send message to OpenAI (chat)
-  const sendChatMessage = async () => {
-    if (!chatInput.trim()) return;
+  const logDelivery = (campaign, recipients, status, mode) => {
+    updateHistory((prev) =>
+      recordDelivery(prev, campaign, recipients, status, mode),
+    );
+    if (CONTACTED_STATUSES.includes(status)) {
+      recordContacts(campaign, recipients);
+    }
+  };
 
-    if (!openaiKey) {
-      setShowOpenAIConfig(true);
-      return;
+  // Called by the queue runner, which outlives renders, so it goes
+  // through a ref to see the current table, consent and write-back
+  // settings
+  deliveryLogRef.current = {
+    // Consent is only checked for clients in the loaded table
+    suppressed: (item) => {
+      const client = clients.find((c) => c.id === item.recipientId);
+      return suppressionReason(
+        { email: item.to, clientData: client?.fields },
+        {
+          consentField: client ? consentField : '',
+          doNotContact,
+          schema: fieldsByName,
+        },
+      );
+    },
+    queueItemDone: (item) => {
+      updateHistory((prev) =>
+        updateRecipients(prev, item.campaignId, [item.recipientKey], {
+          status: item.status,
+          at: item.sentAt || new Date().toISOString(),
+          error: item.error,
+        }),
+      );
+      if (item.status === 'sent') {
+        // The communications row gets the message as this patient saw it
+        recordContacts(
+          { id: item.campaignId, subject: item.subject, body: item.body },
+          [
+            {
+              key: item.recipientKey,
+              id: item.recipientId,
+              name: item.name,
+              email: item.to,
+              variant: item.variant,
+            },
+          ],
+        );
+      }
+    },
+  };
+
+  const recordHistoryEntry = (entry) => {
+    recordContacts(entry, unrecordedRecipients(entry));
+  };
+
+  // Staff confirm that mail opened in their mail client or exported has
+  // gone out, which makes it a contact like any other sent mail
+  const markHistorySent = (entry, recipients) => {
+    updateHistory((prev) =>
+      markSent(prev, entry.id, recipients.map((r) => r.key)),
+    );
+    recordContacts(entry, recipients);
+  };
+
+  const changeOutcomeField = (id, outcomeField) => {
+    updateHistory((prev) =>
+      prev.map((entry) =>
+        entry.id === id ? { ...entry, outcomeField } : entry,
+      ),
+    );
+  };
+
+  const deleteHistoryEntry = (id) => {
+    updateHistory((prev) => prev.filter((entry) => entry.id !== id));
+  };
+
+  const clearSent = () => {
+    updateQueue((prev) => prev.filter((item) => item.status !== 'sent'));
+  };
+
+  // Work out what a chat message asks for, see routeMessage
+  const routeChatMessage = (messages, signal) =>
+    routeMessage(llm, messages, { signal, clients, mapping: fieldMapping });
+
+  // Ask about the first name that matches several clients, or write
+  // the campaign once every named recipient is known
+  const campaignReply = async (prompt, route, resolved, signal) => {
+    const { ids, ambiguous, unmatched } = resolved;
+    if (unmatched.length > 0) {
+      const names = unmatched.map((name) => `"${name}"`).join(' or ');
+      return {
+        role: 'assistant',
+        content: `I couldn't find ${names} among your clients. Check the spelling, or use the name as it appears in the table.`,
+      };
+    }
+    if (ambiguous.length > 0) {
+      const [{ mention, candidates }, ...rest] = ambiguous;
+      return {
+        role: 'assistant',
+        content: `Several clients match "${mention}". Which one did you mean?`,
+        choices: candidates,
+        pending: { prompt, route, ids, ambiguous: rest },
+      };
+    }
+    return generateEmailCampaign(prompt, {
+      clientIds: route.recipients.length > 0 ? ids : null,
+      variantCount: route.parameters.variantCount,
+      signal,
+    });
+  };
+
+  const chooseRecipient = async (index, id) => {
+    const { pending } = chatMessages[index];
+    setChatMessages((prev) =>
+      prev.map((msg, i) => (i === index ? { ...msg, chosen: id } : msg)),
+    );
+    let reply;
+    try {
+      reply = await campaignReply(pending.prompt, pending.route, {
+        ids: [...pending.ids, id],
+        ambiguous: pending.ambiguous,
+        unmatched: [],
+      });
+    } catch (err) {
+      reply = { role: 'assistant', content: `Error: ${err.message}` };
     }
+    setChatMessages((prev) => [...prev, reply]);
+  };
 
-    const userMessage = chatInput.trim();
-    setChatInput('');
+  // Stop the reply being written; what has streamed so far is kept
+  const stopChat = () => {
+    chatControllerRef.current?.abort();
+  };
+
+  // Drop the reply being written, when leaving its conversation
+  const abandonChat = () => {
+    chatControllerRef.current?.abort();
+    chatControllerRef.current = null;
+    setChatLoading(false);
+    setStreamingReply(null);
+  };
 
-    const newMessages = [
-      ...chatMessages,
-      { role: 'user', content: userMessage },
-    ];
+  // Answer `userMessage` after the earlier messages in `history`. Only
+  // the run that is still current writes its reply, so switching
+  // conversations mid-reply doesn't leak it into the next one.
+  const runChat = async (history, userMessage) => {
+    const controller = new AbortController();
+    chatControllerRef.current = controller;
+    const isCurrent = () => chatControllerRef.current === controller;
+    const streamed = { text: '' };
+    const queries = [];
+    // The view the assistant applied, with what the screen showed before
+    // for undo; kept when the reply is stopped too
+    let applied = null;
+
+    const newMessages = [...history, { role: 'user', content: userMessage }];
     setChatMessages(newMessages);
+    setEditingMessage(null);
     setChatLoading(true);
 
     try {
-      const lower = userMessage.toLowerCase();
-      const isEmailRequest =
-        lower.includes('email') ||
-        lower.includes('send') ||
-        lower.includes('campaign');
-
-      if (
-        isEmailRequest &&
-        (lower.includes('generate') ||
-          lower.includes('create') ||
-          lower.includes('send to') ||
-          lower.includes('write'))
-      ) {
-        const emailResponse = await generateEmailCampaign(userMessage);
-        if (emailResponse) {
-          setChatMessages([...newMessages, emailResponse]);
-        }
+      const route = llmError
+        ? classifyLocally(userMessage, { clients, mapping: fieldMapping })
+        : await routeChatMessage(newMessages, controller.signal);
+
+      if (route.intent === 'campaign') {
+        const reply = await campaignReply(
+          userMessage,
+          route,
+          resolveRecipients(route.recipients, clients, fieldMapping),
+          controller.signal,
+        );
+        if (isCurrent()) setChatMessages([...newMessages, reply]);
         return;
       }
 
-      const dataContext = {
-        totalClients: clients.length,
-        filteredClients: filteredClients.length,
-        availableFields: availableFilters,
-        sampleData: clients.slice(0, 3).map((c) => c.fields),
-      };
-
+      // The user's local day (en-CA writes it as YYYY-MM-DD), so ages and
+      // "today" don't move to tomorrow in the evening
       const systemMessage = {
         role: 'system',
         content: `You are a helpful assistant for a client database with email campaign capabilities. 
 
 Current context:
-- Total clients in database: ${dataContext.totalClients}
-- Currently filtered/visible clients: ${dataContext.filteredClients}
-- Available fields: ${dataContext.availableFields.join(', ')}
+- Today's date: ${new Date().toLocaleDateString('en-CA')}
+- Total clients in database: ${clients.length}
+- Currently filtered/visible clients: ${filteredClients.length}
+- Fields: ${tableSchema
+          .map((field) => `${field.name} (${field.type})`)
+          .join(', ')}
 
 Capabilities:
-1. Answer questions about the database and statistics
-2. Generate email campaigns for the currently filtered clients
+1. Answer questions about the clients and statistics. Use the query tools for every number or client detail and answer from their results; never guess. Work out ages from birth dates and today's date.
+2. Change which clients the main screen shows with show_clients when asked to show, find, filter or sort clients, then say in one sentence what you applied
+3. Generate email campaigns for the currently filtered clients, or for clients named in the request
 
-For email campaigns: If the user wants to send emails to clients, you can generate an email campaign. They should specify what type of email they want (e.g., "Generate a promotional email about our new product" or "Create a follow-up email" or "Write a newsletter").
+For email campaigns: If the user wants to send emails to clients, you can generate an email campaign. They should specify what type of email they want (e.g., "Generate a promotional email about our new product" or "Create a follow-up email" or "Write a newsletter"). They can also ask for an A/B test or several variants (e.g. "Write a recall email with 3 subject line variants") to split recipients between.
 
-When they ask about email campaigns, explain that you can generate emails for the ${dataContext.filteredClients} currently filtered clients.`,
+When they ask about email campaigns, explain that you can generate emails for the ${filteredClients.length} currently filtered clients.`,
       };
 
-      const response = await fetch(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${openaiKey}`,
-          },
-          body: JSON.stringify({
-            model: 'gpt-4o-mini',
-            messages: [systemMessage, ...newMessages],
-            max_tokens: 1000,
-            temperature: 0.7,
-          }),
-        },
-      );
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(
-          errorData.error?.message ||
-            'Failed to get response from OpenAI',
-        );
-      }
+      // The model runs queries over the loaded clients until it can
+      // answer; the queries are listed with the reply
+      const queryContext = {
+        clients,
+        visibleClients: filteredClients,
+        schema: fieldsByName,
+        mapping: fieldMapping,
+        linkedNames: recordNames,
+      };
+      const messages = [
+        systemMessage,
+        ...newMessages.map(({ role, content }) => ({ role, content })),
+      ];
+      const previousView = {
+        name: activeViewName,
+        searchTerm,
+        filters,
+        sort,
+      };
 
-      const data = await response.json();
-      const assistantMessage = data.choices[0].message.content;
+      const assistantMessage = await answerWithQueries(llm, messages, {
+        context: queryContext,
+        signal: controller.signal,
+        onText: (text) => {
+          streamed.text = text;
+          setStreamingReply(text);
+        },
+        onQuery: (query) => queries.push(query),
+        // Only the search, filters and sort change; fields and layout
+        // stay as the user set them. A run that was stopped or replaced
+        // leaves the screen alone.
+        onView: (view) => {
+          if (!isCurrent() || controller.signal.aborted) return;
+          setActiveViewName('');
+          setSearchTerm(view.searchTerm);
+          setFilters(view.filters);
+          setSort(view.sort);
+          applied = {
+            description: describeView(view) || 'all clients',
+            previous: previousView,
+          };
+        },
+      });
 
+      if (!isCurrent()) return;
       setChatMessages([
         ...newMessages,
-        { role: 'assistant', content: assistantMessage },
+        {
+          role: 'assistant',
+          content: assistantMessage,
+          queries,
+          ...(applied && { applied }),
+        },
       ]);
     } catch (err) {
+      if (!isCurrent()) return;
+      if (controller.signal.aborted) {
+        if (streamed.text || applied) {
+          setChatMessages([
+            ...newMessages,
+            {
+              role: 'assistant',
+              content: streamed.text,
+              queries,
+              stopped: true,
+              ...(applied && { applied }),
+            },
+          ]);
+        }
+        return;
+      }
       setChatMessages([
         ...newMessages,
         {
           role: 'assistant',
-          content: `Error: ${err.message}. Please check your OpenAI API key and try again.`,
+          content: `Error: ${err.message}. Please check the assistant settings and try again.`,
         },
       ]);
     } finally {
-      setChatLoading(false);
+      if (isCurrent()) {
+        chatControllerRef.current = null;
+        setChatLoading(false);
+        setStreamingReply(null);
+      }
     }
   };
 
+  // Without a model only campaigns can be started, as blank drafts
+  const startChat = (history, userMessage) => {
+    if (llmError && classifyLocally(userMessage).intent !== 'campaign') {
+      setShowLlmSettings(true);
+      return false;
+    }
+    runChat(history, userMessage);
+    return true;
+  };
+
+  // Send a chat message to the assistant
+  const sendChatMessage = () => {
+    const userMessage = chatInput.trim();
+    if (!userMessage || chatLoading) return;
+    if (startChat(chatMessages, userMessage)) setChatInput('');
+  };
+
+  const lastUserIndex = chatMessages
+    .map((msg) => msg.role)
+    .lastIndexOf('user');
+
+  // Ask the last question again, dropping the answer it got
+  const regenerateReply = () => {
+    startChat(
+      chatMessages.slice(0, lastUserIndex),
+      chatMessages[lastUserIndex].content,
+    );
+  };
+
+  // Replace a question with its edited text and answer that instead
+  const resendEditedMessage = () => {
+    const text = editingMessage.text.trim();
+    if (!text) return;
+    startChat(chatMessages.slice(0, editingMessage.index), text);
+  };
+
+  const activeConversation = conversations.find(
+    (c) => c.id === activeConversationId,
+  );
+
+  const startConversation = () => {
+    abandonChat();
+    setEditingMessage(null);
+    if (chatMessages.length === 0) return;
+    const conversation = createConversation();
+    setConversations((prev) => [conversation, ...prev]);
+    setActiveConversationId(conversation.id);
+    setChatMessages([]);
+  };
+
+  const openConversation = (id) => {
+    if (id !== activeConversationId) {
+      abandonChat();
+      setEditingMessage(null);
+      setActiveConversationId(id);
+      setChatMessages(conversations.find((c) => c.id === id).messages);
+    }
+    setShowConversations(false);
+  };
+
+  const renameConversation = (id) => {
+    const conversation = conversations.find((c) => c.id === id);
+    const title = window
+      .prompt('Name this conversation', conversationTitle(conversation))
+      ?.trim();
+    if (!title) return;
+    setConversations((prev) =>
+      prev.map((c) => (c.id === id ? { ...c, title } : c)),
+    );
+  };
+
+  const deleteConversation = (id) => {
+    const rest = sortConversations(conversations.filter((c) => c.id !== id));
+    if (id !== activeConversationId) {
+      setConversations(rest);
+      return;
+    }
+    abandonChat();
+    setEditingMessage(null);
+    const next = rest[0] || createConversation();
+    setConversations(rest.length > 0 ? rest : [next]);
+    setActiveConversationId(next.id);
+    setChatMessages(next.messages);
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -396,37 +1345,267 @@ When they ask about email campaigns, explain that you can generate emails for th
     let results = [...clients];
 
     if (searchTerm) {
-      results = results.filter((client) =>
-        Object.values(client.fields).some((value) =>
-          String(value).toLowerCase().includes(searchTerm.toLowerCase()),
-        ),
-      );
+      results = results.filter((client) => matchesSearch(client, searchTerm));
     }
 
-    Object.entries(filters).forEach(([field, value]) => {
-      if (value) {
-        results = results.filter((client) => {
-          const fieldValue = client.fields[field];
-          return String(fieldValue || '')
-            .toLowerCase()
-            .includes(value.toLowerCase());
-        });
+    results = results.filter((client) =>
+      matchesFilter(filters, client, fieldsByName),
+    );
+
+    setFilteredClients(sortClients(results, sort, fieldsByName));
+  }, [searchTerm, filters, sort, clients, fieldsByName]);
+
+  // Keep the URL in sync with the current view so it can be shared
+  useEffect(() => {
+    const query = encodeView(
+      createView({
+        name: activeViewName,
+        searchTerm,
+        filters,
+        sort,
+        visibleFields,
+        layout,
+      }),
+    );
+    const { pathname, hash } = window.location;
+    window.history.replaceState(
+      null,
+      '',
+      `${pathname}${query ? `?${query}` : ''}${hash}`,
+    );
+  }, [activeViewName, searchTerm, filters, sort, visibleFields, layout]);
+
+  const applyView = (view) => {
+    setActiveViewName(view.name);
+    setSearchTerm(view.searchTerm);
+    setFilters(view.filters);
+    setSort(view.sort);
+    setVisibleFields(view.visibleFields);
+    setLayout(view.layout);
+  };
+
+  // Put back the search, filters and sort from before a chat command
+  const undoChatView = (index) => {
+    const { previous } = chatMessages[index].applied;
+    setActiveViewName(previous.name);
+    setSearchTerm(previous.searchTerm);
+    setFilters(previous.filters);
+    setSort(previous.sort);
+    setChatMessages((prev) =>
+      prev.map((msg, i) =>
+        i === index
+          ? { ...msg, applied: { ...msg.applied, undone: true } }
+          : msg,
+      ),
+    );
+  };
+
+  const saveCurrentView = () => {
+    const name = window.prompt('Name this view', activeViewName)?.trim();
+    if (!name) return;
+
+    const view = createView({
+      name,
+      searchTerm,
+      filters,
+      sort,
+      visibleFields,
+      layout,
+    });
+    const views = [...savedViews.filter((v) => v.name !== name), view];
+    setSavedViews(views);
+    storeSavedViews(config, views);
+    setActiveViewName(name);
+  };
+
+  const deleteSavedView = (name) => {
+    const views = savedViews.filter((v) => v.name !== name);
+    setSavedViews(views);
+    storeSavedViews(config, views);
+    if (activeViewName === name) setActiveViewName('');
+  };
+
+  const copyViewLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      alert(`Could not copy link: ${err.message}`);
+    }
+  };
+
+  const updateSortKey = (index, key) => {
+    setSort((prev) => prev.map((k, i) => (i === index ? key : k)));
+  };
+
+  const toggleVisibleField = (name) => {
+    const current = visibleFields || tableSchema.map((f) => f.name);
+    setVisibleFields(
+      current.includes(name)
+        ? current.filter((f) => f !== name)
+        : [...current, name],
+    );
+  };
+
+  const moveVisibleField = (name, offset) => {
+    const current = [...(visibleFields || tableSchema.map((f) => f.name))];
+    const index = current.indexOf(name);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= current.length) return;
+    [current[index], current[target]] = [current[target], current[index]];
+    setVisibleFields(current);
+  };
+
+  // Drag-and-drop column reordering in the table view
+  const moveColumn = (name, target, after) => {
+    setVisibleFields(
+      moveField(
+        visibleFields || tableSchema.map((f) => f.name),
+        name,
+        target,
+        after,
+      ),
+    );
+  };
+
+  const resizeColumn = (name, width) => {
+    setColumnWidths((prev) => ({ ...prev, [name]: width }));
+  };
+
+  // Toggle one client; shift-click selects the range from the last
+  // clicked client in the current sort order
+  const toggleRowSelection = (client, event) => {
+    const anchorIndex = filteredClients.findIndex(
+      (c) => c.id === selectionAnchorRef.current,
+    );
+    const index = filteredClients.findIndex((c) => c.id === client.id);
+
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (event?.shiftKey && anchorIndex !== -1 && index !== -1) {
+        const [from, to] = [anchorIndex, index].sort((a, b) => a - b);
+        filteredClients.slice(from, to + 1).forEach((c) => next.add(c.id));
+      } else if (next.has(client.id)) {
+        next.delete(client.id);
+      } else {
+        next.add(client.id);
       }
+      return next;
     });
+    selectionAnchorRef.current = client.id;
+  };
 
-    setFilteredClients(results);
-  }, [searchTerm, filters, clients]);
+  const toggleAllRows = (selected) => {
+    setSelectedIds(
+      selected ? new Set(filteredClients.map((c) => c.id)) : new Set(),
+    );
+  };
 
-  const handleFilterChange = (field, value) => {
-    setFilters((prev) => ({
-      ...prev,
-      [field]: value,
+  const selectedClients = useMemo(
+    () => clients.filter((c) => selectedIds.has(c.id)),
+    [clients, selectedIds],
+  );
+
+  // Run a bulk write in batches, tracking progress and per-record
+  // failures. Failed records stay selected so they can be retried.
+  const runBulkJob = async (label, items, run, onResults) => {
+    setBulkJob({ label, total: items.length, done: 0, failures: [] });
+
+    const { results, failures } = await runInBatches(items, run, {
+      onProgress: ({ done }) => setBulkJob((prev) => ({ ...prev, done })),
+    });
+
+    onResults(results);
+    const failed = failures.map(({ item, error }) => ({
+      id: item.id || item,
+      error,
     }));
+    setBulkJob((prev) => ({ ...prev, failures: failed, finished: true }));
+    setSelectedIds(new Set(failed.map((f) => f.id)));
+  };
+
+  const applyUpdatedRecords = (records) => {
+    const byId = new Map(records.map((r) => [r.id, r]));
+    setClients((prev) => prev.map((c) => byId.get(c.id) || c));
+  };
+
+  const bulkSetField = (field, value) => {
+    let next = value === '' ? null : value;
+    if (NUMBER_TYPES.includes(field.type) && next !== null) {
+      next = Number(next);
+    }
+    runBulkJob(
+      `Set ${field.name}`,
+      selectedClients.map((c) => ({
+        id: c.id,
+        fields: { [field.name]: next },
+      })),
+      (chunk) => updateRecords(config, chunk),
+      applyUpdatedRecords,
+    );
+  };
+
+  const bulkAddTag = (field, tag) => {
+    runBulkJob(
+      `Tag "${tag}"`,
+      selectedClients.map((c) => ({
+        id: c.id,
+        fields: {
+          [field.name]: Array.from(
+            new Set([...(c.fields[field.name] || []), tag]),
+          ),
+        },
+      })),
+      (chunk) => updateRecords(config, chunk),
+      applyUpdatedRecords,
+    );
+  };
+
+  const bulkDelete = () => {
+    runBulkJob(
+      'Delete',
+      selectedClients.map((c) => c.id),
+      (chunk) => deleteRecords(config, chunk),
+      (records) => {
+        const deleted = new Set(records.map((r) => r.id));
+        setClients((prev) => prev.filter((c) => !deleted.has(c.id)));
+      },
+    );
+  };
+
+  const handleImported = (created, updated) => {
+    applyUpdatedRecords(updated);
+    setClients((prev) => [...prev, ...created]);
+  };
+
+  const exportSelected = () => {
+    setExportScope('selected');
+  };
+
+  const emailSelected = () => {
+    setCampaignAudience(selectedClients);
+    setShowChat(true);
+    startConversation();
+  };
+
+  const activeFilterCount = countConditions(filters);
+
+  const toggleFilters = () => {
+    // Start an empty builder with one condition so there's something to edit
+    if (!showFilters && filters.conditions.length === 0 && tableSchema[0]) {
+      setFilters({
+        ...filters,
+        conditions: [createCondition(tableSchema[0])],
+      });
+    }
+    setShowFilters(!showFilters);
   };
 
   const clearFilters = () => {
-    setFilters({});
+    setFilters(createGroup());
     setSearchTerm('');
+    setActiveViewName('');
   };
 
   // CONFIG SCREEN
@@ -515,12 +1694,23 @@ When they ask about email campaigns, explain that you can generate emails for th
                 {loading ? (
                   <>
                     <RefreshCw className="w-5 h-5 animate-spin" />
-                    Connecting...
+                    {loadProgress?.loaded
+                      ? `Loaded ${loadProgress.loaded} of ?...`
+                      : 'Connecting...'}
                   </>
                 ) : (
                   'Connect to Airtable'
                 )}
               </button>
+
+              {loading && (
+                <button
+                  onClick={cancelFetchClients}
+                  className="w-full py-2 text-sm text-gray-600 hover:text-gray-800 transition"
+                >
+                  Cancel
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -549,6 +1739,57 @@ When they ask about email campaigns, explain that you can generate emails for th
             </button>
           </div>
 
+          {/* Saved Views */}
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <Bookmark className="w-4 h-4 text-gray-400" />
+            <select
+              value={activeViewName}
+              onChange={(e) => {
+                const view = savedViews.find(
+                  (v) => v.name === e.target.value,
+                );
+                if (view) {
+                  applyView(view);
+                } else {
+                  setActiveViewName('');
+                }
+              }}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:border-indigo-500 focus:outline-none text-sm bg-white"
+            >
+              <option value="">
+                {savedViews.length > 0
+                  ? 'Choose a saved view...'
+                  : 'No saved views'}
+              </option>
+              {savedViews.map((view) => (
+                <option key={view.name} value={view.name}>
+                  {view.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={saveCurrentView}
+              className="px-3 py-2 text-sm text-indigo-600 hover:text-indigo-800 transition"
+            >
+              Save view
+            </button>
+            {savedViews.some((v) => v.name === activeViewName) && (
+              <button
+                onClick={() => deleteSavedView(activeViewName)}
+                className="px-3 py-2 text-sm text-red-600 hover:text-red-800 transition"
+              >
+                Delete view
+              </button>
+            )}
+            <button
+              onClick={copyViewLink}
+              className="flex items-center gap-1 px-3 py-2 text-sm text-gray-600 hover:text-gray-800 transition ml-auto"
+            >
+              <Link2 className="w-4 h-4" />
+              {linkCopied ? 'Link copied!' : 'Copy link'}
+            </button>
+          </div>
+
           {/* Search Bar */}
           <div className="relative mb-4">
             <Search className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
@@ -564,20 +1805,45 @@ When they ask about email campaigns, explain that you can generate emails for th
           {/* Filter Controls */}
           <div className="flex items-center gap-4">
             <button
-              onClick={() => setShowFilters(!showFilters)}
+              onClick={toggleFilters}
               className="flex items-center gap-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition"
             >
               <Filter className="w-4 h-4" />
               Filters
-              {Object.values(filters).filter((v) => v).length > 0 && (
+              {activeFilterCount > 0 && (
+                <span className="bg-indigo-600 text-white text-xs px-2 py-1 rounded-full">
+                  {activeFilterCount}
+                </span>
+              )}
+            </button>
+
+            <button
+              onClick={() => setShowSort(!showSort)}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition"
+            >
+              <ArrowUpDown className="w-4 h-4" />
+              Sort
+              {sort.length > 0 && (
+                <span className="bg-indigo-600 text-white text-xs px-2 py-1 rounded-full">
+                  {sort.length}
+                </span>
+              )}
+            </button>
+
+            <button
+              onClick={() => setShowFieldPicker(!showFieldPicker)}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition"
+            >
+              <Columns className="w-4 h-4" />
+              Fields
+              {visibleFields && (
                 <span className="bg-indigo-600 text-white text-xs px-2 py-1 rounded-full">
-                  {Object.values(filters).filter((v) => v).length}
+                  {displayedFields.length}
                 </span>
               )}
             </button>
 
-            {(searchTerm ||
-              Object.values(filters).some((v) => v)) && (
+            {(searchTerm || activeFilterCount > 0) && (
               <button
                 onClick={clearFilters}
                 className="flex items-center gap-2 px-4 py-2 text-gray-600 hover:text-gray-800 transition"
@@ -586,79 +1852,392 @@ When they ask about email campaigns, explain that you can generate emails for th
                 Clear all
               </button>
             )}
-
-            <button
-              onClick={fetchClients}
-              className="flex items-center gap-2 px-4 py-2 text-indigo-600 hover:text-indigo-800 transition ml-auto"
-            >
-              <RefreshCw className="w-4 h-4" />
-              Refresh
-            </button>
+
+            <button
+              onClick={startNewClient}
+              className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition ml-auto"
+            >
+              <Plus className="w-4 h-4" />
+              New Client
+            </button>
+
+            {loading ? (
+              <div className="flex items-center gap-3">
+                <span className="flex items-center gap-2 text-sm text-gray-600">
+                  <RefreshCw className="w-4 h-4 animate-spin" />
+                  Loaded {loadProgress?.loaded || 0} of ?
+                </span>
+                <button
+                  onClick={cancelFetchClients}
+                  className="flex items-center gap-1 px-3 py-2 text-gray-600 hover:text-gray-800 transition text-sm"
+                >
+                  <X className="w-4 h-4" />
+                  Cancel
+                </button>
+              </div>
+            ) : (
+              <>
+                <button
+                  onClick={() => setShowFieldMapping(true)}
+                  className="flex items-center gap-2 px-4 py-2 text-indigo-600 hover:text-indigo-800 transition"
+                >
+                  <SlidersHorizontal className="w-4 h-4" />
+                  Field Mapping
+                </button>
+                <button
+                  onClick={() => setShowHistory(true)}
+                  className="flex items-center gap-2 px-4 py-2 text-indigo-600 hover:text-indigo-800 transition"
+                >
+                  <History className="w-4 h-4" />
+                  History
+                </button>
+                <button
+                  onClick={() => setShowScheduler(true)}
+                  className="flex items-center gap-2 px-4 py-2 text-indigo-600 hover:text-indigo-800 transition"
+                >
+                  <CalendarClock className="w-4 h-4" />
+                  Scheduled
+                </button>
+                <button
+                  onClick={() => setShowOutbox(true)}
+                  className="flex items-center gap-2 px-4 py-2 text-indigo-600 hover:text-indigo-800 transition"
+                >
+                  <Inbox className="w-4 h-4" />
+                  Outbox
+                  {(hasQueuedMail || queueFailures > 0) && (
+                    <span
+                      className={`text-xs text-white rounded-full px-2 ${
+                        queueFailures > 0 ? 'bg-red-500' : 'bg-indigo-500'
+                      }`}
+                    >
+                      {queueFailures > 0 ? queueFailures : queueWaiting}
+                    </span>
+                  )}
+                </button>
+                <button
+                  onClick={() => setShowImport(true)}
+                  className="flex items-center gap-2 px-4 py-2 text-indigo-600 hover:text-indigo-800 transition"
+                >
+                  <Upload className="w-4 h-4" />
+                  Import
+                </button>
+                <button
+                  onClick={fetchClients}
+                  className="flex items-center gap-2 px-4 py-2 text-indigo-600 hover:text-indigo-800 transition"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                  Refresh
+                </button>
+              </>
+            )}
           </div>
 
+          <FilterChips
+            filters={filters}
+            searchTerm={searchTerm}
+            onEdit={() => setShowFilters(true)}
+            onRemove={(index) =>
+              setFilters({
+                ...filters,
+                conditions: filters.conditions.filter((_, i) => i !== index),
+              })
+            }
+            onClearSearch={() => setSearchTerm('')}
+          />
+
           {/* Filter Panel */}
           {showFilters && (
-            <div className="mt-4 p-4 bg-gray-50 rounded-lg grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-              {availableFilters.map((field) => (
-                <div key={field}>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    {field}
-                  </label>
-                  <input
-                    type="text"
-                    value={filters[field] || ''}
+            <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+              <FilterBuilder
+                filter={filters}
+                fields={tableSchema}
+                schema={fieldsByName}
+                onChange={setFilters}
+              />
+            </div>
+          )}
+
+          {/* Sort Panel */}
+          {showSort && (
+            <div className="mt-4 p-4 bg-gray-50 rounded-lg space-y-3">
+              {sort.map((key, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <span className="text-sm text-gray-500 w-16">
+                    {index === 0 ? 'Sort by' : 'then by'}
+                  </span>
+                  <select
+                    value={key.field}
                     onChange={(e) =>
-                      handleFilterChange(field, e.target.value)
+                      updateSortKey(index, { ...key, field: e.target.value })
+                    }
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:border-indigo-500 focus:outline-none text-sm bg-white"
+                  >
+                    {tableSchema.map((field) => (
+                      <option key={field.name} value={field.name}>
+                        {field.name}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() =>
+                      updateSortKey(index, {
+                        ...key,
+                        direction: key.direction === 'asc' ? 'desc' : 'asc',
+                      })
+                    }
+                    className="flex items-center gap-1 px-3 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-100"
+                  >
+                    {key.direction === 'asc' ? (
+                      <ArrowUp className="w-4 h-4" />
+                    ) : (
+                      <ArrowDown className="w-4 h-4" />
+                    )}
+                    {key.direction === 'asc' ? 'Ascending' : 'Descending'}
+                  </button>
+                  <button
+                    onClick={() =>
+                      setSort((prev) => prev.filter((_, i) => i !== index))
                     }
-                    placeholder={`Filter by ${field}...`}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:border-indigo-500 focus:outline-none text-sm"
-                  />
+                    className="text-gray-400 hover:text-gray-600"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
                 </div>
               ))}
+              <button
+                onClick={() =>
+                  setSort((prev) => [
+                    ...prev,
+                    { field: tableSchema[0]?.name || '', direction: 'asc' },
+                  ])
+                }
+                disabled={tableSchema.length === 0}
+                className="flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+              >
+                <Plus className="w-4 h-4" />
+                Add sort
+              </button>
+            </div>
+          )}
+
+          {/* Field Picker */}
+          {showFieldPicker && (
+            <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between mb-3">
+                <span className="text-sm text-gray-600">
+                  Choose and order the fields shown as card rows and table
+                  columns
+                </span>
+                {visibleFields && (
+                  <button
+                    onClick={() => setVisibleFields(null)}
+                    className="text-sm text-indigo-600 hover:text-indigo-800"
+                  >
+                    Show all
+                  </button>
+                )}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">
+                {[
+                  ...displayedFields,
+                  ...tableSchema.filter((f) => !displayedFields.includes(f)),
+                ].map((field) => {
+                  const shown = displayedFields.includes(field);
+                  return (
+                    <div
+                      key={field.name}
+                      className="flex items-center gap-2 text-sm text-gray-700"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={shown}
+                        onChange={() => toggleVisibleField(field.name)}
+                      />
+                      <span className="flex-1">{field.name}</span>
+                      {shown && (
+                        <>
+                          <button
+                            onClick={() => moveVisibleField(field.name, -1)}
+                            className="text-gray-400 hover:text-gray-600"
+                            title="Move up"
+                          >
+                            <ArrowUp className="w-3 h-3" />
+                          </button>
+                          <button
+                            onClick={() => moveVisibleField(field.name, 1)}
+                            className="text-gray-400 hover:text-gray-600"
+                            title="Move down"
+                          >
+                            <ArrowDown className="w-3 h-3" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
             </div>
           )}
         </div>
 
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded mb-4">
+            <div className="flex items-center gap-2">
+              <AlertCircle className="w-5 h-5 text-red-500" />
+              <p className="text-red-700 text-sm flex-1">{error}</p>
+              <button
+                onClick={() => setError('')}
+                className="text-red-400 hover:text-red-600"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Results Count */}
         <div className="mb-4 flex items-center justify-between">
-          <span className="text-gray-600">
-            Showing {filteredClients.length} of {clients.length} clients
-          </span>
+          <div className="flex items-center gap-4">
+            <span className="text-gray-600">
+              Showing {filteredClients.length} of {clients.length} clients
+              {selectedIds.size > 0 && ` · ${selectedIds.size} selected`}
+            </span>
+            <div className="flex bg-white rounded-lg shadow-sm overflow-hidden">
+              <button
+                onClick={() => setLayout('cards')}
+                className={`p-2 transition ${
+                  layout === 'cards'
+                    ? 'bg-indigo-600 text-white'
+                    : 'text-gray-500 hover:bg-gray-100'
+                }`}
+                title="Card view"
+              >
+                <LayoutGrid className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setLayout('table')}
+                className={`p-2 transition ${
+                  layout === 'table'
+                    ? 'bg-indigo-600 text-white'
+                    : 'text-gray-500 hover:bg-gray-100'
+                }`}
+                title="Table view"
+              >
+                <Table className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
           {filteredClients.length > 0 && (
-            <button
-              onClick={() => {
-                setShowChat(true);
-                setChatMessages([]);
-              }}
-              className="flex items-center gap-2 px-4 py-2 bg-indigo-100 text-indigo-700 rounded-lg hover:bg-indigo-200 transition text-sm font-medium"
-            >
-              <Mail className="w-4 h-4" />
-              Create Email Campaign
-            </button>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setExportScope('filtered')}
+                className="flex items-center gap-2 px-4 py-2 bg-white text-gray-700 rounded-lg hover:bg-gray-50 transition text-sm font-medium shadow-sm"
+              >
+                <Download className="w-4 h-4" />
+                Export
+              </button>
+              <button
+                onClick={() => {
+                  setCampaignAudience(null);
+                  setShowChat(true);
+                  startConversation();
+                }}
+                className="flex items-center gap-2 px-4 py-2 bg-indigo-100 text-indigo-700 rounded-lg hover:bg-indigo-200 transition text-sm font-medium"
+              >
+                <Mail className="w-4 h-4" />
+                Create Email Campaign
+              </button>
+            </div>
           )}
         </div>
 
+        {/* Bulk Actions */}
+        {bulkJob && (
+          <BulkJobStatus
+            job={bulkJob}
+            recordNames={recordNames}
+            onClose={() => setBulkJob(null)}
+          />
+        )}
+
+        {selectedIds.size > 0 && (
+          <BulkActionBar
+            count={selectedIds.size}
+            matchingCount={filteredClients.length}
+            editableFields={tableSchema.filter(isEditableField)}
+            tagFields={tableSchema.filter((f) => f.type === 'multipleSelects')}
+            onSelectAllMatching={() => toggleAllRows(true)}
+            onClear={() => toggleAllRows(false)}
+            onSetField={bulkSetField}
+            onAddTag={bulkAddTag}
+            onDelete={bulkDelete}
+            onExport={exportSelected}
+            onEmail={emailSelected}
+            busy={Boolean(bulkJob && !bulkJob.finished)}
+          />
+        )}
+
+        {/* Client Table */}
+        {layout === 'table' && filteredClients.length > 0 && (
+          <ClientTable
+            clients={filteredClients}
+            fields={displayedFields}
+            sort={sort}
+            onSortChange={setSort}
+            onColumnMove={moveColumn}
+            columnWidths={columnWidths}
+            onColumnResize={resizeColumn}
+            selectedIds={selectedIds}
+            onToggleRow={toggleRowSelection}
+            onToggleAll={toggleAllRows}
+            onRowClick={openClient}
+            linkedNames={recordNames}
+          />
+        )}
+
         {/* Client Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {filteredClients.map((client) => (
-            <div
-              key={client.id}
-              onClick={() => setSelectedClient(client)}
-              className="bg-white rounded-xl shadow-lg p-6 hover:shadow-xl transition cursor-pointer border-2 border-transparent hover:border-indigo-200"
-            >
-              {Object.entries(client.fields).map(([key, value]) => (
-                <div key={key} className="mb-3">
-                  <span className="text-xs font-semibold text-gray-500 uppercase tracking-wide">
-                    {key}
-                  </span>
-                  <p className="text-gray-800 mt-1 break-words">
-                    {Array.isArray(value) ? value.join(', ') : String(value)}
-                  </p>
-                </div>
-              ))}
-            </div>
-          ))}
-        </div>
+        {layout === 'cards' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {filteredClients.map((client) => (
+              <div
+                key={client.id}
+                onClick={() => openClient(client)}
+                className={`relative bg-white rounded-xl shadow-lg p-6 hover:shadow-xl transition cursor-pointer border-2 ${
+                  selectedIds.has(client.id)
+                    ? 'border-indigo-400'
+                    : 'border-transparent hover:border-indigo-200'
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedIds.has(client.id)}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    toggleRowSelection(client, e);
+                  }}
+                  readOnly
+                  className="absolute top-4 right-4 w-4 h-4"
+                />
+                {displayedFields
+                  .filter((field) => client.fields[field.name] !== undefined)
+                  .map((field) => (
+                    <div key={field.name} className="mb-3">
+                      <span className="text-xs font-semibold text-gray-500 uppercase tracking-wide">
+                        {field.name}
+                      </span>
+                      <div className="text-gray-800 mt-1 break-words">
+                        <FieldValue
+                          field={field}
+                          value={client.fields[field.name]}
+                          linkedNames={recordNames}
+                        />
+                      </div>
+                    </div>
+                  ))}
+              </div>
+            ))}
+          </div>
+        )}
 
         {filteredClients.length === 0 && !loading && (
           <div className="text-center py-12 bg-white rounded-xl shadow-lg">
@@ -671,10 +2250,10 @@ When they ask about email campaigns, explain that you can generate emails for th
         )}
 
         {/* Client Detail Modal */}
-        {selectedClient && (
+        {(selectedClient || clientDraft) && (
           <div
             className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
-            onClick={() => setSelectedClient(null)}
+            onClick={closeClientModal}
           >
             <div
               className="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-[80vh] overflow-y-auto p-8"
@@ -682,192 +2261,265 @@ When they ask about email campaigns, explain that you can generate emails for th
             >
               <div className="flex items-center justify-between mb-6">
                 <h2 className="text-2xl font-bold text-gray-800">
-                  Client Details
+                  {!clientDraft
+                    ? 'Client Details'
+                    : clientDraft.id
+                    ? 'Edit Client'
+                    : 'New Client'}
                 </h2>
-                <button
-                  onClick={() => setSelectedClient(null)}
-                  className="text-gray-400 hover:text-gray-600"
-                >
-                  <X className="w-6 h-6" />
-                </button>
-              </div>
-              <div className="space-y-4">
-                {Object.entries(selectedClient.fields).map(
-                  ([key, value]) => (
-                    <div
-                      key={key}
-                      className="border-b border-gray-200 pb-3"
-                    >
-                      <span className="text-sm font-semibold text-gray-500 uppercase tracking-wide">
-                        {key}
-                      </span>
-                      <p className="text-gray-800 mt-1 text-lg break-words">
-                        {Array.isArray(value)
-                          ? value.join(', ')
-                          : String(value)}
-                      </p>
-                    </div>
-                  ),
-                )}
-              </div>
-            </div>
-          </div>
-        )}
-
-        {/* Email Preview Modal */}
-        {showEmailPreview && emailCampaign && (
-          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-            <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
-              <div className="sticky top-0 bg-white border-b p-6 rounded-t-2xl">
-                <div className="flex items-center justify-between mb-4">
-                  <h2 className="text-2xl font-bold text-gray-800">
-                    📧 Email Campaign Preview
-                  </h2>
+                <div className="flex items-center gap-2">
+                  {!clientDraft && !selectedClient.pending && (
+                    <>
+                      <button
+                        onClick={startEditClient}
+                        className="flex items-center gap-1 px-3 py-2 text-sm text-indigo-600 hover:text-indigo-800 transition"
+                      >
+                        <Pencil className="w-4 h-4" />
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => setConfirmDelete(true)}
+                        className="flex items-center gap-1 px-3 py-2 text-sm text-red-600 hover:text-red-800 transition"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                        Delete
+                      </button>
+                    </>
+                  )}
                   <button
-                    onClick={() => setShowEmailPreview(false)}
+                    onClick={closeClientModal}
                     className="text-gray-400 hover:text-gray-600"
                   >
                     <X className="w-6 h-6" />
                   </button>
                 </div>
-                <div className="bg-indigo-50 p-4 rounded-lg">
-                  <p className="text-sm text-gray-700">
-                    <strong>Recipients:</strong>{' '}
-                    {emailCampaign.recipients.length} filtered clients
-                  </p>
-                </div>
               </div>
 
-              <div className="p-6 space-y-6">
-                {/* Email Content */}
-                <div>
-                  <label className="block text-sm font-semibold text-gray-700 mb-2">
-                    Subject Line
-                  </label>
-                  <input
-                    type="text"
-                    value={emailCampaign.subject}
-                    onChange={(e) =>
-                      setEmailCampaign({
-                        ...emailCampaign,
-                        subject: e.target.value,
-                      })
-                    }
-                    className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
-                  />
-                </div>
-
-                <div>
-                  <label className="block text-sm font-semibold text-gray-700 mb-2">
-                    Email Body
-                    {emailCampaign.usePersonalization && (
-                      <span className="ml-2 text-xs text-indigo-600">
-                        (Use {'{{name}}'} for personalization)
-                      </span>
-                    )}
-                  </label>
-                  <textarea
-                    value={emailCampaign.body}
-                    onChange={(e) =>
-                      setEmailCampaign({
-                        ...emailCampaign,
-                        body: e.target.value,
-                      })
-                    }
-                    rows={12}
-                    className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none font-mono text-sm"
-                  />
+              {clientError && (
+                <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded mb-4">
+                  <div className="flex items-center gap-2">
+                    <AlertCircle className="w-5 h-5 text-red-500" />
+                    <p className="text-red-700 text-sm">{clientError}</p>
+                  </div>
                 </div>
+              )}
 
-                {/* Preview for first recipient */}
-                <div className="border-t pt-6">
-                  <h3 className="text-lg font-semibold text-gray-800 mb-3">
-                    Preview (First Recipient)
-                  </h3>
-                  <div className="bg-gray-50 p-6 rounded-lg">
-                    <div className="mb-4">
-                      <p className="text-xs text-gray-500 mb-1">To:</p>
-                      <p className="text-sm font-medium">
-                        {emailCampaign.recipients[0].name} &lt;
-                        {emailCampaign.recipients[0].email}&gt;
-                      </p>
-                    </div>
-                    <div className="mb-4">
-                      <p className="text-xs text-gray-500 mb-1">
-                        Subject:
-                      </p>
-                      <p className="text-sm font-medium">
-                        {emailCampaign.subject}
-                      </p>
-                    </div>
-                    <div>
-                      <p className="text-xs text-gray-500 mb-2">Body:</p>
-                      <div className="bg-white p-4 rounded border text-sm whitespace-pre-wrap">
-                        {emailCampaign.usePersonalization
-                          ? emailCampaign.body.replace(
-                              /\{\{name\}\}/g,
-                              emailCampaign.recipients[0].name,
-                            )
-                          : emailCampaign.body}
-                      </div>
-                    </div>
+              {confirmDelete && !clientDraft && (
+                <div className="bg-red-50 border border-red-200 p-4 rounded-lg mb-4">
+                  <p className="text-sm text-red-800 mb-3">
+                    Delete this client from Airtable? This cannot be undone.
+                  </p>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={deleteClient}
+                      className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition text-sm font-medium"
+                    >
+                      Delete Client
+                    </button>
+                    <button
+                      onClick={() => setConfirmDelete(false)}
+                      className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition text-sm"
+                    >
+                      Cancel
+                    </button>
                   </div>
                 </div>
+              )}
 
-                {/* Recipient List */}
-                <div className="border-t pt-6">
-                  <h3 className="text-lg font-semibold text-gray-800 mb-3">
-                    Recipients ({emailCampaign.recipients.length})
-                  </h3>
-                  <div className="max-h-60 overflow-y-auto bg-gray-50 rounded-lg p-4">
-                    {emailCampaign.recipients.map((recipient, idx) => (
-                      <div
-                        key={idx}
-                        className="flex items-center justify-between py-2 border-b border-gray-200 last:border-0"
-                      >
-                        <div>
-                          <p className="text-xs text-gray-600">
-                            {recipient.email}
-                          </p>
+              {clientDraft ? (
+                <div className="space-y-4">
+                  {Array.from(
+                    new Set([
+                      ...availableFilters,
+                      ...Object.keys(clientDraft.fields),
+                    ]),
+                  )
+                    .filter((key) =>
+                      isEditable(
+                        key,
+                        clientDraft.id
+                          ? selectedClient.fields[key]
+                          : undefined,
+                      ),
+                    )
+                    .map((key) => {
+                      const value = clientDraft.fields[key];
+                      return (
+                        <div key={key}>
+                          <label className="block text-sm font-semibold text-gray-500 uppercase tracking-wide mb-1">
+                            {key}
+                          </label>
+                          <FieldInput
+                            field={fieldsByName[key]}
+                            value={value}
+                            onChange={(next) => handleDraftChange(key, next)}
+                            invalid={Boolean(fieldErrors[key])}
+                          />
+                          {fieldErrors[key] && (
+                            <p className="text-xs text-red-600 mt-1">
+                              {fieldErrors[key]}
+                            </p>
+                          )}
                         </div>
-                      </div>
-                    ))}
-                  </div>
-                </div>
+                      );
+                    })}
 
-                {/* Send Button */}
-                <div className="border-t pt-6 flex gap-4">
-                  <button
-                    onClick={() => setShowEmailPreview(false)}
-                    className="flex-1 px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition"
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    onClick={sendEmails}
-                    className="flex-1 bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition flex items-center justify-center gap-2"
-                  >
-                    <Send className="w-5 h-5" />
-                    Open in Email Client ({emailCampaign.recipients.length} Recipients)
-                  </button>
+                  <div className="flex gap-4 pt-4">
+                    <button
+                      onClick={() =>
+                        clientDraft.id ? setClientDraft(null) : closeClientModal()
+                      }
+                      className="flex-1 px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={saveClient}
+                      className="flex-1 bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition"
+                    >
+                      {clientDraft.id ? 'Save Changes' : 'Create Client'}
+                    </button>
+                  </div>
                 </div>
-
-                {/* Warning Notice */}
-                <div className="bg-blue-50 border-l-4 border-blue-400 p-4 rounded">
-                  <p className="text-sm text-blue-800">
-                    <strong>📧 Email Client Integration:</strong> This will open your default email application with all recipients pre-filled.
-                  </p>
-                  <ul className="text-xs text-blue-700 mt-2 ml-4 list-disc space-y-1">
-                    <li>All {emailCampaign.recipients.length} recipients will be added to the "To" field</li>
-                    <li>Subject and body will be pre-filled</li>
-                    <li>Review and customize before sending</li>
-                    <li>For personalized emails, consider sending individually</li>
-                  </ul>
+              ) : (
+                <div className="space-y-4">
+                  {tableSchema.map((field) => (
+                    <div
+                      key={field.name}
+                      className="border-b border-gray-200 pb-3"
+                    >
+                      <span className="text-sm font-semibold text-gray-500 uppercase tracking-wide">
+                        {field.name}
+                      </span>
+                      <div className="text-gray-800 mt-1 text-lg break-words">
+                        <FieldValue
+                          field={field}
+                          value={selectedClient.fields[field.name]}
+                          linkedNames={recordNames}
+                          large
+                        />
+                      </div>
+                    </div>
+                  ))}
                 </div>
-              </div>
+              )}
             </div>
           </div>
         )}
+
+        {/* Export Dialog */}
+        {exportScope && (
+          <ExportDialog
+            records={
+              exportScope === 'selected'
+                ? sortClients(selectedClients, sort, fieldsByName)
+                : filteredClients
+            }
+            fields={tableSchema}
+            initialColumns={displayedFields.map((f) => f.name)}
+            linkedNames={recordNames}
+            title={
+              exportScope === 'selected'
+                ? 'Export Selected Clients'
+                : 'Export Clients'
+            }
+            onClose={() => setExportScope(null)}
+          />
+        )}
+
+        {/* Import Wizard */}
+        {showImport && (
+          <ImportWizard
+            config={config}
+            fields={tableSchema.filter(isEditableField)}
+            clients={clients}
+            identity={importIdentity}
+            onImported={handleImported}
+            onClose={() => setShowImport(false)}
+          />
+        )}
+
+        {/* Email Preview Modal */}
+        {showEmailPreview && emailCampaign && (
+          <EmailPreview
+            campaign={emailCampaign}
+            fields={tableSchema}
+            linkedNames={recordNames}
+            senderError={senderError}
+            consentField={consentField}
+            consentConfirmed={consentConfirmed}
+            doNotContact={doNotContact}
+            onChange={setEmailCampaign}
+            onFixEmail={fixRecipientEmail}
+            onConsentFieldChange={changeConsentField}
+            onDoNotContactChange={changeDoNotContact}
+            now={clockNow}
+            onQueue={queueCampaign}
+            onLog={logDelivery}
+            signature={emailSignature}
+            onSignatureChange={changeEmailSignature}
+            onFormatChange={changeEmailFormat}
+            onOpenOutbox={() => setShowOutbox(true)}
+            onClose={() => setShowEmailPreview(false)}
+          />
+        )}
+
+        {showOutbox && (
+          <SendQueuePanel
+            items={sendQueue}
+            now={clockNow()}
+            settings={senderSettings}
+            secret={senderSecret}
+            paused={queuePaused}
+            running={queueRunning}
+            onSettingsChange={setSenderSettings}
+            onSecretChange={setSenderSecret}
+            onPausedChange={pauseQueue}
+            onRetryFailed={retryFailed}
+            onCancelQueued={cancelQueued}
+            onClearFinished={clearSent}
+            onClose={() => setShowOutbox(false)}
+          />
+        )}
+
+        {showScheduler && (
+          <SchedulerView
+            items={sendQueue}
+            now={clockNow()}
+            clockOffset={clockOffset}
+            onClockOffsetChange={changeClockOffset}
+            onCancel={cancelScheduled}
+            onClose={() => setShowScheduler(false)}
+          />
+        )}
+
+        {showFieldMapping && (
+          <FieldMappingDialog
+            fields={tableSchema}
+            schema={fieldsByName}
+            mapping={fieldMapping}
+            sample={clients[0]}
+            onChange={changeFieldMapping}
+            onClose={() => setShowFieldMapping(false)}
+          />
+        )}
+
+        {showHistory && (
+          <CampaignHistory
+            history={campaignHistory}
+            writeBack={writeBack}
+            fields={tableSchema}
+            schema={fieldsByName}
+            clients={clients}
+            recording={recordingContacts > 0}
+            onWriteBackChange={changeWriteBack}
+            onOutcomeFieldChange={changeOutcomeField}
+            onRecord={recordHistoryEntry}
+            onMarkSent={markHistorySent}
+            onDelete={deleteHistoryEntry}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
       </div>
 
       {/* Chat Button */}
@@ -885,16 +2537,38 @@ When they ask about email campaigns, explain that you can generate emails for th
         <div className="fixed bottom-6 right-6 w-96 h-[600px] bg-white rounded-2xl shadow-2xl flex flex-col z-50">
           {/* Chat Header */}
           <div className="bg-indigo-600 text-white p-4 rounded-t-2xl flex items-center justify-between">
-            <div className="flex items-center gap-2">
-              <MessageCircle className="w-5 h-5" />
-              <h3 className="font-semibold">AI Assistant</h3>
+            <div className="flex items-center gap-2 min-w-0">
+              <button
+                onClick={() => setShowConversations(!showConversations)}
+                className="text-white hover:text-indigo-200"
+                title="Conversations"
+              >
+                <MessagesSquare className="w-5 h-5" />
+              </button>
+              <div className="min-w-0">
+                <h3 className="font-semibold">AI Assistant</h3>
+                <p className="text-xs text-indigo-200 truncate">
+                  {conversationTitle({
+                    ...activeConversation,
+                    messages: chatMessages,
+                  })}
+                </p>
+              </div>
             </div>
             <div className="flex items-center gap-2">
               <button
-                onClick={() => setShowOpenAIConfig(!showOpenAIConfig)}
+                onClick={startConversation}
+                className="text-white hover:text-indigo-200"
+                title="New conversation"
+              >
+                <Plus className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => setShowLlmSettings(!showLlmSettings)}
                 className="text-white hover:text-indigo-200 text-xs"
+                title="Assistant settings"
               >
-                {openaiKey ? '✓' : 'Configure'}
+                {llmError ? 'Configure' : '✓'}
               </button>
               <button
                 onClick={() => setShowChat(false)}
@@ -905,23 +2579,28 @@ When they ask about email campaigns, explain that you can generate emails for th
             </div>
           </div>
 
-          {/* OpenAI Config Panel */}
-          {showOpenAIConfig && (
-            <div className="p-4 bg-indigo-50 border-b">
-              <label className="block text-xs font-semibold text-gray-700 mb-1">
-                OpenAI API Key
-              </label>
-              <input
-                type="password"
-                value={openaiKey}
-                onChange={(e) => setOpenaiKey(e.target.value)}
-                placeholder="sk-..."
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-indigo-500 focus:outline-none text-sm"
-              />
-              <p className="text-xs text-gray-500 mt-1">
-                Get your API key from OpenAI
-              </p>
-            </div>
+          {showConversations && (
+            <ConversationList
+              conversations={conversations}
+              activeId={activeConversationId}
+              onSelect={openConversation}
+              onNew={() => {
+                startConversation();
+                setShowConversations(false);
+              }}
+              onRename={renameConversation}
+              onDelete={deleteConversation}
+            />
+          )}
+
+          {/* Language model settings */}
+          {showLlmSettings && (
+            <AssistantSettings
+              settings={llmSettings}
+              apiKey={llmKey}
+              onSettingsChange={setLlmSettings}
+              onApiKeyChange={setLlmKey}
+            />
           )}
 
           {/* Chat Messages */}
@@ -949,18 +2628,134 @@ When they ask about email campaigns, explain that you can generate emails for th
                       : 'justify-start'
                   }`}
                 >
-                  <div
-                    className={`max-w-[80%] p-3 rounded-lg ${
-                      msg.role === 'user'
-                        ? 'bg-indigo-600 text-white'
-                        : 'bg-gray-100 text-gray-800'
-                    }`}
-                  >
-                    <p className="text-sm whitespace-pre-wrap">
-                      {msg.content}
-                    </p>
-                  </div>
+                  {editingMessage?.index === idx ? (
+                    <div className="w-[80%] space-y-2">
+                      <textarea
+                        value={editingMessage.text}
+                        onChange={(e) =>
+                          setEditingMessage({
+                            ...editingMessage,
+                            text: e.target.value,
+                          })
+                        }
+                        rows={3}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-indigo-500 focus:outline-none text-sm"
+                      />
+                      <div className="flex justify-end gap-2 text-xs">
+                        <button
+                          onClick={() => setEditingMessage(null)}
+                          className="px-3 py-1 text-gray-600 hover:text-gray-800"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={resendEditedMessage}
+                          disabled={!editingMessage.text.trim()}
+                          className="px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                          Send
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div
+                      className={`max-w-[80%] p-3 rounded-lg ${
+                        msg.role === 'user'
+                          ? 'bg-indigo-600 text-white'
+                          : 'bg-gray-100 text-gray-800'
+                      }`}
+                    >
+                      {msg.role === 'user' ? (
+                        <p className="text-sm whitespace-pre-wrap">
+                          {msg.content}
+                        </p>
+                      ) : (
+                        <MarkdownText text={msg.content} />
+                      )}
+                      {msg.stopped && (
+                        <p className="mt-1 text-xs text-gray-500 italic">
+                          Stopped
+                        </p>
+                      )}
+                      {msg.queries?.length > 0 && (
+                        <div className="mt-2 pt-2 border-t border-gray-200 text-xs text-gray-600">
+                          <p className="font-semibold">
+                            {msg.queries.length === 1
+                              ? 'Query run'
+                              : 'Queries run'}
+                          </p>
+                          <ul className="mt-1 space-y-1 font-mono">
+                            {msg.queries.map((item, i) => (
+                              <li key={i}>
+                                {item.query} → {item.summary}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
+                {idx === lastUserIndex &&
+                  !chatLoading &&
+                  editingMessage?.index !== idx && (
+                    <div className="flex justify-end gap-3 mt-1 text-xs text-gray-500">
+                      <button
+                        onClick={() =>
+                          setEditingMessage({ index: idx, text: msg.content })
+                        }
+                        className="flex items-center gap-1 hover:text-indigo-600"
+                      >
+                        <Pencil className="w-3 h-3" />
+                        Edit
+                      </button>
+                      <button
+                        onClick={regenerateReply}
+                        className="flex items-center gap-1 hover:text-indigo-600"
+                      >
+                        <RotateCcw className="w-3 h-3" />
+                        Regenerate
+                      </button>
+                    </div>
+                  )}
+                {msg.choices && (
+                  <div className="flex flex-wrap justify-start gap-2 mt-2">
+                    {msg.choices.map((choice) => (
+                      <button
+                        key={choice.id}
+                        onClick={() => chooseRecipient(idx, choice.id)}
+                        disabled={Boolean(msg.chosen) || chatLoading}
+                        className={`text-xs px-3 py-2 rounded-lg transition ${
+                          msg.chosen === choice.id
+                            ? 'bg-indigo-600 text-white'
+                            : 'bg-indigo-100 text-indigo-700 hover:bg-indigo-200 disabled:opacity-50'
+                        }`}
+                      >
+                        {choice.name}
+                        {choice.detail && ` · ${choice.detail}`}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {msg.applied && (
+                  <div className="flex justify-start mt-2">
+                    <div className="max-w-[80%] text-xs bg-indigo-50 text-indigo-800 px-3 py-2 rounded-lg flex items-center gap-2">
+                      <span>
+                        {msg.applied.undone ? 'Undone: ' : 'Applied: '}
+                        {msg.applied.description}
+                      </span>
+                      {!msg.applied.undone && (
+                        <button
+                          onClick={() => undoChatView(idx)}
+                          className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800 font-semibold"
+                        >
+                          <Undo2 className="w-3 h-3" />
+                          Undo
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                )}
                 {msg.showPreviewButton && emailCampaign && (
                   <div className="flex justify-start mt-2">
                     <button
@@ -975,7 +2770,15 @@ When they ask about email campaigns, explain that you can generate emails for th
               </div>
             ))}
 
-            {chatLoading && (
+            {chatLoading && streamingReply && (
+              <div className="flex justify-start">
+                <div className="max-w-[80%] p-3 rounded-lg bg-gray-100 text-gray-800">
+                  <MarkdownText text={streamingReply} />
+                </div>
+              </div>
+            )}
+
+            {chatLoading && !streamingReply && (
               <div className="flex justify-start">
                 <div className="bg-gray-100 p-3 rounded-lg">
                   <div className="flex gap-1">
@@ -1010,17 +2813,27 @@ When they ask about email campaigns, explain that you can generate emails for th
                 className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:border-indigo-500 focus:outline-none text-sm"
                 disabled={chatLoading}
               />
-              <button
-                onClick={sendChatMessage}
-                disabled={chatLoading || !chatInput.trim()}
-                className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
-              >
-                {chatLoading ? (
-                  <RefreshCw className="w-4 h-4 animate-spin" />
-                ) : (
-                  <Send className="w-4 h-4" />
-                )}
-              </button>
+              {chatLoading && chatControllerRef.current ? (
+                <button
+                  onClick={stopChat}
+                  className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition flex items-center justify-center"
+                  title="Stop"
+                >
+                  <Square className="w-4 h-4" />
+                </button>
+              ) : (
+                <button
+                  onClick={sendChatMessage}
+                  disabled={chatLoading || !chatInput.trim()}
+                  className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+                >
+                  {chatLoading ? (
+                    <RefreshCw className="w-4 h-4 animate-spin" />
+                  ) : (
+                    <Send className="w-4 h-4" />
+                  )}
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -0,0 +1,118 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+import { LLM_PROVIDERS, llmConfigError, llmHost, selectProvider } from './llm';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-indigo-500 focus:outline-none text-sm';
+
+const labelClass = 'block text-xs font-semibold text-gray-700 mb-1';
+
+const LOCAL_HOSTS = /^(localhost|127\.\d+\.\d+\.\d+|\[::1\])(:\d+)?$/;
+
+// Which language model the assistant uses: the provider, its server and
+// model, and how long and varied the replies are
+export default function AssistantSettings({
+  settings,
+  apiKey,
+  onSettingsChange,
+  onApiKeyChange,
+}) {
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+  const configError = llmConfigError(settings, apiKey);
+  const host = llmHost(settings);
+  const needsKey = LLM_PROVIDERS[settings.provider]?.needsKey;
+
+  return (
+    <div className="p-4 bg-indigo-50 border-b space-y-3 max-h-80 overflow-y-auto">
+      <div>
+        <label className={labelClass}>Provider</label>
+        <select
+          value={settings.provider}
+          onChange={(e) =>
+            onSettingsChange(selectProvider(settings, e.target.value))
+          }
+          className={`${inputClass} bg-white`}
+        >
+          {Object.entries(LLM_PROVIDERS).map(([value, { label }]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className={labelClass}>Server URL</label>
+        <input
+          type="url"
+          value={settings.baseUrl}
+          onChange={(e) => update({ baseUrl: e.target.value })}
+          placeholder="http://localhost:11434/v1"
+          className={inputClass}
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className={labelClass}>Model</label>
+          <input
+            type="text"
+            value={settings.model}
+            onChange={(e) => update({ model: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>
+            API key{needsKey ? '' : ' (optional)'}
+          </label>
+          <input
+            type="password"
+            value={apiKey}
+            onChange={(e) => onApiKeyChange(e.target.value)}
+            placeholder={needsKey ? 'sk-...' : ''}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className={labelClass}>Temperature</label>
+          <input
+            type="number"
+            min="0"
+            max="2"
+            step="0.1"
+            value={settings.temperature}
+            onChange={(e) => update({ temperature: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Max tokens</label>
+          <input
+            type="number"
+            min="1"
+            step="100"
+            value={settings.maxTokens}
+            onChange={(e) => update({ maxTokens: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      {configError ? (
+        <p className="text-xs text-red-600 flex items-center gap-1">
+          <AlertCircle className="w-4 h-4" />
+          {configError}
+        </p>
+      ) : LOCAL_HOSTS.test(host) ? (
+        <p className="text-xs text-gray-500">
+          Client data stays on this computer. The server has to allow requests
+          from this page; for Ollama, add its address to OLLAMA_ORIGINS.
+        </p>
+      ) : (
+        <p className="text-xs text-amber-700">
+          Client data in your questions is sent to {host}.
+        </p>
+      )}
+    </div>
+  );
+}
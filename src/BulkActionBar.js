@@ -0,0 +1,264 @@
+import React, { useState } from 'react';
+import {
+  AlertCircle,
+  CheckCircle,
+  Download,
+  Mail,
+  RefreshCw,
+  Tag,
+  Trash2,
+  X,
+} from 'lucide-react';
+import { FieldInput } from './FieldValue';
+
+const buttonClass =
+  'flex items-center gap-1 px-3 py-2 text-sm rounded-lg transition';
+
+// Toolbar shown while clients are selected. Writes are handed back to
+// the parent, which runs them through Airtable's batch endpoints.
+export default function BulkActionBar({
+  count,
+  matchingCount,
+  editableFields,
+  tagFields,
+  onSelectAllMatching,
+  onClear,
+  onSetField,
+  onAddTag,
+  onDelete,
+  onExport,
+  onEmail,
+  busy,
+}) {
+  const [panel, setPanel] = useState(null);
+  const [fieldName, setFieldName] = useState('');
+  const [fieldValue, setFieldValue] = useState('');
+  const [tagField, setTagField] = useState('');
+  const [tag, setTag] = useState('');
+
+  const field = editableFields.find((f) => f.name === fieldName);
+  const selectedTagField = tagFields.find((f) => f.name === tagField);
+
+  const openPanel = (name) => {
+    setPanel(panel === name ? null : name);
+    if (name === 'field' && !fieldName && editableFields[0]) {
+      setFieldName(editableFields[0].name);
+    }
+    if (name === 'tag' && !tagField && tagFields[0]) {
+      setTagField(tagFields[0].name);
+    }
+  };
+
+  return (
+    <div className="bg-indigo-600 text-white rounded-xl shadow-lg p-4 mb-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold mr-2">{count} selected</span>
+        {count < matchingCount && (
+          <button
+            onClick={onSelectAllMatching}
+            className="text-sm underline hover:text-indigo-200"
+          >
+            Select all {matchingCount} matching
+          </button>
+        )}
+        <button
+          onClick={onClear}
+          className="text-sm underline hover:text-indigo-200"
+        >
+          Clear selection
+        </button>
+
+        <div className="flex flex-wrap gap-2 ml-auto">
+          <button
+            onClick={() => openPanel('field')}
+            disabled={busy || editableFields.length === 0}
+            className={`${buttonClass} bg-indigo-500 hover:bg-indigo-400 disabled:opacity-50`}
+          >
+            Set field
+          </button>
+          <button
+            onClick={() => openPanel('tag')}
+            disabled={busy || tagFields.length === 0}
+            className={`${buttonClass} bg-indigo-500 hover:bg-indigo-400 disabled:opacity-50`}
+            title={
+              tagFields.length === 0
+                ? 'This table has no multiple select field'
+                : undefined
+            }
+          >
+            <Tag className="w-4 h-4" />
+            Add tag
+          </button>
+          <button
+            onClick={onExport}
+            className={`${buttonClass} bg-indigo-500 hover:bg-indigo-400`}
+          >
+            <Download className="w-4 h-4" />
+            Export
+          </button>
+          <button
+            onClick={onEmail}
+            className={`${buttonClass} bg-indigo-500 hover:bg-indigo-400`}
+          >
+            <Mail className="w-4 h-4" />
+            Email
+          </button>
+          <button
+            onClick={() => openPanel('delete')}
+            disabled={busy}
+            className={`${buttonClass} bg-red-500 hover:bg-red-400 disabled:opacity-50`}
+          >
+            <Trash2 className="w-4 h-4" />
+            Delete
+          </button>
+        </div>
+      </div>
+
+      {panel === 'field' && (
+        <div className="mt-4 flex flex-wrap items-center gap-2 text-gray-800">
+          <select
+            value={fieldName}
+            onChange={(e) => {
+              setFieldName(e.target.value);
+              setFieldValue('');
+            }}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+          >
+            {editableFields.map((f) => (
+              <option key={f.name} value={f.name}>
+                {f.name}
+              </option>
+            ))}
+          </select>
+          <div className="flex-1 min-w-[12rem] bg-white rounded-md">
+            <FieldInput
+              field={field}
+              value={fieldValue}
+              onChange={setFieldValue}
+            />
+          </div>
+          <button
+            onClick={() => {
+              onSetField(field, fieldValue);
+              setPanel(null);
+            }}
+            className={`${buttonClass} bg-white text-indigo-700 hover:bg-indigo-50 font-medium`}
+          >
+            Apply to {count}
+          </button>
+        </div>
+      )}
+
+      {panel === 'tag' && (
+        <div className="mt-4 flex flex-wrap items-center gap-2 text-gray-800">
+          <select
+            value={tagField}
+            onChange={(e) => setTagField(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+          >
+            {tagFields.map((f) => (
+              <option key={f.name} value={f.name}>
+                {f.name}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            list="bulk-tag-options"
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            placeholder="Tag..."
+            className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+          <datalist id="bulk-tag-options">
+            {(selectedTagField?.options?.choices || []).map((choice) => (
+              <option key={choice.name} value={choice.name} />
+            ))}
+          </datalist>
+          <button
+            onClick={() => {
+              onAddTag(selectedTagField, tag.trim());
+              setTag('');
+              setPanel(null);
+            }}
+            disabled={!tag.trim()}
+            className={`${buttonClass} bg-white text-indigo-700 hover:bg-indigo-50 font-medium disabled:opacity-50`}
+          >
+            Tag {count}
+          </button>
+        </div>
+      )}
+
+      {panel === 'delete' && (
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          <span className="text-sm">
+            Delete {count} clients from Airtable? This cannot be undone.
+          </span>
+          <button
+            onClick={() => {
+              onDelete();
+              setPanel(null);
+            }}
+            className={`${buttonClass} bg-red-500 hover:bg-red-400 font-medium`}
+          >
+            Delete {count}
+          </button>
+          <button
+            onClick={() => setPanel(null)}
+            className={`${buttonClass} hover:bg-indigo-500`}
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Progress and outcome of a bulk write, listing every record that failed
+export function BulkJobStatus({ job, recordNames, onClose }) {
+  const { finished } = job;
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-4 mb-4">
+      <div className="flex items-center gap-2">
+        {!finished ? (
+          <RefreshCw className="w-5 h-5 text-indigo-600 animate-spin" />
+        ) : job.failures.length > 0 ? (
+          <AlertCircle className="w-5 h-5 text-red-500" />
+        ) : (
+          <CheckCircle className="w-5 h-5 text-green-600" />
+        )}
+        <span className="font-medium text-gray-800">
+          {job.label}: {job.done} of {job.total} processed
+          {finished &&
+            ` · ${job.done - job.failures.length} succeeded, ${
+              job.failures.length
+            } failed`}
+        </span>
+        {finished && (
+          <button
+            onClick={onClose}
+            className="ml-auto text-gray-400 hover:text-gray-600"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+      <div className="mt-3 h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-indigo-600 transition-all"
+          style={{ width: `${(job.done / Math.max(job.total, 1)) * 100}%` }}
+        />
+      </div>
+      {job.failures.length > 0 && (
+        <ul className="mt-3 max-h-40 overflow-y-auto text-sm text-red-700 space-y-1">
+          {job.failures.map(({ id, error }) => (
+            <li key={id}>
+              <strong>{recordNames[id] || id}:</strong> {error}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
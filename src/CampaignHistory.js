@@ -0,0 +1,444 @@
+import React, { useState } from 'react';
+import {
+  AlertCircle,
+  CheckCircle,
+  Download,
+  MailCheck,
+  Settings,
+  Trash2,
+  Upload,
+  X,
+} from 'lucide-react';
+import {
+  DELIVERY_STATUSES,
+  WRITE_BACK_MODES,
+  compareVariants,
+  unconfirmedRecipients,
+  unrecordedRecipients,
+  writeBackError,
+} from './history';
+import { SEND_MODES } from './mailer';
+import { DATE_TYPES } from './schema';
+import { downloadFile, toCsv } from './exporters';
+import { htmlToText } from './emailHtml';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:border-indigo-500 focus:outline-none text-sm';
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+const countStatuses = (recipients) =>
+  recipients.reduce((counts, recipient) => {
+    counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+    return counts;
+  }, {});
+
+const percent = (part, whole) =>
+  whole > 0 ? `${Math.round((part / whole) * 100)}%` : '–';
+
+// Delivery log for one campaign as CSV, e.g. for a compliance request
+const exportLog = (entry) => {
+  const variants = entry.variants?.length > 0;
+  const rows = [
+    [
+      'Name',
+      'Email',
+      ...(variants ? ['Variant'] : []),
+      'Status',
+      'Time',
+      'Recorded in Airtable',
+      'Error',
+    ],
+    ...entry.recipients.map((r) => [
+      r.name,
+      r.email,
+      ...(variants ? [r.variant || 'A'] : []),
+      DELIVERY_STATUSES[r.status] || r.status,
+      formatTime(r.at),
+      r.recorded ? 'Yes' : 'No',
+      r.error || r.recordError || '',
+    ]),
+  ];
+  const stamp = entry.createdAt.slice(0, 10);
+  // The byte order mark makes Excel read the file as UTF-8
+  downloadFile(
+    `campaign-log-${stamp}.csv`,
+    `\ufeff${toCsv(rows)}`,
+    'text/csv;charset=utf-8',
+  );
+};
+
+// A/B results: contacts per variant, and how many of those clients have
+// the chosen outcome field (a reply, a booking) filled in since they
+// were contacted
+function VariantResults({ entry, fields, clients, onOutcomeFieldChange }) {
+  const results = compareVariants(entry, clients, entry.outcomeField);
+  // Only sent mail can be compared, and mail opened in a mail client or
+  // exported isn't known to be sent until staff mark it
+  const contacted = results.some((result) => result.contacted > 0);
+
+  if (!contacted) {
+    return (
+      <div className="bg-indigo-50 rounded-lg p-4 text-sm text-gray-600">
+        <span className="font-semibold text-gray-800">Compare variants: </span>
+        {unconfirmedRecipients(entry).length > 0
+          ? "these emails went through your mail client or as .eml files, so there's no record of them being sent. Mark them as sent once they have gone out to compare the variants."
+          : 'none of these emails have been sent yet.'}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-indigo-50 rounded-lg p-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <span className="font-semibold text-gray-800">Compare variants by</span>
+        <select
+          value={entry.outcomeField || ''}
+          onChange={(e) => onOutcomeFieldChange(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-sm bg-white focus:border-indigo-500 focus:outline-none"
+        >
+          <option value="">Choose an outcome field…</option>
+          {fields.map((field) => (
+            <option key={field.name} value={field.name}>
+              {field.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div
+        className={`grid gap-3 ${
+          results.length > 2 ? 'md:grid-cols-3' : 'md:grid-cols-2'
+        }`}
+      >
+        {results.map((result) => (
+          <div key={result.label} className="bg-white rounded-lg p-3">
+            <p className="text-xs font-semibold text-gray-500">
+              Variant {result.label}
+            </p>
+            <p className="font-medium text-gray-800 mb-2">{result.subject}</p>
+            <p className="text-xs text-gray-600">
+              {result.contacted} of {result.recipients} contacted
+            </p>
+            {result.outcomes !== null && (
+              <p className="text-lg font-semibold text-indigo-700">
+                {percent(result.outcomes, result.contacted)}{' '}
+                <span className="text-xs font-normal text-gray-600">
+                  ({result.outcomes}) with {entry.outcomeField}
+                </span>
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Counts clients whose {entry.outcomeField || 'outcome field'} is checked
+        or filled in, e.g. a "Replied" checkbox or an "Appointment Booked" date
+        entered after the campaign.
+      </p>
+    </div>
+  );
+}
+
+// Past campaigns with their per-recipient delivery log, and where
+// contacts are written back to in Airtable
+export default function CampaignHistory({
+  history,
+  writeBack,
+  fields,
+  schema,
+  clients,
+  recording,
+  onWriteBackChange,
+  onOutcomeFieldChange,
+  onRecord,
+  onMarkSent,
+  onDelete,
+  onClose,
+}) {
+  const configError = writeBackError(writeBack, schema);
+  const [showSettings, setShowSettings] = useState(false);
+  const [expanded, setExpanded] = useState(history[0]?.id || null);
+
+  const update = (changes) => onWriteBackChange({ ...writeBack, ...changes });
+  const dateFields = fields.filter(
+    (f) => DATE_TYPES.includes(f.type) || f.type === 'singleLineText',
+  );
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[85vh] overflow-y-auto p-8"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Campaign History</h2>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setShowSettings(!showSettings)}
+              className="flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800"
+            >
+              <Settings className="w-4 h-4" />
+              Airtable logging
+            </button>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+
+        {showSettings && (
+          <div className="bg-gray-50 rounded-lg p-4 mb-6 space-y-3">
+            <div>
+              <label className="block text-xs font-semibold text-gray-700 mb-1">
+                When a patient is contacted
+              </label>
+              <select
+                value={writeBack.mode}
+                onChange={(e) => update({ mode: e.target.value })}
+                className={`${inputClass} bg-white`}
+              >
+                {Object.entries(WRITE_BACK_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {writeBack.mode === 'field' && (
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">
+                  Date field
+                </label>
+                <select
+                  value={writeBack.field}
+                  onChange={(e) => update({ field: e.target.value })}
+                  className={`${inputClass} bg-white`}
+                >
+                  {!schema[writeBack.field] && (
+                    <option value={writeBack.field}>{writeBack.field}</option>
+                  )}
+                  {dateFields.map((field) => (
+                    <option key={field.name} value={field.name}>
+                      {field.name}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Then filter on this field with "is not within the last 90
+                  days" to find patients who haven't been contacted recently.
+                </p>
+              </div>
+            )}
+
+            {writeBack.mode === 'table' && (
+              <div className="grid grid-cols-2 gap-3">
+                {[
+                  ['table', 'Table name'],
+                  ['linkField', 'Field linking to the client'],
+                  ['dateField', 'Date field'],
+                  ['subjectField', 'Subject field'],
+                  ['bodyField', 'Body field (optional)'],
+                  ['variantField', 'A/B variant field (optional)'],
+                ].map(([key, label]) => (
+                  <div key={key}>
+                    <label className="block text-xs font-semibold text-gray-700 mb-1">
+                      {label}
+                    </label>
+                    <input
+                      type="text"
+                      value={writeBack[key]}
+                      onChange={(e) => update({ [key]: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {configError && (
+              <p className="text-sm text-red-600 flex items-center gap-1">
+                <AlertCircle className="w-4 h-4" />
+                {configError}
+              </p>
+            )}
+          </div>
+        )}
+
+        {history.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-8">
+            No campaigns have been sent from this table yet.
+          </p>
+        )}
+
+        <div className="space-y-3">
+          {history.map((entry) => {
+            const counts = countStatuses(entry.recipients);
+            const pending = unrecordedRecipients(entry);
+            const unconfirmed = unconfirmedRecipients(entry);
+            const isOpen = expanded === entry.id;
+            return (
+              <div key={entry.id} className="border rounded-lg">
+                <div
+                  className="flex items-start justify-between gap-4 p-4 cursor-pointer"
+                  onClick={() => setExpanded(isOpen ? null : entry.id)}
+                >
+                  <div className="min-w-0">
+                    <p className="font-semibold text-gray-800">
+                      {entry.subject}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {formatTime(entry.createdAt)} ·{' '}
+                      {SEND_MODES[entry.mode] || entry.mode} ·{' '}
+                      {entry.recipients.length} recipients
+                    </p>
+                    <p className="text-xs text-gray-600 mt-1">
+                      {Object.entries(counts)
+                        .map(
+                          ([status, count]) =>
+                            `${count} ${(
+                              DELIVERY_STATUSES[status] || status
+                            ).toLowerCase()}`,
+                        )
+                        .join(' · ')}
+                    </p>
+                  </div>
+                  <div
+                    className="flex items-center gap-3 text-sm flex-shrink-0"
+                    onClick={(e) => e.stopPropagation()}
+                  >
+                    {unconfirmed.length > 0 && (
+                      <button
+                        onClick={() => onMarkSent(entry, unconfirmed)}
+                        disabled={recording}
+                        className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                        title="Once these emails have gone out from your mail client, count them as sent"
+                      >
+                        <MailCheck className="w-4 h-4" />
+                        Mark {unconfirmed.length} as sent
+                      </button>
+                    )}
+                    {writeBack.mode !== 'none' && pending.length > 0 && (
+                      <button
+                        onClick={() => onRecord(entry)}
+                        disabled={Boolean(configError) || recording}
+                        className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                        title="Write these contacts to Airtable"
+                      >
+                        <Upload className="w-4 h-4" />
+                        Record {pending.length} in Airtable
+                      </button>
+                    )}
+                    <button
+                      onClick={() => exportLog(entry)}
+                      className="text-gray-500 hover:text-gray-700"
+                      title="Download delivery log"
+                    >
+                      <Download className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => onDelete(entry.id)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Delete from history"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {isOpen && (
+                  <div className="border-t p-4 space-y-4">
+                    {entry.variants?.length > 0 && (
+                      <VariantResults
+                        entry={entry}
+                        fields={fields}
+                        clients={clients}
+                        onOutcomeFieldChange={(field) =>
+                          onOutcomeFieldChange(entry.id, field)
+                        }
+                      />
+                    )}
+                    <div className="bg-gray-50 rounded p-4 text-sm whitespace-pre-wrap max-h-48 overflow-y-auto">
+                      {entry.format === 'html'
+                        ? htmlToText(entry.body)
+                        : entry.body}
+                    </div>
+                    <div className="max-h-64 overflow-y-auto">
+                      <table className="w-full text-sm">
+                        <thead className="text-left text-xs text-gray-500">
+                          <tr>
+                            <th className="py-1 pr-2 font-semibold">
+                              Recipient
+                            </th>
+                            {entry.variants?.length > 0 && (
+                              <th className="py-1 pr-2 font-semibold">
+                                Variant
+                              </th>
+                            )}
+                            <th className="py-1 pr-2 font-semibold">Status</th>
+                            <th className="py-1 pr-2 font-semibold">Time</th>
+                            <th className="py-1 font-semibold">Airtable</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {entry.recipients.map((recipient) => (
+                            <tr key={recipient.key} className="border-t">
+                              <td className="py-1 pr-2">
+                                {recipient.name}{' '}
+                                <span className="text-gray-500">
+                                  &lt;{recipient.email}&gt;
+                                </span>
+                              </td>
+                              {entry.variants?.length > 0 && (
+                                <td className="py-1 pr-2 text-gray-700">
+                                  {recipient.variant || 'A'}
+                                </td>
+                              )}
+                              <td
+                                className={`py-1 pr-2 ${
+                                  recipient.status === 'failed'
+                                    ? 'text-red-600'
+                                    : 'text-gray-700'
+                                }`}
+                                title={recipient.error || ''}
+                              >
+                                {DELIVERY_STATUSES[recipient.status] ||
+                                  recipient.status}
+                                {recipient.confirmed && ' (marked by hand)'}
+                              </td>
+                              <td className="py-1 pr-2 text-gray-500">
+                                {formatTime(recipient.at)}
+                              </td>
+                              <td className="py-1">
+                                {recipient.recorded ? (
+                                  <CheckCircle className="w-4 h-4 text-green-600" />
+                                ) : recipient.recordError ? (
+                                  <span
+                                    className="text-red-600"
+                                    title={recipient.recordError}
+                                  >
+                                    <AlertCircle className="w-4 h-4" />
+                                  </span>
+                                ) : null}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,237 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ArrowUp, ArrowDown } from 'lucide-react';
+import { FieldValue } from './FieldValue';
+
+const ROW_HEIGHT = 44;
+const OVERSCAN = 10;
+const DEFAULT_WIDTH = 180;
+const MIN_WIDTH = 60;
+const SELECT_COLUMN_WIDTH = 44;
+
+// Dense, virtualized table of clients. Only the rows in (or near) the
+// viewport are rendered so a few thousand records scroll smoothly.
+export default function ClientTable({
+  clients,
+  fields,
+  sort,
+  onSortChange,
+  onColumnMove,
+  columnWidths,
+  onColumnResize,
+  selectedIds,
+  onToggleRow,
+  onToggleAll,
+  onRowClick,
+  linkedNames,
+}) {
+  const scrollRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(600);
+  const [dragField, setDragField] = useState(null);
+  // Set while a column edge is dragged, so releasing it doesn't also
+  // count as a click on the header and re-sort
+  const resizedRef = useRef(false);
+
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return undefined;
+    const measure = () => setViewportHeight(element.clientHeight);
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const end = Math.min(
+    clients.length,
+    Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN,
+  );
+  const visibleRows = clients.slice(start, end);
+
+  const allSelected =
+    clients.length > 0 && clients.every((c) => selectedIds.has(c.id));
+  const someSelected = clients.some((c) => selectedIds.has(c.id));
+
+  // Click sorts by a single column; shift-click adds it as another key
+  const handleHeaderClick = (e, name) => {
+    if (resizedRef.current) {
+      resizedRef.current = false;
+      return;
+    }
+    const existing = sort.find((key) => key.field === name);
+    const direction = existing && existing.direction === 'asc' ? 'desc' : 'asc';
+    if (e.shiftKey) {
+      onSortChange(
+        existing
+          ? sort.map((key) =>
+              key.field === name ? { ...key, direction } : key,
+            )
+          : [...sort, { field: name, direction: 'asc' }],
+      );
+    } else {
+      onSortChange([{ field: name, direction: existing ? direction : 'asc' }]);
+    }
+  };
+
+  const startResize = (e, name) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = columnWidths[name] || DEFAULT_WIDTH;
+
+    const handleMove = (moveEvent) => {
+      resizedRef.current = true;
+      onColumnResize(
+        name,
+        Math.max(MIN_WIDTH, startWidth + moveEvent.clientX - startX),
+      );
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+      // Released off the header there is no click to swallow
+      setTimeout(() => {
+        resizedRef.current = false;
+      });
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  const totalWidth =
+    SELECT_COLUMN_WIDTH +
+    fields.reduce((sum, f) => sum + (columnWidths[f.name] || DEFAULT_WIDTH), 0);
+
+  return (
+    <div
+      ref={scrollRef}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      className="bg-white rounded-xl shadow-lg overflow-auto h-[70vh]"
+    >
+      <table
+        className="table-fixed border-collapse text-sm"
+        style={{ width: totalWidth }}
+      >
+        <colgroup>
+          <col style={{ width: SELECT_COLUMN_WIDTH }} />
+          {fields.map((field) => (
+            <col
+              key={field.name}
+              style={{ width: columnWidths[field.name] || DEFAULT_WIDTH }}
+            />
+          ))}
+        </colgroup>
+        <thead>
+          <tr>
+            <th className="sticky top-0 z-10 bg-gray-100 border-b px-3 text-left">
+              <input
+                type="checkbox"
+                checked={allSelected}
+                ref={(el) => {
+                  if (el) el.indeterminate = someSelected && !allSelected;
+                }}
+                onChange={() => onToggleAll(!allSelected)}
+              />
+            </th>
+            {fields.map((field) => {
+              const sortIndex = sort.findIndex((k) => k.field === field.name);
+              const sortKey = sort[sortIndex];
+              return (
+                <th
+                  key={field.name}
+                  draggable
+                  onDragStart={() => setDragField(field.name)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={(e) => {
+                    if (dragField && dragField !== field.name) {
+                      // The right half of a header drops after it
+                      const rect = e.currentTarget.getBoundingClientRect();
+                      onColumnMove(
+                        dragField,
+                        field.name,
+                        e.clientX > rect.left + rect.width / 2,
+                      );
+                    }
+                    setDragField(null);
+                  }}
+                  onClick={(e) => handleHeaderClick(e, field.name)}
+                  className={`sticky top-0 z-10 bg-gray-100 border-b px-3 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wide cursor-pointer select-none relative ${
+                    dragField === field.name ? 'opacity-50' : ''
+                  }`}
+                  title="Click to sort, shift-click to add a sort key, drag to reorder"
+                >
+                  <span className="flex items-center gap-1 truncate">
+                    <span className="truncate">{field.name}</span>
+                    {sortKey &&
+                      (sortKey.direction === 'asc' ? (
+                        <ArrowUp className="w-3 h-3 flex-shrink-0" />
+                      ) : (
+                        <ArrowDown className="w-3 h-3 flex-shrink-0" />
+                      ))}
+                    {sortKey && sort.length > 1 && (
+                      <span className="text-gray-400">{sortIndex + 1}</span>
+                    )}
+                  </span>
+                  <span
+                    onMouseDown={(e) => startResize(e, field.name)}
+                    onClick={(e) => e.stopPropagation()}
+                    className="absolute right-0 top-0 h-full w-2 cursor-col-resize hover:bg-indigo-200"
+                  />
+                </th>
+              );
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          {start > 0 && (
+            <tr style={{ height: start * ROW_HEIGHT }}>
+              <td colSpan={fields.length + 1} />
+            </tr>
+          )}
+          {visibleRows.map((client) => {
+            const selected = selectedIds.has(client.id);
+            return (
+              <tr
+                key={client.id}
+                onClick={() => onRowClick(client)}
+                style={{ height: ROW_HEIGHT }}
+                className={`border-b cursor-pointer ${
+                  selected ? 'bg-indigo-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <td
+                  className="px-3"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onToggleRow(client, e);
+                  }}
+                >
+                  <input type="checkbox" checked={selected} readOnly />
+                </td>
+                {fields.map((field) => (
+                  <td
+                    key={field.name}
+                    className="px-3 whitespace-nowrap overflow-hidden text-ellipsis text-gray-800"
+                  >
+                    <div className="flex items-center overflow-hidden max-h-[40px]">
+                      <FieldValue
+                        field={field}
+                        value={client.fields[field.name]}
+                        linkedNames={linkedNames}
+                      />
+                    </div>
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+          {end < clients.length && (
+            <tr style={{ height: (clients.length - end) * ROW_HEIGHT }}>
+              <td colSpan={fields.length + 1} />
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import React from 'react';
+import { Pencil, Plus, Trash2 } from 'lucide-react';
+import { conversationTitle, sortConversations } from './conversations';
+
+// Saved chat conversations, most recent first
+export default function ConversationList({
+  conversations,
+  activeId,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete,
+}) {
+  return (
+    <div className="border-b bg-gray-50 max-h-64 overflow-y-auto">
+      <button
+        onClick={onNew}
+        className="w-full flex items-center gap-2 px-4 py-2 text-sm text-indigo-600 hover:bg-indigo-50"
+      >
+        <Plus className="w-4 h-4" />
+        New conversation
+      </button>
+      {sortConversations(conversations).map((conversation) => (
+        <div
+          key={conversation.id}
+          className={`flex items-center gap-2 px-4 py-2 text-sm ${
+            conversation.id === activeId
+              ? 'bg-indigo-100 text-indigo-900'
+              : 'text-gray-700 hover:bg-gray-100'
+          }`}
+        >
+          <button
+            onClick={() => onSelect(conversation.id)}
+            className="flex-1 min-w-0 text-left"
+          >
+            <span className="block truncate">
+              {conversationTitle(conversation)}
+            </span>
+            <span className="block text-xs text-gray-500">
+              {new Date(conversation.updatedAt).toLocaleString()}
+            </span>
+          </button>
+          <button
+            onClick={() => onRename(conversation.id)}
+            className="text-gray-400 hover:text-gray-700"
+            title="Rename"
+          >
+            <Pencil className="w-3 h-3" />
+          </button>
+          <button
+            onClick={() => onDelete(conversation.id)}
+            className="text-gray-400 hover:text-red-600"
+            title="Delete"
+          >
+            <Trash2 className="w-3 h-3" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
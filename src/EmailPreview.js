@@ -0,0 +1,1362 @@
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  AlertCircle,
+  ChevronLeft,
+  ChevronRight,
+  Download,
+  Search,
+  Send,
+  X,
+} from 'lucide-react';
+import { downloadFile } from './exporters';
+import { schemaByName } from './schema';
+import { FILTER_HELP, renderTemplate, validateTemplate } from './template';
+import {
+  SUPPRESSION_REASONS,
+  addDoNotContact,
+  applySuppression,
+  consentFields,
+  countByReason,
+  removeDoNotContact,
+} from './suppression';
+import { DUPLICATE_PREFERENCES, normalizeRecipients } from './recipients';
+import { DEFAULT_TIMING, createStep, scheduleSteps } from './schedule';
+import ScheduleEditor from './ScheduleEditor';
+import {
+  assignVariants,
+  campaignVariants,
+  evenWeights,
+  splitError,
+  variantContent,
+  variantWeights,
+} from './variants';
+import VariantEditor from './VariantEditor';
+import { EMAIL_FORMATS, convertBody } from './emailHtml';
+import RichTextEditor from './RichTextEditor';
+import {
+  SEND_MODES,
+  bccMailtoLinks,
+  emlBundle,
+  individualMailtoLinks,
+  personalize,
+  recipientKey,
+  renderBody,
+} from './mailer';
+
+// Edit a client's email cell in place when its addresses can't be used
+function AddressFix({ entry, onSave }) {
+  const [value, setValue] = useState([].concat(entry.email).join(', '));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(entry, value.trim());
+    } catch (err) {
+      setError(`Couldn't save: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <li className="py-2 border-b border-red-100 last:border-0">
+      <p className="text-xs">
+        <span className="font-medium">{entry.name}</span> —{' '}
+        {entry.problems
+          .map(({ address, error }) => `${address}: ${error}`)
+          .join('; ')}
+      </p>
+      <form onSubmit={save} className="flex gap-2 mt-1">
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          className="flex-1 px-2 py-1 border border-gray-300 rounded bg-white text-xs"
+        />
+        <button
+          type="submit"
+          disabled={saving || !entry.emailField}
+          className="px-3 py-1 bg-red-600 text-white rounded text-xs disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </form>
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </li>
+  );
+}
+
+// Tailwind needs the full class names in the source
+const VARIANT_COLUMNS = {
+  2: 'md:grid-cols-2',
+  3: 'md:grid-cols-3',
+  4: 'md:grid-cols-2',
+};
+
+// Campaign preview and sending. Every mode keeps recipients from seeing
+// each other: either one message per person or a BCC-only message.
+export default function EmailPreview({
+  campaign,
+  fields,
+  linkedNames,
+  senderError,
+  consentField,
+  consentConfirmed = true,
+  doNotContact,
+  onChange,
+  onFixEmail,
+  onConsentFieldChange,
+  onDoNotContactChange,
+  onQueue,
+  onLog,
+  signature,
+  onSignatureChange,
+  onFormatChange,
+  now = Date.now,
+  onOpenOutbox,
+  onClose,
+}) {
+  const [mode, setMode] = useState(senderError ? 'individual' : 'queue');
+  const [opened, setOpened] = useState(new Set());
+  const [openedBatches, setOpenedBatches] = useState(new Set());
+  const [previewKey, setPreviewKey] = useState(null);
+  const [recipientSearch, setRecipientSearch] = useState('');
+  const [onlyMissing, setOnlyMissing] = useState(false);
+  const [blockAddress, setBlockAddress] = useState('');
+  const [activeStep, setActiveStep] = useState(0);
+  const [activeVariant, setActiveVariant] = useState(0);
+  const bodyRef = useRef(null);
+  const richRef = useRef(null);
+  const format = campaign.format || 'text';
+
+  const options = useMemo(
+    () => ({ schema: schemaByName(fields), linkedNames }),
+    [fields, linkedNames],
+  );
+
+  // Email cells split into one recipient per valid address, with each
+  // address emailed once even when several clients share it
+  const normalized = useMemo(
+    () =>
+      normalizeRecipients(campaign.recipients, {
+        prefer: campaign.duplicatePreference,
+        choices: campaign.duplicateChoices,
+      }),
+    [
+      campaign.recipients,
+      campaign.duplicatePreference,
+      campaign.duplicateChoices,
+    ],
+  );
+  // One entry per client whose cell has addresses that can't be used
+  const invalidByClient = useMemo(() => {
+    const byId = new Map();
+    normalized.invalid.forEach(({ address, error, ...candidate }) => {
+      const entry = byId.get(candidate.id) || { ...candidate, problems: [] };
+      entry.problems.push({ address, error });
+      byId.set(candidate.id, entry);
+    });
+    return [...byId.values()];
+  }, [normalized.invalid]);
+
+  // Clients without consent or on the do-not-contact list never make it
+  // into the recipient list, whatever else is done in the preview
+  const { allowed, suppressed } = useMemo(
+    () =>
+      applySuppression(normalized.recipients, {
+        consentField,
+        doNotContact,
+        schema: options.schema,
+      }),
+    [normalized.recipients, consentField, doNotContact, options.schema],
+  );
+  // Each client's A/B variant, decided before exclusions so excluding
+  // one patient doesn't move the others to another variant
+  const recipients = useMemo(
+    () => assignVariants(campaign, allowed),
+    [campaign, allowed],
+  );
+  const suppressedCounts = countByReason(suppressed);
+  const consentMissing = consentField && !options.schema[consentField];
+  const excluded = useMemo(
+    () => new Set(campaign.excluded || []),
+    [campaign.excluded],
+  );
+  // What actually gets sent: the campaign without excluded recipients
+  const sendCampaign = useMemo(
+    () => ({
+      ...campaign,
+      recipients: recipients.filter((r) => !excluded.has(recipientKey(r))),
+    }),
+    [campaign, recipients, excluded],
+  );
+
+  // The first email plus any follow-ups. Sequences only go through the
+  // mail server, so other modes just edit the first email.
+  const steps = useMemo(
+    () => [
+      {
+        subject: campaign.subject,
+        body: campaign.body,
+        timing: campaign.timing || DEFAULT_TIMING,
+      },
+      ...(campaign.followUps || []),
+    ],
+    [campaign.subject, campaign.body, campaign.timing, campaign.followUps],
+  );
+  const stepIndex =
+    mode === 'queue' ? Math.min(activeStep, steps.length - 1) : 0;
+
+  const variants = campaignVariants(campaign);
+  const variantIndex = Math.min(activeVariant, variants.length - 1);
+  const weights = variantWeights(campaign);
+  const variantCounts = sendCampaign.recipients.reduce((counts, r) => {
+    if (r.variant) counts[r.variant] = (counts[r.variant] || 0) + 1;
+    return counts;
+  }, {});
+  const variantProblem =
+    splitError(campaign) ||
+    (variants.some((v) => !v.subject.trim() || !v.body.trim())
+      ? 'Every variant needs a subject and a body'
+      : null);
+  const variantBlocked = variants.length > 1 && Boolean(variantProblem);
+  // Nothing goes out until a guessed consent field has been confirmed
+  const sendBlocked = variantBlocked || !consentConfirmed;
+
+  // The subject and body in the editor: a follow-up, or one of the
+  // first email's variants
+  const editing = stepIndex === 0 ? variants[variantIndex] : steps[stepIndex];
+
+  const fieldNames = useMemo(() => fields.map((f) => f.name), [fields]);
+  const templateErrors = useMemo(
+    () => [
+      ...validateTemplate(editing.subject, fieldNames).map(
+        (error) => `Subject: ${error}`,
+      ),
+      ...validateTemplate(editing.body, fieldNames),
+    ],
+    [editing.subject, editing.body, fieldNames],
+  );
+
+  // Rendered subject and body plus the fields each recipient is missing
+  const rendered = useMemo(
+    () =>
+      recipients.map((recipient) => {
+        const content =
+          stepIndex === 0 ? variantContent(campaign, recipient) : editing;
+        const subject = renderTemplate(content.subject, recipient, options);
+        const body = renderTemplate(content.body, recipient, options);
+        return {
+          subject: subject.output,
+          ...renderBody(campaign, content.body, recipient, options),
+          missing: [...new Set([...subject.missing, ...body.missing])],
+        };
+      }),
+    [recipients, stepIndex, campaign, editing, options],
+  );
+
+  const missingSummary = useMemo(() => {
+    const counts = {};
+    let total = 0;
+    rendered.forEach(({ missing }, idx) => {
+      if (excluded.has(recipientKey(recipients[idx]))) return;
+      if (missing.length > 0) total++;
+      missing.forEach((name) => {
+        counts[name] = (counts[name] || 0) + 1;
+      });
+    });
+    return { total, counts };
+  }, [rendered, recipients, excluded]);
+
+  // Indexes of recipients shown in the list, and stepped through by the
+  // preview's previous/next buttons
+  const visible = useMemo(() => {
+    const query = recipientSearch.trim().toLowerCase();
+    return recipients
+      .map((recipient, idx) => idx)
+      .filter((idx) => {
+        const { name, email } = recipients[idx];
+        if (onlyMissing && rendered[idx].missing.length === 0) return false;
+        return (
+          !query ||
+          name.toLowerCase().includes(query) ||
+          email.toLowerCase().includes(query)
+        );
+      });
+  }, [recipients, rendered, recipientSearch, onlyMissing]);
+
+  const previewIndex = Math.max(
+    0,
+    recipients.findIndex((r) => recipientKey(r) === previewKey),
+  );
+  const preview = recipients[previewIndex];
+  const previewPosition = visible.indexOf(previewIndex);
+
+  const stepPreview = (offset) => {
+    if (visible.length === 0) return;
+    const position =
+      previewPosition === -1
+        ? 0
+        : (previewPosition + offset + visible.length) % visible.length;
+    setPreviewKey(recipientKey(recipients[visible[position]]));
+  };
+
+  const individualLinks = useMemo(
+    () =>
+      mode === 'individual' ? individualMailtoLinks(sendCampaign, options) : [],
+    [mode, sendCampaign, options],
+  );
+  const linksByKey = useMemo(
+    () =>
+      Object.fromEntries(
+        individualLinks.map((link, idx) => [
+          recipientKey(sendCampaign.recipients[idx]),
+          link,
+        ]),
+      ),
+    [individualLinks, sendCampaign],
+  );
+  const bccLinks = useMemo(
+    () => (mode === 'bcc' ? bccMailtoLinks(sendCampaign, options) : []),
+    [mode, sendCampaign, options],
+  );
+
+  const updateCampaign = (changes) => {
+    onChange({ ...campaign, ...changes });
+    setOpened(new Set());
+    setOpenedBatches(new Set());
+  };
+
+  const updateStep = (index, changes) => {
+    if (index === 0) {
+      updateCampaign(changes);
+      return;
+    }
+    updateCampaign({
+      followUps: campaign.followUps.map((step, i) =>
+        i === index - 1 ? { ...step, ...changes } : step,
+      ),
+    });
+  };
+
+  const updateEditing = (changes) => {
+    if (stepIndex > 0 || variantIndex === 0) {
+      updateStep(stepIndex, changes);
+      return;
+    }
+    updateCampaign({
+      variants: campaign.variants.map((variant, i) =>
+        i === variantIndex - 1 ? { ...variant, ...changes } : variant,
+      ),
+    });
+  };
+
+  // Switching format converts every body: the first email, its variants
+  // and the follow-ups
+  const changeFormat = (next) => {
+    updateCampaign({
+      format: next,
+      body: convertBody(campaign.body, next),
+      variants: (campaign.variants || []).map((variant) => ({
+        ...variant,
+        body: convertBody(variant.body, next),
+      })),
+      followUps: (campaign.followUps || []).map((step) => ({
+        ...step,
+        body: convertBody(step.body, next),
+      })),
+    });
+    onFormatChange(next);
+  };
+
+  // New variants start as a copy of variant A, to be reworded
+  const addVariant = () => {
+    updateCampaign({
+      variants: [
+        ...(campaign.variants || []),
+        { subject: campaign.subject, body: campaign.body },
+      ],
+      split: { ...campaign.split, weights: evenWeights(variants.length + 1) },
+    });
+    setActiveVariant(variants.length);
+  };
+
+  const removeVariant = (index) => {
+    updateCampaign({
+      variants: campaign.variants.filter((variant, i) => i !== index - 1),
+      split: { ...campaign.split, weights: evenWeights(variants.length - 1) },
+    });
+    setActiveVariant(Math.min(variantIndex, variants.length - 2));
+  };
+
+  const addStep = () => {
+    updateCampaign({
+      followUps: [
+        ...(campaign.followUps || []),
+        createStep(campaign.followUps?.length ? 30 : 7),
+      ],
+    });
+    setActiveStep(steps.length);
+  };
+
+  const removeStep = (index) => {
+    updateCampaign({
+      followUps: campaign.followUps.filter((step, i) => i !== index - 1),
+    });
+    setActiveStep(Math.min(stepIndex, steps.length - 2));
+  };
+
+  const toggleExcluded = (keys, exclude) => {
+    const next = new Set(excluded);
+    keys.forEach((key) => (exclude ? next.add(key) : next.delete(key)));
+    onChange({ ...campaign, excluded: [...next] });
+    setOpenedBatches(new Set());
+  };
+
+  const excludeMissing = () => {
+    toggleExcluded(
+      recipients
+        .filter((r, idx) => rendered[idx].missing.length > 0)
+        .map(recipientKey),
+      true,
+    );
+  };
+
+  // Insert a merge tag at the cursor in the body
+  const insertTag = (tag) => {
+    if (!tag) return;
+    if (format === 'html') {
+      richRef.current?.insertText(tag);
+      return;
+    }
+    const textarea = bodyRef.current;
+    const start = textarea ? textarea.selectionStart : editing.body.length;
+    const end = textarea ? textarea.selectionEnd : editing.body.length;
+    updateEditing({
+      body: editing.body.slice(0, start) + tag + editing.body.slice(end),
+    });
+    requestAnimationFrame(() => {
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(start + tag.length, start + tag.length);
+    });
+  };
+
+  const blockEmail = (email) => {
+    onDoNotContactChange(addDoNotContact(doNotContact, email));
+  };
+
+  const allowEmail = (email) => {
+    onDoNotContactChange(removeDoNotContact(doNotContact, email));
+  };
+
+  const openLink = (href) => {
+    window.location.href = href;
+  };
+
+  // Opening a draft in the mail client is as far as we can follow it,
+  // so that is what goes in the campaign history
+  const markOpened = (key) => {
+    setOpened((prev) => new Set(prev).add(key));
+    onLog(
+      sendCampaign.recipients.filter((r) => recipientKey(r) === key),
+      'opened',
+      'individual',
+    );
+  };
+
+  const nextKey = sendCampaign.recipients
+    .map(recipientKey)
+    .find((key) => !opened.has(key));
+
+  const openedCount = sendCampaign.recipients.filter((r) =>
+    opened.has(recipientKey(r)),
+  ).length;
+
+  const openNext = () => {
+    if (!nextKey) return;
+    openLink(linksByKey[nextKey].href);
+    markOpened(nextKey);
+  };
+
+  const openBatch = (index) => {
+    openLink(bccLinks[index].href);
+    setOpenedBatches((prev) => new Set(prev).add(index));
+    const batch = new Set(bccLinks[index].bcc);
+    onLog(
+      sendCampaign.recipients.filter((r) => batch.has(r.email)),
+      'opened',
+      'bcc',
+    );
+  };
+
+  // Every step with each recipient's send time, for the counts in the
+  // schedule editor and for queueing
+  const plan = useMemo(() => {
+    if (mode !== 'queue') return [];
+    const current = now();
+    return scheduleSteps(sendCampaign, steps, options, {
+      start: campaign.startAt ? new Date(campaign.startAt).getTime() : current,
+      now: current,
+    });
+  }, [mode, sendCampaign, steps, options, campaign.startAt, now]);
+  const queuedCount = plan.reduce((n, step) => n + step.messages.length, 0);
+  const schedules = plan.some((step) =>
+    step.messages.some((message) => message.sendAt),
+  );
+  const incompleteStep = steps.some(
+    (step) => !step.subject.trim() || !step.body.trim(),
+  );
+
+  const queueEmails = () => {
+    onQueue(plan);
+  };
+
+  const downloadEml = () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `campaign-${stamp}.zip`,
+      emlBundle(sendCampaign, options),
+      'application/zip',
+    );
+    onLog(sendCampaign.recipients, 'exported', 'eml');
+  };
+
+  const batchLabel = (link, index) => {
+    const parts = [
+      link.variant && `Variant ${link.variant}`,
+      bccLinks.length > 1 && `Batch ${index + 1}`,
+    ].filter(Boolean);
+    return parts.length > 0 ? `${parts.join(', ')}: ` : '';
+  };
+
+  const tooLong =
+    mode === 'individual'
+      ? individualLinks.some((link) => link.tooLong)
+      : bccLinks.some((link) => link.tooLong);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b p-6 rounded-t-2xl">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-bold text-gray-800">
+              📧 Email Campaign Preview
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+          <div className="bg-indigo-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-700">
+              <strong>Recipients:</strong> {sendCampaign.recipients.length} of{' '}
+              {recipients.length} filtered clients
+              {excluded.size > 0 && ` (${excluded.size} excluded)`}
+            </p>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Email Content */}
+          {mode === 'queue' && steps.length > 1 && (
+            <div className="flex flex-wrap gap-2">
+              {steps.map((step, index) => (
+                <button
+                  key={index}
+                  onClick={() => setActiveStep(index)}
+                  className={`px-3 py-1 rounded-full text-sm ${
+                    index === stepIndex
+                      ? 'bg-indigo-600 text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {index === 0 ? 'First email' : `Follow-up ${index}`}
+                </button>
+              ))}
+            </div>
+          )}
+          {stepIndex === 0 && (
+            <VariantEditor
+              variants={variants}
+              activeVariant={variantIndex}
+              split={campaign.split}
+              weights={weights}
+              counts={variantCounts}
+              error={variants.length > 1 ? variantProblem : null}
+              onSelect={setActiveVariant}
+              onAdd={addVariant}
+              onRemove={removeVariant}
+              onSplitChange={(split) => updateCampaign({ split })}
+            />
+          )}
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Subject Line
+            </label>
+            <input
+              type="text"
+              value={editing.subject}
+              onChange={(e) => updateEditing({ subject: e.target.value })}
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none"
+            />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <div className="flex items-center gap-3">
+                <label className="block text-sm font-semibold text-gray-700">
+                  Email Body
+                </label>
+                <div className="flex rounded-md border border-gray-300 overflow-hidden text-xs">
+                  {Object.entries(EMAIL_FORMATS).map(([value, label]) => (
+                    <button
+                      key={value}
+                      onClick={() => value !== format && changeFormat(value)}
+                      className={`px-2 py-1 ${
+                        value === format
+                          ? 'bg-indigo-600 text-white'
+                          : 'bg-white text-gray-700 hover:bg-gray-100'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <select
+                value=""
+                onChange={(e) => insertTag(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-xs bg-white focus:border-indigo-500 focus:outline-none"
+              >
+                <option value="">Insert merge field…</option>
+                <option value="{{name}}">name</option>
+                {fieldNames.map((name) => (
+                  <option key={name} value={`{{${name}}}`}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {format === 'html' ? (
+              <RichTextEditor
+                ref={richRef}
+                value={editing.body}
+                invalid={templateErrors.length > 0}
+                signature={signature}
+                onChange={(body) => updateEditing({ body })}
+                onSignatureChange={onSignatureChange}
+              />
+            ) : (
+              <textarea
+                ref={bodyRef}
+                value={editing.body}
+                onChange={(e) => updateEditing({ body: e.target.value })}
+                rows={12}
+                className={`w-full px-4 py-3 border-2 rounded-lg focus:outline-none font-mono text-sm ${
+                  templateErrors.length > 0
+                    ? 'border-red-300 focus:border-red-500'
+                    : 'border-gray-200 focus:border-indigo-500'
+                }`}
+              />
+            )}
+            {format === 'html' && (
+              <p className="mt-2 text-xs text-gray-500">
+                The mail server and .eml files send this formatted with a
+                plain-text version alongside; mail links can only carry the
+                plain-text version.
+              </p>
+            )}
+            {templateErrors.length > 0 && (
+              <ul className="mt-2 text-sm text-red-600 space-y-1">
+                {templateErrors.map((error, idx) => (
+                  <li key={idx} className="flex items-center gap-1">
+                    <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                    {error}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <details className="mt-2 text-xs text-gray-600">
+              <summary className="cursor-pointer text-indigo-600">
+                Template syntax
+              </summary>
+              <div className="mt-2 bg-gray-50 rounded-lg p-3 space-y-1 font-mono">
+                <p>{'{{Field Name}}'} – any client field</p>
+                <p>{'{{First Name | "there"}}'} – fallback when empty</p>
+                <p>{'{{Last Visit | date:"us"}}'} – filters, left to right</p>
+                <p>
+                  {'{{#if Doctor}}'}…{'{{else}}'}…{'{{/if}}'} – also{' '}
+                  {'{{#if Status = "Active"}}'} and {'{{#unless …}}'}
+                </p>
+                {Object.entries(FILTER_HELP).map(([name, help]) => (
+                  <p key={name}>
+                    | {name} – {help}
+                  </p>
+                ))}
+              </div>
+            </details>
+          </div>
+
+          {/* Preview as any recipient */}
+          {preview && (
+            <div className="border-t pt-6">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold text-gray-800">
+                  Preview as {preview.name || preview.email}
+                </h3>
+                <div className="flex items-center gap-2 text-sm text-gray-600">
+                  <button
+                    onClick={() => stepPreview(-1)}
+                    disabled={visible.length === 0}
+                    className="p-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                    title="Previous recipient"
+                  >
+                    <ChevronLeft className="w-5 h-5" />
+                  </button>
+                  {previewPosition === -1
+                    ? `– of ${visible.length}`
+                    : `${previewPosition + 1} of ${visible.length}`}
+                  <button
+                    onClick={() => stepPreview(1)}
+                    disabled={visible.length === 0}
+                    className="p-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                    title="Next recipient"
+                  >
+                    <ChevronRight className="w-5 h-5" />
+                  </button>
+                </div>
+              </div>
+              <div
+                className={`bg-gray-50 p-6 rounded-lg ${
+                  excluded.has(recipientKey(preview)) ? 'opacity-60' : ''
+                }`}
+              >
+                <div className="mb-4">
+                  <p className="text-xs text-gray-500 mb-1">To:</p>
+                  <p className="text-sm font-medium">
+                    {preview.name} &lt;{preview.email}&gt;
+                    {excluded.has(recipientKey(preview)) && (
+                      <span className="ml-2 text-xs text-gray-500">
+                        (excluded)
+                      </span>
+                    )}
+                  </p>
+                </div>
+                {stepIndex === 0 && variants.length > 1 ? (
+                  // Every variant side by side, as this recipient would
+                  // see it
+                  <div
+                    className={`grid gap-4 ${VARIANT_COLUMNS[variants.length]}`}
+                  >
+                    {variants.map((variant) => (
+                      <div
+                        key={variant.label}
+                        className={`rounded-lg p-3 ${
+                          preview.variant === variant.label
+                            ? 'ring-2 ring-indigo-400'
+                            : ''
+                        }`}
+                      >
+                        <p className="text-xs font-semibold text-gray-600 mb-2">
+                          Variant {variant.label}
+                          {preview.variant === variant.label &&
+                            ' · sent to this recipient'}
+                        </p>
+                        <p className="text-sm font-medium mb-2">
+                          {personalize(variant.subject, preview, options)}
+                        </p>
+                        {format === 'html' ? (
+                          <div
+                            className="rich-text bg-white p-3 rounded border text-sm"
+                            dangerouslySetInnerHTML={{
+                              __html: renderBody(
+                                campaign,
+                                variant.body,
+                                preview,
+                                options,
+                              ).html,
+                            }}
+                          />
+                        ) : (
+                          <div className="bg-white p-3 rounded border text-sm whitespace-pre-wrap">
+                            {personalize(variant.body, preview, options)}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <>
+                    <div className="mb-4">
+                      <p className="text-xs text-gray-500 mb-1">Subject:</p>
+                      <p className="text-sm font-medium">
+                        {rendered[previewIndex].subject}
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-xs text-gray-500 mb-2">Body:</p>
+                      {rendered[previewIndex].html ? (
+                        <>
+                          {/* Sanitized in renderBody */}
+                          <div
+                            className="rich-text bg-white p-4 rounded border text-sm"
+                            dangerouslySetInnerHTML={{
+                              __html: rendered[previewIndex].html,
+                            }}
+                          />
+                          <details className="mt-2 text-xs text-gray-600">
+                            <summary className="cursor-pointer text-indigo-600">
+                              Plain-text version
+                            </summary>
+                            <div className="mt-2 bg-white p-4 rounded border text-sm whitespace-pre-wrap">
+                              {rendered[previewIndex].body}
+                            </div>
+                          </details>
+                        </>
+                      ) : (
+                        <div className="bg-white p-4 rounded border text-sm whitespace-pre-wrap">
+                          {rendered[previewIndex].body}
+                        </div>
+                      )}
+                    </div>
+                  </>
+                )}
+                {rendered[previewIndex].missing.length > 0 && (
+                  <p className="mt-3 text-sm text-amber-700">
+                    Missing for this recipient:{' '}
+                    {rendered[previewIndex].missing.join(', ')}
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Recipient List */}
+          <div className="border-t pt-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">
+              Recipients ({sendCampaign.recipients.length} of{' '}
+              {recipients.length})
+            </h3>
+
+            {invalidByClient.length > 0 && (
+              <div className="bg-red-50 border-l-4 border-red-400 p-4 rounded mb-3 text-sm text-red-800">
+                <p className="font-semibold mb-1">
+                  {normalized.invalid.length} address
+                  {normalized.invalid.length === 1 ? '' : 'es'} can't be used.
+                  Fix them here to save the change to Airtable.
+                </p>
+                <ul className="max-h-48 overflow-y-auto">
+                  {invalidByClient.map((entry) => (
+                    <AddressFix
+                      key={entry.id}
+                      entry={entry}
+                      onSave={onFixEmail}
+                    />
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {normalized.duplicates.length > 0 && (
+              <div className="bg-indigo-50 border-l-4 border-indigo-400 p-4 rounded mb-3 text-sm text-indigo-900">
+                <p className="font-semibold mb-1">
+                  {normalized.duplicates.length} address
+                  {normalized.duplicates.length === 1 ? ' is' : 'es are'} on
+                  more than one client and will only be emailed once
+                </p>
+                <div className="flex flex-wrap items-center gap-2 text-xs mb-2">
+                  <label htmlFor="duplicate-preference">
+                    Personalize with:
+                  </label>
+                  <select
+                    id="duplicate-preference"
+                    value={campaign.duplicatePreference || 'mostComplete'}
+                    onChange={(e) =>
+                      onChange({
+                        ...campaign,
+                        duplicatePreference: e.target.value,
+                        duplicateChoices: {},
+                      })
+                    }
+                    className="px-2 py-1 border border-gray-300 rounded bg-white"
+                  >
+                    {Object.entries(DUPLICATE_PREFERENCES).map(
+                      ([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ),
+                    )}
+                  </select>
+                </div>
+                <details className="text-xs">
+                  <summary className="cursor-pointer font-medium">
+                    Choose per address
+                  </summary>
+                  <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+                    {normalized.duplicates.map(({ email, records, keptId }) => (
+                      <li
+                        key={email}
+                        className="flex items-center justify-between gap-3"
+                      >
+                        <span>{email}</span>
+                        <select
+                          value={keptId}
+                          onChange={(e) =>
+                            onChange({
+                              ...campaign,
+                              duplicateChoices: {
+                                ...campaign.duplicateChoices,
+                                [email]: e.target.value,
+                              },
+                            })
+                          }
+                          className="px-2 py-1 border border-gray-300 rounded bg-white"
+                        >
+                          {records.map((record) => (
+                            <option key={record.id} value={record.id}>
+                              {record.name}
+                            </option>
+                          ))}
+                        </select>
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              </div>
+            )}
+
+            <div className="bg-gray-50 border-l-4 border-gray-400 p-4 rounded mb-3 text-sm text-gray-700">
+              <p className="font-semibold mb-1">
+                {suppressed.length === 0
+                  ? 'No one was excluded by consent or the do-not-contact list'
+                  : `${suppressed.length} client${
+                      suppressed.length === 1 ? '' : 's'
+                    } excluded: ${Object.entries(suppressedCounts)
+                      .map(
+                        ([reason, count]) =>
+                          `${count} ${SUPPRESSION_REASONS[
+                            reason
+                          ].toLowerCase()}`,
+                      )
+                      .join(', ')}`}
+              </p>
+              <div className="flex flex-wrap items-center gap-2 text-xs mb-2">
+                <label htmlFor="consent-field">Consent field:</label>
+                <select
+                  id="consent-field"
+                  value={consentField}
+                  onChange={(e) => onConsentFieldChange(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded bg-white"
+                >
+                  <option value="">None (don't check consent)</option>
+                  {consentMissing && (
+                    <option value={consentField}>{consentField}</option>
+                  )}
+                  {consentFields(fields).map((field) => (
+                    <option key={field.name} value={field.name}>
+                      {field.name}
+                    </option>
+                  ))}
+                </select>
+                {consentMissing && (
+                  <span className="text-red-600">
+                    This table has no "{consentField}" field, so consent isn't
+                    being checked
+                  </span>
+                )}
+                {!consentConfirmed && (
+                  <span className="text-amber-700">
+                    Picked from its name; check it records consent to email.{' '}
+                    <button
+                      onClick={() => onConsentFieldChange(consentField)}
+                      className="font-semibold underline"
+                    >
+                      Use "{consentField}"
+                    </button>
+                  </span>
+                )}
+              </div>
+              {suppressed.length > 0 && (
+                <details className="text-xs mb-2">
+                  <summary className="cursor-pointer font-medium">
+                    Show excluded clients
+                  </summary>
+                  <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+                    {suppressed.map((recipient) => (
+                      <li
+                        key={recipientKey(recipient)}
+                        className="flex items-center justify-between gap-3"
+                      >
+                        <span>
+                          {recipient.name} &lt;{recipient.email}&gt; —{' '}
+                          {recipient.reasons
+                            .map((reason) => SUPPRESSION_REASONS[reason])
+                            .join(', ')}
+                        </span>
+                        {recipient.reasons.includes('doNotContact') && (
+                          <button
+                            onClick={() => allowEmail(recipient.email)}
+                            className="text-indigo-600 hover:text-indigo-800 flex-shrink-0"
+                          >
+                            Remove from list
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  blockEmail(blockAddress);
+                  setBlockAddress('');
+                }}
+                className="flex gap-2 text-xs"
+              >
+                <input
+                  type="email"
+                  value={blockAddress}
+                  onChange={(e) => setBlockAddress(e.target.value)}
+                  placeholder="Add an address to the do-not-contact list"
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded bg-white"
+                />
+                <button
+                  type="submit"
+                  disabled={!blockAddress.trim()}
+                  className="px-3 py-1 bg-gray-600 text-white rounded disabled:opacity-50"
+                >
+                  Add
+                </button>
+              </form>
+            </div>
+
+            {missingSummary.total > 0 && (
+              <div className="bg-amber-50 border-l-4 border-amber-400 p-4 rounded mb-3 text-sm text-amber-800">
+                <p className="font-semibold mb-1">
+                  {missingSummary.total} recipient
+                  {missingSummary.total === 1 ? ' is' : 's are'} missing data
+                  used in this email
+                </p>
+                <p className="text-xs mb-2">
+                  {Object.entries(missingSummary.counts)
+                    .map(([name, count]) => `${name} (${count})`)
+                    .join(', ')}
+                </p>
+                <div className="flex gap-3 text-xs font-medium">
+                  <button
+                    onClick={() => setOnlyMissing(!onlyMissing)}
+                    className="text-amber-900 underline"
+                  >
+                    {onlyMissing ? 'Show everyone' : 'Show only these'}
+                  </button>
+                  <button
+                    onClick={excludeMissing}
+                    className="text-amber-900 underline"
+                  >
+                    Exclude them
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="relative mb-3">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+              <input
+                type="text"
+                placeholder="Search recipients by name or email..."
+                value={recipientSearch}
+                onChange={(e) => setRecipientSearch(e.target.value)}
+                className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md focus:border-indigo-500 focus:outline-none text-sm"
+              />
+            </div>
+
+            <div className="max-h-60 overflow-y-auto bg-gray-50 rounded-lg p-4">
+              {visible.length === 0 && (
+                <p className="text-sm text-gray-500">No matching recipients</p>
+              )}
+              {visible.map((idx) => {
+                const recipient = recipients[idx];
+                const key = recipientKey(recipient);
+                const isExcluded = excluded.has(key);
+                const link = linksByKey[key];
+                return (
+                  <div
+                    key={key}
+                    onClick={() => setPreviewKey(key)}
+                    className={`flex items-center justify-between gap-3 py-2 px-2 border-b border-gray-200 last:border-0 cursor-pointer rounded ${
+                      idx === previewIndex ? 'bg-indigo-50' : 'hover:bg-white'
+                    }`}
+                  >
+                    <div className={isExcluded ? 'opacity-50' : ''}>
+                      <p
+                        className={`text-sm font-medium text-gray-800 ${
+                          isExcluded ? 'line-through' : ''
+                        }`}
+                      >
+                        {recipient.name}
+                        {recipient.variant && (
+                          <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-700">
+                            {recipient.variant}
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-600">{recipient.email}</p>
+                      {rendered[idx].missing.length > 0 && (
+                        <p className="text-xs text-amber-700 flex items-center gap-1">
+                          <AlertCircle className="w-3 h-3" />
+                          Missing {rendered[idx].missing.join(', ')}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-3 flex-shrink-0">
+                      {mode === 'individual' && link && (
+                        <a
+                          href={link.href}
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            markOpened(key);
+                          }}
+                          className={`text-xs font-medium ${
+                            opened.has(key)
+                              ? 'text-gray-400'
+                              : 'text-indigo-600 hover:text-indigo-800'
+                          }`}
+                        >
+                          {opened.has(key) ? 'Opened' : 'Open'}
+                        </a>
+                      )}
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          toggleExcluded([key], !isExcluded);
+                        }}
+                        className="text-xs font-medium text-gray-500 hover:text-gray-700"
+                      >
+                        {isExcluded ? 'Include' : 'Exclude'}
+                      </button>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          blockEmail(recipient.email);
+                        }}
+                        className="text-xs font-medium text-red-500 hover:text-red-700"
+                        title="Never email this address again"
+                      >
+                        Do not contact
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Sending */}
+          <div className="border-t pt-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">
+              Send As
+            </h3>
+            <div className="space-y-2 mb-4">
+              {Object.entries(SEND_MODES).map(([value, label]) => (
+                <label
+                  key={value}
+                  className="flex items-center gap-2 text-sm text-gray-700"
+                >
+                  <input
+                    type="radio"
+                    name="send-mode"
+                    checked={mode === value}
+                    onChange={() => setMode(value)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+
+            {tooLong && (
+              <p className="text-sm text-amber-700 bg-amber-50 rounded-lg p-3 mb-4">
+                This message is too long for some email clients to open from a
+                link and may be cut off. Download the .eml files instead.
+              </p>
+            )}
+
+            {mode === 'queue' && (
+              <ScheduleEditor
+                steps={steps}
+                activeStep={stepIndex}
+                startAt={campaign.startAt || ''}
+                fields={fields}
+                plan={plan}
+                onStartAtChange={(startAt) => updateCampaign({ startAt })}
+                onStepChange={updateStep}
+                onSelectStep={setActiveStep}
+                onAddStep={addStep}
+                onRemoveStep={removeStep}
+              />
+            )}
+
+            {mode === 'queue' && senderError && (
+              <p className="text-sm text-amber-700 bg-amber-50 rounded-lg p-3 mb-4">
+                {senderError} before sending through the mail server.{' '}
+                <button
+                  onClick={onOpenOutbox}
+                  className="font-semibold underline"
+                >
+                  Open mail server settings
+                </button>
+              </p>
+            )}
+
+            <div className="flex gap-4">
+              <button
+                onClick={onClose}
+                className="flex-1 px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition"
+              >
+                Cancel
+              </button>
+
+              {mode === 'individual' && (
+                <button
+                  onClick={openNext}
+                  disabled={!nextKey || sendBlocked}
+                  className="flex-1 bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  <Send className="w-5 h-5" />
+                  {nextKey
+                    ? `Open Email ${openedCount + 1} of ${
+                        individualLinks.length
+                      }`
+                    : `All ${individualLinks.length} Emails Opened`}
+                </button>
+              )}
+
+              {mode === 'queue' && (
+                <button
+                  onClick={queueEmails}
+                  disabled={
+                    Boolean(senderError) ||
+                    queuedCount === 0 ||
+                    incompleteStep ||
+                    sendBlocked
+                  }
+                  className="flex-1 bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  <Send className="w-5 h-5" />
+                  {schedules || steps.length > 1 ? 'Schedule' : 'Queue'}{' '}
+                  {queuedCount} Emails
+                </button>
+              )}
+
+              {mode === 'eml' && (
+                <button
+                  onClick={downloadEml}
+                  disabled={sendCampaign.recipients.length === 0 || sendBlocked}
+                  className="flex-1 bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  <Download className="w-5 h-5" />
+                  Download {sendCampaign.recipients.length} .eml Files
+                </button>
+              )}
+            </div>
+
+            {mode === 'bcc' && (
+              <div className="space-y-2 mt-4">
+                {bccLinks.map((link, index) => (
+                  <button
+                    key={index}
+                    onClick={() => openBatch(index)}
+                    disabled={sendBlocked}
+                    className={`w-full px-4 py-3 rounded-lg font-semibold transition flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed ${
+                      openedBatches.has(index)
+                        ? 'bg-gray-100 text-gray-500'
+                        : 'bg-indigo-600 text-white hover:bg-indigo-700'
+                    }`}
+                  >
+                    <Send className="w-4 h-4" />
+                    {batchLabel(link, index)}
+                    Open Email with {link.bcc.length} BCC Recipients
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Notice */}
+          <div className="bg-blue-50 border-l-4 border-blue-400 p-4 rounded">
+            <p className="text-sm text-blue-800">
+              {mode === 'queue' ? (
+                <>
+                  <strong>📤 Mail Server:</strong> Emails are queued and sent in
+                  the background, even if you close this preview.
+                </>
+              ) : (
+                <>
+                  <strong>📧 Email Client Integration:</strong> Messages open in
+                  your default email application for review before sending.
+                </>
+              )}
+            </p>
+            <ul className="text-xs text-blue-700 mt-2 ml-4 list-disc space-y-1">
+              {mode === 'queue' && (
+                <>
+                  <li>
+                    Each recipient gets their own email, sent by your mail
+                    server at the rate set in the Outbox
+                  </li>
+                  <li>
+                    Delivery status and failures for every recipient are shown
+                    in the Outbox; failed sends can be retried
+                  </li>
+                  <li>
+                    Scheduled emails and follow-ups are sent while this app is
+                    open; anything that came due while it was closed goes out
+                    when it's next opened
+                  </li>
+                </>
+              )}
+              {mode === 'individual' && (
+                <li>
+                  Each recipient gets their own email with their name and fields
+                  filled in. Send it, then open the next one.
+                </li>
+              )}
+              {mode === 'bcc' && (
+                <>
+                  <li>
+                    Recipients are only added to BCC, so nobody sees the other
+                    addresses
+                  </li>
+                  <li>
+                    One shared message can't be personalized: merge tags show
+                    their fallback, e.g. {'{{name | "there"}}'}, or nothing
+                  </li>
+                  {bccLinks.length > 1 && (
+                    <li>
+                      The list is split into {bccLinks.length} emails to stay
+                      within email link length limits
+                    </li>
+                  )}
+                </>
+              )}
+              {mode === 'eml' && (
+                <li>
+                  A ZIP with one personalized .eml file per recipient. Open each
+                  file in Outlook, Apple Mail or Thunderbird to send it.
+                </li>
+              )}
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, Download, X } from 'lucide-react';
+import {
+  DATE_FORMATS,
+  XLSX_MIME_TYPE,
+  buildExportRows,
+  downloadFile,
+  toCsv,
+  toXlsx,
+} from './exporters';
+
+// Export dialog: pick format, columns, column order and date format.
+// `records` should already be searched, filtered and sorted so the file
+// matches what is on screen.
+export default function ExportDialog({
+  records,
+  fields,
+  initialColumns,
+  linkedNames,
+  title = 'Export Clients',
+  onClose,
+}) {
+  const [format, setFormat] = useState('csv');
+  const [dateFormat, setDateFormat] = useState('iso');
+  const [columns, setColumns] = useState(
+    initialColumns || fields.map((f) => f.name),
+  );
+
+  const ordered = [
+    ...columns,
+    ...fields.map((f) => f.name).filter((name) => !columns.includes(name)),
+  ];
+
+  const toggleColumn = (name) => {
+    setColumns((prev) =>
+      prev.includes(name) ? prev.filter((c) => c !== name) : [...prev, name],
+    );
+  };
+
+  const moveColumn = (name, offset) => {
+    setColumns((prev) => {
+      const next = [...prev];
+      const index = next.indexOf(name);
+      const target = index + offset;
+      if (index === -1 || target < 0 || target >= next.length) return prev;
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const handleExport = () => {
+    const byName = Object.fromEntries(fields.map((f) => [f.name, f]));
+    const rows = buildExportRows(
+      records,
+      columns.map((name) => byName[name]).filter(Boolean),
+      { dateFormat, linkedNames },
+    );
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'xlsx') {
+      downloadFile(`clients-${stamp}.xlsx`, toXlsx(rows), XLSX_MIME_TYPE);
+    } else {
+      // The byte order mark makes Excel read the file as UTF-8
+      downloadFile(
+        `clients-${stamp}.csv`,
+        `\ufeff${toCsv(rows)}`,
+        'text/csv;charset=utf-8',
+      );
+    }
+    onClose();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-[85vh] overflow-y-auto p-8"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">{title}</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-6">
+          {records.length} clients, in the current search, filter and sort
+          order.
+        </p>
+
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Format
+            </label>
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:border-indigo-500 focus:outline-none text-sm bg-white"
+            >
+              <option value="csv">CSV</option>
+              <option value="xlsx">Excel (XLSX)</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Date format
+            </label>
+            <select
+              value={dateFormat}
+              onChange={(e) => setDateFormat(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:border-indigo-500 focus:outline-none text-sm bg-white"
+            >
+              {Object.entries(DATE_FORMATS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <label className="block text-sm font-semibold text-gray-700 mb-2">
+          Columns
+        </label>
+        <div className="bg-gray-50 rounded-lg p-4 space-y-2 mb-6">
+          {ordered.map((name) => {
+            const included = columns.includes(name);
+            return (
+              <div
+                key={name}
+                className="flex items-center gap-2 text-sm text-gray-700"
+              >
+                <input
+                  type="checkbox"
+                  checked={included}
+                  onChange={() => toggleColumn(name)}
+                />
+                <span className="flex-1">{name}</span>
+                {included && (
+                  <>
+                    <button
+                      onClick={() => moveColumn(name, -1)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Move up"
+                    >
+                      <ArrowUp className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => moveColumn(name, 1)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Move down"
+                    >
+                      <ArrowDown className="w-3 h-3" />
+                    </button>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex gap-4">
+          <button
+            onClick={onClose}
+            className="flex-1 px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={columns.length === 0}
+            className="flex-1 bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+          >
+            <Download className="w-5 h-5" />
+            Export {format.toUpperCase()}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
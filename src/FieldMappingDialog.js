@@ -0,0 +1,119 @@
+import React from 'react';
+import { AlertCircle, X } from 'lucide-react';
+import {
+  MAPPED_FIELDS,
+  clientEmail,
+  displayName,
+  guessFieldMapping,
+  missingMappedFields,
+} from './fieldMapping';
+import { valueToText } from './schema';
+
+// Choose which fields hold each client's email, name, phone and date of
+// birth. Campaigns, the assistant and the importer all read these.
+export default function FieldMappingDialog({
+  fields,
+  schema,
+  mapping,
+  sample,
+  onChange,
+  onClose,
+}) {
+  const missing = missingMappedFields(mapping, schema);
+  const email = sample && clientEmail(sample.fields, mapping);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-xl w-full max-h-[85vh] overflow-y-auto p-8"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Field Mapping</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-6">
+          Which fields hold each client's contact details. Emails go to the
+          primary address, or the secondary one when it's empty, and are
+          addressed by the full name or by first and last name.
+        </p>
+
+        <div className="space-y-3 mb-6">
+          {Object.entries(MAPPED_FIELDS).map(([key, label]) => (
+            <div key={key} className="grid grid-cols-3 items-center gap-3">
+              <label
+                htmlFor={`mapping-${key}`}
+                className="text-sm font-semibold text-gray-700"
+              >
+                {label}
+              </label>
+              <select
+                id={`mapping-${key}`}
+                value={mapping[key] || ''}
+                onChange={(e) =>
+                  onChange({ ...mapping, [key]: e.target.value })
+                }
+                className={`col-span-2 px-3 py-2 border rounded-md focus:border-indigo-500 focus:outline-none text-sm bg-white ${
+                  missing.includes(key) ? 'border-red-400' : 'border-gray-300'
+                }`}
+              >
+                <option value="">None</option>
+                {missing.includes(key) && (
+                  <option value={mapping[key]}>{mapping[key]} (missing)</option>
+                )}
+                {fields.map((field) => (
+                  <option key={field.name} value={field.name}>
+                    {field.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        {missing.length > 0 && (
+          <p className="text-sm text-red-600 flex items-center gap-1 mb-4">
+            <AlertCircle className="w-4 h-4" />
+            Some mapped fields aren't in this table anymore.
+          </p>
+        )}
+
+        {sample && (
+          <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-700 mb-6">
+            <p className="text-xs text-gray-500 mb-1">First client reads as:</p>
+            <p className="font-medium">
+              {displayName(sample.fields, mapping) || '(no name)'}{' '}
+              <span className="text-gray-500">
+                &lt;{email ? valueToText(email.value) : 'no email'}&gt;
+              </span>
+            </p>
+          </div>
+        )}
+
+        <div className="flex justify-between">
+          <button
+            onClick={() => onChange(guessFieldMapping(fields))}
+            className="text-sm text-indigo-600 hover:text-indigo-800"
+          >
+            Reset to suggestions
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition text-sm"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+import React from 'react';
+import { Paperclip } from 'lucide-react';
+import {
+  badgeClass,
+  formatDate,
+  selectChoices,
+  valueToText,
+  DATE_TYPES,
+} from './schema';
+
+const Toggle = ({ checked }) => (
+  <span
+    className={`inline-flex w-9 h-5 rounded-full p-0.5 transition ${
+      checked ? 'bg-indigo-600 justify-end' : 'bg-gray-300 justify-start'
+    }`}
+    role="switch"
+    aria-checked={checked}
+  >
+    <span className="w-4 h-4 bg-white rounded-full shadow" />
+  </span>
+);
+
+const Chip = ({ children, className = 'bg-gray-100 text-gray-700' }) => (
+  <span
+    className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium mr-1 mb-1 ${className}`}
+  >
+    {children}
+  </span>
+);
+
+// Render a single cell value according to its Airtable field type
+export function FieldValue({ field, value, linkedNames = {}, large = false }) {
+  const type = field?.type;
+
+  if (type === 'checkbox') {
+    return <Toggle checked={Boolean(value)} />;
+  }
+
+  if (value === null || value === undefined || value === '') {
+    return <span className="text-gray-400">—</span>;
+  }
+
+  if (DATE_TYPES.includes(type)) {
+    return <span>{formatDate(value, type)}</span>;
+  }
+
+  if (type === 'singleSelect') {
+    return <Chip className={badgeClass(field, value)}>{value}</Chip>;
+  }
+
+  if (type === 'multipleSelects') {
+    return (
+      <span>
+        {[].concat(value).map((option) => (
+          <Chip key={option} className={badgeClass(field, option)}>
+            {option}
+          </Chip>
+        ))}
+      </span>
+    );
+  }
+
+  if (type === 'multipleRecordLinks') {
+    return (
+      <span>
+        {[].concat(value).map((id) => (
+          <Chip key={id} className="bg-indigo-50 text-indigo-700">
+            {linkedNames[id] || id}
+          </Chip>
+        ))}
+      </span>
+    );
+  }
+
+  if (type === 'multipleCollaborators') {
+    return (
+      <span>
+        {[].concat(value).map((user) => (
+          <Chip key={user.id || user.email}>{valueToText(user)}</Chip>
+        ))}
+      </span>
+    );
+  }
+
+  if (type === 'multipleAttachments') {
+    const size = large ? 'w-20 h-20' : 'w-12 h-12';
+    return (
+      <span className="flex flex-wrap gap-2">
+        {[].concat(value).map((attachment) => {
+          const thumb =
+            attachment.thumbnails?.large?.url ||
+            attachment.thumbnails?.small?.url;
+          return (
+            <a
+              key={attachment.id || attachment.url}
+              href={attachment.url}
+              target="_blank"
+              rel="noreferrer"
+              onClick={(e) => e.stopPropagation()}
+              title={attachment.filename}
+            >
+              {thumb ? (
+                <img
+                  src={thumb}
+                  alt={attachment.filename || ''}
+                  className={`${size} object-cover rounded border`}
+                />
+              ) : (
+                <span
+                  className={`${size} flex items-center justify-center rounded border bg-gray-50 text-gray-400`}
+                >
+                  <Paperclip className="w-4 h-4" />
+                </span>
+              )}
+            </a>
+          );
+        })}
+      </span>
+    );
+  }
+
+  if (type === 'url') {
+    return (
+      <a
+        href={value}
+        target="_blank"
+        rel="noreferrer"
+        onClick={(e) => e.stopPropagation()}
+        className="text-indigo-600 hover:underline"
+      >
+        {value}
+      </a>
+    );
+  }
+
+  if (type === 'currency' && typeof value === 'number') {
+    const precision = field.options?.precision ?? 2;
+    return (
+      <span>
+        {field.options?.symbol || ''}
+        {value.toFixed(precision)}
+      </span>
+    );
+  }
+
+  if (type === 'percent' && typeof value === 'number') {
+    return <span>{Math.round(value * 10000) / 100}%</span>;
+  }
+
+  return <span>{valueToText(value)}</span>;
+}
+
+// Form control for editing a value of the given field type
+export function FieldInput({ field, value, onChange, invalid = false }) {
+  const type = field?.type;
+  const className = `w-full px-3 py-2 border rounded-md focus:outline-none ${
+    invalid
+      ? 'border-red-400 focus:border-red-500'
+      : 'border-gray-300 focus:border-indigo-500'
+  }`;
+
+  if (type === 'checkbox' || typeof value === 'boolean') {
+    return (
+      <input
+        type="checkbox"
+        checked={Boolean(value)}
+        onChange={(e) => onChange(e.target.checked)}
+        className="w-5 h-5"
+      />
+    );
+  }
+
+  if (type === 'singleSelect') {
+    return (
+      <select
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        className={className}
+      >
+        <option value="">—</option>
+        {selectChoices(field).map((choice) => (
+          <option key={choice.id || choice.name} value={choice.name}>
+            {choice.name}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  if (type === 'multilineText') {
+    return (
+      <textarea
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        rows={3}
+        className={className}
+      />
+    );
+  }
+
+  const inputType =
+    {
+      date: 'date',
+      email: 'email',
+      url: 'url',
+      phoneNumber: 'tel',
+      number: 'number',
+      currency: 'number',
+      percent: 'number',
+      rating: 'number',
+    }[type] || 'text';
+
+  return (
+    <input
+      type={inputType}
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      className={className}
+    />
+  );
+}
@@ -0,0 +1,312 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import {
+  OPERATORS,
+  createCondition,
+  createGroup,
+  fieldKind,
+  operatorsFor,
+} from './filters';
+import { selectChoices } from './schema';
+
+const inputClass =
+  'px-3 py-2 border border-gray-300 rounded-md focus:border-indigo-500 focus:outline-none text-sm bg-white';
+
+function ConditionValue({ field, condition, onChange }) {
+  const { arity, unit } = OPERATORS[condition.operator];
+  const kind = fieldKind(field);
+  const inputType =
+    kind === 'number' ? 'number' : kind === 'date' ? 'date' : 'text';
+
+  if (arity === 0) return null;
+
+  if (unit) {
+    return (
+      <div className="flex items-center gap-2">
+        <input
+          type="number"
+          min="0"
+          value={condition.value}
+          onChange={(e) => onChange(e.target.value)}
+          className={`${inputClass} w-24`}
+        />
+        <span className="text-sm text-gray-500">{unit}</span>
+      </div>
+    );
+  }
+
+  if (arity === 2) {
+    const [from = '', to = ''] = [].concat(condition.value);
+    return (
+      <div className="flex items-center gap-2">
+        <input
+          type={inputType}
+          value={from}
+          onChange={(e) => onChange([e.target.value, to])}
+          className={`${inputClass} w-36`}
+        />
+        <span className="text-sm text-gray-500">and</span>
+        <input
+          type={inputType}
+          value={to}
+          onChange={(e) => onChange([from, e.target.value])}
+          className={`${inputClass} w-36`}
+        />
+      </div>
+    );
+  }
+
+  const choices = selectChoices(field);
+
+  if (arity === 'many' && choices.length > 0) {
+    const selected = [].concat(condition.value || []);
+    return (
+      <div className="flex flex-wrap gap-2">
+        {choices.map((choice) => (
+          <label
+            key={choice.name}
+            className="flex items-center gap-1 text-sm text-gray-700"
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(choice.name)}
+              onChange={(e) =>
+                onChange(
+                  e.target.checked
+                    ? [...selected, choice.name]
+                    : selected.filter((name) => name !== choice.name),
+                )
+              }
+            />
+            {choice.name}
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  if (arity === 'many') {
+    // Free-form lists (linked records, lookups) are entered comma-separated
+    return (
+      <input
+        type="text"
+        value={[].concat(condition.value || []).join(', ')}
+        onChange={(e) =>
+          onChange(
+            e.target.value
+              .split(',')
+              .map((item) => item.trim())
+              .filter(Boolean),
+          )
+        }
+        placeholder="Value, value..."
+        className={`${inputClass} flex-1`}
+      />
+    );
+  }
+
+  if (choices.length > 0) {
+    return (
+      <select
+        value={condition.value}
+        onChange={(e) => onChange(e.target.value)}
+        className={inputClass}
+      >
+        <option value="">Choose...</option>
+        {choices.map((choice) => (
+          <option key={choice.name} value={choice.name}>
+            {choice.name}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <input
+      type={inputType}
+      value={condition.value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder="Value..."
+      className={`${inputClass} flex-1`}
+    />
+  );
+}
+
+function ConditionRow({ condition, fields, schema, onChange, onRemove }) {
+  const field = schema[condition.field];
+  const operators = operatorsFor(field);
+
+  const changeField = (name) => {
+    const next = createCondition(schema[name]);
+    onChange({ ...next, field: name });
+  };
+
+  const changeOperator = (operator) => {
+    const { arity, unit } = OPERATORS[operator];
+    const previous = OPERATORS[condition.operator];
+    // Keep the value only while its shape still fits the operator
+    const value =
+      arity === previous.arity && unit === previous.unit
+        ? condition.value
+        : arity === 2
+        ? ['', '']
+        : arity === 'many'
+        ? []
+        : '';
+    onChange({ ...condition, operator, value });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={condition.field}
+        onChange={(e) => changeField(e.target.value)}
+        className={inputClass}
+      >
+        {fields.map((f) => (
+          <option key={f.name} value={f.name}>
+            {f.name}
+          </option>
+        ))}
+      </select>
+      <select
+        value={condition.operator}
+        onChange={(e) => changeOperator(e.target.value)}
+        className={inputClass}
+      >
+        {operators.map((op) => (
+          <option key={op} value={op}>
+            {OPERATORS[op].label}
+          </option>
+        ))}
+      </select>
+      <ConditionValue
+        field={field}
+        condition={condition}
+        onChange={(value) => onChange({ ...condition, value })}
+      />
+      <button
+        onClick={onRemove}
+        className="text-gray-400 hover:text-gray-600"
+        title="Remove condition"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
+
+// Editor for a filter tree from ./filters. Groups nest up to three
+// levels and each can switch between matching all or any of its
+// conditions.
+export default function FilterBuilder({
+  filter,
+  fields,
+  schema,
+  onChange,
+  onRemove,
+  depth = 0,
+}) {
+  const updateChild = (index, child) => {
+    const conditions = [...filter.conditions];
+    conditions[index] = child;
+    onChange({ ...filter, conditions });
+  };
+
+  const removeChild = (index) => {
+    onChange({
+      ...filter,
+      conditions: filter.conditions.filter((_, i) => i !== index),
+    });
+  };
+
+  const addCondition = () => {
+    onChange({
+      ...filter,
+      conditions: [...filter.conditions, createCondition(fields[0])],
+    });
+  };
+
+  const addGroup = () => {
+    const group = createGroup(filter.conjunction === 'and' ? 'or' : 'and');
+    group.conditions.push(createCondition(fields[0]));
+    onChange({ ...filter, conditions: [...filter.conditions, group] });
+  };
+
+  return (
+    <div
+      className={
+        depth > 0
+          ? 'border-l-4 border-indigo-200 bg-white rounded-lg p-3 space-y-3'
+          : 'space-y-3'
+      }
+    >
+      <div className="flex items-center gap-2 text-sm text-gray-600">
+        Match
+        <select
+          value={filter.conjunction}
+          onChange={(e) => onChange({ ...filter, conjunction: e.target.value })}
+          className={inputClass}
+        >
+          <option value="and">all</option>
+          <option value="or">any</option>
+        </select>
+        of the following
+        {onRemove && (
+          <button
+            onClick={onRemove}
+            className="ml-auto text-gray-400 hover:text-gray-600"
+            title="Remove group"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {filter.conditions.map((child, index) =>
+        child.type === 'group' ? (
+          <FilterBuilder
+            key={index}
+            filter={child}
+            fields={fields}
+            schema={schema}
+            onChange={(next) => updateChild(index, next)}
+            onRemove={() => removeChild(index)}
+            depth={depth + 1}
+          />
+        ) : (
+          <ConditionRow
+            key={index}
+            condition={child}
+            fields={fields}
+            schema={schema}
+            onChange={(next) => updateChild(index, next)}
+            onRemove={() => removeChild(index)}
+          />
+        ),
+      )}
+
+      <div className="flex gap-4">
+        <button
+          onClick={addCondition}
+          disabled={fields.length === 0}
+          className="flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          Add condition
+        </button>
+        {depth < 2 && (
+          <button
+            onClick={addGroup}
+            disabled={fields.length === 0}
+            className="flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            Add group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
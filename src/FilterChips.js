@@ -0,0 +1,61 @@
+import React from 'react';
+import { Search, X } from 'lucide-react';
+import { countConditions, describeFilter } from './filters';
+
+const chipClass =
+  'flex items-center gap-1 pl-3 pr-2 py-1 rounded-full text-sm bg-indigo-50 text-indigo-800 border border-indigo-200';
+
+// The search and each top-level filter condition as a chip. Clicking a
+// filter chip opens the filter builder; the x removes it.
+export default function FilterChips({
+  filters,
+  searchTerm,
+  onEdit,
+  onRemove,
+  onClearSearch,
+}) {
+  const chips = filters.conditions
+    .map((node, index) => ({ node, index }))
+    .filter(({ node }) => countConditions(node) > 0);
+  if (!searchTerm && chips.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-4">
+      {searchTerm && (
+        <span className={chipClass}>
+          <Search className="w-3 h-3" />"{searchTerm}"
+          <button
+            onClick={onClearSearch}
+            className="text-indigo-400 hover:text-indigo-700"
+            title="Clear search"
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </span>
+      )}
+      {chips.map(({ node, index }, position) => (
+        <React.Fragment key={index}>
+          {position > 0 && (
+            <span className="text-xs text-gray-500 uppercase">
+              {filters.conjunction}
+            </span>
+          )}
+          <span className={chipClass}>
+            <button onClick={onEdit} title="Edit filters">
+              {node.type === 'group'
+                ? `(${describeFilter(node)})`
+                : describeFilter(node)}
+            </button>
+            <button
+              onClick={() => onRemove(index)}
+              className="text-indigo-400 hover:text-indigo-700"
+              title="Remove filter"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+}
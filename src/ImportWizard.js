@@ -0,0 +1,418 @@
+import React, { useMemo, useState } from 'react';
+import { AlertCircle, CheckCircle, RefreshCw, Upload, X } from 'lucide-react';
+import { buildImportPlan, parseCsv, suggestMapping } from './importer';
+import { createRecords, runInBatches, updateRecords } from './airtable';
+import { valueToText } from './schema';
+
+const STEPS = ['Upload', 'Map columns', 'Review', 'Import'];
+
+const selectClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:border-indigo-500 focus:outline-none text-sm bg-white';
+
+// Import wizard: parse a CSV locally, map its columns to table fields,
+// show a dry run of creates and updates, then write through Airtable's
+// batch endpoints.
+export default function ImportWizard({
+  config,
+  fields,
+  clients,
+  identity,
+  onImported,
+  onClose,
+}) {
+  const [step, setStep] = useState(0);
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState(null);
+  const [parseError, setParseError] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [skipUpdates, setSkipUpdates] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const plan = useMemo(
+    () =>
+      csv && step >= 2
+        ? buildImportPlan(
+            csv.rows,
+            csv.headers,
+            mapping,
+            fields,
+            clients,
+            identity,
+          )
+        : null,
+    [csv, step, mapping, fields, clients, identity],
+  );
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setParseError('');
+    try {
+      const parsed = parseCsv(await file.text());
+      if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+        throw new Error('The file has no data rows');
+      }
+      setFileName(file.name);
+      setCsv(parsed);
+      setMapping(suggestMapping(parsed.headers, fields));
+      setStep(1);
+    } catch (err) {
+      setParseError(`Could not read CSV: ${err.message}`);
+    }
+  };
+
+  const runImport = async () => {
+    setStep(3);
+    const updates = skipUpdates ? [] : plan.updates;
+    const total = plan.creates.length + updates.length;
+    setProgress({ done: 0, total });
+
+    const created = await runInBatches(
+      plan.creates,
+      (chunk) =>
+        createRecords(
+          config,
+          chunk.map((entry) => ({ fields: entry.fields })),
+        ),
+      { onProgress: ({ done }) => setProgress({ done, total }) },
+    );
+    const updated = await runInBatches(
+      updates,
+      (chunk) =>
+        updateRecords(
+          config,
+          chunk.map((entry) => ({ id: entry.id, fields: entry.fields })),
+        ),
+      {
+        onProgress: ({ done }) =>
+          setProgress({ done: plan.creates.length + done, total }),
+      },
+    );
+
+    onImported(created.results, updated.results);
+    setResult({
+      created: created.results.length,
+      updated: updated.results.length,
+      failures: [...created.failures, ...updated.failures].map(
+        ({ item, error }) => ({ line: item.line, error }),
+      ),
+    });
+  };
+
+  const mappedCount = Object.values(mapping).filter(Boolean).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b p-6 rounded-t-2xl">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-bold text-gray-800">Import Clients</h2>
+            {step !== 3 || result ? (
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="w-6 h-6" />
+              </button>
+            ) : null}
+          </div>
+          <div className="flex gap-2 text-sm">
+            {STEPS.map((label, index) => (
+              <span
+                key={label}
+                className={`px-3 py-1 rounded-full ${
+                  index === step
+                    ? 'bg-indigo-600 text-white'
+                    : index < step
+                    ? 'bg-indigo-100 text-indigo-700'
+                    : 'bg-gray-100 text-gray-500'
+                }`}
+              >
+                {index + 1}. {label}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {step === 0 && (
+            <>
+              <label className="flex flex-col items-center justify-center gap-3 border-2 border-dashed border-gray-300 rounded-xl p-12 cursor-pointer hover:border-indigo-400 transition">
+                <Upload className="w-10 h-10 text-gray-400" />
+                <span className="text-gray-700 font-medium">
+                  Choose a CSV file
+                </span>
+                <span className="text-xs text-gray-500">
+                  The file is read in your browser; nothing is uploaded until
+                  you confirm the import.
+                </span>
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  className="hidden"
+                  onChange={(e) => handleFile(e.target.files[0])}
+                />
+              </label>
+              {parseError && (
+                <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded">
+                  <div className="flex items-center gap-2">
+                    <AlertCircle className="w-5 h-5 text-red-500" />
+                    <p className="text-red-700 text-sm">{parseError}</p>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+
+          {step === 1 && csv && (
+            <>
+              <p className="text-sm text-gray-600">
+                <strong>{fileName}</strong>: {csv.rows.length} rows. Match each
+                column to a field in the table, or skip it.
+              </p>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase">
+                    <th className="py-2">CSV column</th>
+                    <th className="py-2">Sample</th>
+                    <th className="py-2 w-64">Field</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {csv.headers.map((header, column) => (
+                    <tr key={header} className="border-t">
+                      <td className="py-2 font-medium text-gray-800">
+                        {header}
+                      </td>
+                      <td className="py-2 text-gray-500 truncate max-w-xs">
+                        {csv.rows
+                          .slice(0, 3)
+                          .map((row) => row[column])
+                          .filter(Boolean)
+                          .join(', ')}
+                      </td>
+                      <td className="py-2">
+                        <select
+                          value={mapping[header] || ''}
+                          onChange={(e) =>
+                            setMapping({
+                              ...mapping,
+                              [header]: e.target.value,
+                            })
+                          }
+                          className={selectClass}
+                        >
+                          <option value="">Skip this column</option>
+                          {fields.map((field) => (
+                            <option
+                              key={field.name}
+                              value={field.name}
+                              disabled={
+                                mapping[header] !== field.name &&
+                                Object.values(mapping).includes(field.name)
+                              }
+                            >
+                              {field.name} ({field.type})
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="flex gap-4">
+                <button
+                  onClick={() => setStep(0)}
+                  className="flex-1 px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={() => setStep(2)}
+                  disabled={mappedCount === 0}
+                  className="flex-1 bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Review {mappedCount} mapped columns
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 2 && plan && (
+            <>
+              <div className="grid grid-cols-4 gap-4 text-center">
+                <div className="bg-green-50 rounded-lg p-4">
+                  <p className="text-2xl font-bold text-green-700">
+                    {plan.creates.length}
+                  </p>
+                  <p className="text-xs text-green-700">new clients</p>
+                </div>
+                <div className="bg-blue-50 rounded-lg p-4">
+                  <p className="text-2xl font-bold text-blue-700">
+                    {plan.updates.length}
+                  </p>
+                  <p className="text-xs text-blue-700">updates to duplicates</p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <p className="text-2xl font-bold text-gray-700">
+                    {plan.unchanged.length}
+                  </p>
+                  <p className="text-xs text-gray-700">already up to date</p>
+                </div>
+                <div className="bg-red-50 rounded-lg p-4">
+                  <p className="text-2xl font-bold text-red-700">
+                    {plan.errors.length}
+                  </p>
+                  <p className="text-xs text-red-700">rows with errors</p>
+                </div>
+              </div>
+
+              {plan.errors.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-800 mb-2">
+                    Rows that will be skipped
+                  </h3>
+                  <ul className="max-h-40 overflow-y-auto bg-red-50 rounded-lg p-3 text-sm text-red-800 space-y-1">
+                    {plan.errors.map(({ line, messages }) => (
+                      <li key={line}>
+                        <strong>Line {line}:</strong> {messages.join('; ')}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {plan.updates.length > 0 && (
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-sm font-semibold text-gray-800">
+                      Likely duplicates that will be updated
+                    </h3>
+                    <label className="flex items-center gap-2 text-sm text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={skipUpdates}
+                        onChange={(e) => setSkipUpdates(e.target.checked)}
+                      />
+                      Leave existing clients unchanged
+                    </label>
+                  </div>
+                  <ul className="max-h-60 overflow-y-auto bg-gray-50 rounded-lg p-3 text-sm space-y-2">
+                    {plan.updates.map((entry) => (
+                      <li key={entry.line}>
+                        <p className="text-gray-800">
+                          <strong>Line {entry.line}</strong> matches an existing
+                          client on {entry.matchedOn}
+                        </p>
+                        {Object.entries(entry.fields).map(([name, value]) => (
+                          <p key={name} className="text-xs text-gray-600 ml-4">
+                            {name}:{' '}
+                            <span className="line-through text-red-600">
+                              {valueToText(entry.previous[name]) || '(empty)'}
+                            </span>{' '}
+                            →{' '}
+                            <span className="text-green-700">
+                              {valueToText(value)}
+                            </span>
+                          </p>
+                        ))}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {plan.creates.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-800 mb-2">
+                    New clients
+                  </h3>
+                  <ul className="max-h-60 overflow-y-auto bg-gray-50 rounded-lg p-3 text-xs text-gray-700 space-y-1">
+                    {plan.creates.map((entry) => (
+                      <li key={entry.line}>
+                        <strong>Line {entry.line}:</strong>{' '}
+                        {Object.entries(entry.fields)
+                          .map(
+                            ([name, value]) => `${name}: ${valueToText(value)}`,
+                          )
+                          .join(' · ')}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex gap-4">
+                <button
+                  onClick={() => setStep(1)}
+                  className="flex-1 px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={runImport}
+                  disabled={
+                    plan.creates.length +
+                      (skipUpdates ? 0 : plan.updates.length) ===
+                    0
+                  }
+                  className="flex-1 bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Create {plan.creates.length}
+                  {!skipUpdates && `, update ${plan.updates.length}`}
+                </button>
+              </div>
+            </>
+          )}
+
+          {step === 3 && progress && (
+            <>
+              <div className="flex items-center gap-2">
+                {!result ? (
+                  <RefreshCw className="w-5 h-5 text-indigo-600 animate-spin" />
+                ) : result.failures.length > 0 ? (
+                  <AlertCircle className="w-5 h-5 text-red-500" />
+                ) : (
+                  <CheckCircle className="w-5 h-5 text-green-600" />
+                )}
+                <span className="font-medium text-gray-800">
+                  {result
+                    ? `Created ${result.created}, updated ${result.updated}, ${result.failures.length} failed`
+                    : `Importing ${progress.done} of ${progress.total}...`}
+                </span>
+              </div>
+              <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-indigo-600 transition-all"
+                  style={{
+                    width: `${
+                      (progress.done / Math.max(progress.total, 1)) * 100
+                    }%`,
+                  }}
+                />
+              </div>
+              {result?.failures.length > 0 && (
+                <ul className="max-h-40 overflow-y-auto bg-red-50 rounded-lg p-3 text-sm text-red-800 space-y-1">
+                  {result.failures.map(({ line, error }) => (
+                    <li key={line}>
+                      <strong>Line {line}:</strong> {error}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {result && (
+                <button
+                  onClick={onClose}
+                  className="w-full bg-indigo-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-indigo-700 transition"
+                >
+                  Done
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from './markdown';
+
+const HEADING_CLASSES = {
+  1: 'text-base font-bold',
+  2: 'text-base font-semibold',
+  3: 'font-semibold',
+};
+
+const renderInline = (nodes) =>
+  nodes.map((node, index) => {
+    switch (node.type) {
+      case 'strong':
+        return <strong key={index}>{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={index}>{renderInline(node.children)}</em>;
+      case 'code':
+        return (
+          <code key={index} className="bg-gray-200 rounded px-1 text-xs">
+            {node.text}
+          </code>
+        );
+      case 'link':
+        return (
+          <a
+            key={index}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-indigo-600 underline"
+          >
+            {renderInline(node.children)}
+          </a>
+        );
+      case 'break':
+        return <br key={index} />;
+      default:
+        return <React.Fragment key={index}>{node.text}</React.Fragment>;
+    }
+  });
+
+const renderBlock = (block, index) => {
+  switch (block.type) {
+    case 'heading':
+      return (
+        <p
+          key={index}
+          className={HEADING_CLASSES[block.level] || 'font-semibold'}
+        >
+          {renderInline(block.children)}
+        </p>
+      );
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List
+          key={index}
+          start={block.ordered ? block.start : undefined}
+          className={`pl-5 space-y-0.5 ${
+            block.ordered ? 'list-decimal' : 'list-disc'
+          }`}
+        >
+          {block.items.map((item, i) => (
+            <li key={i}>{renderInline(item)}</li>
+          ))}
+        </List>
+      );
+    }
+    case 'table':
+      return (
+        <div key={index} className="overflow-x-auto">
+          <table className="text-xs border-collapse">
+            <thead>
+              <tr>
+                {block.header.map((cell, i) => (
+                  <th
+                    key={i}
+                    className="border border-gray-300 bg-gray-200 px-2 py-1 font-semibold"
+                    style={{ textAlign: block.align[i] }}
+                  >
+                    {renderInline(cell)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, r) => (
+                <tr key={r}>
+                  {block.header.map((_, i) => (
+                    <td
+                      key={i}
+                      className="border border-gray-300 bg-white px-2 py-1"
+                      style={{ textAlign: block.align[i] }}
+                    >
+                      {renderInline(row[i] || [])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    case 'code':
+      return (
+        <pre
+          key={index}
+          className="bg-gray-800 text-gray-100 rounded p-2 text-xs overflow-x-auto"
+        >
+          <code>{block.text}</code>
+        </pre>
+      );
+    case 'quote':
+      return (
+        <blockquote
+          key={index}
+          className="border-l-4 border-gray-300 pl-2 text-gray-600"
+        >
+          {renderInline(block.children)}
+        </blockquote>
+      );
+    case 'rule':
+      return <hr key={index} className="border-gray-300" />;
+    default:
+      return <p key={index}>{renderInline(block.children)}</p>;
+  }
+};
+
+// Assistant replies rendered from Markdown
+export default function MarkdownText({ text }) {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  return (
+    <div className="text-sm space-y-2 break-words">
+      {blocks.map(renderBlock)}
+    </div>
+  );
+}
@@ -0,0 +1,190 @@
+import React, { useEffect, useImperativeHandle, useRef, useState } from 'react';
+import {
+  Bold,
+  Heading2,
+  Italic,
+  Link,
+  List,
+  ListOrdered,
+  PenLine,
+} from 'lucide-react';
+import { escapeHtml, sanitizeHtml, signatureHtml } from './emailHtml';
+
+// Toolbar buttons, run with document.execCommand on the editable body
+const COMMANDS = [
+  { icon: Heading2, title: 'Heading', command: 'formatBlock', arg: 'h2' },
+  { icon: Bold, title: 'Bold', command: 'bold' },
+  { icon: Italic, title: 'Italic', command: 'italic' },
+  { icon: List, title: 'Bulleted list', command: 'insertUnorderedList' },
+  { icon: ListOrdered, title: 'Numbered list', command: 'insertOrderedList' },
+];
+
+const toolbarButton =
+  'p-1.5 rounded text-gray-600 hover:bg-gray-200 hover:text-gray-900';
+
+// Editor for rich-text email bodies. `ref` gets { insertText } so merge
+// tags can be added at the cursor.
+export default function RichTextEditor({
+  ref,
+  value,
+  invalid,
+  signature,
+  onChange,
+  onSignatureChange,
+}) {
+  const editorRef = useRef(null);
+  const rangeRef = useRef(null);
+  const [showSignature, setShowSignature] = useState(false);
+
+  // Only replace the content when it changed from outside (another
+  // variant or step, a format switch), so typing keeps the cursor
+  useEffect(() => {
+    if (editorRef.current && editorRef.current.innerHTML !== value) {
+      editorRef.current.innerHTML = sanitizeHtml(value);
+    }
+  }, [value]);
+
+  const emit = () => onChange(editorRef.current.innerHTML);
+
+  // Remember the selection, since toolbar inputs take focus away
+  const saveSelection = () => {
+    const selection = window.getSelection();
+    if (
+      selection.rangeCount > 0 &&
+      editorRef.current.contains(selection.anchorNode)
+    ) {
+      rangeRef.current = selection.getRangeAt(0);
+    }
+  };
+
+  const run = (command, arg) => {
+    editorRef.current.focus();
+    if (rangeRef.current) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(rangeRef.current);
+    }
+    document.execCommand(command, false, arg);
+    saveSelection();
+    emit();
+  };
+
+  useImperativeHandle(ref, () => ({
+    insertText: (text) => run('insertText', text),
+  }));
+
+  const addLink = () => {
+    const url = window.prompt('Link address', 'https://')?.trim();
+    if (url && url !== 'https://') run('createLink', url);
+  };
+
+  // Pasted content is cleaned before it lands in the body
+  const paste = (e) => {
+    e.preventDefault();
+    const html = e.clipboardData.getData('text/html');
+    const text = e.clipboardData.getData('text/plain');
+    run(
+      'insertHTML',
+      html ? sanitizeHtml(html) : escapeHtml(text).replace(/\n/g, '<br>'),
+    );
+  };
+
+  // Store the cleaned HTML once editing stops
+  const blur = () => {
+    const clean = sanitizeHtml(editorRef.current.innerHTML);
+    if (clean !== value) onChange(clean);
+  };
+
+  const addSignature = () => {
+    onChange(`${editorRef.current.innerHTML}${signatureHtml(signature)}`);
+    setShowSignature(false);
+  };
+
+  return (
+    <div
+      className={`border-2 rounded-lg ${
+        invalid
+          ? 'border-red-300 focus-within:border-red-500'
+          : 'border-gray-200 focus-within:border-indigo-500'
+      }`}
+    >
+      <div className="flex flex-wrap items-center gap-1 border-b px-2 py-1 bg-gray-50 rounded-t-lg">
+        {COMMANDS.map(({ icon: Icon, title, command, arg }) => (
+          <button
+            key={command}
+            type="button"
+            title={title}
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => run(command, arg)}
+            className={toolbarButton}
+          >
+            <Icon className="w-4 h-4" />
+          </button>
+        ))}
+        <button
+          type="button"
+          title="Link"
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={addLink}
+          className={toolbarButton}
+        >
+          <Link className="w-4 h-4" />
+        </button>
+        <button
+          type="button"
+          onClick={() => setShowSignature(!showSignature)}
+          className={`${toolbarButton} flex items-center gap-1 text-xs ml-auto`}
+        >
+          <PenLine className="w-4 h-4" />
+          Logo & signature
+        </button>
+      </div>
+
+      {showSignature && (
+        <div className="border-b p-3 bg-gray-50 space-y-2 text-sm">
+          <input
+            type="url"
+            value={signature.logoUrl}
+            onChange={(e) =>
+              onSignatureChange({ ...signature, logoUrl: e.target.value })
+            }
+            placeholder="Logo image address, e.g. https://yourclinic.com/logo.png"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:border-indigo-500 focus:outline-none"
+          />
+          <textarea
+            value={signature.text}
+            onChange={(e) =>
+              onSignatureChange({ ...signature, text: e.target.value })
+            }
+            rows={3}
+            placeholder={'Clinic name\nAddress\nPhone'}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:border-indigo-500 focus:outline-none"
+          />
+          <button
+            type="button"
+            onClick={addSignature}
+            disabled={!signature.logoUrl.trim() && !signature.text.trim()}
+            className="px-3 py-1 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Add to the end of the email
+          </button>
+        </div>
+      )}
+
+      <div
+        ref={editorRef}
+        contentEditable
+        suppressContentEditableWarning
+        role="textbox"
+        aria-multiline="true"
+        aria-label="Email body"
+        onInput={emit}
+        onKeyUp={saveSelection}
+        onMouseUp={saveSelection}
+        onPaste={paste}
+        onBlur={blur}
+        className="rich-text min-h-[16rem] px-4 py-3 text-sm focus:outline-none"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+import React from 'react';
+import { CalendarClock, Plus, Trash2 } from 'lucide-react';
+import { DATE_TYPES } from './schema';
+import { TIMING_UNITS, describeTiming } from './schedule';
+
+const inputClass =
+  'px-2 py-1 border border-gray-300 rounded-md text-sm bg-white focus:border-indigo-500 focus:outline-none';
+
+// Tomorrow at 9am in local time, as a datetime-local value
+const tomorrowMorning = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(9, 0, 0, 0);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+};
+
+// When the campaign starts and when each step of the sequence goes out.
+// `plan` is the scheduleSteps result, for the per-step counts.
+export default function ScheduleEditor({
+  steps,
+  activeStep,
+  startAt,
+  fields,
+  plan,
+  onStartAtChange,
+  onStepChange,
+  onSelectStep,
+  onAddStep,
+  onRemoveStep,
+}) {
+  const dateFields = fields.filter((field) => DATE_TYPES.includes(field.type));
+
+  const changeTiming = (index, changes) =>
+    onStepChange(index, { timing: { ...steps[index].timing, ...changes } });
+
+  return (
+    <div className="border rounded-lg p-4 mb-4 space-y-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+        <CalendarClock className="w-4 h-4 text-indigo-600" />
+        <span className="font-semibold">Start</span>
+        <label className="flex items-center gap-1">
+          <input
+            type="radio"
+            name="campaign-start"
+            checked={!startAt}
+            onChange={() => onStartAtChange('')}
+          />
+          Now
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="radio"
+            name="campaign-start"
+            checked={Boolean(startAt)}
+            onChange={() => onStartAtChange(tomorrowMorning())}
+          />
+          At
+        </label>
+        {startAt && (
+          <input
+            type="datetime-local"
+            value={startAt}
+            onChange={(e) => onStartAtChange(e.target.value)}
+            className={inputClass}
+          />
+        )}
+      </div>
+
+      <div className="space-y-2">
+        {steps.map((step, index) => {
+          const { timing } = step;
+          const { messages = [], skipped = [] } = plan[index] || {};
+          const scheduled = messages.filter((m) => m.sendAt).length;
+          return (
+            <div
+              key={index}
+              className={`rounded-lg p-3 text-sm ${
+                index === activeStep ? 'bg-indigo-50' : 'bg-gray-50'
+              }`}
+            >
+              <div className="flex items-center justify-between gap-2 mb-2">
+                <button
+                  onClick={() => onSelectStep(index)}
+                  className="font-semibold text-gray-800 hover:text-indigo-600 truncate text-left"
+                >
+                  {index === 0 ? 'First email' : `Follow-up ${index}`}:{' '}
+                  <span className="font-normal">
+                    {step.subject || '(no subject)'}
+                  </span>
+                </button>
+                {index > 0 && (
+                  <button
+                    onClick={() => onRemoveStep(index)}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove this follow-up"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  value={timing.amount}
+                  onChange={(e) =>
+                    changeTiming(index, { amount: e.target.value })
+                  }
+                  className={`${inputClass} w-20`}
+                  aria-label="Amount"
+                />
+                <select
+                  value={timing.unit}
+                  onChange={(e) =>
+                    changeTiming(index, { unit: e.target.value })
+                  }
+                  className={inputClass}
+                >
+                  {Object.keys(TIMING_UNITS).map((unit) => (
+                    <option key={unit} value={unit}>
+                      {unit}
+                    </option>
+                  ))}
+                </select>
+                {timing.anchor === 'field' && (
+                  <select
+                    value={timing.direction}
+                    onChange={(e) =>
+                      changeTiming(index, { direction: e.target.value })
+                    }
+                    className={inputClass}
+                  >
+                    <option value="after">after</option>
+                    <option value="before">before</option>
+                  </select>
+                )}
+                {timing.anchor !== 'field' && <span>after</span>}
+                <select
+                  value={timing.anchor === 'field' ? timing.field : ''}
+                  onChange={(e) =>
+                    changeTiming(
+                      index,
+                      e.target.value
+                        ? { anchor: 'field', field: e.target.value }
+                        : { anchor: 'start', field: '', direction: 'after' },
+                    )
+                  }
+                  className={inputClass}
+                >
+                  <option value="">the campaign starts</option>
+                  {dateFields.map((field) => (
+                    <option key={field.name} value={field.name}>
+                      {field.name}
+                    </option>
+                  ))}
+                </select>
+                {timing.anchor === 'field' && timing.unit === 'days' && (
+                  <>
+                    <span>at</span>
+                    <input
+                      type="time"
+                      value={timing.time}
+                      onChange={(e) =>
+                        changeTiming(index, { time: e.target.value })
+                      }
+                      className={inputClass}
+                    />
+                  </>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                {describeTiming(timing)} · {messages.length - scheduled} now,{' '}
+                {scheduled} scheduled
+                {skipped.length > 0 && `, ${skipped.length} skipped`}
+              </p>
+              {skipped.length > 0 && (
+                <details className="text-xs text-gray-500 mt-1">
+                  <summary className="cursor-pointer text-indigo-600">
+                    Skipped recipients
+                  </summary>
+                  <ul className="mt-1 space-y-0.5">
+                    {skipped.map(({ recipient, reason }) => (
+                      <li key={recipient.key || recipient.id}>
+                        {recipient.name || recipient.email}: {reason}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <button
+        onClick={onAddStep}
+        className="text-sm text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+      >
+        <Plus className="w-4 h-4" />
+        Add follow-up email
+      </button>
+    </div>
+  );
+}
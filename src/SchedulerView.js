@@ -0,0 +1,202 @@
+import React, { useMemo, useState } from 'react';
+import { Clock, X } from 'lucide-react';
+import { isScheduled } from './sendQueue';
+import { TIMING_UNITS } from './schedule';
+
+const SHIFTS = [
+  ['+1 hour', TIMING_UNITS.hours],
+  ['+1 day', TIMING_UNITS.days],
+  ['+7 days', 7 * TIMING_UNITS.days],
+];
+
+const formatDay = (time) =>
+  new Date(time).toLocaleDateString(undefined, {
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric',
+  });
+
+const formatTime = (time) =>
+  new Date(time).toLocaleTimeString(undefined, {
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+// Upcoming scheduled sends by day, plus a simulated clock for trying a
+// sequence out without waiting days for it
+export default function SchedulerView({
+  items,
+  now,
+  clockOffset,
+  onClockOffsetChange,
+  onCancel,
+  onClose,
+}) {
+  const [expanded, setExpanded] = useState(null);
+
+  const days = useMemo(() => {
+    const groups = new Map();
+    items
+      .filter((item) => isScheduled(item, now))
+      .sort((a, b) => a.scheduledFor - b.scheduledFor)
+      .forEach((item) => {
+        const day = formatDay(item.scheduledFor);
+        if (!groups.has(day)) groups.set(day, new Map());
+        // Within a day, one row per campaign step and send time
+        const slot = `${item.campaignId}|${item.scheduledFor}`;
+        const slots = groups.get(day);
+        if (!slots.has(slot)) slots.set(slot, []);
+        slots.get(slot).push(item);
+      });
+    return [...groups.entries()].map(([day, slots]) => ({
+      day,
+      slots: [...slots.entries()].map(([id, slotItems]) => ({
+        id,
+        items: slotItems,
+      })),
+    }));
+  }, [items, now]);
+
+  const total = days.reduce(
+    (sum, { slots }) =>
+      sum + slots.reduce((n, slot) => n + slot.items.length, 0),
+    0,
+  );
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[85vh] overflow-y-auto p-8"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Scheduled Emails</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div
+          className={`rounded-lg p-4 mb-6 text-sm ${
+            clockOffset
+              ? 'bg-amber-50 text-amber-800'
+              : 'bg-gray-50 text-gray-700'
+          }`}
+        >
+          <p className="flex items-center gap-2 font-semibold mb-2">
+            <Clock className="w-4 h-4" />
+            {clockOffset ? 'Simulated time: ' : 'Now: '}
+            {formatDay(now)} {formatTime(now)}
+          </p>
+          <div className="flex flex-wrap items-center gap-3 text-xs">
+            <span>Move the clock forward to test a sequence:</span>
+            {SHIFTS.map(([label, ms]) => (
+              <button
+                key={label}
+                onClick={() => onClockOffsetChange(clockOffset + ms)}
+                className="px-2 py-1 bg-white border border-gray-300 rounded hover:bg-gray-100"
+              >
+                {label}
+              </button>
+            ))}
+            {clockOffset !== 0 && (
+              <button
+                onClick={() => onClockOffsetChange(0)}
+                className="text-indigo-600 hover:text-indigo-800 font-medium"
+              >
+                Back to real time
+              </button>
+            )}
+          </div>
+          {clockOffset !== 0 && (
+            <p className="text-xs mt-2">
+              Emails due by the simulated time are really sent. Use a test mail
+              server such as MailHog while simulating.
+            </p>
+          )}
+        </div>
+
+        {total === 0 && (
+          <p className="text-sm text-gray-500 text-center py-8">
+            Nothing is scheduled. Schedule a campaign or add follow-up steps
+            when sending through the mail server.
+          </p>
+        )}
+
+        <div className="space-y-6">
+          {days.map(({ day, slots }) => (
+            <div key={day}>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">
+                {day}
+              </h3>
+              <div className="space-y-2">
+                {slots.map((slot) => {
+                  const [first] = slot.items;
+                  const isOpen = expanded === slot.id;
+                  return (
+                    <div key={slot.id} className="border rounded-lg">
+                      <div
+                        className="flex items-center justify-between gap-4 p-3 cursor-pointer"
+                        onClick={() => setExpanded(isOpen ? null : slot.id)}
+                      >
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-800">
+                            {formatTime(first.scheduledFor)} ·{' '}
+                            {first.campaignSubject}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {slot.items.length === 1
+                              ? `${first.name} <${first.to}>`
+                              : `${slot.items.length} recipients`}
+                          </p>
+                        </div>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            onCancel(slot.items.map((item) => item.id));
+                          }}
+                          className="text-sm text-gray-500 hover:text-red-600 flex-shrink-0"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                      {isOpen && slot.items.length > 1 && (
+                        <div className="border-t max-h-48 overflow-y-auto">
+                          {slot.items.map((item) => (
+                            <div
+                              key={item.id}
+                              className="flex items-center justify-between gap-3 px-3 py-1 text-sm border-b last:border-0"
+                            >
+                              <span className="text-gray-800">
+                                {item.name}{' '}
+                                <span className="text-gray-500">
+                                  &lt;{item.to}&gt;
+                                </span>
+                              </span>
+                              <button
+                                onClick={() => onCancel([item.id])}
+                                className="text-xs text-gray-500 hover:text-red-600"
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
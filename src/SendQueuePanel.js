@@ -0,0 +1,355 @@
+import React, { useMemo, useState } from 'react';
+import {
+  AlertCircle,
+  CheckCircle,
+  Clock,
+  Loader,
+  Pause,
+  Play,
+  RotateCcw,
+  Settings,
+  X,
+} from 'lucide-react';
+import { SENDER_TYPES, senderConfigError } from './senders';
+import { countByStatus, isScheduled } from './sendQueue';
+
+const STATUS_STYLES = {
+  queued: { icon: Clock, className: 'text-gray-500', label: 'Queued' },
+  sending: { icon: Loader, className: 'text-indigo-600', label: 'Sending' },
+  sent: { icon: CheckCircle, className: 'text-green-600', label: 'Sent' },
+  failed: { icon: AlertCircle, className: 'text-red-600', label: 'Failed' },
+};
+
+const scheduledLabel = (item) =>
+  `Scheduled ${new Date(item.scheduledFor).toLocaleString(undefined, {
+    dateStyle: 'short',
+    timeStyle: 'short',
+  })}`;
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:border-indigo-500 focus:outline-none text-sm';
+
+// Outbox: mail server settings plus per-recipient status of every queued
+// campaign, with retry and cancel for each campaign
+export default function SendQueuePanel({
+  items,
+  now,
+  settings,
+  secret,
+  paused,
+  running,
+  onSettingsChange,
+  onSecretChange,
+  onPausedChange,
+  onRetryFailed,
+  onCancelQueued,
+  onClearFinished,
+  onClose,
+}) {
+  const configError = senderConfigError(settings);
+  const [showSettings, setShowSettings] = useState(Boolean(configError));
+  const [expanded, setExpanded] = useState(null);
+
+  const campaigns = useMemo(() => {
+    const groups = new Map();
+    items.forEach((item) => {
+      if (!groups.has(item.campaignId)) {
+        groups.set(item.campaignId, {
+          id: item.campaignId,
+          subject: item.campaignSubject,
+          items: [],
+        });
+      }
+      groups.get(item.campaignId).items.push(item);
+    });
+    return [...groups.values()].reverse();
+  }, [items]);
+
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+  const totals = countByStatus(items);
+  const scheduled = items.filter((item) => isScheduled(item, now)).length;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[85vh] overflow-y-auto p-8"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">Outbox</h2>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setShowSettings(!showSettings)}
+              className="flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800"
+            >
+              <Settings className="w-4 h-4" />
+              Mail server
+            </button>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+
+        {showSettings && (
+          <div className="bg-gray-50 rounded-lg p-4 mb-6 space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">
+                  Send through
+                </label>
+                <select
+                  value={settings.type}
+                  onChange={(e) => update({ type: e.target.value })}
+                  className={`${inputClass} bg-white`}
+                >
+                  {Object.entries(SENDER_TYPES).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">
+                  From address
+                </label>
+                <input
+                  type="email"
+                  value={settings.from}
+                  onChange={(e) => update({ from: e.target.value })}
+                  placeholder="clinic@example.com"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            {settings.type === 'smtp' ? (
+              <p className="text-xs text-gray-500">
+                Messages are relayed by the development server (npm start) to
+                the SMTP server set in .env.local: SMTP_HOST, SMTP_PORT,
+                SMTP_SECURE, SMTP_USERNAME and SMTP_PASSWORD. Logging in
+                requires TLS. For local testing run MailHog and leave them
+                unset; sent mail appears at http://localhost:8025.
+              </p>
+            ) : (
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs font-semibold text-gray-700 mb-1">
+                    API URL
+                  </label>
+                  <input
+                    type="url"
+                    value={settings.apiUrl}
+                    onChange={(e) => update({ apiUrl: e.target.value })}
+                    placeholder="https://mail.example.com/send"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-semibold text-gray-700 mb-1">
+                    API key
+                  </label>
+                  <input
+                    type="password"
+                    value={secret}
+                    onChange={(e) => onSecretChange(e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">
+                  Emails per minute
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  value={settings.ratePerMinute}
+                  onChange={(e) =>
+                    update({ ratePerMinute: Number(e.target.value) || 1 })
+                  }
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">
+                  Attempts per email
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  max="10"
+                  value={settings.maxAttempts}
+                  onChange={(e) =>
+                    update({ maxAttempts: Number(e.target.value) || 1 })
+                  }
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            {configError && (
+              <p className="text-sm text-red-600 flex items-center gap-1">
+                <AlertCircle className="w-4 h-4" />
+                {configError}
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="flex items-center justify-between mb-4">
+          <p className="text-sm text-gray-600">
+            {totals.queued + totals.sending - scheduled} waiting ·{' '}
+            {scheduled > 0 && `${scheduled} scheduled · `}
+            {totals.sent} sent ·{' '}
+            <span className={totals.failed > 0 ? 'text-red-600' : ''}>
+              {totals.failed} failed
+            </span>
+            {running && !paused && ' · sending…'}
+          </p>
+          <div className="flex items-center gap-3 text-sm">
+            <button
+              onClick={() => onPausedChange(!paused)}
+              className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800"
+            >
+              {paused ? (
+                <>
+                  <Play className="w-4 h-4" />
+                  Resume
+                </>
+              ) : (
+                <>
+                  <Pause className="w-4 h-4" />
+                  Pause
+                </>
+              )}
+            </button>
+            <button
+              onClick={onClearFinished}
+              disabled={totals.sent === 0}
+              className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+            >
+              Clear sent
+            </button>
+          </div>
+        </div>
+
+        {configError && totals.queued > 0 && (
+          <p className="text-sm text-amber-700 bg-amber-50 rounded-lg p-3 mb-4">
+            Emails are waiting to be sent. {configError} to start sending.
+          </p>
+        )}
+
+        {campaigns.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-8">
+            Nothing has been queued yet. Choose "Send through the mail server"
+            in a campaign preview.
+          </p>
+        )}
+
+        <div className="space-y-3">
+          {campaigns.map((campaign) => {
+            const counts = countByStatus(campaign.items);
+            const isOpen = expanded === campaign.id || counts.failed > 0;
+            return (
+              <div key={campaign.id} className="border rounded-lg">
+                <div
+                  className="flex items-center justify-between p-4 cursor-pointer"
+                  onClick={() =>
+                    setExpanded(expanded === campaign.id ? null : campaign.id)
+                  }
+                >
+                  <div>
+                    <p className="font-semibold text-gray-800">
+                      {campaign.subject}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {counts.sent} of {campaign.items.length} sent
+                      {counts.failed > 0 && (
+                        <span className="text-red-600">
+                          {' '}
+                          · {counts.failed} failed
+                        </span>
+                      )}
+                    </p>
+                  </div>
+                  <div
+                    className="flex items-center gap-3 text-sm"
+                    onClick={(e) => e.stopPropagation()}
+                  >
+                    {counts.failed > 0 && (
+                      <button
+                        onClick={() => onRetryFailed(campaign.id)}
+                        className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800"
+                      >
+                        <RotateCcw className="w-4 h-4" />
+                        Retry failed
+                      </button>
+                    )}
+                    {counts.queued > 0 && (
+                      <button
+                        onClick={() => onCancelQueued(campaign.id)}
+                        className="text-gray-500 hover:text-gray-700"
+                      >
+                        Cancel queued
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {isOpen && (
+                  <div className="border-t max-h-64 overflow-y-auto">
+                    {campaign.items.map((item) => {
+                      const style = STATUS_STYLES[item.status];
+                      const Icon = style.icon;
+                      return (
+                        <div
+                          key={item.id}
+                          className="flex items-start justify-between gap-3 px-4 py-2 border-b last:border-0 text-sm"
+                        >
+                          <div className="min-w-0">
+                            <p className="text-gray-800">
+                              {item.name}{' '}
+                              <span className="text-gray-500">
+                                &lt;{item.to}&gt;
+                              </span>
+                            </p>
+                            {item.error && (
+                              <p className="text-xs text-red-600 break-words">
+                                {item.error}
+                                {item.status === 'queued' &&
+                                  ` · retrying (attempt ${item.attempts + 1})`}
+                              </p>
+                            )}
+                          </div>
+                          <span
+                            className={`flex items-center gap-1 flex-shrink-0 ${style.className}`}
+                          >
+                            <Icon className="w-4 h-4" />
+                            {isScheduled(item, now)
+                              ? scheduledLabel(item)
+                              : style.label}
+                          </span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
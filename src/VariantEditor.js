@@ -0,0 +1,110 @@
+import React from 'react';
+import { AlertCircle, Plus, X } from 'lucide-react';
+import { SPLIT_MODES, VARIANT_LABELS } from './variants';
+
+// A/B variant tabs for the first email, and how recipients are split
+// between the variants
+export default function VariantEditor({
+  variants,
+  activeVariant,
+  split,
+  weights,
+  counts,
+  error,
+  onSelect,
+  onAdd,
+  onRemove,
+  onSplitChange,
+}) {
+  const mode = split?.mode || 'even';
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {variants.length > 1 &&
+          variants.map((variant, index) => (
+            <span
+              key={variant.label}
+              className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm ${
+                index === activeVariant
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              <button onClick={() => onSelect(index)}>
+                Variant {variant.label}
+                <span className="opacity-75">
+                  {' '}
+                  · {counts[variant.label] || 0}
+                </span>
+              </button>
+              {index > 0 && (
+                <button
+                  onClick={() => onRemove(index)}
+                  className="opacity-75 hover:opacity-100"
+                  title={`Remove variant ${variant.label}`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              )}
+            </span>
+          ))}
+        {variants.length < VARIANT_LABELS.length && (
+          <button
+            onClick={onAdd}
+            className="text-sm text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+          >
+            <Plus className="w-4 h-4" />
+            {variants.length > 1 ? 'Add variant' : 'Add an A/B variant'}
+          </button>
+        )}
+      </div>
+
+      {variants.length > 1 && (
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+          <span className="font-semibold">Split recipients</span>
+          <select
+            value={mode}
+            onChange={(e) => onSplitChange({ mode: e.target.value, weights })}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm bg-white focus:border-indigo-500 focus:outline-none"
+          >
+            {Object.entries(SPLIT_MODES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {mode === 'percent' &&
+            variants.map((variant, index) => (
+              <label key={variant.label} className="flex items-center gap-1">
+                {variant.label}
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={weights[index]}
+                  onChange={(e) =>
+                    onSplitChange({
+                      mode,
+                      weights: weights.map((weight, i) =>
+                        i === index ? e.target.value : weight,
+                      ),
+                    })
+                  }
+                  className="w-16 px-2 py-1 border border-gray-300 rounded-md text-sm focus:border-indigo-500 focus:outline-none"
+                />
+                %
+              </label>
+            ))}
+        </div>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-600 flex items-center gap-1">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+// Airtable REST helpers
+
+const API_URL = 'https://api.airtable.com/v0';
+
+// Airtable allows 5 requests per second per base; after a 429 it turns
+// requests away for 30 seconds. Without a Retry-After header the backoff
+// doubles from 2 seconds (2, 4, 8, 16, 32 s), so the retries outlast
+// that window.
+const MAX_RETRIES = 5;
+const RETRY_BASE_DELAY = 2000;
+
+export const tableUrl = (config) =>
+  `${API_URL}/${config.baseId}/${encodeURIComponent(config.tableName)}`;
+
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      },
+      { once: true },
+    );
+  });
+
+export const isAbortError = (err) => err?.name === 'AbortError';
+
+// fetch() wrapper that retries rate-limited requests with exponential
+// backoff, honouring Retry-After when Airtable sends it.
+export const airtableFetch = async (config, url, options = {}) => {
+  const { signal } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        Authorization: `Bearer ${config.apiKey}`,
+        ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+        ...options.headers,
+      },
+    });
+
+    if (response.status === 429 && attempt < MAX_RETRIES) {
+      const retryAfter = Number(response.headers.get('Retry-After'));
+      const delay = retryAfter
+        ? retryAfter * 1000
+        : RETRY_BASE_DELAY * 2 ** attempt;
+      await sleep(delay, signal);
+      continue;
+    }
+
+    // Errors carry the HTTP status and Airtable's error type, e.g.
+    // INVALID_VALUE_FOR_COLUMN, so callers can tell what went wrong
+    if (!response.ok) {
+      let message = `Error: ${response.status} - ${response.statusText}`;
+      let type;
+      try {
+        const errorData = await response.json();
+        type =
+          typeof errorData.error === 'string'
+            ? errorData.error
+            : errorData.error?.type;
+        if (errorData.error?.message) {
+          message = `${message}: ${errorData.error.message}`;
+        }
+      } catch {
+        // Body was not JSON; keep the status line
+      }
+      throw Object.assign(new Error(message), {
+        status: response.status,
+        type,
+      });
+    }
+
+    return response.json();
+  }
+};
+
+// Load every record in a table by following Airtable's `offset` token.
+// `onProgress` is called after each page with the running total.
+export const fetchAllRecords = async (config, { signal, onProgress } = {}) => {
+  const records = [];
+  let offset;
+
+  do {
+    const params = new URLSearchParams({ pageSize: '100' });
+    if (offset) params.set('offset', offset);
+
+    const data = await airtableFetch(config, `${tableUrl(config)}?${params}`, {
+      signal,
+    });
+
+    records.push(...data.records);
+    offset = data.offset;
+    onProgress?.({ loaded: records.length, done: !offset });
+  } while (offset);
+
+  return records;
+};
+
+export const createRecord = (config, fields) =>
+  airtableFetch(config, tableUrl(config), {
+    method: 'POST',
+    body: JSON.stringify({ fields, typecast: true }),
+  });
+
+export const updateRecord = (config, id, fields) =>
+  airtableFetch(config, `${tableUrl(config)}/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ fields, typecast: true }),
+  });
+
+export const deleteRecord = (config, id) =>
+  airtableFetch(config, `${tableUrl(config)}/${id}`, { method: 'DELETE' });
+
+// Read the table's field definitions from the metadata API. The token
+// needs the schema.bases:read scope; callers fall back to inferring the
+// schema from records when this fails.
+export const fetchTableSchema = async (config, { signal } = {}) => {
+  const data = await airtableFetch(
+    config,
+    `${API_URL}/meta/bases/${config.baseId}/tables`,
+    { signal },
+  );
+  const table = data.tables.find(
+    (t) => t.id === config.tableName || t.name === config.tableName,
+  );
+  if (!table) {
+    throw new Error(`Table ${config.tableName} not found in base`);
+  }
+  return table;
+};
+
+// Airtable's batch endpoints accept at most 10 records per request
+export const BATCH_SIZE = 10;
+
+export const updateRecords = (config, records) =>
+  airtableFetch(config, tableUrl(config), {
+    method: 'PATCH',
+    body: JSON.stringify({ records, typecast: true }),
+  }).then((data) => data.records);
+
+export const createRecords = (config, records) =>
+  airtableFetch(config, tableUrl(config), {
+    method: 'POST',
+    body: JSON.stringify({ records, typecast: true }),
+  }).then((data) => data.records);
+
+export const deleteRecords = (config, ids) => {
+  const params = new URLSearchParams();
+  ids.forEach((id) => params.append('records[]', id));
+  return airtableFetch(config, `${tableUrl(config)}?${params}`, {
+    method: 'DELETE',
+  }).then((data) => data.records);
+};
+
+// Errors caused by a record in the batch rather than the request: a bad
+// value, or a record that no longer exists. Anything else (a bad token,
+// missing permissions, an unknown field) fails the same way one by one.
+const RECORD_ERROR_TYPES = [
+  'INVALID_VALUE_FOR_COLUMN',
+  'INVALID_MULTIPLE_CHOICE_OPTIONS',
+  'INVALID_RECORDS',
+  'ROW_DOES_NOT_EXIST',
+  'MODEL_ID_NOT_FOUND',
+];
+
+const isRecordError = (err) =>
+  err.status === 404 || RECORD_ERROR_TYPES.includes(err.type);
+
+// Run a batch operation over `items` in chunks of BATCH_SIZE. A batch
+// request fails as a whole, so a chunk that failed because of its
+// records is retried one item at a time to pin the failure on the
+// records that caused it; any other error fails the whole chunk.
+export const runInBatches = async (items, run, { onProgress, signal } = {}) => {
+  const results = [];
+  const failures = [];
+  let done = 0;
+
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    if (signal?.aborted) break;
+    const chunk = items.slice(i, i + BATCH_SIZE);
+
+    try {
+      results.push(...(await run(chunk)));
+    } catch (chunkError) {
+      if (chunk.length === 1 || !isRecordError(chunkError)) {
+        chunk.forEach((item) =>
+          failures.push({ item, error: chunkError.message }),
+        );
+      } else {
+        for (const item of chunk) {
+          try {
+            results.push(...(await run([item])));
+          } catch (err) {
+            failures.push({ item, error: err.message });
+          }
+        }
+      }
+    }
+
+    done += chunk.length;
+    onProgress?.({ done, total: items.length });
+  }
+
+  return { results, failures };
+};
@@ -0,0 +1,156 @@
+/**
+ * @jest-environment node
+ */
+import {
+  deleteRecords,
+  fetchAllRecords,
+  runInBatches,
+  updateRecords,
+} from './airtable';
+
+const config = { apiKey: 'key', baseId: 'app1', tableName: 'Clients' };
+
+const reply = (status, body, headers = {}) => ({
+  ok: status < 400,
+  status,
+  statusText: status === 429 ? 'Too Many Requests' : 'OK',
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body,
+});
+
+let delays;
+
+beforeEach(() => {
+  delays = [];
+  jest.spyOn(global, 'setTimeout').mockImplementation((resolve, ms) => {
+    delays.push(ms);
+    resolve();
+    return 0;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+test('follows the offset through every page', async () => {
+  global.fetch = jest
+    .fn()
+    .mockResolvedValueOnce(reply(200, { records: [{ id: 'a' }], offset: 'p2' }))
+    .mockResolvedValueOnce(reply(200, { records: [{ id: 'b' }] }));
+  const progress = [];
+
+  const records = await fetchAllRecords(config, {
+    onProgress: (p) => progress.push(p),
+  });
+
+  expect(records.map((r) => r.id)).toEqual(['a', 'b']);
+  expect(global.fetch.mock.calls[0][0]).not.toContain('offset');
+  expect(global.fetch.mock.calls[1][0]).toContain('offset=p2');
+  expect(progress).toEqual([
+    { loaded: 1, done: false },
+    { loaded: 2, done: true },
+  ]);
+});
+
+test('waits and retries when rate limited', async () => {
+  global.fetch = jest
+    .fn()
+    .mockResolvedValueOnce(reply(429, {}))
+    .mockResolvedValueOnce(reply(429, {}, { 'Retry-After': '3' }))
+    .mockResolvedValueOnce(reply(200, { records: [{ id: 'a' }] }));
+
+  const records = await fetchAllRecords(config);
+
+  expect(records).toHaveLength(1);
+  expect(delays).toEqual([2000, 3000]);
+});
+
+test('gives up after the last retry', async () => {
+  global.fetch = jest.fn(async () => reply(429, {}));
+  await expect(fetchAllRecords(config)).rejects.toThrow('Error: 429');
+  expect(global.fetch).toHaveBeenCalledTimes(6);
+  expect(delays).toEqual([2000, 4000, 8000, 16000, 32000]);
+});
+
+const updates = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    id: `rec${i}`,
+    fields: { Name: `Client ${i}` },
+  }));
+
+const echoRecords = async (url, options) =>
+  reply(200, { records: JSON.parse(options.body).records });
+
+test('writes records in batches of ten', async () => {
+  global.fetch = jest.fn(echoRecords);
+  const progress = [];
+
+  const { results, failures } = await runInBatches(
+    updates(23),
+    (chunk) => updateRecords(config, chunk),
+    { onProgress: (p) => progress.push(p.done) },
+  );
+
+  expect(results).toHaveLength(23);
+  expect(failures).toEqual([]);
+  expect(
+    global.fetch.mock.calls.map(
+      ([, options]) => JSON.parse(options.body).records.length,
+    ),
+  ).toEqual([10, 10, 3]);
+  expect(progress).toEqual([10, 20, 23]);
+});
+
+test('deletes records by id in the query string', async () => {
+  global.fetch = jest.fn(async () =>
+    reply(200, { records: [{ id: 'rec1', deleted: true }] }),
+  );
+  await deleteRecords(config, ['rec1', 'rec2']);
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(options.method).toBe('DELETE');
+  expect(new URL(url).searchParams.getAll('records[]')).toEqual([
+    'rec1',
+    'rec2',
+  ]);
+});
+
+test('pins a record error on the record that caused it', async () => {
+  global.fetch = jest.fn(async (url, options) => {
+    const { records } = JSON.parse(options.body);
+    if (records.some((record) => record.id === 'rec2')) {
+      return reply(422, {
+        error: { type: 'INVALID_VALUE_FOR_COLUMN', message: 'Bad value' },
+      });
+    }
+    return echoRecords(url, options);
+  });
+
+  const { results, failures } = await runInBatches(updates(4), (chunk) =>
+    updateRecords(config, chunk),
+  );
+
+  expect(results.map((r) => r.id)).toEqual(['rec0', 'rec1', 'rec3']);
+  expect(failures).toHaveLength(1);
+  expect(failures[0].item.id).toBe('rec2');
+  expect(failures[0].error).toContain('Bad value');
+  // One batch request, then one per record
+  expect(global.fetch).toHaveBeenCalledTimes(5);
+});
+
+test('fails the whole batch on errors that are not about a record', async () => {
+  global.fetch = jest.fn(async () =>
+    reply(403, {
+      error: { type: 'INVALID_PERMISSIONS', message: 'Not allowed' },
+    }),
+  );
+
+  const { results, failures } = await runInBatches(updates(12), (chunk) =>
+    updateRecords(config, chunk),
+  );
+
+  expect(results).toEqual([]);
+  expect(failures).toHaveLength(12);
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
@@ -0,0 +1,233 @@
+// The chat assistant's requests to the language model: routing a
+// message, answering with client queries and drafting a campaign. They
+// take the provider as an argument (see llm.js), so they run the same
+// against a server or createMockProvider. A model served without tool
+// support gets a plain completion instead of failing.
+
+import { CHAT_TOOLS, MAX_QUERY_ROUNDS, runClientQuery } from './clientQuery';
+import { sanitizeHtml } from './emailHtml';
+import { ROUTE_TOOL, classifyLocally, normalizeRoute } from './intents';
+
+// How servers word it, e.g. Ollama's "llama2 does not support tools",
+// vLLM's '"auto" tool choice requires --enable-auto-tool-choice' and
+// llama.cpp's "tools param requires --jinja flag"
+const TOOLS_UNSUPPORTED =
+  /\btools?\b.*\b(requires?|enable|supported)\b|\b(support|unrecognized|unknown)\b.*\btools?\b/i;
+
+export const isToolsUnsupported = (err) =>
+  err?.name !== 'AbortError' && TOOLS_UNSUPPORTED.test(err?.message || '');
+
+const withoutTools = ({ tools, tool_choice, ...request }) => request;
+
+// The JSON object in a reply, which models sometimes fence as ```json
+export const parseJsonReply = (content) => {
+  const text = (content || '').replace(/```(?:json)?\n?/g, '').trim();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // Reported below
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error("The model didn't reply with the JSON asked for");
+  }
+  return data;
+};
+
+const ROUTE_PROMPT =
+  'You route messages for the assistant of a client database that can answer questions about the clients, change which clients are shown and write email campaigns. Classify the last user message. Only list recipients when the user names specific clients.';
+
+// Work out what the last of `messages` asks for: the model fills in
+// ROUTE_TOOL, looking at the last few messages for context, or answers
+// with the same fields as JSON when it can't call tools. If that fails
+// the local classifier decides.
+export const routeMessage = async (
+  llm,
+  messages,
+  { signal, clients = [], mapping = {} } = {},
+) => {
+  const latest = messages[messages.length - 1].content;
+  const request = {
+    messages: [
+      { role: 'system', content: ROUTE_PROMPT },
+      ...messages.slice(-6).map(({ role, content }) => ({ role, content })),
+    ],
+    tools: [ROUTE_TOOL],
+    tool_choice: {
+      type: 'function',
+      function: { name: ROUTE_TOOL.function.name },
+    },
+    temperature: 0,
+  };
+
+  try {
+    try {
+      const message = await llm.complete(request, { signal });
+      const call = message.tool_calls?.[0];
+      return normalizeRoute(JSON.parse(call.function.arguments), latest);
+    } catch (err) {
+      if (!isToolsUnsupported(err)) throw err;
+      const plain = withoutTools(request);
+      plain.messages[0] = {
+        role: 'system',
+        content: `${ROUTE_PROMPT} Reply with only a JSON object with these fields: ${JSON.stringify(
+          ROUTE_TOOL.function.parameters.properties,
+        )}`,
+      };
+      const message = await llm.complete(plain, { signal });
+      return normalizeRoute(parseJsonReply(message.content), latest);
+    }
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    return classifyLocally(latest, { clients, mapping });
+  }
+};
+
+const NO_TOOLS_NOTE =
+  "This model can't run the client queries, so you can't look up clients or count them. Say so when asked for client details or numbers rather than guessing.";
+
+// Answer the conversation in `messages`, letting the model run client
+// queries over `context` (see clientQuery.js) until it can answer; the
+// last round has to answer with what it has. `onQuery` gets each query
+// run, `onView` each view show_clients asks for and `onText` the reply
+// so far, '' again after a round of queries. Resolves with the reply.
+export const answerWithQueries = async (
+  llm,
+  messages,
+  { context, signal, onText, onQuery, onView } = {},
+) => {
+  const conversation = [...messages];
+  let tools = true;
+
+  for (let round = 0; ; round++) {
+    const request = {
+      messages: conversation,
+      ...(tools && round < MAX_QUERY_ROUNDS && { tools: CHAT_TOOLS }),
+    };
+    let message;
+    try {
+      message = await llm.stream(request, { signal, onText });
+    } catch (err) {
+      if (!request.tools || !isToolsUnsupported(err)) throw err;
+      tools = false;
+      conversation.push({ role: 'system', content: NO_TOOLS_NOTE });
+      continue;
+    }
+
+    if (!message.tool_calls?.length) return message.content || '';
+    // Out of query rounds: answer with what the model said, if anything
+    if (!request.tools) {
+      if (message.content) return message.content;
+      throw new Error(
+        'The assistant kept asking to look up clients instead of answering',
+      );
+    }
+
+    conversation.push(message);
+    for (const call of message.tool_calls) {
+      const { query, summary, result, view } = runClientQuery(
+        call.function.name,
+        call.function.arguments,
+        context,
+      );
+      if (onQuery) onQuery({ query, summary });
+      if (view && onView) onView(view);
+      conversation.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(result),
+      });
+    }
+    if (onText) onText('');
+  }
+};
+
+const campaignPrompt = ({ variantCount, format, fields }) => {
+  // "A/B test" or "3 variants" asks for alternatives to split
+  // recipients between
+  const variantFormat =
+    variantCount > 1
+      ? ',\n  "variants": [{ "subject": "...", "body": "..." }]'
+      : '';
+  const variantInstructions =
+    variantCount > 1
+      ? `\nThis is an A/B test: "subject" and "body" are variant A, and "variants" holds exactly ${
+          variantCount - 1
+        } more, each with a clearly different subject line and angle so the results can be compared.\n`
+      : '';
+  // Rich-text campaigns get a simple HTML body
+  const bodyFormat =
+    format === 'html'
+      ? ' The body is HTML using only <p>, <h2>, <strong>, <em>, <a href="...">, <ul>, <ol> and <li>, with no styles or scripts.'
+      : '';
+  const mergeTags = fields.map((field) => `{{${field.name}}}`).join(', ');
+
+  return `You are an expert email copywriter. Generate professional, personalized email content based on the user's request. Return ONLY a JSON object with this exact structure:
+{
+  "subject": "Email subject line",
+  "body": "Email body content",
+  "usePersonalization": true/false${variantFormat}
+}
+${variantInstructions}
+The body should be professional, engaging, and appropriate for the context.${bodyFormat} If usePersonalization is true, use {{name}} as a placeholder where the recipient's name should appear. You may also use merge tags for these client fields: ${mergeTags}. Add a fallback for values that may be empty, e.g. {{First Name | "there"}}, and wrap optional sentences in {{#if Field}}...{{/if}}.`;
+};
+
+// The campaign in a drafting reply: { subject, body, usePersonalization,
+// variants }, with at most `variantCount - 1` complete variants and HTML
+// bodies cleaned
+export const parseCampaign = (content, { variantCount = 1, format } = {}) => {
+  const data = parseJsonReply(content);
+  if (typeof data.subject !== 'string' || typeof data.body !== 'string') {
+    throw new Error('The draft has no subject or body');
+  }
+  const clean = (body) => (format === 'html' ? sanitizeHtml(body) : body);
+  return {
+    subject: data.subject,
+    body: clean(data.body),
+    usePersonalization: Boolean(data.usePersonalization),
+    variants: (Array.isArray(data.variants) ? data.variants : [])
+      .filter(
+        (variant) =>
+          typeof variant?.subject === 'string' &&
+          variant.subject &&
+          typeof variant.body === 'string' &&
+          variant.body,
+      )
+      .slice(0, variantCount - 1)
+      .map(({ subject, body }) => ({ subject, body: clean(body) })),
+  };
+};
+
+// Have the model draft a campaign for `prompt`, in `format` ('text' or
+// 'html'), with merge tags for `fields`
+export const draftCampaign = async (
+  llm,
+  {
+    prompt,
+    recipientCount,
+    variantCount = 1,
+    format,
+    fields,
+    maxTokens,
+    signal,
+  },
+) => {
+  const reply = await llm.complete(
+    {
+      messages: [
+        {
+          role: 'system',
+          content: campaignPrompt({ variantCount, format, fields }),
+        },
+        {
+          role: 'user',
+          content: `Generate an email for: ${prompt}\n\nRecipient count: ${recipientCount}`,
+        },
+      ],
+      // Room for every variant
+      max_tokens: Number(maxTokens) * variantCount,
+    },
+    { signal },
+  );
+  return parseCampaign(reply.content, { variantCount, format });
+};
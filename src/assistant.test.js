@@ -0,0 +1,213 @@
+/**
+ * @jest-environment node
+ */
+import {
+  answerWithQueries,
+  draftCampaign,
+  isToolsUnsupported,
+  parseCampaign,
+  routeMessage,
+} from './assistant';
+import { MAX_QUERY_ROUNDS } from './clientQuery';
+import { createMockProvider } from './llm';
+
+const schema = {
+  Name: { name: 'Name', type: 'singleLineText' },
+  Age: { name: 'Age', type: 'number' },
+};
+
+const clients = [
+  { id: 'rec1', fields: { Name: 'Ada Lovelace', Age: 70 } },
+  { id: 'rec2', fields: { Name: 'Alan Turing', Age: 41 } },
+];
+
+const context = {
+  clients,
+  visibleClients: clients,
+  schema,
+  mapping: { name: 'Name' },
+  linkedNames: {},
+};
+
+const toolCall = (name, args) => ({
+  tool_calls: [
+    {
+      id: `call_${name}`,
+      type: 'function',
+      function: { name, arguments: JSON.stringify(args) },
+    },
+  ],
+});
+
+const noTools = new Error(
+  'registry.ollama.ai/library/gemma:2b does not support tools',
+);
+
+test('recognizes servers that cannot call tools', () => {
+  expect(isToolsUnsupported(noTools)).toBe(true);
+  expect(
+    isToolsUnsupported(
+      new Error(
+        '"auto" tool choice requires --enable-auto-tool-choice and --tool-call-parser to be set',
+      ),
+    ),
+  ).toBe(true);
+  expect(
+    isToolsUnsupported(new Error('tools param requires --jinja flag')),
+  ).toBe(true);
+  expect(isToolsUnsupported(new Error('Incorrect API key provided'))).toBe(
+    false,
+  );
+});
+
+test('routes through the tool, JSON or the local classifier', async () => {
+  const messages = [{ role: 'user', content: 'Write a recall email to Ada' }];
+  const route = { intent: 'campaign', recipients: ['Ada'], variantCount: 1 };
+
+  const llm = createMockProvider([toolCall('route_request', route)]);
+  expect(await routeMessage(llm, messages)).toMatchObject({
+    intent: 'campaign',
+    recipients: ['Ada'],
+  });
+  expect(llm.requests[0].tool_choice.function.name).toBe('route_request');
+
+  const plain = createMockProvider([
+    noTools,
+    `\`\`\`json\n${JSON.stringify({ ...route, intent: 'chat' })}\n\`\`\``,
+  ]);
+  expect((await routeMessage(plain, messages)).intent).toBe('chat');
+  expect(plain.requests[1].tools).toBeUndefined();
+  expect(plain.requests[1].tool_choice).toBeUndefined();
+
+  const failing = createMockProvider([new Error('Server error')]);
+  expect(
+    await routeMessage(failing, messages, {
+      clients,
+      mapping: { name: 'Name' },
+    }),
+  ).toMatchObject({ intent: 'campaign', recipients: ['Ada'] });
+});
+
+test('answers after running client queries', async () => {
+  const llm = createMockProvider([
+    toolCall('count_clients', {
+      filter: {
+        conditions: [{ field: 'Age', operator: 'greaterThan', value: 65 }],
+      },
+    }),
+    toolCall('show_clients', { searchTerm: 'Ada' }),
+    (request) =>
+      `One client is over 65 (${request.messages[3].content} counted).`,
+  ]);
+  const queries = [];
+  const views = [];
+  const texts = [];
+
+  const reply = await answerWithQueries(
+    llm,
+    [
+      { role: 'system', content: 'You help.' },
+      { role: 'user', content: 'Who is over 65?' },
+    ],
+    {
+      context,
+      onQuery: (query) => queries.push(query),
+      onView: (view) => views.push(view),
+      onText: (text) => texts.push(text),
+    },
+  );
+
+  expect(reply).toBe('One client is over 65 ({"count":1} counted).');
+  expect(queries.map((q) => q.summary)).toEqual(['1 client', '1 client']);
+  expect(views).toHaveLength(1);
+  expect(views[0].searchTerm).toBe('Ada');
+  expect(texts[texts.length - 1]).toBe(reply);
+  expect(llm.requests[2].messages.map((m) => m.role)).toEqual([
+    'system',
+    'user',
+    'assistant',
+    'tool',
+    'assistant',
+    'tool',
+  ]);
+});
+
+test('stops once the query rounds run out', async () => {
+  const count = toolCall('count_clients', {});
+  const messages = [{ role: 'user', content: 'How many clients?' }];
+
+  const looping = createMockProvider(Array(MAX_QUERY_ROUNDS + 5).fill(count));
+  await expect(
+    answerWithQueries(looping, messages, { context }),
+  ).rejects.toThrow('kept asking to look up clients');
+  expect(looping.requests).toHaveLength(MAX_QUERY_ROUNDS + 1);
+  expect(looping.requests[MAX_QUERY_ROUNDS].tools).toBeUndefined();
+
+  const partial = createMockProvider([
+    ...Array(MAX_QUERY_ROUNDS).fill(count),
+    { ...count, content: 'There are 2 clients.' },
+  ]);
+  expect(await answerWithQueries(partial, messages, { context })).toBe(
+    'There are 2 clients.',
+  );
+});
+
+test('answers without tools when the model has none', async () => {
+  const llm = createMockProvider([noTools, 'I cannot look that up.']);
+  const reply = await answerWithQueries(
+    llm,
+    [{ role: 'user', content: 'How many clients?' }],
+    { context },
+  );
+
+  expect(reply).toBe('I cannot look that up.');
+  expect(llm.requests[0].tools).toBeDefined();
+  expect(llm.requests[1].tools).toBeUndefined();
+  expect(llm.requests[1].messages[1].role).toBe('system');
+
+  const failing = createMockProvider([new Error('Server error')]);
+  await expect(
+    answerWithQueries(failing, [{ role: 'user', content: 'Hi' }], { context }),
+  ).rejects.toThrow('Server error');
+});
+
+test('parses a drafted campaign with its variants', async () => {
+  const llm = createMockProvider([
+    `\`\`\`json\n${JSON.stringify({
+      subject: 'Time for a checkup',
+      body: '<p>Hi {{name}}</p><script>alert(1)</script>',
+      usePersonalization: true,
+      variants: [
+        { subject: 'Book now', body: '<p>Book</p>' },
+        { subject: 'No body' },
+        { subject: 'Extra', body: '<p>Too many</p>' },
+      ],
+    })}\n\`\`\``,
+  ]);
+
+  const draft = await draftCampaign(llm, {
+    prompt: 'a checkup reminder',
+    recipientCount: 2,
+    variantCount: 2,
+    format: 'html',
+    fields: Object.values(schema),
+    maxTokens: '500',
+  });
+
+  expect(draft).toEqual({
+    subject: 'Time for a checkup',
+    body: '<p>Hi {{name}}</p>',
+    usePersonalization: true,
+    variants: [{ subject: 'Book now', body: '<p>Book</p>' }],
+  });
+  expect(llm.requests[0].max_tokens).toBe(1000);
+  expect(llm.requests[0].messages[0].content).toContain('{{Age}}');
+  expect(llm.requests[0].messages[1].content).toContain('Recipient count: 2');
+
+  expect(() => parseCampaign('Here is your email!')).toThrow(
+    "didn't reply with the JSON",
+  );
+  expect(() => parseCampaign('{"subject": "Hi"}')).toThrow(
+    'no subject or body',
+  );
+});
@@ -0,0 +1,108 @@
+// Streamed chat completions. The reply arrives as a server-sent event
+// stream of deltas; `applyDelta` folds each one into the message so
+// far, including tool calls whose name and arguments come in pieces.
+
+export const applyDelta = (message, delta = {}) => {
+  const next = { ...message };
+  if (delta.content) next.content = (next.content || '') + delta.content;
+  if (delta.tool_calls) {
+    const calls = [...(next.tool_calls || [])];
+    delta.tool_calls.forEach((part) => {
+      const current = calls[part.index] || {
+        id: '',
+        type: 'function',
+        function: { name: '', arguments: '' },
+      };
+      calls[part.index] = {
+        ...current,
+        id: part.id || current.id,
+        function: {
+          name: current.function.name + (part.function?.name || ''),
+          arguments:
+            current.function.arguments + (part.function?.arguments || ''),
+        },
+      };
+    });
+    next.tool_calls = calls;
+  }
+  return next;
+};
+
+// The error a failed chat completion request reports, for servers that
+// answer in the OpenAI format and those that don't
+const responseError = async (response) => {
+  let detail;
+  try {
+    const data = await response.json();
+    detail = data.error?.message || data.error || data.message;
+  } catch {
+    // Not every error has a JSON body
+  }
+  return new Error(
+    typeof detail === 'string' && detail
+      ? detail
+      : `Error: ${response.status} - ${response.statusText}`,
+  );
+};
+
+// POST a chat completion request and return the response once it's
+// known to have succeeded. A server that isn't running, or doesn't allow
+// requests from this page, fails before answering; say where we tried.
+export const postChatCompletion = async (url, { headers, body, signal }) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new Error(`Could not reach ${url} (${err.message})`);
+  }
+  if (!response.ok) throw await responseError(response);
+  return response;
+};
+
+// Call `onData` with every parsed `data:` payload of an event stream
+const readEvents = async (body, onData) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+    lines.forEach((line) => {
+      const data = line.match(/^data:\s?(.*)$/)?.[1]?.trim();
+      if (data && data !== '[DONE]') onData(JSON.parse(data));
+    });
+    if (done) return;
+  }
+};
+
+// Request a chat completion with `stream: true`. `onText` gets the
+// reply text so far after every piece; the promise resolves with the
+// whole message, { role, content, tool_calls }. Aborting `signal` stops
+// the stream with an AbortError.
+export const streamChatCompletion = async (
+  url,
+  { headers, body, signal, onText },
+) => {
+  const response = await postChatCompletion(url, {
+    headers,
+    body: { ...body, stream: true },
+    signal,
+  });
+
+  let message = { role: 'assistant', content: '' };
+  await readEvents(response.body, (event) => {
+    const delta = event.choices?.[0]?.delta;
+    if (!delta) return;
+    message = applyDelta(message, delta);
+    if (delta.content && onText) onText(message.content);
+  });
+  return message;
+};
@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+import { applyDelta, streamChatCompletion } from './chatStream';
+
+// A response body that hands out the chunks one read at a time
+const streamOf = (chunks) => {
+  const encoder = new TextEncoder();
+  const queue = [...chunks];
+  return {
+    getReader: () => ({
+      read: async () =>
+        queue.length > 0
+          ? { done: false, value: encoder.encode(queue.shift()) }
+          : { done: true, value: undefined },
+    }),
+  };
+};
+
+const event = (delta) =>
+  `data: ${JSON.stringify({ choices: [{ delta }] })}\n\n`;
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('folds tool call pieces into whole calls', () => {
+  let message = { role: 'assistant', content: '' };
+  message = applyDelta(message, {
+    tool_calls: [
+      { index: 0, id: 'call_1', function: { name: 'count_', arguments: '' } },
+    ],
+  });
+  message = applyDelta(message, {
+    tool_calls: [{ index: 0, function: { name: 'clients', arguments: '{}' } }],
+  });
+  expect(message.tool_calls).toEqual([
+    {
+      id: 'call_1',
+      type: 'function',
+      function: { name: 'count_clients', arguments: '{}' },
+    },
+  ]);
+});
+
+test('streams the reply text as it arrives', async () => {
+  const whole = event({ content: 'Hello' });
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    // An event split across reads still parses
+    body: streamOf([
+      whole.slice(0, 10),
+      whole.slice(10) + event({ content: ' there' }),
+      'data: [DONE]\n\n',
+    ]),
+  }));
+  const seen = [];
+  const message = await streamChatCompletion('https://example.com', {
+    headers: { Authorization: 'Bearer key' },
+    body: { model: 'test', messages: [] },
+    onText: (text) => seen.push(text),
+  });
+
+  expect(message).toEqual({ role: 'assistant', content: 'Hello there' });
+  expect(seen).toEqual(['Hello', 'Hello there']);
+  const [, options] = global.fetch.mock.calls[0];
+  expect(JSON.parse(options.body)).toEqual({
+    model: 'test',
+    messages: [],
+    stream: true,
+  });
+  expect(options.headers.Authorization).toBe('Bearer key');
+});
+
+test('reports the error message of a failed request', async () => {
+  global.fetch = jest.fn(async () => ({
+    ok: false,
+    status: 401,
+    statusText: 'Unauthorized',
+    json: async () => ({ error: { message: 'Invalid API key' } }),
+  }));
+  await expect(
+    streamChatCompletion('https://example.com', { body: {} }),
+  ).rejects.toThrow('Invalid API key');
+});
@@ -0,0 +1,351 @@
+// Queries the chat assistant can run over the loaded clients through
+// function calling, so answers about the data are computed rather than
+// guessed. Each run returns the result sent back to the model and a
+// readable description of the query for staff to check. `show_clients`
+// also returns a `view` for the main screen to apply.
+
+import {
+  OPERATORS,
+  countConditions,
+  describeFilter,
+  matchesFilter,
+  normalizeFilter,
+} from './filters';
+import { exportCellValue } from './exporters';
+import { displayName } from './fieldMapping';
+import { createView, describeView, matchesSearch } from './views';
+
+export const MAX_LISTED_CLIENTS = 50;
+// Tool calls the model may make before it has to answer
+export const MAX_QUERY_ROUNDS = 5;
+const MAX_GROUPS = 50;
+const MAX_MATCHES = 5;
+
+const FILTER_PARAMETER = {
+  type: 'object',
+  description:
+    'Which clients to include, as conditions joined by "and" or "or". Omit for every client.',
+  properties: {
+    conjunction: { type: 'string', enum: ['and', 'or'] },
+    conditions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string', description: 'Exact field name' },
+          operator: { type: 'string', enum: Object.keys(OPERATORS) },
+          value: {
+            description:
+              'A string or number. Dates are YYYY-MM-DD. An array for between ([from, to]) and for isAnyOf, isNoneOf and hasAllOf.',
+          },
+        },
+        required: ['field', 'operator'],
+      },
+    },
+  },
+};
+
+const SCOPE_PARAMETER = {
+  type: 'string',
+  enum: ['all', 'visible'],
+  description:
+    '"visible" for only the clients the table shows after its search and filters. Defaults to all clients.',
+};
+
+const tool = (name, description, properties, required = []) => ({
+  type: 'function',
+  function: {
+    name,
+    description,
+    parameters: { type: 'object', properties, required },
+  },
+});
+
+// Tool definitions in the OpenAI chat completions format
+export const CHAT_TOOLS = [
+  tool('count_clients', 'Count the clients matching a filter.', {
+    filter: FILTER_PARAMETER,
+    scope: SCOPE_PARAMETER,
+  }),
+  tool(
+    'group_clients',
+    'Count matching clients per value of one field, e.g. per insurance provider.',
+    {
+      field: { type: 'string', description: 'Exact field name to group by' },
+      filter: FILTER_PARAMETER,
+      scope: SCOPE_PARAMETER,
+    },
+    ['field'],
+  ),
+  tool(
+    'find_clients',
+    `List the clients matching a filter with the requested fields, up to ${MAX_LISTED_CLIENTS}.`,
+    {
+      filter: FILTER_PARAMETER,
+      fields: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Fields to return. Defaults to every field.',
+      },
+      limit: { type: 'number' },
+      scope: SCOPE_PARAMETER,
+    },
+  ),
+  tool(
+    'show_clients',
+    "Change which clients the main screen shows. Replaces the screen's filters, search and sort; parts left out are cleared.",
+    {
+      filter: FILTER_PARAMETER,
+      searchTerm: {
+        type: 'string',
+        description: 'Text to find in any field',
+      },
+      sort: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            direction: { type: 'string', enum: ['asc', 'desc'] },
+          },
+          required: ['field'],
+        },
+      },
+    },
+  ),
+  tool(
+    'get_client',
+    'Look up one client by record ID or name and return every field.',
+    { query: { type: 'string', description: 'A record ID or a name' } },
+    ['query'],
+  ),
+];
+
+const plural = (count, word, words = `${word}s`) =>
+  `${count} ${count === 1 ? word : words}`;
+
+const conditionFields = (node) =>
+  node.type === 'condition'
+    ? [node.field]
+    : node.conditions.flatMap(conditionFields);
+
+const recordText = (record, fieldNames, context) =>
+  Object.fromEntries(
+    fieldNames
+      .filter((name) => record.fields[name] !== undefined)
+      .map((name) => [
+        name,
+        exportCellValue(record.fields[name], context.schema[name], {
+          linkedNames: context.linkedNames,
+        }),
+      ]),
+  );
+
+const clientSummary = (record, fieldNames, context) => ({
+  id: record.id,
+  name: displayName(record.fields, context.mapping || {}) || undefined,
+  fields: recordText(record, fieldNames, context),
+});
+
+const fieldError = (name, context) =>
+  new Error(
+    `Unknown field ${name}. Fields are: ${Object.keys(context.schema).join(
+      ', ',
+    )}`,
+  );
+
+// The tools take one flat group of conditions
+const toFilter = (filter) =>
+  normalizeFilter({
+    type: 'group',
+    conjunction: filter?.conjunction,
+    conditions: (Array.isArray(filter?.conditions)
+      ? filter.conditions
+      : []
+    ).map((condition) => ({ ...condition, type: 'condition' })),
+  });
+
+// The clients a query runs over and a readable "where" clause
+const selectClients = (args, context) => {
+  const filter = toFilter(args.filter);
+  const unknown = conditionFields(filter).find((name) => !context.schema[name]);
+  if (unknown) throw fieldError(unknown, context);
+  const visible = args.scope === 'visible';
+  const source = visible ? context.visibleClients : context.clients;
+  return {
+    records: source.filter((record) =>
+      matchesFilter(filter, record, context.schema),
+    ),
+    where: [
+      visible ? 'visible clients' : 'clients',
+      countConditions(filter) > 0 && `where ${describeFilter(filter)}`,
+    ]
+      .filter(Boolean)
+      .join(' '),
+  };
+};
+
+const groupValues = (record, field, context) => {
+  const value = record.fields[field];
+  const items = Array.isArray(value) && value.length > 0 ? value : [value];
+  return items.map(
+    (item) =>
+      String(
+        exportCellValue(
+          Array.isArray(value) ? [item] : item,
+          context.schema[field],
+          { linkedNames: context.linkedNames },
+        ),
+      ) || '(empty)',
+  );
+};
+
+const QUERIES = {
+  count_clients: (args, context) => {
+    const { records, where } = selectClients(args, context);
+    return {
+      query: `Count ${where}`,
+      summary: plural(records.length, 'client'),
+      result: { count: records.length },
+    };
+  },
+
+  group_clients: (args, context) => {
+    if (!context.schema[args.field]) throw fieldError(args.field, context);
+    const { records, where } = selectClients(args, context);
+    const counts = new Map();
+    records.forEach((record) => {
+      new Set(groupValues(record, args.field, context)).forEach((value) => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+    const groups = [...counts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    return {
+      query: `Count ${where} by ${args.field}`,
+      summary: plural(groups.length, 'group'),
+      result: {
+        total: records.length,
+        groups: groups.slice(0, MAX_GROUPS),
+        ...(groups.length > MAX_GROUPS && {
+          otherGroups: groups.length - MAX_GROUPS,
+        }),
+      },
+    };
+  },
+
+  find_clients: (args, context) => {
+    const fieldNames =
+      Array.isArray(args.fields) && args.fields.length > 0
+        ? args.fields
+        : Object.keys(context.schema);
+    const unknown = fieldNames.find((name) => !context.schema[name]);
+    if (unknown) throw fieldError(unknown, context);
+    const { records, where } = selectClients(args, context);
+    const limit = Math.min(
+      Math.max(Number(args.limit) || MAX_LISTED_CLIENTS, 1),
+      MAX_LISTED_CLIENTS,
+    );
+    const listed = records.slice(0, limit);
+    return {
+      query: `List ${where}${
+        args.fields?.length > 0 ? ` (${fieldNames.join(', ')})` : ''
+      }`,
+      summary: `${plural(records.length, 'client')}${
+        listed.length < records.length ? `, first ${listed.length} listed` : ''
+      }`,
+      result: {
+        total: records.length,
+        clients: listed.map((record) =>
+          clientSummary(record, fieldNames, context),
+        ),
+      },
+    };
+  },
+
+  show_clients: (args, context) => {
+    const filters = toFilter(args.filter);
+    const sort = (Array.isArray(args.sort) ? args.sort : []).map((key) => ({
+      field: key?.field,
+      direction: key?.direction === 'desc' ? 'desc' : 'asc',
+    }));
+    const unknown = [
+      ...conditionFields(filters),
+      ...sort.map((key) => key.field),
+    ].find((name) => !context.schema[name]);
+    if (unknown) throw fieldError(unknown, context);
+
+    const view = createView({
+      searchTerm: String(args.searchTerm || '').trim(),
+      filters,
+      sort,
+    });
+    const shown = context.clients.filter(
+      (record) =>
+        (!view.searchTerm || matchesSearch(record, view.searchTerm)) &&
+        matchesFilter(filters, record, context.schema),
+    ).length;
+    return {
+      query: describeView(view)
+        ? `Show clients ${describeView(view)}`
+        : 'Show all clients',
+      summary: plural(shown, 'client'),
+      result: { shown },
+      view,
+    };
+  },
+
+  get_client: (args, context) => {
+    const query = String(args.query || '').trim();
+    const needle = query.toLowerCase();
+    const byId = context.clients.filter((record) => record.id === query);
+    const matches = !needle
+      ? []
+      : byId.length > 0
+      ? byId
+      : context.clients.filter((record) =>
+          [
+            displayName(record.fields, context.mapping || {}),
+            context.linkedNames?.[record.id],
+          ].some((name) => name && name.toLowerCase().includes(needle)),
+        );
+    return {
+      query: `Look up client "${query}"`,
+      summary: plural(matches.length, 'match', 'matches'),
+      result: {
+        matches: matches.length,
+        clients: matches
+          .slice(0, MAX_MATCHES)
+          .map((record) =>
+            clientSummary(record, Object.keys(context.schema), context),
+          ),
+      },
+    };
+  },
+};
+
+// Run one tool call. `args` may be the model's JSON string; `context` is
+// { clients, visibleClients, schema, mapping, linkedNames }. Bad
+// arguments come back as an `error` result so the model can correct
+// itself.
+export const runClientQuery = (name, args, context) => {
+  const run = QUERIES[name];
+  if (!run) {
+    return {
+      query: name,
+      summary: 'unknown query',
+      result: { error: `Unknown tool ${name}` },
+    };
+  }
+  try {
+    const parsed = typeof args === 'string' ? JSON.parse(args || '{}') : args;
+    return run(parsed || {}, context);
+  } catch (err) {
+    return {
+      query: name.replace(/_/g, ' '),
+      summary: 'failed',
+      result: { error: err.message },
+    };
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * @jest-environment node
+ */
+import { runClientQuery } from './clientQuery';
+
+const schema = {
+  Name: { name: 'Name', type: 'singleLineText' },
+  Age: { name: 'Age', type: 'number' },
+  Insurance: { name: 'Insurance', type: 'singleSelect' },
+  Tags: { name: 'Tags', type: 'multipleSelects' },
+};
+
+const client = (id, Name, Age, Insurance, Tags) => ({
+  id,
+  fields: { Name, Age, Insurance, Tags },
+});
+
+const clients = [
+  client('rec1', 'Ada Lovelace', 70, 'Aetna', ['VIP']),
+  client('rec2', 'Grace Hopper', 80, 'Cigna', ['VIP', 'Recall']),
+  client('rec3', 'Alan Turing', 41, 'Aetna', []),
+  client('rec4', 'Edith Clarke', 66, 'Aetna'),
+];
+
+const context = {
+  clients,
+  visibleClients: clients.slice(0, 2),
+  schema,
+  mapping: { name: 'Name' },
+  linkedNames: {},
+};
+
+const over65WithAetna = {
+  conditions: [
+    { field: 'Age', operator: 'greaterThan', value: 65 },
+    { field: 'Insurance', operator: 'equals', value: 'Aetna' },
+  ],
+};
+
+test('counts and lists clients matching a filter', () => {
+  expect(
+    runClientQuery('count_clients', { filter: over65WithAetna }, context),
+  ).toEqual({
+    query: 'Count clients where Age > 65 AND Insurance is Aetna',
+    summary: '2 clients',
+    result: { count: 2 },
+  });
+
+  const listed = runClientQuery(
+    'find_clients',
+    JSON.stringify({ filter: over65WithAetna, fields: ['Age'], limit: 1 }),
+    context,
+  );
+  expect(listed.summary).toBe('2 clients, first 1 listed');
+  expect(listed.result.clients).toEqual([
+    { id: 'rec1', name: 'Ada Lovelace', fields: { Age: 70 } },
+  ]);
+
+  expect(
+    runClientQuery('count_clients', { scope: 'visible' }, context).query,
+  ).toBe('Count visible clients');
+});
+
+test('groups by a field, counting each list item', () => {
+  expect(
+    runClientQuery('group_clients', { field: 'Tags' }, context).result,
+  ).toEqual({
+    total: 4,
+    groups: [
+      { value: '(empty)', count: 2 },
+      { value: 'VIP', count: 2 },
+      { value: 'Recall', count: 1 },
+    ],
+  });
+});
+
+test('looks up clients and reports bad arguments', () => {
+  expect(
+    runClientQuery('get_client', { query: 'grace' }, context).result.clients,
+  ).toEqual([
+    {
+      id: 'rec2',
+      name: 'Grace Hopper',
+      fields: {
+        Name: 'Grace Hopper',
+        Age: 80,
+        Insurance: 'Cigna',
+        Tags: 'VIP; Recall',
+      },
+    },
+  ]);
+  expect(
+    runClientQuery(
+      'count_clients',
+      { filter: { conditions: [{ field: 'Plan', operator: 'equals' }] } },
+      context,
+    ).result.error,
+  ).toBe('Unknown field Plan. Fields are: Name, Age, Insurance, Tags');
+  expect(runClientQuery('count_clients', '{oops', context).summary).toBe(
+    'failed',
+  );
+});
+
+test('builds a view for the main screen', () => {
+  const { query, summary, view } = runClientQuery(
+    'show_clients',
+    {
+      filter: over65WithAetna,
+      searchTerm: ' Ada ',
+      sort: [{ field: 'Age', direction: 'desc' }],
+    },
+    context,
+  );
+  expect(query).toBe(
+    'Show clients where Age > 65 AND Insurance is Aetna, matching "Ada", sorted by Age descending',
+  );
+  expect(summary).toBe('1 client');
+  expect(view.sort).toEqual([{ field: 'Age', direction: 'desc' }]);
+  expect(view.filters.conditions).toHaveLength(2);
+
+  expect(runClientQuery('show_clients', {}, context).query).toBe(
+    'Show all clients',
+  );
+  expect(
+    runClientQuery('show_clients', { sort: [{ field: 'Plan' }] }, context),
+  ).toEqual(expect.objectContaining({ summary: 'failed' }));
+});
@@ -0,0 +1,59 @@
+// Saved chat conversations, kept in localStorage so they survive a
+// reload. Each has an id, an optional title set by the user and its
+// messages; untitled conversations are named after their first message.
+
+import { createId } from './mailer';
+
+const STORAGE_KEY = 'chatConversations';
+const MAX_CONVERSATIONS = 50;
+const TITLE_LENGTH = 40;
+
+export const createConversation = () => ({
+  id: createId('chat'),
+  title: '',
+  messages: [],
+  updatedAt: Date.now(),
+});
+
+export const conversationTitle = (conversation) => {
+  if (conversation.title) return conversation.title;
+  const first = conversation.messages.find((msg) => msg.role === 'user');
+  if (!first) return 'New conversation';
+  const text = first.content.replace(/\s+/g, ' ').trim();
+  return text.length > TITLE_LENGTH
+    ? `${text.slice(0, TITLE_LENGTH - 1).trimEnd()}…`
+    : text;
+};
+
+// Most recently used first
+export const sortConversations = (conversations) =>
+  [...conversations].sort((a, b) => b.updatedAt - a.updatedAt);
+
+export const loadConversations = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored)
+      ? stored.filter(
+          (conversation) =>
+            conversation &&
+            typeof conversation.id === 'string' &&
+            Array.isArray(conversation.messages),
+        )
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+// Empty conversations aren't worth keeping; the oldest are dropped past
+// the limit
+export const storeConversations = (conversations) => {
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify(
+      sortConversations(
+        conversations.filter((conversation) => conversation.messages.length),
+      ).slice(0, MAX_CONVERSATIONS),
+    ),
+  );
+};
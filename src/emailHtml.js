@@ -0,0 +1,251 @@
+// Rich (HTML) email bodies. Campaigns with `format: 'html'` keep their
+// body as HTML; every send gets a sanitized HTML part and a plain-text
+// version generated from it. The sanitizer rebuilds markup from an
+// allow list, so scripts, event handlers and javascript: links in
+// model output or pasted content never reach the preview or the inbox.
+
+export const EMAIL_FORMATS = {
+  text: 'Plain text',
+  html: 'Rich text',
+};
+
+const FORMAT_KEY = 'emailFormat';
+const SIGNATURE_KEY = 'emailSignature';
+
+export const DEFAULT_SIGNATURE = { logoUrl: '', text: '' };
+
+const ALLOWED_TAGS = [
+  'a',
+  'b',
+  'blockquote',
+  'br',
+  'div',
+  'em',
+  'h1',
+  'h2',
+  'h3',
+  'hr',
+  'i',
+  'img',
+  'li',
+  'ol',
+  'p',
+  'span',
+  'strong',
+  'u',
+  'ul',
+];
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'width', 'height'],
+};
+// Dropped along with everything inside them
+const DROPPED_TAGS = [
+  'script',
+  'style',
+  'iframe',
+  'object',
+  'embed',
+  'template',
+  'noscript',
+  'textarea',
+  'select',
+  'svg',
+  'math',
+  'head',
+  'title',
+];
+const VOID_TAGS = ['br', 'hr', 'img'];
+
+export const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0',
+};
+
+export const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value =
+        code[1].toLowerCase() === 'x'
+          ? parseInt(code.slice(2), 16)
+          : Number(code.slice(1));
+      return Number.isFinite(value) && value > 0 && value < 0x110000
+        ? String.fromCodePoint(value)
+        : '';
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+// Links may go to web pages, email addresses and phone numbers; images
+// must be on the web or embedded images
+const safeUrl = (value, tag) => {
+  // eslint-disable-next-line no-control-regex
+  const url = decodeEntities(value).replace(/[\s\x00-\x1f]+/g, '');
+  if (/^https?:\/\//i.test(url)) return url;
+  if (tag === 'a' && /^(mailto|tel):/i.test(url)) return url;
+  if (tag === 'img' && /^data:image\/(png|gif|jpe?g|webp);base64,/i.test(url)) {
+    return url;
+  }
+  return null;
+};
+
+const ATTRIBUTE =
+  /([a-zA-Z][\w:-]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const cleanAttributes = (tag, source) => {
+  const allowed = ALLOWED_ATTRIBUTES[tag] || [];
+  const attributes = [];
+  for (const match of source.matchAll(ATTRIBUTE)) {
+    const name = match[1].toLowerCase();
+    const raw = match[2] ?? match[3] ?? match[4] ?? '';
+    if (!allowed.includes(name)) continue;
+    const value = ['href', 'src'].includes(name)
+      ? safeUrl(raw, tag)
+      : decodeEntities(raw);
+    if (value === null) continue;
+    attributes.push(` ${name}="${escapeHtml(value)}"`);
+  }
+  return attributes.join('');
+};
+
+const escapeText = (text) =>
+  text
+    .replace(/&(?!(#x[0-9a-f]+|#\d+|[a-z]+);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const TOKEN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>/g;
+
+// Keep allowed tags and attributes only; everything else is escaped as
+// text or, for scripts and the like, removed with its content
+export const sanitizeHtml = (html = '') => {
+  let output = '';
+  let last = 0;
+  let dropping = null;
+
+  for (const match of html.matchAll(TOKEN)) {
+    const [token, closing, rawTag = '', attributes = ''] = match;
+    if (!dropping) output += escapeText(html.slice(last, match.index));
+    last = match.index + token.length;
+
+    const tag = rawTag.toLowerCase();
+    if (dropping) {
+      if (closing && tag === dropping) dropping = null;
+      continue;
+    }
+    if (!tag) continue; // A comment
+    if (DROPPED_TAGS.includes(tag)) {
+      if (!closing && !attributes.trim().endsWith('/')) dropping = tag;
+      continue;
+    }
+    if (!ALLOWED_TAGS.includes(tag)) continue;
+    if (closing) {
+      if (!VOID_TAGS.includes(tag)) output += `</${tag}>`;
+    } else {
+      output += `<${tag}${cleanAttributes(tag, attributes)}>`;
+    }
+  }
+  if (!dropping) output += escapeText(html.slice(last));
+  return output;
+};
+
+const stripTags = (html) => html.replace(/<[^>]*>/g, '');
+
+// The plain-text version of an HTML body: paragraphs and headings on
+// their own lines, list items with "-" or numbers, and link addresses
+// in brackets after the link text
+export const htmlToText = (html = '') =>
+  decodeEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '')
+      .replace(
+        /<a\b[^>]*?href\s*=\s*["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi,
+        (link, href, content) => {
+          const label = stripTags(content).trim();
+          const target = decodeEntities(href).replace(/^mailto:/i, '');
+          return !label || label === target ? target : `${label} (${target})`;
+        },
+      )
+      .replace(/<img\b[^>]*?alt\s*=\s*["']([^"']*)["'][^>]*>/gi, '$1')
+      .replace(/<ol\b[^>]*>([\s\S]*?)<\/ol>/gi, (list, items) => {
+        let number = 0;
+        return `\n\n${items.replace(
+          /<li\b[^>]*>/gi,
+          () => `\n${++number}. `,
+        )}\n\n`;
+      })
+      .replace(/<li\b[^>]*>/gi, '\n- ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<hr\b[^>]*>/gi, '\n\n---\n\n')
+      .replace(/<\/?(p|div|h[1-6]|ul|ol|blockquote)\b[^>]*>/gi, '\n\n')
+      .replace(/<[^>]*>/g, ''),
+  )
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// A plain-text body as HTML paragraphs, for switching to rich text.
+// Quotes stay as they are so merge tags like {{Name | "there"}} work.
+export const textToHtml = (text = '') =>
+  text
+    .trim()
+    .split(/\n\s*\n/)
+    .filter(Boolean)
+    .map(
+      (paragraph) =>
+        `<p>${paragraph
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/\n/g, '<br>')}</p>`,
+    )
+    .join('');
+
+// Convert a body when a campaign switches format
+export const convertBody = (body, format) =>
+  format === 'html' ? textToHtml(body) : htmlToText(body);
+
+// The clinic's logo and signature lines as an HTML block
+export const signatureHtml = ({ logoUrl, text }) =>
+  [
+    '<hr>',
+    logoUrl.trim() &&
+      `<p><img src="${escapeHtml(logoUrl.trim())}" alt="Logo" width="160"></p>`,
+    text.trim() && `<p>${escapeHtml(text.trim()).replace(/\n/g, '<br>')}</p>`,
+  ]
+    .filter(Boolean)
+    .join('');
+
+export const loadEmailFormat = () =>
+  localStorage.getItem(FORMAT_KEY) === 'html' ? 'html' : 'text';
+
+export const storeEmailFormat = (format) => {
+  localStorage.setItem(FORMAT_KEY, format);
+};
+
+export const loadSignature = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SIGNATURE_KEY));
+    return { ...DEFAULT_SIGNATURE, ...stored };
+  } catch {
+    return DEFAULT_SIGNATURE;
+  }
+};
+
+export const storeSignature = (signature) => {
+  localStorage.setItem(SIGNATURE_KEY, JSON.stringify(signature));
+};
@@ -0,0 +1,44 @@
+/**
+ * @jest-environment node
+ */
+import { htmlToText, sanitizeHtml, textToHtml } from './emailHtml';
+
+test('sanitizing keeps formatting and drops scripts and handlers', () => {
+  expect(
+    sanitizeHtml(
+      '<h2 style="color:red">Hi</h2><script>alert(1)</script><p onclick="x()">Visit <a href="https://clinic.example/book" onmouseover="x()">us</a></p><img src=x onerror="alert(1)">',
+    ),
+  ).toBe(
+    '<h2>Hi</h2><p>Visit <a href="https://clinic.example/book">us</a></p><img>',
+  );
+});
+
+test('sanitizing removes unsafe link addresses', () => {
+  expect(
+    sanitizeHtml(
+      '<a href="javascript:alert(1)">a</a><a href="jav&#x61;script:alert(1)">b</a><a href=" java\tscript:x">c</a><a href="mailto:front@clinic.example">d</a>',
+    ),
+  ).toBe('<a>a</a><a>b</a><a>c</a><a href="mailto:front@clinic.example">d</a>');
+  expect(sanitizeHtml('<iframe src="https://x.example"></iframe>1 < 2')).toBe(
+    '1 &lt; 2',
+  );
+});
+
+test('plain-text version of an HTML body', () => {
+  expect(
+    htmlToText(
+      '<h2>Reminder</h2><p>Hi&nbsp;Ada,<br>see you soon.</p><ul><li>Bring your card</li><li>Arrive early</li></ul><ol><li>One</li><li>Two</li></ol><p><a href="https://clinic.example/book">Book online</a> or <a href="mailto:front@clinic.example">front@clinic.example</a></p>',
+    ),
+  ).toBe(
+    'Reminder\n\nHi Ada,\nsee you soon.\n\n- Bring your card\n- Arrive early\n\n1. One\n2. Two\n\nBook online (https://clinic.example/book) or front@clinic.example',
+  );
+});
+
+test('plain text converts to escaped paragraphs', () => {
+  expect(textToHtml('Hi <Ada>,\nwelcome.\n\nThanks & bye')).toBe(
+    '<p>Hi &lt;Ada&gt;,<br>welcome.</p><p>Thanks &amp; bye</p>',
+  );
+  expect(textToHtml('Hi {{name | "there"}},')).toBe(
+    '<p>Hi {{name | "there"}},</p>',
+  );
+});
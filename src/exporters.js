@@ -0,0 +1,237 @@
+// Export client records to CSV and XLSX files
+
+import { valueToText, DATE_TYPES, NUMBER_TYPES } from './schema';
+
+export const DATE_FORMATS = {
+  iso: 'YYYY-MM-DD',
+  us: 'MM/DD/YYYY',
+  eu: 'DD/MM/YYYY',
+  locale: 'Browser locale',
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const formatExportDate = (value, type, dateFormat = 'iso') => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return valueToText(value);
+
+  // Date-only values are calendar days stored at UTC midnight
+  const utc = type === 'date';
+  const y = utc ? date.getUTCFullYear() : date.getFullYear();
+  const m = pad((utc ? date.getUTCMonth() : date.getMonth()) + 1);
+  const d = pad(utc ? date.getUTCDate() : date.getDate());
+  const time = utc ? '' : ` ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+  switch (dateFormat) {
+    case 'us':
+      return `${m}/${d}/${y}${time}`;
+    case 'eu':
+      return `${d}/${m}/${y}${time}`;
+    case 'locale':
+      return utc
+        ? date.toLocaleDateString(undefined, { timeZone: 'UTC' })
+        : date.toLocaleString();
+    default:
+      return `${y}-${m}-${d}${time}`;
+  }
+};
+
+// Flatten a cell value to something a spreadsheet can hold: numbers and
+// booleans stay as they are, everything else becomes text. Lists are
+// joined with "; " so commas inside values stay readable.
+export const exportCellValue = (value, field, options = {}) => {
+  const { dateFormat, linkedNames = {} } = options;
+  const type = field?.type;
+
+  if (value === null || value === undefined) {
+    return type === 'checkbox' ? false : '';
+  }
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number' && NUMBER_TYPES.includes(type)) return value;
+  if (DATE_TYPES.includes(type)) {
+    return formatExportDate(value, type, dateFormat);
+  }
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => {
+        if (type === 'multipleRecordLinks') return linkedNames[item] || item;
+        if (type === 'multipleAttachments') return item.url;
+        return valueToText(item);
+      })
+      .join('; ');
+  }
+  return valueToText(value);
+};
+
+export const buildExportRows = (records, fields, options = {}) => [
+  fields.map((field) => field.name),
+  ...records.map((record) =>
+    fields.map((field) =>
+      exportCellValue(record.fields[field.name], field, options),
+    ),
+  ),
+];
+
+// Spreadsheet apps evaluate cells starting with these characters as
+// formulas; prefix them with a quote so they are shown as text.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export const escapeCsvCell = (value) => {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  let text = String(value ?? '');
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(escapeCsvCell).join(',')).join('\r\n');
+
+// Minimal XLSX writer: one worksheet with inline strings, packed into
+// an uncompressed ZIP. Enough for every spreadsheet app to open without
+// pulling in a spreadsheet library.
+
+const escapeXml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const sheetXml = (rows) => {
+  const body = rows
+    .map((row, r) => {
+      const cells = row
+        .map((value, c) => {
+          const ref = `${columnName(c)}${r + 1}`;
+          if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}"><v>${value}</v></c>`;
+          }
+          if (typeof value === 'boolean') {
+            return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+          }
+          if (value === '' || value === null || value === undefined) return '';
+          return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+            String(value),
+          )}</t></is></c>`;
+        })
+        .join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${body}</sheetData></worksheet>`;
+};
+
+const XLSX_PARTS = {
+  '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+  '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+  'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Clients" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Pack files into a ZIP archive using the "stored" (no compression) method
+export const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    const crc = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    chunks.push(new Uint8Array(local.buffer), nameBytes, bytes);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, bytes.length, true);
+    entry.setUint32(24, bytes.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + bytes.length;
+  });
+
+  const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+};
+
+export const toXlsx = (rows) =>
+  createZip([
+    ...Object.entries(XLSX_PARTS).map(([name, data]) => ({ name, data })),
+    { name: 'xl/worksheets/sheet1.xml', data: sheetXml(rows) },
+  ]);
+
+export const XLSX_MIME_TYPE =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,63 @@
+/**
+ * @jest-environment node
+ */
+
+import { buildExportRows, createZip, escapeCsvCell, toCsv } from './exporters';
+
+const fields = [
+  { name: 'Name', type: 'singleLineText' },
+  { name: 'Visits', type: 'number' },
+  { name: 'Last Visit', type: 'date' },
+  { name: 'Tags', type: 'multipleSelects' },
+  { name: 'Doctor', type: 'multipleRecordLinks' },
+];
+
+test('flattens lists, linked records and dates', () => {
+  const rows = buildExportRows(
+    [
+      {
+        id: 'rec1',
+        fields: {
+          Name: 'Maria',
+          Visits: 3,
+          'Last Visit': '2025-12-31',
+          Tags: ['VIP', 'New'],
+          Doctor: ['recDoctor'],
+        },
+      },
+    ],
+    fields,
+    { dateFormat: 'us', linkedNames: { recDoctor: 'Dr. Ng' } },
+  );
+
+  expect(rows).toEqual([
+    ['Name', 'Visits', 'Last Visit', 'Tags', 'Doctor'],
+    ['Maria', 3, '12/31/2025', 'VIP; New', 'Dr. Ng'],
+  ]);
+});
+
+test('escapes CSV cells and neutralizes formulas', () => {
+  expect(escapeCsvCell('Smith, Jr.')).toBe('"Smith, Jr."');
+  expect(escapeCsvCell('say "hi"')).toBe('"say ""hi"""');
+  expect(escapeCsvCell('=HYPERLINK("http://evil")')).toBe(
+    '"\'=HYPERLINK(""http://evil"")"',
+  );
+  expect(escapeCsvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+  expect(escapeCsvCell(-5)).toBe('-5');
+  expect(
+    toCsv([
+      ['a', 'b'],
+      [1, 'x\ny'],
+    ]),
+  ).toBe('a,b\r\n1,"x\ny"');
+});
+
+test('writes a readable ZIP archive', () => {
+  const zip = createZip([{ name: 'hello.txt', data: 'hello' }]);
+  const view = new DataView(zip.buffer);
+
+  expect(view.getUint32(0, true)).toBe(0x04034b50);
+  // CRC-32 of "hello"
+  expect(view.getUint32(14, true)).toBe(0x3610a686);
+  expect(view.getUint32(zip.length - 22, true)).toBe(0x06054b50);
+});
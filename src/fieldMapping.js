@@ -0,0 +1,112 @@
+// Which fields hold a client's email, name, phone and date of birth.
+// Guessed from field names and types, then adjustable per base/table
+// and remembered in localStorage.
+
+import { TEXT_TYPES } from './schema';
+
+export const MAPPED_FIELDS = {
+  email: 'Primary email',
+  secondaryEmail: 'Secondary email',
+  name: 'Full name',
+  firstName: 'First name',
+  lastName: 'Last name',
+  phone: 'Phone',
+  dob: 'Date of birth',
+};
+
+const mappingKey = (config) =>
+  `fieldMapping:${config.baseId}:${config.tableName}`;
+
+// Contacts that belong to someone other than the client
+const NOT_THE_CLIENT =
+  /emergency|guardian|parent|mother|father|spouse|referr|doctor|physician/i;
+// Whole words, so "Mother Email" or "Salt Lake Email" aren't secondary
+const SECONDARY = /\b(secondary|alt(ernate)?|other|work|backup)\b|\b2$/i;
+
+// Text fields only, so an "Email Opt-In" checkbox isn't mistaken for
+// an address
+const isEmailField = (field) =>
+  field.type === 'email' ||
+  (/e-?mail/i.test(field.name) && TEXT_TYPES.includes(field.type));
+
+// Best guess for each mapped field. Exact names win over names that
+// merely mention the thing, so "Email" beats "Emergency Contact Email".
+export const guessFieldMapping = (fields) => {
+  const find = (...tests) => {
+    for (const test of tests) {
+      const field = fields.find(test);
+      if (field) return field.name;
+    }
+    return '';
+  };
+  const ownEmail = (field) =>
+    isEmailField(field) && !NOT_THE_CLIENT.test(field.name);
+
+  const email = find(
+    (f) => isEmailField(f) && /^(primary )?e-?mail( address)?$/i.test(f.name),
+    (f) => ownEmail(f) && !SECONDARY.test(f.name),
+    ownEmail,
+  );
+  const firstName = find((f) => /^(first|given)[ _-]?name$/i.test(f.name));
+  const lastName = find((f) =>
+    /^(last|family)[ _-]?name$|^surname$/i.test(f.name),
+  );
+  return {
+    email,
+    secondaryEmail: find(
+      (f) => f.name !== email && ownEmail(f) && SECONDARY.test(f.name),
+    ),
+    // Without a full name field, first and last name make up the name,
+    // and failing those the primary field does
+    name:
+      find((f) => /^(full |client |patient )?name$/i.test(f.name)) ||
+      (firstName || lastName ? '' : fields[0]?.name || ''),
+    firstName,
+    lastName,
+    phone: find(
+      (f) => f.type === 'phoneNumber' && !NOT_THE_CLIENT.test(f.name),
+      (f) => /phone|mobile/i.test(f.name) && !NOT_THE_CLIENT.test(f.name),
+    ),
+    dob: find((f) => /^dob$|birth/i.test(f.name)),
+  };
+};
+
+// The stored mapping, with guesses for anything not chosen yet
+export const loadFieldMapping = (config, fields) => {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(mappingKey(config))) || {};
+  } catch {
+    // Fall back to the guesses
+  }
+  return { ...guessFieldMapping(fields), ...stored };
+};
+
+export const storeFieldMapping = (config, mapping) => {
+  localStorage.setItem(mappingKey(config), JSON.stringify(mapping));
+};
+
+const text = (value) =>
+  value === undefined || value === null ? '' : String(value).trim();
+
+// How to address a client: the full name field, or first and last name
+export const displayName = (fields, mapping) =>
+  text(fields[mapping.name]) ||
+  [text(fields[mapping.firstName]), text(fields[mapping.lastName])]
+    .filter(Boolean)
+    .join(' ');
+
+// The client's email cell and the field it came from, falling back to
+// the secondary email when the primary one is empty
+export const clientEmail = (fields, mapping) => {
+  const field = [mapping.email, mapping.secondaryEmail].find(
+    (name) => name && text(fields[name]),
+  );
+  return field ? { field, value: fields[field] } : null;
+};
+
+// Mapped fields that no longer exist in the table, e.g. after a rename
+export const missingMappedFields = (mapping, schema) =>
+  Object.keys(MAPPED_FIELDS).filter(
+    (key) => mapping[key] && !schema[mapping[key]],
+  );
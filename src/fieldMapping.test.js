@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+import { clientEmail, displayName, guessFieldMapping } from './fieldMapping';
+
+test("prefers the client's own fields over similar-looking ones", () => {
+  const mapping = guessFieldMapping([
+    { name: 'Patient ID', type: 'autoNumber' },
+    { name: 'Emergency Contact Email', type: 'email' },
+    { name: 'Email Opt-In', type: 'checkbox' },
+    { name: 'Email', type: 'email' },
+    { name: 'Alternate Email', type: 'email' },
+    { name: 'First Name', type: 'singleLineText' },
+    { name: 'Last Name', type: 'singleLineText' },
+    { name: 'Emergency Phone', type: 'phoneNumber' },
+    { name: 'Mobile Phone', type: 'phoneNumber' },
+    { name: 'Date of Birth', type: 'date' },
+  ]);
+
+  expect(mapping).toEqual({
+    email: 'Email',
+    secondaryEmail: 'Alternate Email',
+    name: '',
+    firstName: 'First Name',
+    lastName: 'Last Name',
+    phone: 'Mobile Phone',
+    dob: 'Date of Birth',
+  });
+});
+
+test('builds names and falls back to the secondary email', () => {
+  const mapping = {
+    email: 'Email',
+    secondaryEmail: 'Work Email',
+    firstName: 'First Name',
+    lastName: 'Last Name',
+  };
+  const fields = {
+    'First Name': 'Ada',
+    'Last Name': 'Lovelace',
+    Email: '',
+    'Work Email': 'ada@example.com',
+  };
+
+  expect(displayName(fields, mapping)).toBe('Ada Lovelace');
+  expect(displayName({ Name: 'Ada L.' }, { ...mapping, name: 'Name' })).toBe(
+    'Ada L.',
+  );
+  expect(clientEmail(fields, mapping)).toEqual({
+    field: 'Work Email',
+    value: 'ada@example.com',
+  });
+  expect(clientEmail({}, mapping)).toBeNull();
+});
+
+test('matches secondary email names on whole words', () => {
+  const mapping = guessFieldMapping([
+    { name: 'Email', type: 'email' },
+    { name: 'Mother Email', type: 'email' },
+    { name: 'Email 2', type: 'email' },
+  ]);
+  expect(mapping.email).toBe('Email');
+  expect(mapping.secondaryEmail).toBe('Email 2');
+
+  expect(
+    guessFieldMapping([
+      { name: 'Contact Email', type: 'email' },
+      { name: 'Other Email', type: 'email' },
+    ]),
+  ).toMatchObject({ email: 'Contact Email', secondaryEmail: 'Other Email' });
+});
@@ -0,0 +1,336 @@
+// Structured client filters: a tree of AND/OR groups whose leaves are
+// typed conditions. Filters are plain JSON so they can be saved and
+// shared as-is.
+
+import { valueToText, DATE_TYPES, NUMBER_TYPES } from './schema';
+
+export const OPERATORS = {
+  equals: { label: 'is', arity: 1 },
+  notEquals: { label: 'is not', arity: 1 },
+  contains: { label: 'contains', arity: 1 },
+  notContains: { label: 'does not contain', arity: 1 },
+  startsWith: { label: 'starts with', arity: 1 },
+  greaterThan: { label: '>', arity: 1 },
+  lessThan: { label: '<', arity: 1 },
+  before: { label: 'is before', arity: 1 },
+  after: { label: 'is after', arity: 1 },
+  between: { label: 'is between', arity: 2 },
+  withinDays: { label: 'is within the last', arity: 1, unit: 'days' },
+  notWithinDays: { label: 'is not within the last', arity: 1, unit: 'days' },
+  isAnyOf: { label: 'is any of', arity: 'many' },
+  isNoneOf: { label: 'is none of', arity: 'many' },
+  hasAllOf: { label: 'has all of', arity: 'many' },
+  isChecked: { label: 'is checked', arity: 0 },
+  isNotChecked: { label: 'is not checked', arity: 0 },
+  isEmpty: { label: 'is empty', arity: 0 },
+  isNotEmpty: { label: 'is not empty', arity: 0 },
+};
+
+const TEXT_OPERATORS = [
+  'contains',
+  'notContains',
+  'equals',
+  'notEquals',
+  'startsWith',
+  'isEmpty',
+  'isNotEmpty',
+];
+
+// Field kind used to pick operators and compare values
+export const fieldKind = (field) => {
+  const type = field?.type;
+  if (type === 'checkbox') return 'checkbox';
+  if (NUMBER_TYPES.includes(type)) return 'number';
+  if (DATE_TYPES.includes(type)) return 'date';
+  if (type === 'singleSelect') return 'select';
+  if (
+    [
+      'multipleSelects',
+      'multipleRecordLinks',
+      'multipleCollaborators',
+      'multipleLookupValues',
+    ].includes(type)
+  ) {
+    return 'list';
+  }
+  return 'text';
+};
+
+export const operatorsFor = (field) =>
+  ({
+    checkbox: ['isChecked', 'isNotChecked'],
+    number: [
+      'equals',
+      'notEquals',
+      'greaterThan',
+      'lessThan',
+      'between',
+      'isEmpty',
+      'isNotEmpty',
+    ],
+    date: [
+      'equals',
+      'before',
+      'after',
+      'between',
+      'withinDays',
+      'notWithinDays',
+      'isEmpty',
+      'isNotEmpty',
+    ],
+    select: [
+      'equals',
+      'notEquals',
+      'isAnyOf',
+      'isNoneOf',
+      'isEmpty',
+      'isNotEmpty',
+    ],
+    list: [
+      'isAnyOf',
+      'hasAllOf',
+      'isNoneOf',
+      'contains',
+      'isEmpty',
+      'isNotEmpty',
+    ],
+    text: TEXT_OPERATORS,
+  }[fieldKind(field)]);
+
+export const createGroup = (conjunction = 'and') => ({
+  type: 'group',
+  conjunction,
+  conditions: [],
+});
+
+export const createCondition = (field) => ({
+  type: 'condition',
+  field: field?.name || '',
+  operator: operatorsFor(field)[0],
+  value: '',
+});
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// A condition only takes part in filtering once its value is filled in,
+// and a day count only once it is a number
+export const isConditionActive = (condition) => {
+  const { arity, unit } = OPERATORS[condition.operator] || {};
+  if (!condition.field || arity === undefined) return false;
+  if (arity === 0) return true;
+  if (arity === 2) {
+    const [from, to] = [].concat(condition.value);
+    return !isBlank(from) || !isBlank(to);
+  }
+  if (unit === 'days') {
+    return (
+      !isBlank(condition.value) && Number.isFinite(Number(condition.value))
+    );
+  }
+  return !isBlank(condition.value);
+};
+
+export const countConditions = (node) => {
+  if (!node) return 0;
+  if (node.type === 'condition') return isConditionActive(node) ? 1 : 0;
+  return node.conditions.reduce(
+    (sum, child) => sum + countConditions(child),
+    0,
+  );
+};
+
+const toNumber = (value) =>
+  value === '' || value === null || value === undefined ? NaN : Number(value);
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// A date's local calendar day, as YYYY-MM-DD
+const localDay = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Dates compare on their calendar day so "before 2026-01-01" excludes
+// anything on the 1st regardless of time of day. Date-times count on the
+// user's local day, like "today" in daysAgo.
+const toDay = (value) => {
+  if (isBlank(value)) return null;
+  const text = String(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : localDay(date);
+};
+
+// The local calendar day `days` before today
+const daysAgo = (days, today = new Date()) => {
+  const date = new Date(today);
+  date.setDate(date.getDate() - days);
+  return localDay(date);
+};
+
+const listOf = (value) =>
+  [].concat(value ?? []).map((item) => valueToText(item).toLowerCase());
+
+const compare = (kind, actual, expected) => {
+  if (kind === 'number') return toNumber(actual) - toNumber(expected);
+  if (kind === 'date') {
+    const a = toDay(actual);
+    const b = toDay(expected);
+    if (a === null || b === null) return NaN;
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return valueToText(actual).localeCompare(valueToText(expected), undefined, {
+    sensitivity: 'accent',
+  });
+};
+
+const matchesCondition = (condition, record, schema) => {
+  const field = schema[condition.field];
+  const kind = fieldKind(field);
+  const actual = record.fields[condition.field];
+  const expected = condition.value;
+  const text = valueToText(actual).toLowerCase();
+  const expectedList = listOf(expected);
+
+  switch (condition.operator) {
+    case 'isEmpty':
+      return isBlank(actual);
+    case 'isNotEmpty':
+      return !isBlank(actual);
+    case 'isChecked':
+      return Boolean(actual);
+    case 'isNotChecked':
+      return !actual;
+    case 'equals':
+      if (kind === 'list') return listOf(actual).includes(expectedList[0]);
+      return !isBlank(actual) && compare(kind, actual, expected) === 0;
+    case 'notEquals':
+      return isBlank(actual) || compare(kind, actual, expected) !== 0;
+    case 'contains':
+      return text.includes(String(expected).toLowerCase());
+    case 'notContains':
+      return !text.includes(String(expected).toLowerCase());
+    case 'startsWith':
+      return text.startsWith(String(expected).toLowerCase());
+    case 'greaterThan':
+    case 'after':
+      return compare(kind, actual, expected) > 0;
+    case 'lessThan':
+    case 'before':
+      return compare(kind, actual, expected) < 0;
+    // Relative to today so a saved "not contacted in 90 days" view stays
+    // current; never-set dates count as not within
+    case 'withinDays':
+      return compare(kind, actual, daysAgo(toNumber(expected))) >= 0;
+    case 'notWithinDays':
+      return (
+        isBlank(actual) ||
+        compare(kind, actual, daysAgo(toNumber(expected))) < 0
+      );
+    case 'between': {
+      const [from, to] = [].concat(expected);
+      if (isBlank(actual)) return false;
+      return (
+        (isBlank(from) || compare(kind, actual, from) >= 0) &&
+        (isBlank(to) || compare(kind, actual, to) <= 0)
+      );
+    }
+    case 'isAnyOf':
+      return listOf(actual).some((item) => expectedList.includes(item));
+    case 'isNoneOf':
+      return !listOf(actual).some((item) => expectedList.includes(item));
+    case 'hasAllOf': {
+      const items = listOf(actual);
+      return expectedList.every((item) => items.includes(item));
+    }
+    default:
+      return true;
+  }
+};
+
+// Evaluate a filter tree against a record. Incomplete conditions and
+// empty groups match everything so a half-built filter doesn't hide
+// the whole table.
+export const matchesFilter = (node, record, schema = {}) => {
+  if (!node) return true;
+  if (node.type === 'condition') {
+    return !isConditionActive(node) || matchesCondition(node, record, schema);
+  }
+  const active = node.conditions.filter((child) => countConditions(child) > 0);
+  if (active.length === 0) return true;
+  return node.conjunction === 'or'
+    ? active.some((child) => matchesFilter(child, record, schema))
+    : active.every((child) => matchesFilter(child, record, schema));
+};
+
+// A valid node, or null for anything malformed
+const normalizeNode = (node) => {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return null;
+  if (node.type === 'condition') {
+    if (
+      typeof node.field !== 'string' ||
+      typeof node.operator !== 'string' ||
+      !Object.hasOwn(OPERATORS, node.operator)
+    ) {
+      return null;
+    }
+    return {
+      type: 'condition',
+      field: node.field,
+      operator: node.operator,
+      value: node.value ?? '',
+    };
+  }
+  return {
+    type: 'group',
+    conjunction: node.conjunction === 'or' ? 'or' : 'and',
+    conditions: (Array.isArray(node.conditions) ? node.conditions : [])
+      .map(normalizeNode)
+      .filter(Boolean),
+  };
+};
+
+// Validate a filter read from storage or a shared link, dropping
+// malformed conditions. The result is always a group: input that isn't
+// a filter becomes an empty one, and a lone condition is wrapped in one.
+export const normalizeFilter = (node) => {
+  const normalized = normalizeNode(node);
+  if (!normalized) return createGroup();
+  return normalized.type === 'group'
+    ? normalized
+    : { ...createGroup(), conditions: [normalized] };
+};
+
+export const serializeFilter = (node) => JSON.stringify(node);
+
+export const parseFilter = (text) => {
+  try {
+    return normalizeFilter(JSON.parse(text));
+  } catch {
+    return createGroup();
+  }
+};
+
+// Human-readable summary, e.g. `Last Visit is before 2026-01-01`
+export const describeFilter = (node) => {
+  if (node.type === 'condition') {
+    const { label, arity, unit } = OPERATORS[node.operator];
+    if (arity === 0) return `${node.field} ${label}`;
+    if (unit) return `${node.field} ${label} ${node.value} ${unit}`;
+    if (arity === 2) {
+      const [from, to] = [].concat(node.value);
+      return `${node.field} ${label} ${from || '…'} and ${to || '…'}`;
+    }
+    return `${node.field} ${label} ${[].concat(node.value).join(', ')}`;
+  }
+  const parts = node.conditions
+    .filter((child) => countConditions(child) > 0)
+    .map((child) =>
+      child.type === 'group'
+        ? `(${describeFilter(child)})`
+        : describeFilter(child),
+    );
+  return parts.join(node.conjunction === 'or' ? ' OR ' : ' AND ');
+};
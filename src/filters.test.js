@@ -0,0 +1,197 @@
+import {
+  countConditions,
+  createGroup,
+  describeFilter,
+  matchesFilter,
+  parseFilter,
+  serializeFilter,
+} from './filters';
+
+const schema = {
+  Name: { name: 'Name', type: 'singleLineText' },
+  'Last Visit': { name: 'Last Visit', type: 'date' },
+  Insurance: {
+    name: 'Insurance',
+    type: 'singleSelect',
+    options: { choices: [{ name: 'Aetna' }, { name: 'Cigna' }] },
+  },
+  Age: { name: 'Age', type: 'number' },
+};
+
+const record = (fields) => ({ id: 'rec', fields });
+
+// Last Visit before 2026-01-01 AND (Insurance = Aetna OR Insurance = Cigna)
+const filter = {
+  type: 'group',
+  conjunction: 'and',
+  conditions: [
+    {
+      type: 'condition',
+      field: 'Last Visit',
+      operator: 'before',
+      value: '2026-01-01',
+    },
+    {
+      type: 'group',
+      conjunction: 'or',
+      conditions: [
+        {
+          type: 'condition',
+          field: 'Insurance',
+          operator: 'equals',
+          value: 'Aetna',
+        },
+        {
+          type: 'condition',
+          field: 'Insurance',
+          operator: 'equals',
+          value: 'Cigna',
+        },
+      ],
+    },
+  ],
+};
+
+test('evaluates nested AND/OR groups', () => {
+  const match = (fields) => matchesFilter(filter, record(fields), schema);
+
+  expect(match({ 'Last Visit': '2025-06-01', Insurance: 'Aetna' })).toBe(true);
+  expect(match({ 'Last Visit': '2025-06-01', Insurance: 'Cigna' })).toBe(true);
+  expect(match({ 'Last Visit': '2025-06-01', Insurance: 'Humana' })).toBe(
+    false,
+  );
+  expect(match({ 'Last Visit': '2026-01-01', Insurance: 'Aetna' })).toBe(false);
+  expect(match({ Insurance: 'Aetna' })).toBe(false);
+});
+
+test('supports ranges, prefixes and emptiness checks', () => {
+  const condition = (field, operator, value) => ({
+    type: 'group',
+    conjunction: 'and',
+    conditions: [{ type: 'condition', field, operator, value }],
+  });
+  const client = record({ Name: 'Maria Lopez', Age: 67 });
+
+  expect(
+    matchesFilter(condition('Age', 'between', ['65', '']), client, schema),
+  ).toBe(true);
+  expect(
+    matchesFilter(condition('Age', 'between', ['18', '64']), client, schema),
+  ).toBe(false);
+  expect(
+    matchesFilter(condition('Name', 'startsWith', 'maria'), client, schema),
+  ).toBe(true);
+  expect(
+    matchesFilter(condition('Insurance', 'isEmpty', ''), client, schema),
+  ).toBe(true);
+  expect(
+    matchesFilter(
+      condition('Insurance', 'isAnyOf', ['Aetna', 'Cigna']),
+      client,
+      schema,
+    ),
+  ).toBe(false);
+});
+
+test('matches dates relative to today', () => {
+  const daysAgo = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return date.toLocaleDateString('en-CA');
+  };
+  const notRecent = {
+    type: 'condition',
+    field: 'Last Visit',
+    operator: 'notWithinDays',
+    value: '90',
+  };
+  const match = (fields) => matchesFilter(notRecent, record(fields), schema);
+
+  expect(match({ 'Last Visit': daysAgo(120) })).toBe(true);
+  expect(match({ 'Last Visit': daysAgo(10) })).toBe(false);
+  expect(match({})).toBe(true);
+  expect(
+    matchesFilter(
+      { ...notRecent, operator: 'withinDays' },
+      record({ 'Last Visit': daysAgo(10) }),
+      schema,
+    ),
+  ).toBe(true);
+
+  // Date-times count on the local day, like "today"
+  const earlyYesterday = new Date();
+  earlyYesterday.setDate(earlyYesterday.getDate() - 1);
+  earlyYesterday.setHours(0, 1, 0, 0);
+  expect(
+    matchesFilter(
+      { ...notRecent, field: 'Seen', operator: 'withinDays', value: '1' },
+      record({ Seen: earlyYesterday.toISOString() }),
+      { Seen: { name: 'Seen', type: 'dateTime' } },
+    ),
+  ).toBe(true);
+
+  // A day count that isn't a number leaves the filter off
+  const nonsense = { ...notRecent, value: 'soon' };
+  expect(countConditions(nonsense)).toBe(0);
+  expect(
+    matchesFilter(nonsense, record({ 'Last Visit': daysAgo(10) }), schema),
+  ).toBe(true);
+});
+
+test('ignores incomplete conditions', () => {
+  const draft = {
+    ...createGroup(),
+    conditions: [
+      { type: 'condition', field: 'Name', operator: 'contains', value: '' },
+    ],
+  };
+
+  expect(countConditions(draft)).toBe(0);
+  expect(matchesFilter(draft, record({}), schema)).toBe(true);
+});
+
+test('round-trips through serialization and drops malformed nodes', () => {
+  expect(parseFilter(serializeFilter(filter))).toEqual(filter);
+
+  const parsed = parseFilter(
+    JSON.stringify({
+      type: 'group',
+      conjunction: 'or',
+      conditions: [{ type: 'condition', field: 'Name', operator: 'bogus' }],
+    }),
+  );
+  expect(parsed).toEqual(createGroup('or'));
+  expect(parseFilter('not json')).toEqual(createGroup());
+  expect(
+    parseFilter(
+      JSON.stringify({
+        type: 'group',
+        conditions: [
+          null,
+          'Name',
+          [],
+          { type: 'condition', field: 'Age', operator: 'equals', value: 3 },
+        ],
+      }),
+    ).conditions,
+  ).toEqual([
+    { type: 'condition', field: 'Age', operator: 'equals', value: 3 },
+  ]);
+
+  // Inherited keys aren't operators, and the root stays a group
+  const inherited = parseFilter(
+    JSON.stringify({ type: 'condition', field: 'Name', operator: 'toString' }),
+  );
+  expect(inherited).toEqual(createGroup());
+  expect(describeFilter(inherited)).toBe('');
+  expect(
+    parseFilter(
+      JSON.stringify({
+        type: 'condition',
+        field: 'Name',
+        operator: 'contains',
+        value: 'Ann',
+      }),
+    ).conditions,
+  ).toHaveLength(1);
+});
@@ -0,0 +1,339 @@
+// Campaign history: which message went to whom and when, kept in
+// localStorage per table. Each contact can also be written back to
+// Airtable, either as a "Last Contacted" date on the client or as a row
+// in a linked communications table.
+//
+// Entry: { id, subject, body, format, variants, mode, createdAt,
+//          updatedAt, recipients: [{ key, id, name, email, variant,
+//                                    status, at, error, confirmed,
+//                                    recorded, recordError }] }
+// `variants` holds A/B variants B, C, … as on the campaign (see
+// variants.js); the subject and body are variant A. `outcomeField` is
+// the client field the variants are compared on.
+
+import { createRecords, runInBatches, updateRecords } from './airtable';
+import { recipientKey } from './mailer';
+import { campaignVariants, hasVariants, variantContent } from './variants';
+import { htmlToText } from './emailHtml';
+
+export const DELIVERY_STATUSES = {
+  scheduled: 'Scheduled',
+  queued: 'Queued',
+  sent: 'Sent',
+  failed: 'Failed',
+  opened: 'Opened in mail client',
+  exported: 'Exported as .eml',
+  cancelled: 'Cancelled',
+};
+
+// Statuses that count as the patient having been contacted. A message
+// opened in a mail client or exported may never have been sent.
+export const CONTACTED_STATUSES = ['sent'];
+
+// Statuses staff can mark as sent once the message has gone out
+export const UNCONFIRMED_STATUSES = ['opened', 'exported'];
+
+export const WRITE_BACK_MODES = {
+  none: "Don't write to Airtable",
+  field: 'Set a date field on the client',
+  table: 'Add a row to a communications table',
+};
+
+export const DEFAULT_WRITE_BACK = {
+  mode: 'none',
+  field: 'Last Contacted',
+  table: 'Communications',
+  linkField: 'Client',
+  dateField: 'Date',
+  subjectField: 'Subject',
+  bodyField: '',
+  variantField: '',
+};
+
+const historyKey = (config) =>
+  `campaignHistory:${config.baseId}:${config.tableName}`;
+const writeBackKey = (config) =>
+  `contactWriteBack:${config.baseId}:${config.tableName}`;
+
+export const loadHistory = (config) => {
+  try {
+    const history = JSON.parse(localStorage.getItem(historyKey(config)));
+    return Array.isArray(history) ? history : [];
+  } catch {
+    return [];
+  }
+};
+
+export const storeHistory = (config, history) => {
+  localStorage.setItem(historyKey(config), JSON.stringify(history));
+};
+
+export const loadWriteBack = (config) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(writeBackKey(config)));
+    return { ...DEFAULT_WRITE_BACK, ...stored };
+  } catch {
+    return DEFAULT_WRITE_BACK;
+  }
+};
+
+export const storeWriteBack = (config, settings) => {
+  localStorage.setItem(writeBackKey(config), JSON.stringify(settings));
+};
+
+// Add or update the campaign's entry with `status` for `recipients`
+// ({ id, name, email }). The subject and body are refreshed so the log
+// keeps the text that was actually sent last.
+export const recordDelivery = (history, campaign, recipients, status, mode) => {
+  const now = new Date().toISOString();
+  const existing = history.find((entry) => entry.id === campaign.id);
+  const byKey = new Map(
+    (existing?.recipients || []).map((recipient) => [recipient.key, recipient]),
+  );
+  recipients.forEach((recipient) => {
+    const key = recipientKey(recipient);
+    byKey.set(key, {
+      ...byKey.get(key),
+      key,
+      id: recipient.id || null,
+      name: recipient.name,
+      email: recipient.email,
+      variant: recipient.variant || byKey.get(key)?.variant || null,
+      status,
+      at: now,
+      error: null,
+      confirmed: false,
+    });
+  });
+
+  const entry = {
+    createdAt: now,
+    ...existing,
+    id: campaign.id,
+    subject: campaign.subject,
+    body: campaign.body,
+    format: campaign.format || 'text',
+    ...(hasVariants(campaign) && { variants: campaign.variants }),
+    mode,
+    updatedAt: now,
+    recipients: [...byKey.values()],
+  };
+  return existing
+    ? history.map((e) => (e.id === campaign.id ? entry : e))
+    : [entry, ...history];
+};
+
+// Apply `changes` (or a function of the recipient) to some recipients
+// of one campaign
+export const updateRecipients = (history, campaignId, keys, changes) => {
+  const keySet = new Set(keys);
+  return history.map((entry) =>
+    entry.id !== campaignId
+      ? entry
+      : {
+          ...entry,
+          updatedAt: new Date().toISOString(),
+          recipients: entry.recipients.map((recipient) =>
+            keySet.has(recipient.key)
+              ? {
+                  ...recipient,
+                  ...(typeof changes === 'function'
+                    ? changes(recipient)
+                    : changes),
+                }
+              : recipient,
+          ),
+        },
+  );
+};
+
+// Mark messages opened in a mail client or exported as sent, keeping
+// when they were opened or exported as the contact time
+export const markSent = (history, campaignId, keys) =>
+  updateRecipients(history, campaignId, keys, (recipient) =>
+    UNCONFIRMED_STATUSES.includes(recipient.status)
+      ? { status: 'sent', confirmed: true }
+      : {},
+  );
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const localDay = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Date fields take a calendar day in the user's time zone; anything
+// else gets the full timestamp
+const contactDate = (field, date = new Date()) =>
+  field?.type === 'date' ? localDay(date) : date.toISOString();
+
+export const writeBackError = (settings, schema) => {
+  if (settings.mode === 'field') {
+    const field = schema[settings.field];
+    if (!field) return `The table has no "${settings.field}" field`;
+    if (!['date', 'dateTime', 'singleLineText'].includes(field.type)) {
+      return `"${settings.field}" should be a date field`;
+    }
+  }
+  if (settings.mode === 'table') {
+    if (!settings.table.trim() || !settings.linkField.trim()) {
+      return 'Set the communications table and its link field';
+    }
+  }
+  return null;
+};
+
+// Record a contact in Airtable for every recipient that has a record
+// id. Returns the keys that were recorded, per-recipient failures and,
+// in field mode, the updated client records.
+export const writeBackContacts = async (
+  config,
+  settings,
+  schema,
+  campaign,
+  recipients,
+) => {
+  // A client emailed at several addresses is recorded once
+  const keysById = new Map();
+  const recipientById = new Map();
+  recipients
+    .filter((recipient) => recipient.id)
+    .forEach((recipient) => {
+      keysById.set(recipient.id, [
+        ...(keysById.get(recipient.id) || []),
+        recipientKey(recipient),
+      ]);
+      recipientById.set(recipient.id, recipient);
+    });
+  const ids = [...keysById.keys()];
+
+  if (settings.mode === 'field') {
+    const date = contactDate(schema[settings.field]);
+    const outcome = await runInBatches(
+      ids.map((id) => ({ id, fields: { [settings.field]: date } })),
+      (chunk) => updateRecords(config, chunk),
+    );
+    return {
+      recorded: outcome.results.flatMap((record) => keysById.get(record.id)),
+      failures: outcome.failures.flatMap(({ item, error }) =>
+        keysById.get(item.id).map((key) => ({ key, error })),
+      ),
+      records: outcome.results,
+    };
+  }
+
+  if (settings.mode === 'table') {
+    const tableConfig = { ...config, tableName: settings.table };
+    const now = new Date().toISOString();
+    const rows = ids.map((id) => {
+      const recipient = recipientById.get(id);
+      // The row gets the A/B variant this client was sent
+      const { subject, body } = variantContent(campaign, recipient);
+      return {
+        fields: {
+          [settings.linkField]: [id],
+          ...(settings.dateField && { [settings.dateField]: now }),
+          ...(settings.subjectField && { [settings.subjectField]: subject }),
+          ...(settings.bodyField && {
+            [settings.bodyField]:
+              campaign.format === 'html' ? htmlToText(body) : body,
+          }),
+          ...(settings.variantField &&
+            recipient.variant && {
+              [settings.variantField]: recipient.variant,
+            }),
+        },
+      };
+    });
+    const outcome = await runInBatches(rows, (chunk) =>
+      createRecords(tableConfig, chunk),
+    );
+    const failedIds = new Set(
+      outcome.failures.map(({ item }) => item.fields[settings.linkField][0]),
+    );
+    return {
+      recorded: ids
+        .filter((id) => !failedIds.has(id))
+        .flatMap((id) => keysById.get(id)),
+      failures: outcome.failures.flatMap(({ item, error }) =>
+        keysById
+          .get(item.fields[settings.linkField][0])
+          .map((key) => ({ key, error })),
+      ),
+      records: [],
+    };
+  }
+
+  return { recorded: [], failures: [], records: [] };
+};
+
+// Contacts still waiting to be written back to Airtable
+export const unrecordedRecipients = (entry) =>
+  entry.recipients.filter(
+    (recipient) =>
+      recipient.id &&
+      !recipient.recorded &&
+      CONTACTED_STATUSES.includes(recipient.status),
+  );
+
+// Messages that may or may not have been sent (see markSent)
+export const unconfirmedRecipients = (entry) =>
+  entry.recipients.filter((recipient) =>
+    UNCONFIRMED_STATUSES.includes(recipient.status),
+  );
+
+const DATE_VALUE = /^\d{4}-\d{2}-\d{2}(T.*)?$/;
+
+// Whether an outcome value counts for a client contacted at `at`. A date
+// (say "Appointment Booked") must fall on or after the contact; other
+// values, like a "Replied" checkbox, carry no time and count if set.
+const hasOutcomeSince = (value, at) => {
+  if (
+    value === undefined ||
+    value === null ||
+    value === '' ||
+    value === false ||
+    (Array.isArray(value) && value.length === 0)
+  ) {
+    return false;
+  }
+  if (typeof value !== 'string' || !DATE_VALUE.test(value)) return true;
+  return value.length === 10
+    ? value >= localDay(new Date(at))
+    : new Date(value) >= new Date(at);
+};
+
+// Per-variant results of an A/B campaign: how many clients got each
+// variant, how many were contacted (sent by the server or marked as
+// sent, see markSent) and how many have `outcomeField`
+// filled in on their record since they were first contacted (see
+// hasOutcomeSince). Clients are counted once however many addresses
+// they were emailed at.
+export const compareVariants = (entry, clients, outcomeField) => {
+  const clientsById = new Map(clients.map((client) => [client.id, client]));
+  return campaignVariants(entry).map(({ label, subject }) => {
+    // Client id -> when they were first contacted, or null
+    const byClient = new Map();
+    entry.recipients
+      .filter((recipient) => (recipient.variant || 'A') === label)
+      .forEach((recipient) => {
+        const id = recipient.id || recipient.key;
+        const previous = byClient.get(id) || null;
+        const at = CONTACTED_STATUSES.includes(recipient.status)
+          ? recipient.at
+          : null;
+        byClient.set(id, previous && (!at || previous < at) ? previous : at);
+      });
+    const contacted = [...byClient].filter(([, at]) => at);
+    return {
+      label,
+      subject,
+      recipients: byClient.size,
+      contacted: contacted.length,
+      outcomes: outcomeField
+        ? contacted.filter(([id, at]) =>
+            hasOutcomeSince(clientsById.get(id)?.fields[outcomeField], at),
+          ).length
+        : null,
+    };
+  });
+};
@@ -0,0 +1,187 @@
+/**
+ * @jest-environment node
+ */
+import {
+  compareVariants,
+  markSent,
+  recordDelivery,
+  unconfirmedRecipients,
+  unrecordedRecipients,
+  updateRecipients,
+} from './history';
+
+const campaign = { id: 'cmp1', subject: 'Checkup', body: 'Hi {{name}}' };
+const ada = { id: 'rec1', name: 'Ada', email: 'ada@example.com' };
+const bob = { id: 'rec2', name: 'Bob', email: 'bob@example.com' };
+
+test('records deliveries per recipient under one campaign entry', () => {
+  let history = recordDelivery([], campaign, [ada, bob], 'queued', 'queue');
+  history = recordDelivery(history, campaign, [ada], 'sent', 'queue');
+
+  expect(history).toHaveLength(1);
+  expect(history[0]).toMatchObject({ id: 'cmp1', subject: 'Checkup' });
+  expect(history[0].recipients.map((r) => [r.key, r.status])).toEqual([
+    ['rec1', 'sent'],
+    ['rec2', 'queued'],
+  ]);
+
+  const other = recordDelivery(
+    history,
+    { ...campaign, id: 'cmp2' },
+    [bob],
+    'opened',
+    'individual',
+  );
+  expect(other.map((entry) => entry.id)).toEqual(['cmp2', 'cmp1']);
+});
+
+test('tracks which contacts still need writing back', () => {
+  let history = recordDelivery([], campaign, [ada, bob], 'sent', 'queue');
+  history = recordDelivery(
+    history,
+    campaign,
+    [{ name: 'No record', email: 'x@example.com' }],
+    'sent',
+    'queue',
+  );
+  history = updateRecipients(history, 'cmp1', ['rec1'], { recorded: true });
+
+  expect(unrecordedRecipients(history[0]).map((r) => r.key)).toEqual(['rec2']);
+
+  history = updateRecipients(history, 'cmp1', ['rec2'], {
+    status: 'failed',
+    error: 'SMTP 550',
+  });
+  expect(unrecordedRecipients(history[0])).toEqual([]);
+});
+
+test('records mail opened or exported once it is marked as sent', () => {
+  let history = recordDelivery([], campaign, [ada], 'opened', 'individual');
+  history = recordDelivery(history, campaign, [bob], 'exported', 'eml');
+  const { at } = history[0].recipients[0];
+  expect(unrecordedRecipients(history[0])).toEqual([]);
+  expect(unconfirmedRecipients(history[0]).map((r) => r.key)).toEqual([
+    'rec1',
+    'rec2',
+  ]);
+
+  history = markSent(history, 'cmp1', ['rec1', 'rec2']);
+  expect(unconfirmedRecipients(history[0])).toEqual([]);
+  expect(unrecordedRecipients(history[0]).map((r) => r.key)).toEqual([
+    'rec1',
+    'rec2',
+  ]);
+  expect(history[0].recipients[0]).toMatchObject({
+    status: 'sent',
+    confirmed: true,
+    at,
+  });
+
+  // Only unconfirmed mail is marked
+  history = updateRecipients(history, 'cmp1', ['rec2'], { status: 'failed' });
+  history = markSent(history, 'cmp1', ['rec2']);
+  expect(history[0].recipients[1].status).toBe('failed');
+});
+
+test('compares A/B variants by an outcome field on the client', () => {
+  const abCampaign = {
+    ...campaign,
+    variants: [{ subject: 'Book now', body: 'Hi' }],
+  };
+  const cy = { id: 'rec3', name: 'Cy', email: 'cy@example.com' };
+  let history = recordDelivery(
+    [],
+    abCampaign,
+    [
+      { ...ada, variant: 'A' },
+      { ...bob, variant: 'B' },
+      { ...cy, variant: 'B' },
+    ],
+    'sent',
+    'queue',
+  );
+  history = updateRecipients(history, 'cmp1', ['rec3'], { status: 'failed' });
+
+  const clients = [
+    { id: 'rec1', fields: { Booked: true } },
+    { id: 'rec2', fields: { Booked: true } },
+    { id: 'rec3', fields: { Booked: true } },
+  ];
+  expect(history[0].variants).toEqual(abCampaign.variants);
+  expect(compareVariants(history[0], clients, 'Booked')).toEqual([
+    {
+      label: 'A',
+      subject: 'Checkup',
+      recipients: 1,
+      contacted: 1,
+      outcomes: 1,
+    },
+    {
+      label: 'B',
+      subject: 'Book now',
+      recipients: 2,
+      contacted: 1,
+      outcomes: 1,
+    },
+  ]);
+});
+
+test('compares variants sent from a mail client once marked as sent', () => {
+  const abCampaign = {
+    ...campaign,
+    variants: [{ subject: 'Book now', body: 'Hi' }],
+  };
+  let history = recordDelivery(
+    [],
+    abCampaign,
+    [
+      { ...ada, variant: 'A' },
+      { ...bob, variant: 'B' },
+    ],
+    'exported',
+    'eml',
+  );
+  const clients = [
+    { id: 'rec1', fields: { Replied: true } },
+    { id: 'rec2', fields: {} },
+  ];
+  const counts = () =>
+    compareVariants(history[0], clients, 'Replied').map((result) => [
+      result.label,
+      result.contacted,
+      result.outcomes,
+    ]);
+
+  expect(counts()).toEqual([
+    ['A', 0, 0],
+    ['B', 0, 0],
+  ]);
+  history = markSent(history, 'cmp1', ['rec1', 'rec2']);
+  expect(counts()).toEqual([
+    ['A', 1, 1],
+    ['B', 1, 0],
+  ]);
+});
+
+test('counts only sent mail and outcomes dated after it', () => {
+  const opened = recordDelivery([], campaign, [bob], 'opened', 'individual');
+  expect(unrecordedRecipients(opened[0])).toEqual([]);
+
+  let history = recordDelivery([], campaign, [ada, bob], 'sent', 'queue');
+  history = updateRecipients(history, 'cmp1', ['rec1', 'rec2'], {
+    at: '2026-03-10T15:00:00.000Z',
+  });
+  const clients = [
+    { id: 'rec1', fields: { Booked: '2026-03-01' } },
+    { id: 'rec2', fields: { Booked: '2026-03-12' } },
+  ];
+  expect(compareVariants(history[0], clients, 'Booked')).toEqual([
+    {
+      label: 'A',
+      subject: 'Checkup',
+      recipients: 2,
+      contacted: 2,
+      outcomes: 1,
+    },
+  ]);
+});
@@ -0,0 +1,347 @@
+// CSV import: parsing, column mapping, type conversion and duplicate
+// detection. Everything here is pure so the wizard can show a dry run
+// before anything is written to Airtable.
+
+import { validateField } from './validation';
+import { selectChoices, valueToText, NUMBER_TYPES } from './schema';
+import { guessFieldMapping } from './fieldMapping';
+
+// Parse RFC 4180 CSV. Handles quoted fields, escaped quotes, embedded
+// newlines, CRLF line endings and a leading byte order mark. The
+// delimiter (comma, semicolon or tab) is detected from the first line.
+export const parseCsv = (text) => {
+  const input = text.replace(/^\ufeff/, '');
+  const newline = input.indexOf('\n');
+  const firstLine = newline === -1 ? input : input.slice(0, newline);
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best,
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((value) => value.trim() !== ''));
+  const [headers = [], ...data] = nonEmpty;
+  return { headers: headers.map((h) => h.trim()), rows: data };
+};
+
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const SYNONYMS = [
+  ['email', 'emailaddress', 'email1', 'mail'],
+  ['phone', 'phonenumber', 'mobile', 'cell', 'tel', 'telephone'],
+  ['dob', 'dateofbirth', 'birthdate', 'birthday'],
+  ['firstname', 'first', 'givenname', 'forename'],
+  ['lastname', 'last', 'surname', 'familyname'],
+  ['name', 'fullname', 'clientname', 'patientname'],
+  ['zip', 'zipcode', 'postcode', 'postalcode'],
+];
+
+// Suggest a table field for each CSV header: exact name match first,
+// then known synonyms, then one name containing the other.
+export const suggestMapping = (headers, fields) => {
+  const used = new Set();
+  const mapping = {};
+
+  const pick = (header, predicate) => {
+    const field = fields.find((f) => !used.has(f.name) && predicate(f));
+    if (field) {
+      used.add(field.name);
+      mapping[header] = field.name;
+    }
+    return Boolean(field);
+  };
+
+  const passes = [
+    (h, f) => normalizeName(f.name) === normalizeName(h),
+    (h, f) =>
+      SYNONYMS.some(
+        (group) =>
+          group.includes(normalizeName(h)) &&
+          group.includes(normalizeName(f.name)),
+      ),
+    (h, f) => {
+      const a = normalizeName(h);
+      const b = normalizeName(f.name);
+      return a.length > 2 && b.length > 2 && (a.includes(b) || b.includes(a));
+    },
+  ];
+
+  headers.forEach((header) => {
+    mapping[header] = '';
+  });
+  passes.forEach((matches) => {
+    headers.forEach((header) => {
+      if (!mapping[header]) pick(header, (f) => matches(header, f));
+    });
+  });
+  return mapping;
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'checked'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'unchecked'];
+
+// Accept ISO dates plus the common MM/DD/YYYY and DD.MM.YYYY forms
+const parseDate = (text) => {
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return [match[1], match[2], match[3]];
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return [match[3], match[1], match[2]];
+  match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (match) return [match[3], match[2], match[1]];
+  return null;
+};
+
+// Convert a raw CSV string to the value Airtable expects for `field`.
+// Returns { value } or { error }. A blank cell has no value, even for a
+// checkbox: only an explicit "no" unticks one.
+export const convertValue = (raw, field) => {
+  const text = raw.trim();
+  const type = field?.type;
+
+  if (text === '') return { value: undefined };
+
+  if (NUMBER_TYPES.includes(type)) {
+    const number = Number(text.replace(/[$,%\s]/g, ''));
+    if (Number.isNaN(number)) return { error: `"${text}" is not a number` };
+    return { value: type === 'percent' ? number / 100 : number };
+  }
+
+  if (type === 'checkbox') {
+    const lower = text.toLowerCase();
+    if (TRUE_VALUES.includes(lower)) return { value: true };
+    if (FALSE_VALUES.includes(lower)) return { value: false };
+    return { error: `"${text}" is not yes/no` };
+  }
+
+  if (type === 'date' || type === 'dateTime') {
+    const parts = parseDate(text);
+    if (!parts) return { error: `"${text}" is not a date` };
+    const [y, m, d] = parts.map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+      return { error: `"${text}" is not a valid date` };
+    }
+    return { value: date.toISOString().slice(0, 10) };
+  }
+
+  if (type === 'multipleSelects') {
+    return {
+      value: text
+        .split(/[;,]/)
+        .map((item) => item.trim())
+        .filter(Boolean),
+    };
+  }
+
+  if (type === 'singleSelect') {
+    const choices = selectChoices(field);
+    const choice = choices.find(
+      (c) => c.name.toLowerCase() === text.toLowerCase(),
+    );
+    // Unknown options are created by Airtable's typecast
+    return { value: choice ? choice.name : text };
+  }
+
+  const message = validateField(field?.name || '', text, type);
+  if (message) return { error: message };
+  return { value: text };
+};
+
+// The fields used to recognise the same client twice, from the table's
+// field mapping
+export const identityFields = (
+  fields,
+  mapping = guessFieldMapping(fields),
+) => ({
+  email: mapping.email,
+  phone: mapping.phone,
+  name: mapping.name,
+  dob: mapping.dob,
+});
+
+const normalizeEmail = (value) => valueToText(value).trim().toLowerCase();
+const normalizePhone = (value) => {
+  const digits = valueToText(value).replace(/\D/g, '');
+  // Ignore a leading US country code so 1-555-... matches 555-...
+  return digits.length === 11 && digits[0] === '1' ? digits.slice(1) : digits;
+};
+const normalizeText = (value) =>
+  valueToText(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const indexClient = (index, client, identity) => {
+  const f = client.fields;
+  const add = (key) => {
+    if (!index.has(key)) index.set(key, client);
+  };
+  if (identity.email && f[identity.email]) {
+    add(`email:${normalizeEmail(f[identity.email])}`);
+  }
+  if (identity.phone && normalizePhone(f[identity.phone]).length >= 7) {
+    add(`phone:${normalizePhone(f[identity.phone])}`);
+  }
+  if (identity.name && identity.dob && f[identity.name] && f[identity.dob]) {
+    add(`namedob:${normalizeText(f[identity.name])}|${f[identity.dob]}`);
+  }
+};
+
+// Index existing clients by email, phone and name + date of birth
+export const buildDuplicateIndex = (clients, identity) => {
+  const index = new Map();
+  clients.forEach((client) => indexClient(index, client, identity));
+  return index;
+};
+
+// Find an existing client matching these fields; returns the client and
+// what matched, or null
+export const findDuplicate = (fields, index, identity) => {
+  const checks = [
+    identity.email &&
+      fields[identity.email] && [
+        'email',
+        `email:${normalizeEmail(fields[identity.email])}`,
+      ],
+    identity.phone &&
+      normalizePhone(fields[identity.phone]).length >= 7 && [
+        'phone',
+        `phone:${normalizePhone(fields[identity.phone])}`,
+      ],
+    identity.name &&
+      identity.dob &&
+      fields[identity.name] &&
+      fields[identity.dob] && [
+        'name and date of birth',
+        `namedob:${normalizeText(fields[identity.name])}|${
+          fields[identity.dob]
+        }`,
+      ],
+  ].filter(Boolean);
+
+  for (const [matchedOn, key] of checks) {
+    if (index.has(key)) return { client: index.get(key), matchedOn };
+  }
+  return null;
+};
+
+const sameValue = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Dry run: convert every row and sort it into create, update or error.
+// Rows matching an existing client become updates containing only the
+// fields that would change; rows repeating an earlier row of the same
+// file are reported as errors.
+export const buildImportPlan = (
+  rows,
+  headers,
+  mapping,
+  fields,
+  clients,
+  identity = identityFields(fields),
+) => {
+  const byName = Object.fromEntries(fields.map((f) => [f.name, f]));
+  const index = buildDuplicateIndex(clients, identity);
+  const plan = { creates: [], updates: [], unchanged: [], errors: [] };
+
+  rows.forEach((row, rowIndex) => {
+    const values = {};
+    const rowErrors = [];
+
+    headers.forEach((header, column) => {
+      const fieldName = mapping[header];
+      if (!fieldName) return;
+      const { value, error } = convertValue(
+        row[column] ?? '',
+        byName[fieldName],
+      );
+      if (error) {
+        rowErrors.push(`${fieldName}: ${error}`);
+      } else if (value !== undefined) {
+        values[fieldName] = value;
+      }
+    });
+
+    const line = rowIndex + 2; // header is line 1
+    if (rowErrors.length > 0) {
+      plan.errors.push({ line, messages: rowErrors });
+      return;
+    }
+    if (Object.keys(values).length === 0) return;
+
+    const duplicate = findDuplicate(values, index, identity);
+    if (!duplicate) {
+      plan.creates.push({ line, fields: values });
+      indexClient(index, { id: null, line, fields: values }, identity);
+      return;
+    }
+    if (!duplicate.client.id) {
+      plan.errors.push({
+        line,
+        messages: [
+          `Same ${duplicate.matchedOn} as line ${duplicate.client.line}`,
+        ],
+      });
+      return;
+    }
+
+    const existing = duplicate.client.fields;
+    const changes = {};
+    Object.entries(values).forEach(([name, value]) => {
+      // Airtable leaves unticked boxes out of the record, so "no" only
+      // changes one that is ticked
+      if (value === false && !existing[name]) return;
+      if (!sameValue(existing[name], value)) changes[name] = value;
+    });
+
+    const entry = {
+      line,
+      id: duplicate.client.id,
+      matchedOn: duplicate.matchedOn,
+      fields: changes,
+      previous: Object.fromEntries(
+        Object.keys(changes).map((name) => [name, existing[name]]),
+      ),
+    };
+    if (Object.keys(changes).length === 0) {
+      plan.unchanged.push(entry);
+    } else {
+      plan.updates.push(entry);
+    }
+  });
+
+  return plan;
+};
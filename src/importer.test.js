@@ -0,0 +1,109 @@
+import { buildImportPlan, parseCsv, suggestMapping } from './importer';
+
+const fields = [
+  { name: 'Name', type: 'singleLineText' },
+  { name: 'Email', type: 'email' },
+  { name: 'Phone', type: 'phoneNumber' },
+  { name: 'Date of Birth', type: 'date' },
+  { name: 'Visits', type: 'number' },
+];
+
+test('parses quoted cells, embedded newlines and semicolons', () => {
+  expect(
+    parseCsv('\ufeffName;Notes\r\n"Lopez, Maria";"line 1\nline ""2"""\r\n'),
+  ).toEqual({
+    headers: ['Name', 'Notes'],
+    rows: [['Lopez, Maria', 'line 1\nline "2"']],
+  });
+});
+
+test('suggests field matches for CSV headers', () => {
+  expect(
+    suggestMapping(['Full Name', 'E-mail', 'Mobile', 'DOB', 'Notes'], fields),
+  ).toEqual({
+    'Full Name': 'Name',
+    'E-mail': 'Email',
+    Mobile: 'Phone',
+    DOB: 'Date of Birth',
+    Notes: '',
+  });
+});
+
+test('plans creates, updates and errors against existing clients', () => {
+  const clients = [
+    {
+      id: 'rec1',
+      fields: { Name: 'Maria Lopez', Email: 'maria@example.com', Visits: 2 },
+    },
+    {
+      id: 'rec2',
+      fields: { Name: 'Al Green', 'Date of Birth': '1950-03-04' },
+    },
+  ];
+  const { headers, rows } = parseCsv(
+    [
+      'Name,Email,DOB,Visits',
+      'Maria Lopez,MARIA@example.com,,3',
+      'al green,,03/04/1950,1',
+      'New Person,new@example.com,,x',
+      'Jo Bloggs,jo@example.com,,1',
+      'Jo B,jo@example.com,,1',
+    ].join('\n'),
+  );
+  const mapping = suggestMapping(headers, fields);
+  const plan = buildImportPlan(rows, headers, mapping, fields, clients);
+
+  expect(plan.updates).toEqual([
+    {
+      line: 2,
+      id: 'rec1',
+      matchedOn: 'email',
+      fields: { Email: 'MARIA@example.com', Visits: 3 },
+      previous: { Email: 'maria@example.com', Visits: 2 },
+    },
+    {
+      line: 3,
+      id: 'rec2',
+      matchedOn: 'name and date of birth',
+      fields: { Name: 'al green', Visits: 1 },
+      previous: { Name: 'Al Green', Visits: undefined },
+    },
+  ]);
+  expect(plan.creates).toEqual([
+    {
+      line: 5,
+      fields: { Name: 'Jo Bloggs', Email: 'jo@example.com', Visits: 1 },
+    },
+  ]);
+  expect(plan.errors).toEqual([
+    { line: 4, messages: ['Visits: "x" is not a number'] },
+    { line: 6, messages: ['Same email as line 5'] },
+  ]);
+});
+
+test('blank checkbox cells leave existing ticks alone', () => {
+  const withConsent = [...fields, { name: 'Email Opt-In', type: 'checkbox' }];
+  const clients = [
+    { id: 'rec1', fields: { Email: 'a@example.com', 'Email Opt-In': true } },
+    { id: 'rec2', fields: { Email: 'b@example.com', 'Email Opt-In': true } },
+    { id: 'rec3', fields: { Email: 'c@example.com' } },
+  ];
+  const { headers, rows } = parseCsv(
+    [
+      'Email,Email Opt-In,Visits',
+      'a@example.com,,4',
+      'b@example.com,no,',
+      'c@example.com,no,',
+      'd@example.com,,1',
+    ].join('\n'),
+  );
+  const mapping = suggestMapping(headers, withConsent);
+  const plan = buildImportPlan(rows, headers, mapping, withConsent, clients);
+
+  expect(plan.updates.map(({ id, fields: changes }) => [id, changes])).toEqual([
+    ['rec1', { Visits: 4 }],
+    ['rec2', { 'Email Opt-In': false }],
+  ]);
+  expect(plan.unchanged.map((entry) => entry.id)).toEqual(['rec3']);
+  expect(plan.creates[0].fields).toEqual({ Email: 'd@example.com', Visits: 1 });
+});
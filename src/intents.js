@@ -0,0 +1,228 @@
+// Chat message routing: what the user wants, which clients they name as
+// recipients, and the details of the request. With a language model set
+// up it classifies the message through a forced function call; without
+// one a local classifier covers the common phrasings. Named recipients
+// are resolved to record IDs on whole words either way, so "Al" only
+// matches a client called Al, never the word "all".
+
+import { clientEmail, displayName } from './fieldMapping';
+import { valueToText } from './schema';
+import { VARIANT_LABELS, requestedVariantCount } from './variants';
+
+export const INTENTS = {
+  campaign: 'Write an email campaign or a message to clients',
+  query: 'Answer a question about the clients, or change which are shown',
+  chat: 'Anything else',
+};
+
+// Tool definition for the classification call, in the OpenAI chat
+// completions format
+export const ROUTE_TOOL = {
+  type: 'function',
+  function: {
+    name: 'route_request',
+    description: "Classify the user's latest message.",
+    parameters: {
+      type: 'object',
+      properties: {
+        intent: {
+          type: 'string',
+          enum: Object.keys(INTENTS),
+          description: Object.entries(INTENTS)
+            .map(([intent, description]) => `${intent}: ${description}`)
+            .join('. '),
+        },
+        recipients: {
+          type: 'array',
+          items: { type: 'string' },
+          description:
+            'Names or record IDs of the specific clients a campaign is for, as the user wrote them. Empty when it is for the current client list.',
+        },
+        purpose: {
+          type: 'string',
+          description: 'What the email is about, for campaigns',
+        },
+        variantCount: {
+          type: 'integer',
+          description: `How many A/B variants were asked for, 1 to ${VARIANT_LABELS.length}`,
+        },
+      },
+      required: ['intent', 'recipients'],
+    },
+  },
+};
+
+// A route from the model's arguments, with anything missing or invalid
+// filled in from the message itself
+export const normalizeRoute = (args, message) => {
+  const variantCount = Math.round(Number(args?.variantCount));
+  return {
+    intent: INTENTS[args?.intent] ? args.intent : 'chat',
+    recipients: (Array.isArray(args?.recipients) ? args.recipients : [])
+      .filter((name) => typeof name === 'string' && name.trim())
+      .map((name) => name.trim()),
+    parameters: {
+      purpose:
+        typeof args?.purpose === 'string' && args.purpose.trim()
+          ? args.purpose.trim()
+          : message,
+      variantCount:
+        variantCount >= 1
+          ? Math.min(variantCount, VARIANT_LABELS.length)
+          : requestedVariantCount(message),
+    },
+  };
+};
+
+// Questions start with these, even when they mention email
+const QUESTION_START =
+  /^\s*(how|what|which|who|whom|when|where|why|is|are|do|does|did|count|list|show|find|filter|sort)\b/i;
+const CAMPAIGN_VERB =
+  /\b(draft|write|compose|create|generate|prepare|send|email|e-mail)\b/i;
+const CAMPAIGN_NOUN =
+  /\b(e-?mails?|messages?|reminders?|newsletters?|campaigns?|notes?|letters?|follow[- ]?ups?|invit(e|ation)s?|announcements?|recalls?)\b/i;
+
+// Capitalized words after "for", "to" or "email" that aren't clients
+const NOT_NAMES = [
+  'all',
+  'every',
+  'everyone',
+  'everybody',
+  'each',
+  'my',
+  'our',
+  'the',
+  'these',
+  'those',
+  'them',
+  'clients',
+  'patients',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+  'sunday',
+  'january',
+  'february',
+  'march',
+  'april',
+  'may',
+  'june',
+  'july',
+  'august',
+  'september',
+  'october',
+  'november',
+  'december',
+];
+
+const NAME_WORD = "(?:[A-Z][\\p{L}'’-]*|rec[A-Za-z0-9]{14})";
+const NAME_LIST = new RegExp(
+  `\\b([Ff]or|[Tt]o|[Ee]-?mail|[Rr]emind|[Mm]essage)\\s+(${NAME_WORD}(?:(?:\\s*,\\s*|\\s+and\\s+|\\s*&\\s*|\\s+)${NAME_WORD})*)`,
+  'gu',
+);
+// Names after these are meant as recipients even when no client matches,
+// so the user is told; after "for" they may as well be a topic ("a
+// newsletter for Diabetes Awareness Month")
+const EXPLICIT_PREFIX = /^(to|e-?mail)$/i;
+
+// "for Maria Lopez and Sam" -> [{ name: 'Maria Lopez', explicit: false },
+// { name: 'Sam', explicit: false }]
+const mentionedNames = (message) =>
+  [...message.matchAll(NAME_LIST)]
+    .flatMap((match) =>
+      match[2].split(/\s*(?:,|\band\b|&)\s*/).map((name) => ({
+        name: name.trim(),
+        explicit: EXPLICIT_PREFIX.test(match[1]),
+      })),
+    )
+    .filter(
+      ({ name }) =>
+        name && !NOT_NAMES.includes(name.split(/\s+/)[0].toLowerCase()),
+    );
+
+const localIntent = (message) => {
+  if (QUESTION_START.test(message)) return 'query';
+  if (CAMPAIGN_VERB.test(message) && CAMPAIGN_NOUN.test(message)) {
+    return 'campaign';
+  }
+  return message.includes('?') ? 'query' : 'chat';
+};
+
+// Classify without the model. Names are only taken as recipients after
+// "to" or "email", or when they match one of `clients`.
+export const classifyLocally = (
+  message,
+  { clients = [], mapping = {} } = {},
+) => {
+  const intent = localIntent(message);
+  const recipients =
+    intent === 'campaign'
+      ? mentionedNames(message)
+          .filter(
+            ({ name, explicit }) =>
+              explicit ||
+              resolveRecipients([name], clients, mapping).unmatched.length ===
+                0,
+          )
+          .map(({ name }) => name)
+      : [];
+  return normalizeRoute({ intent, recipients }, message);
+};
+
+const nameTokens = (text) =>
+  text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+// Match each mention against client names word by word. A full-name
+// match wins over partial ones; several matches are left for the user
+// to choose between.
+export const resolveRecipients = (mentions, clients, mapping) => {
+  const named = clients.map((client) => {
+    const name = displayName(client.fields, mapping);
+    return { client, name, tokens: nameTokens(name) };
+  });
+  const ids = [];
+  const ambiguous = [];
+  const unmatched = [];
+
+  mentions.forEach((mention) => {
+    const byId = clients.find((client) => client.id === mention);
+    if (byId) {
+      ids.push(byId.id);
+      return;
+    }
+    const wanted = nameTokens(mention);
+    if (wanted.length === 0) return;
+    const matches = named.filter(({ tokens }) =>
+      wanted.every((token) => tokens.includes(token)),
+    );
+    const exact = matches.filter(
+      ({ tokens }) => tokens.join(' ') === wanted.join(' '),
+    );
+    const candidates = exact.length > 0 ? exact : matches;
+
+    if (candidates.length === 1) {
+      ids.push(candidates[0].client.id);
+    } else if (candidates.length === 0) {
+      unmatched.push(mention);
+    } else {
+      ambiguous.push({
+        mention,
+        candidates: candidates.map(({ client, name }) => ({
+          id: client.id,
+          name,
+          detail: valueToText(clientEmail(client.fields, mapping)?.value),
+        })),
+      });
+    }
+  });
+
+  return { ids: [...new Set(ids)], ambiguous, unmatched };
+};
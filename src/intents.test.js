@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+import { classifyLocally, normalizeRoute, resolveRecipients } from './intents';
+
+const mapping = { firstName: 'First', lastName: 'Last', email: 'Email' };
+
+const client = (id, First, Last) => ({
+  id,
+  fields: { First, Last, Email: `${First.toLowerCase()}@example.com` },
+});
+
+const clients = [
+  client('rec1', 'Maria', 'Lopez'),
+  client('rec2', 'Maria', 'Chen'),
+  client('rec3', 'Al', 'Green'),
+  client('rec4', 'José', 'Ruiz'),
+];
+
+test('classifies messages without the model', () => {
+  expect(
+    classifyLocally('draft a reminder for Maria Lopez', { clients, mapping }),
+  ).toEqual({
+    intent: 'campaign',
+    recipients: ['Maria Lopez'],
+    parameters: {
+      purpose: 'draft a reminder for Maria Lopez',
+      variantCount: 1,
+    },
+  });
+  expect(
+    classifyLocally('how many clients have an email? create a list').intent,
+  ).toBe('query');
+  expect(
+    classifyLocally('Write an A/B tested newsletter to all patients'),
+  ).toEqual(
+    expect.objectContaining({
+      intent: 'campaign',
+      recipients: [],
+      parameters: expect.objectContaining({ variantCount: 2 }),
+    }),
+  );
+  expect(
+    classifyLocally('Email Maria and Al Green about Monday').recipients,
+  ).toEqual(['Maria', 'Al Green']);
+  expect(classifyLocally('thanks!').intent).toBe('chat');
+});
+
+test('only takes names after "for" when they are clients', () => {
+  const message = 'Write a newsletter for Diabetes Awareness Month';
+  expect(classifyLocally(message, { clients, mapping }).recipients).toEqual([]);
+  expect(
+    classifyLocally('Write a reminder for Al Green and Pat', {
+      clients,
+      mapping,
+    }).recipients,
+  ).toEqual(['Al Green']);
+  // Named outright, a typo is kept so the user hears it matched no one
+  expect(
+    classifyLocally('Send an email to Mraia', { clients, mapping }).recipients,
+  ).toEqual(['Mraia']);
+});
+
+test('normalizes the model route', () => {
+  expect(
+    normalizeRoute(
+      { intent: 'nope', recipients: [' Sam ', 3, ''], variantCount: 9 },
+      'hi',
+    ),
+  ).toEqual({
+    intent: 'chat',
+    recipients: ['Sam'],
+    parameters: { purpose: 'hi', variantCount: 4 },
+  });
+});
+
+test('resolves names on whole words and asks about ambiguous ones', () => {
+  expect(
+    resolveRecipients(['al', 'jose ruiz', 'rec2'], clients, mapping),
+  ).toEqual({ ids: ['rec3', 'rec4', 'rec2'], ambiguous: [], unmatched: [] });
+
+  const { ambiguous, unmatched } = resolveRecipients(
+    ['Maria', 'all'],
+    clients,
+    mapping,
+  );
+  expect(ambiguous).toEqual([
+    {
+      mention: 'Maria',
+      candidates: [
+        { id: 'rec1', name: 'Maria Lopez', detail: 'maria@example.com' },
+        { id: 'rec2', name: 'Maria Chen', detail: 'maria@example.com' },
+      ],
+    },
+  ]);
+  expect(unmatched).toEqual(['all']);
+});
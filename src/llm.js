@@ -0,0 +1,185 @@
+// Language model providers. Every provider has the same shape:
+//
+//   provider.complete(request, { signal }) -> Promise<message>
+//   provider.stream(request, { signal, onText }) -> Promise<message>
+//
+// `request` is a chat completion body without the model: { messages,
+// tools, tool_choice, temperature, max_tokens }; temperature and
+// max_tokens default to the settings. Both resolve with the assistant
+// message, { role, content, tool_calls }. Any server that speaks the
+// OpenAI chat completions API works, so a self-hosted model keeps client
+// data on the clinic's own network.
+
+import { postChatCompletion, streamChatCompletion } from './chatStream';
+
+export const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    needsKey: true,
+  },
+  ollama: {
+    label: 'Ollama',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+  },
+  // llama.cpp answers with whichever model it was started with
+  llamacpp: {
+    label: 'llama.cpp server',
+    baseUrl: 'http://localhost:8080/v1',
+    model: 'default',
+  },
+  // The model must match the name vLLM serves it under
+  vllm: {
+    label: 'vLLM',
+    baseUrl: 'http://localhost:8000/v1',
+    model: '',
+  },
+  custom: {
+    label: 'Other OpenAI-compatible server',
+    baseUrl: '',
+    model: '',
+  },
+};
+
+export const DEFAULT_LLM_SETTINGS = {
+  provider: 'openai',
+  baseUrl: LLM_PROVIDERS.openai.baseUrl,
+  model: LLM_PROVIDERS.openai.model,
+  temperature: 0.7,
+  maxTokens: 1000,
+};
+
+const SETTINGS_KEY = 'llmProvider';
+
+// The API key is kept in memory only, like the mail server password
+export const loadLlmSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_LLM_SETTINGS, ...stored };
+  } catch {
+    return DEFAULT_LLM_SETTINGS;
+  }
+};
+
+export const storeLlmSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// Switching provider fills in its usual address and model; "other"
+// keeps what was there to edit
+export const selectProvider = (settings, provider) =>
+  provider === 'custom'
+    ? { ...settings, provider }
+    : {
+        ...settings,
+        provider,
+        baseUrl: LLM_PROVIDERS[provider].baseUrl,
+        model: LLM_PROVIDERS[provider].model,
+      };
+
+export const llmConfigError = (settings, apiKey) => {
+  if (!/^https?:\/\/\S+$/i.test(settings.baseUrl.trim())) {
+    return 'Set the server URL';
+  }
+  if (!settings.model.trim()) return 'Set the model';
+  if (LLM_PROVIDERS[settings.provider]?.needsKey && !apiKey.trim()) {
+    return 'Set the API key';
+  }
+  const temperature = Number(settings.temperature);
+  if (settings.temperature === '' || !(temperature >= 0 && temperature <= 2)) {
+    return 'Temperature must be between 0 and 2';
+  }
+  const maxTokens = Number(settings.maxTokens);
+  if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+    return 'Max tokens must be a whole number above 0';
+  }
+  return null;
+};
+
+// The host client data is sent to, to show before anything is sent
+export const llmHost = (settings) => {
+  try {
+    return new URL(settings.baseUrl.trim()).host;
+  } catch {
+    return '';
+  }
+};
+
+export const completionsUrl = (baseUrl) =>
+  `${baseUrl.trim().replace(/\/+$/, '')}/chat/completions`;
+
+export const createProvider = (settings, apiKey = '') => {
+  const url = completionsUrl(settings.baseUrl);
+  const headers = apiKey.trim()
+    ? { Authorization: `Bearer ${apiKey.trim()}` }
+    : {};
+  const withDefaults = (request) => ({
+    model: settings.model.trim(),
+    temperature: Number(settings.temperature),
+    max_tokens: Number(settings.maxTokens),
+    ...request,
+  });
+
+  return {
+    complete: async (request, { signal } = {}) => {
+      const response = await postChatCompletion(url, {
+        headers,
+        body: withDefaults(request),
+        signal,
+      });
+      const data = await response.json();
+      return data.choices[0].message;
+    },
+    stream: (request, { signal, onText } = {}) =>
+      streamChatCompletion(url, {
+        headers,
+        body: withDefaults(request),
+        signal,
+        onText,
+      }),
+  };
+};
+
+const abortError = () => {
+  const err = new Error('The request was aborted');
+  err.name = 'AbortError';
+  return err;
+};
+
+// A provider that answers from a script instead of a server, for tests.
+// Each reply is a string, a message, an Error to throw or a function of
+// the request returning one of those; every request is kept in
+// `requests`. Streamed replies arrive a word at a time.
+export const createMockProvider = (replies = []) => {
+  const queue = [...replies];
+  const requests = [];
+
+  const next = async (request, signal) => {
+    if (signal?.aborted) throw abortError();
+    requests.push(request);
+    if (queue.length === 0) throw new Error('No more mock replies');
+    const reply = queue.shift();
+    const value = typeof reply === 'function' ? await reply(request) : reply;
+    if (value instanceof Error) throw value;
+    return typeof value === 'string'
+      ? { role: 'assistant', content: value }
+      : { role: 'assistant', content: '', ...value };
+  };
+
+  return {
+    requests,
+    complete: (request, { signal } = {}) => next(request, signal),
+    stream: async (request, { signal, onText } = {}) => {
+      const message = await next(request, signal);
+      let text = '';
+      for (const word of (message.content || '').match(/\S+\s*|\s+/g) || []) {
+        if (signal?.aborted) throw abortError();
+        text += word;
+        if (onText) onText(text);
+      }
+      return message;
+    },
+  };
+};
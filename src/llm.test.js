@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+import {
+  DEFAULT_LLM_SETTINGS,
+  createMockProvider,
+  createProvider,
+  llmConfigError,
+  selectProvider,
+} from './llm';
+
+const ollama = selectProvider(DEFAULT_LLM_SETTINGS, 'ollama');
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('checks the settings before the assistant is used', () => {
+  expect(llmConfigError(DEFAULT_LLM_SETTINGS, '')).toBe('Set the API key');
+  expect(llmConfigError(DEFAULT_LLM_SETTINGS, 'sk-test')).toBeNull();
+  // Local servers don't need a key
+  expect(ollama.baseUrl).toBe('http://localhost:11434/v1');
+  expect(llmConfigError(ollama, '')).toBeNull();
+  expect(llmConfigError({ ...ollama, temperature: '3' }, '')).toMatch(
+    /Temperature/,
+  );
+  expect(llmConfigError({ ...ollama, maxTokens: '0' }, '')).toMatch(
+    /Max tokens/,
+  );
+  expect(
+    llmConfigError(selectProvider(ollama, 'vllm'), '').toLowerCase(),
+  ).toContain('model');
+});
+
+test('posts to the configured server with the configured defaults', async () => {
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    json: async () => ({
+      choices: [{ message: { role: 'assistant', content: 'Hi' } }],
+    }),
+  }));
+  const provider = createProvider(
+    { ...ollama, baseUrl: 'http://10.0.0.5:11434/v1/', temperature: '0.2' },
+    '',
+  );
+
+  const message = await provider.complete({
+    messages: [{ role: 'user', content: 'Hello' }],
+    temperature: 0,
+  });
+
+  expect(message.content).toBe('Hi');
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://10.0.0.5:11434/v1/chat/completions');
+  expect(options.headers.Authorization).toBeUndefined();
+  expect(JSON.parse(options.body)).toEqual({
+    model: 'llama3.1',
+    temperature: 0,
+    max_tokens: 1000,
+    messages: [{ role: 'user', content: 'Hello' }],
+  });
+});
+
+test('says which server could not be reached', async () => {
+  global.fetch = jest.fn(async () => {
+    throw new TypeError('Failed to fetch');
+  });
+  await expect(
+    createProvider(ollama).complete({ messages: [] }),
+  ).rejects.toThrow(
+    'Could not reach http://localhost:11434/v1/chat/completions',
+  );
+});
+
+test('mock provider answers from its script', async () => {
+  const provider = createMockProvider([
+    { tool_calls: [{ id: 'call_1', function: { name: 'count_clients' } }] },
+    (request) => `Saw ${request.messages.length} messages`,
+  ]);
+
+  const first = await provider.complete({ messages: [] });
+  expect(first.tool_calls[0].function.name).toBe('count_clients');
+
+  const seen = [];
+  const second = await provider.stream(
+    { messages: [{ role: 'user', content: 'Hi' }] },
+    { onText: (text) => seen.push(text) },
+  );
+  expect(second.content).toBe('Saw 1 messages');
+  expect(seen).toEqual(['Saw ', 'Saw 1 ', 'Saw 1 messages']);
+  expect(provider.requests).toHaveLength(2);
+  await expect(provider.complete({ messages: [] })).rejects.toThrow(
+    'No more mock replies',
+  );
+});
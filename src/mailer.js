@@ -0,0 +1,221 @@
+// Build outgoing campaign messages: per-recipient personalization,
+// mailto links that respect URL length limits, and .eml files.
+
+import { createZip } from './exporters';
+import { renderTemplate } from './template';
+import { campaignVariants, hasVariants, variantContent } from './variants';
+import { escapeHtml, htmlToText, sanitizeHtml } from './emailHtml';
+
+// Mail clients truncate or refuse mailto URLs beyond roughly 2000
+// characters (Outlook and older browsers are the strictest)
+export const MAILTO_MAX_LENGTH = 2000;
+
+export const SEND_MODES = {
+  queue: 'Send through the mail server',
+  individual: 'One email per recipient',
+  bcc: 'Single email, recipients in BCC',
+  eml: 'Download .eml files',
+};
+
+let nextId = 0;
+export const createId = (prefix) =>
+  `${prefix}${Date.now().toString(36)}${(nextId++).toString(36)}`;
+
+// Recipients come from client records; a record with several addresses
+// gets a key per address (see recipients.js). Fall back to the address
+// for recipients built without a record.
+export const recipientKey = (recipient) =>
+  recipient.key || recipient.id || recipient.email;
+
+// Render the campaign template for one recipient (see template.js).
+// `options` carries the table schema and linked record names.
+export const personalize = (text, recipient, options) =>
+  renderTemplate(text, recipient, options).output;
+
+// Stand-in used where one message goes to many people (BCC mode). Its
+// fields are empty, so tags render their fallbacks.
+export const GENERIC_RECIPIENT = { name: '', clientData: {} };
+
+// A body template as sent to one recipient: { body } for plain-text
+// campaigns, and for rich text the sanitized { html } plus a plain-text
+// `body` made from it
+export const renderBody = (campaign, template, recipient, options) => {
+  if (campaign.format !== 'html') {
+    return { body: personalize(template, recipient, options) };
+  }
+  const html = sanitizeHtml(
+    renderTemplate(template, recipient, { ...options, escape: escapeHtml })
+      .output,
+  );
+  return { body: htmlToText(html), html };
+};
+
+// One message per recipient, in the recipient's A/B variant if any
+export const buildMessages = (campaign, options) =>
+  campaign.recipients.map((recipient) => {
+    const { subject, body } = variantContent(campaign, recipient);
+    return {
+      recipient,
+      to: recipient.email,
+      subject: personalize(subject, recipient, options),
+      ...renderBody(campaign, body, recipient, options),
+    };
+  });
+
+const mailtoUrl = ({ to = '', bcc = [], subject, body }) => {
+  const params = [
+    bcc.length > 0 && `bcc=${bcc.map(encodeURIComponent).join(',')}`,
+    `subject=${encodeURIComponent(subject)}`,
+    `body=${encodeURIComponent(body)}`,
+  ].filter(Boolean);
+  return `mailto:${encodeURIComponent(to)}?${params.join('&')}`;
+};
+
+// One personalized mailto link per recipient
+export const individualMailtoLinks = (campaign, options) =>
+  buildMessages(campaign, options).map((message) => {
+    const href = mailtoUrl(message);
+    return {
+      email: message.to,
+      name: message.recipient.name,
+      href,
+      tooLong: href.length > MAILTO_MAX_LENGTH,
+    };
+  });
+
+// Links for one subject and body, batched to stay under the length
+// limit. Mail links can only carry plain text.
+const variantBccLinks = (campaign, variant, recipients, options) => {
+  const subject = personalize(variant.subject, GENERIC_RECIPIENT, options);
+  const { body } = renderBody(
+    campaign,
+    variant.body,
+    GENERIC_RECIPIENT,
+    options,
+  );
+  const baseLength = mailtoUrl({ subject, body, bcc: [''] }).length;
+
+  const links = [];
+  let batch = [];
+  let length = baseLength;
+
+  recipients.forEach(({ email }) => {
+    const added = encodeURIComponent(email).length + 1;
+    if (batch.length > 0 && length + added > MAILTO_MAX_LENGTH) {
+      links.push(batch);
+      batch = [];
+      length = baseLength;
+    }
+    batch.push(email);
+    length += added;
+  });
+  if (batch.length > 0) links.push(batch);
+
+  return links.map((bcc) => {
+    const href = mailtoUrl({ bcc, subject, body });
+    return { bcc, href, tooLong: href.length > MAILTO_MAX_LENGTH };
+  });
+};
+
+// BCC links, splitting the recipient list so every URL stays under the
+// length limit. Nobody is put in To, so no address is exposed to other
+// patients. A/B variants each get their own links.
+export const bccMailtoLinks = (campaign, options) =>
+  campaignVariants(campaign).flatMap((variant) =>
+    variantBccLinks(
+      campaign,
+      variant,
+      campaign.recipients.filter((r) => (r.variant || 'A') === variant.label),
+      options,
+    ).map((link) => ({
+      ...link,
+      variant: hasVariants(campaign) ? variant.label : null,
+    })),
+  );
+
+// Header values are one line: a line break in a subject taken from a
+// multiline field, or written by the model, would start a new header
+const headerLine = (value) =>
+  String(value ?? '')
+    .replace(/[\r\n]+\s*/g, ' ')
+    .trim();
+
+// RFC 2047 encoding for non-ASCII header values
+const encodeHeader = (value) =>
+  // eslint-disable-next-line no-control-regex
+  /^[\x00-\x7f]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${base64(new TextEncoder().encode(value))}?=`;
+
+const base64 = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const wrap76 = (text) => text.replace(/.{1,76}/g, '$&\r\n').trimEnd();
+
+const base64Part = (text) => wrap76(base64(new TextEncoder().encode(text)));
+
+// Serialize one message as RFC 5322. Drafts get X-Unsent, which makes
+// Outlook open the .eml file ready to send; messages handed to a mail
+// server carry a From address instead. Rich-text messages are
+// multipart/alternative, with the plain-text version first.
+export const toEml = (
+  { to, subject, body, html },
+  { from, draft = true } = {},
+) => {
+  const boundary = `alt-${createId('')}`;
+  const content = html
+    ? [
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Part(body),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Part(
+          `<!DOCTYPE html><html><head><meta charset="utf-8"></head><body>${html}</body></html>`,
+        ),
+        `--${boundary}--`,
+      ]
+    : [
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Part(body),
+      ];
+  // A blank line would end the headers early, so an empty From is left
+  // out rather than written as one
+  const sender = headerLine(from);
+  const headers = [
+    sender && `From: ${sender}`,
+    `To: ${headerLine(to)}`,
+    `Subject: ${encodeHeader(headerLine(subject))}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    draft && 'X-Unsent: 1',
+  ].filter(Boolean);
+  return [...headers, ...content, ''].join('\r\n');
+};
+
+const safeFileName = (text) =>
+  text.replace(/[^a-zA-Z0-9@._-]+/g, '_').slice(0, 80);
+
+// ZIP of one .eml per recipient
+export const emlBundle = (campaign, options) =>
+  createZip(
+    buildMessages(campaign, options).map((message, index) => ({
+      name: `${String(index + 1).padStart(4, '0')}-${safeFileName(
+        message.to,
+      )}.eml`,
+      data: toEml(message),
+    })),
+  );
@@ -0,0 +1,156 @@
+/**
+ * @jest-environment node
+ */
+import {
+  MAILTO_MAX_LENGTH,
+  bccMailtoLinks,
+  buildMessages,
+  individualMailtoLinks,
+  personalize,
+  recipientKey,
+  renderBody,
+  toEml,
+} from './mailer';
+
+const recipient = (n) => ({
+  email: `patient${n}@example.com`,
+  name: `Patient ${n}`,
+  clientData: { 'Last Visit': '2024-03-01' },
+});
+
+test('personalize fills name and field tokens', () => {
+  expect(
+    personalize(
+      'Hi {{name}}, last seen {{ Last Visit }}{{Missing}}',
+      recipient(1),
+    ),
+  ).toBe('Hi Patient 1, last seen 2024-03-01');
+});
+
+test('previews render the body for the chosen recipient', () => {
+  const campaign = {
+    body: 'Hi {{name}}, last seen {{Last Visit | "never"}}',
+    recipients: [recipient(1), { ...recipient(2), clientData: {} }],
+  };
+  expect(
+    campaign.recipients.map((r) => renderBody(campaign, campaign.body, r).body),
+  ).toEqual([
+    'Hi Patient 1, last seen 2024-03-01',
+    'Hi Patient 2, last seen never',
+  ]);
+  expect(recipientKey({ id: 'rec1', email: 'a@x.io' })).toBe('rec1');
+  expect(recipientKey({ key: 'rec1:1', id: 'rec1', email: 'b@x.io' })).toBe(
+    'rec1:1',
+  );
+  expect(recipientKey({ email: 'a@x.io' })).toBe('a@x.io');
+});
+
+test('individual links address one personalized recipient each', () => {
+  const links = individualMailtoLinks({
+    subject: 'Hello {{name}}',
+    body: 'Body',
+    recipients: [recipient(1), recipient(2)],
+  });
+  expect(links).toHaveLength(2);
+  expect(links[1].href).toMatch(/^mailto:patient2%40example\.com\?/);
+  expect(decodeURIComponent(links[1].href)).toContain('Hello Patient 2');
+});
+
+test('bcc links leave To empty and split long recipient lists', () => {
+  const recipients = Array.from({ length: 200 }, (_, i) => recipient(i));
+  const links = bccMailtoLinks({
+    subject: 'Clinic news',
+    body: 'Dear {{name | "there"}}',
+    recipients,
+  });
+  expect(links.length).toBeGreaterThan(1);
+  links.forEach((link) => {
+    expect(link.href.startsWith('mailto:?bcc=')).toBe(true);
+    expect(link.href.length).toBeLessThanOrEqual(MAILTO_MAX_LENGTH);
+  });
+  expect(links.flatMap((link) => link.bcc)).toEqual(
+    recipients.map((r) => r.email),
+  );
+  expect(decodeURIComponent(links[0].href)).toContain('Dear there');
+});
+
+test('toEml encodes non-ASCII subjects and the body', () => {
+  const eml = toEml({
+    to: 'a@example.com',
+    subject: 'Café',
+    body: 'Héllo',
+  });
+  expect(eml).toContain('To: a@example.com\r\n');
+  expect(eml).toContain('Subject: =?UTF-8?B?');
+  expect(eml).toContain(Buffer.from('Héllo').toString('base64'));
+});
+
+test('toEml keeps line breaks out of headers', () => {
+  const eml = toEml(
+    {
+      to: 'a@example.com\r\nBcc: everyone@example.com',
+      subject: 'Results\nBcc: leak@example.com',
+      body: 'Hi',
+    },
+    { from: 'clinic@example.com\r\nReply-To: x@example.com' },
+  );
+  const headers = eml.split('\r\n\r\n')[0].split('\r\n');
+  expect(headers.filter((line) => /^(Bcc|Reply-To):/.test(line))).toEqual([]);
+  expect(headers).toContain('Subject: Results Bcc: leak@example.com');
+  expect(headers).toContain('To: a@example.com Bcc: everyone@example.com');
+
+  // Without a sender every header still comes before the body
+  const unsigned = toEml(
+    { to: 'a@example.com', subject: 'Hi', body: 'Hi' },
+    { from: '' },
+  );
+  const [head] = unsigned.split('\r\n\r\n');
+  expect(head).toMatch(/^To: a@example.com\r\n/);
+  expect(head).toContain('X-Unsent: 1');
+});
+
+test('sends each recipient their A/B variant', () => {
+  const campaign = {
+    subject: 'Hello',
+    body: 'Body A',
+    variants: [{ subject: 'Hi there', body: 'Body B' }],
+    recipients: [
+      { ...recipient(1), variant: 'A' },
+      { ...recipient(2), variant: 'B' },
+    ],
+  };
+  expect(
+    individualMailtoLinks(campaign).map((link) =>
+      decodeURIComponent(link.href),
+    ),
+  ).toEqual([
+    expect.stringContaining('subject=Hello&body=Body A'),
+    expect.stringContaining('subject=Hi there&body=Body B'),
+  ]);
+  expect(
+    bccMailtoLinks(campaign).map((link) => [link.variant, link.bcc]),
+  ).toEqual([
+    ['A', ['patient1@example.com']],
+    ['B', ['patient2@example.com']],
+  ]);
+});
+
+test('rich-text campaigns send escaped HTML with a plain-text version', () => {
+  const campaign = {
+    format: 'html',
+    subject: 'Hello',
+    body: '<p>Hi <strong>{{name}}</strong></p><script>x()</script>',
+    recipients: [{ ...recipient(1), name: 'Ann <b>' }],
+  };
+  const [message] = buildMessages(campaign);
+  expect(message.html).toBe('<p>Hi <strong>Ann &lt;b&gt;</strong></p>');
+  expect(message.body).toBe('Hi Ann <b>');
+  expect(decodeURIComponent(individualMailtoLinks(campaign)[0].href)).toContain(
+    'body=Hi Ann <b>',
+  );
+
+  const eml = toEml(message);
+  expect(eml).toContain('Content-Type: multipart/alternative;');
+  expect(eml).toContain('Content-Type: text/plain; charset=UTF-8');
+  expect(eml).toContain('Content-Type: text/html; charset=UTF-8');
+});
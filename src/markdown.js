@@ -0,0 +1,178 @@
+// The Markdown assistant replies use: headings, paragraphs, bullet and
+// numbered lists, tables, code blocks, quotes and rules, with bold,
+// italic, code and links inline. Parsing gives a plain tree that
+// MarkdownText renders as React elements, so model output never becomes
+// raw HTML.
+
+const INLINE =
+  /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\*(?![\s*])(.+?)\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+const safeHref = (href) => (/^(https?:|mailto:)/i.test(href) ? href : null);
+
+export const parseInline = (text) => {
+  const nodes = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    const [token, code, strong, underscored, em, label, href] = match;
+    if (match.index > last) {
+      nodes.push({ type: 'text', text: text.slice(last, match.index) });
+    }
+    last = match.index + token.length;
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (strong !== undefined || underscored !== undefined) {
+      nodes.push({
+        type: 'strong',
+        children: parseInline(strong ?? underscored),
+      });
+    } else if (em !== undefined) {
+      nodes.push({ type: 'em', children: parseInline(em) });
+    } else if (safeHref(href)) {
+      nodes.push({ type: 'link', href, children: parseInline(label) });
+    } else {
+      nodes.push({ type: 'text', text: token });
+    }
+  }
+  if (last < text.length) nodes.push({ type: 'text', text: text.slice(last) });
+  return nodes;
+};
+
+const FENCE = /^\s*```/;
+const HEADING = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^\s*([-*+]|(\d+)[.)])\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/;
+
+const tableCells = (line) =>
+  line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split('|')
+    .map((cell) => cell.trim());
+
+const isTableStart = (lines, i) =>
+  lines[i].includes('|') && TABLE_DIVIDER.test(lines[i + 1] || '');
+
+const startsBlock = (lines, i) =>
+  FENCE.test(lines[i]) ||
+  HEADING.test(lines[i]) ||
+  RULE.test(lines[i]) ||
+  LIST_ITEM.test(lines[i]) ||
+  QUOTE.test(lines[i]) ||
+  isTableStart(lines, i);
+
+// Lines of a paragraph or quote keep their breaks, as chat replies use
+// single newlines for layout
+const withBreaks = (lines) =>
+  lines.flatMap((line, index) => [
+    ...(index > 0 ? [{ type: 'break' }] : []),
+    ...parseInline(line.trim()),
+  ]);
+
+export const parseMarkdown = (text = '') => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    if (FENCE.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+      i++;
+      blocks.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({
+        type: 'heading',
+        level: heading[1].length,
+        children: parseInline(heading[2]),
+      });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const align = tableCells(lines[i + 1]).map((cell) => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        return cell.endsWith(':') ? 'right' : 'left';
+      });
+      const header = tableCells(line).map(parseInline);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(tableCells(lines[i++]).map(parseInline));
+      }
+      blocks.push({ type: 'table', align, header, rows });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      const ordered = item[2] !== undefined;
+      const items = [];
+      while (i < lines.length) {
+        const next = lines[i].match(LIST_ITEM);
+        if (next && (next[2] !== undefined) === ordered) {
+          items.push([next[3]]);
+        } else if (
+          items.length > 0 &&
+          /^\s+\S/.test(lines[i]) &&
+          !startsBlock(lines, i)
+        ) {
+          // An indented line continues the item above
+          items[items.length - 1].push(lines[i]);
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push({
+        type: 'list',
+        ordered,
+        start: ordered ? Number(item[2]) : 1,
+        items: items.map(withBreaks),
+      });
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i++].match(QUOTE)[1]);
+      }
+      blocks.push({ type: 'quote', children: withBreaks(quoted) });
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      (paragraph.length === 0 || !startsBlock(lines, i))
+    ) {
+      paragraph.push(lines[i++]);
+    }
+    blocks.push({ type: 'paragraph', children: withBreaks(paragraph) });
+  }
+
+  return blocks;
+};
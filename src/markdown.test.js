@@ -0,0 +1,60 @@
+/**
+ * @jest-environment node
+ */
+import { parseInline, parseMarkdown } from './markdown';
+
+test('parses inline formatting and keeps unsafe links as text', () => {
+  expect(
+    parseInline('**3** clients, see `Email` or [docs](https://x.io)'),
+  ).toEqual([
+    { type: 'strong', children: [{ type: 'text', text: '3' }] },
+    { type: 'text', text: ' clients, see ' },
+    { type: 'code', text: 'Email' },
+    { type: 'text', text: ' or ' },
+    {
+      type: 'link',
+      href: 'https://x.io',
+      children: [{ type: 'text', text: 'docs' }],
+    },
+  ]);
+  expect(parseInline('[click](javascript:alert(1))')[0].type).toBe('text');
+});
+
+test('parses lists, tables and paragraphs', () => {
+  const blocks = parseMarkdown(
+    [
+      'Clients by city:',
+      '',
+      '| City | Count |',
+      '|------|------:|',
+      '| Austin | 4 |',
+      '| Boston | 2 |',
+      '',
+      '1. First',
+      '2. Second',
+      '   continued',
+      '- other',
+      'Last line',
+      'after a break',
+    ].join('\n'),
+  );
+
+  expect(blocks.map((block) => block.type)).toEqual([
+    'paragraph',
+    'table',
+    'list',
+    'list',
+    'paragraph',
+  ]);
+  expect(blocks[1].align).toEqual(['left', 'right']);
+  expect(blocks[1].rows).toHaveLength(2);
+  expect(blocks[1].rows[1][0]).toEqual([{ type: 'text', text: 'Boston' }]);
+  expect(blocks[2]).toMatchObject({ ordered: true, start: 1 });
+  expect(blocks[2].items[1]).toEqual([
+    { type: 'text', text: 'Second' },
+    { type: 'break' },
+    { type: 'text', text: 'continued' },
+  ]);
+  expect(blocks[3]).toMatchObject({ ordered: false });
+  expect(blocks[4].children).toContainEqual({ type: 'break' });
+});
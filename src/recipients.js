@@ -0,0 +1,133 @@
+// Turning email cells into a clean recipient list: cells holding several
+// addresses are split, addresses are trimmed and lowercased, malformed
+// ones and likely typos are flagged, and an address found on more than
+// one record is only emailed once.
+//
+// Candidate (one per client): { id, name, email, emailField, clientData }
+// where `email` is the raw cell value.
+
+export const DUPLICATE_PREFERENCES = {
+  mostComplete: 'Record with the most filled-in fields',
+  first: 'First record in the list',
+};
+
+// Common misspellings of big mail providers
+const DOMAIN_TYPOS = {
+  'gmial.com': 'gmail.com',
+  'gmai.com': 'gmail.com',
+  'gamil.com': 'gmail.com',
+  'gnail.com': 'gmail.com',
+  'gmal.com': 'gmail.com',
+  'gmail.co': 'gmail.com',
+  'gmail.cm': 'gmail.com',
+  'yaho.com': 'yahoo.com',
+  'yahooo.com': 'yahoo.com',
+  'hotmial.com': 'hotmail.com',
+  'hotmal.com': 'hotmail.com',
+  'hotmail.co': 'hotmail.com',
+  'outlok.com': 'outlook.com',
+  'icloud.co': 'icloud.com',
+};
+const TLD_TYPOS = ['con', 'cmo', 'ocm', 'vom', 'comm', 'cpm'];
+
+const LOCAL_PART =
+  /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_LABEL = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+// The address in one entry: "address", "Name <address>" or "Name
+// address". An entry with more than one @ is kept whole so it is
+// flagged rather than guessed at.
+const entryAddress = (entry) => {
+  const bracketed = entry.match(/<([^>]*)>/);
+  if (bracketed) return bracketed[1];
+  const words = entry.trim().split(/\s+/);
+  const address = words.pop();
+  return words.some((word) => word.includes('@')) ? entry : address;
+};
+
+// Split a cell into lowercase addresses, accepting commas, semicolons
+// or line breaks between entries
+export const splitAddresses = (value) =>
+  []
+    .concat(value ?? [])
+    .join(',')
+    .split(/[,;\n]+/)
+    .map((entry) => entryAddress(entry).trim().toLowerCase())
+    .filter(Boolean);
+
+// Why an address can't be used, or null when it looks deliverable
+export const validateAddress = (address) => {
+  const parts = address.split('@');
+  if (parts.length !== 2) return 'Not an email address';
+  const [local, domain] = parts;
+  if (!local || !LOCAL_PART.test(local)) return 'Invalid name before the @';
+  const labels = domain.split('.');
+  if (labels.length < 2 || !labels.every((l) => DOMAIN_LABEL.test(l))) {
+    return 'Invalid domain';
+  }
+  const tld = labels[labels.length - 1];
+  if (!/^[a-z]{2,}$/.test(tld)) return 'Invalid domain';
+  if (DOMAIN_TYPOS[domain]) return `Did you mean ${DOMAIN_TYPOS[domain]}?`;
+  if (TLD_TYPOS.includes(tld)) return `Did you mean .com?`;
+  return null;
+};
+
+const filledFields = (recipient) =>
+  Object.values(recipient.clientData || {}).filter(
+    (value) =>
+      value !== null &&
+      value !== undefined &&
+      value !== '' &&
+      !(Array.isArray(value) && value.length === 0),
+  ).length;
+
+// Build recipients from candidates. Returns the recipients, the invalid
+// addresses ({ ...candidate, address, error }) and duplicate groups
+// ({ email, records, keptId }). `choices` maps an address to the record
+// whose data personalizes it, overriding `prefer`.
+export const normalizeRecipients = (
+  candidates,
+  { prefer = 'mostComplete', choices = {} } = {},
+) => {
+  const invalid = [];
+  const byAddress = new Map();
+
+  candidates.forEach((candidate) => {
+    let valid = 0;
+    new Set(splitAddresses(candidate.email)).forEach((address) => {
+      const error = validateAddress(address);
+      if (error) {
+        invalid.push({ ...candidate, address, error });
+        return;
+      }
+      // A record's first address is keyed by the record itself, so
+      // exclusions and history keep working for single-address cells
+      const key =
+        valid === 0
+          ? candidate.id || address
+          : `${candidate.id || ''}:${address}`;
+      valid++;
+      const recipient = { ...candidate, email: address, key };
+      byAddress.set(address, [...(byAddress.get(address) || []), recipient]);
+    });
+  });
+
+  const recipients = [];
+  const duplicates = [];
+  byAddress.forEach((group, email) => {
+    const chosen = group.find((r) => r.id && r.id === choices[email]);
+    const kept =
+      chosen ||
+      (prefer === 'first'
+        ? group[0]
+        : group.reduce((best, r) =>
+            filledFields(r) > filledFields(best) ? r : best,
+          ));
+    recipients.push(kept);
+    if (group.length > 1) {
+      duplicates.push({ email, records: group, keptId: kept.id });
+    }
+  });
+
+  return { recipients, invalid, duplicates };
+};
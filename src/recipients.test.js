@@ -0,0 +1,76 @@
+/**
+ * @jest-environment node
+ */
+import {
+  normalizeRecipients,
+  splitAddresses,
+  validateAddress,
+} from './recipients';
+
+const client = (id, email, clientData = {}) => ({
+  id,
+  name: id,
+  email,
+  emailField: 'Email',
+  clientData,
+});
+
+test('splits, trims and lowercases multi-address cells', () => {
+  expect(
+    splitAddresses(' Ada@Example.com; bob@example.com,\nCy <CY@example.org>'),
+  ).toEqual(['ada@example.com', 'bob@example.com', 'cy@example.org']);
+  expect(splitAddresses(null)).toEqual([]);
+});
+
+test('reads "Name address" entries without splitting on spaces', () => {
+  expect(
+    splitAddresses('John Smith john@x.com; Mary Jones <mary@x.com>'),
+  ).toEqual(['john@x.com', 'mary@x.com']);
+  expect(splitAddresses('ada@example.com bob@example.com')).toEqual([
+    'ada@example.com bob@example.com',
+  ]);
+  const { recipients, invalid } = normalizeRecipients([
+    client('rec1', 'John Smith john@x.com'),
+  ]);
+  expect(recipients.map((r) => r.email)).toEqual(['john@x.com']);
+  expect(invalid).toEqual([]);
+});
+
+test('flags malformed addresses and likely typos', () => {
+  expect(validateAddress('ada@example.com')).toBeNull();
+  expect(validateAddress('ada.example.com')).toBe('Not an email address');
+  expect(validateAddress('ada..b@example.com')).toBe(
+    'Invalid name before the @',
+  );
+  expect(validateAddress('ada@example')).toBe('Invalid domain');
+  expect(validateAddress('ada@-example.com')).toBe('Invalid domain');
+  expect(validateAddress('ada@gmial.com')).toBe('Did you mean gmail.com?');
+  expect(validateAddress('ada@example.con')).toBe('Did you mean .com?');
+});
+
+test('emails shared addresses once, personalized with the chosen record', () => {
+  const candidates = [
+    client('rec1', 'family@example.com, mom@example.com', { Name: 'Ada' }),
+    client('rec2', 'FAMILY@example.com', { Name: 'Bob', Phone: '555' }),
+    client('rec3', 'not-an-address'),
+  ];
+
+  const { recipients, invalid, duplicates } = normalizeRecipients(candidates);
+  expect(recipients.map((r) => [r.key, r.email])).toEqual([
+    ['rec2', 'family@example.com'],
+    ['rec1:mom@example.com', 'mom@example.com'],
+  ]);
+  expect(invalid).toMatchObject([
+    { id: 'rec3', address: 'not-an-address', error: 'Not an email address' },
+  ]);
+  expect(duplicates).toMatchObject([
+    { email: 'family@example.com', keptId: 'rec2' },
+  ]);
+
+  const first = normalizeRecipients(candidates, { prefer: 'first' });
+  expect(first.recipients[0].id).toBe('rec1');
+  const chosen = normalizeRecipients(candidates, {
+    choices: { 'family@example.com': 'rec1' },
+  });
+  expect(chosen.recipients[0].id).toBe('rec1');
+});
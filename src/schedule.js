@@ -0,0 +1,131 @@
+// Scheduled and drip campaigns. Every step of a sequence has a timing,
+// relative either to when the campaign starts or to a date field on each
+// client ("3 days before Next Appointment"), and is turned into send
+// queue items that wait until their send time.
+//
+// Timing: { anchor: 'start' | 'field', field, amount, unit, direction,
+//           time }
+// `time` ('HH:MM') is the time of day for day-based steps off a field.
+
+import { buildMessages } from './mailer';
+
+export const TIMING_UNITS = { hours: 3600000, days: 86400000 };
+
+export const DEFAULT_TIMING = {
+  anchor: 'start',
+  field: '',
+  amount: 0,
+  unit: 'days',
+  direction: 'after',
+  time: '09:00',
+};
+
+// The follow-ups a practice asked for: day 7 check-in, day 30 feedback
+export const createStep = (amount = 7) => ({
+  subject: '',
+  body: '',
+  timing: { ...DEFAULT_TIMING, amount },
+});
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A date field value as a local time; date-only values get `time`
+const anchorTime = (value, time) => {
+  const text = String(value);
+  if (DATE_ONLY.test(text)) {
+    const [year, month, day] = text.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes).getTime();
+  }
+  const parsed = new Date(text).getTime();
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+// When one recipient should get a step, as { at, notAfter } or
+// { error }. Reminders before a date aren't sent once the date is past.
+export const sendTime = (timing, recipient, start) => {
+  const offset =
+    (Number(timing.amount) || 0) *
+    TIMING_UNITS[timing.unit] *
+    (timing.direction === 'before' ? -1 : 1);
+
+  if (timing.anchor !== 'field') return { at: start + offset };
+
+  const value = recipient.clientData?.[timing.field];
+  if (value === undefined || value === null || value === '') {
+    return { error: `No ${timing.field}` };
+  }
+  const anchor = anchorTime(value, timing.time || DEFAULT_TIMING.time);
+  if (anchor === null) return { error: `${timing.field} isn't a date` };
+
+  let at = anchor + offset;
+  // Day offsets from a date with a time keep the chosen time of day
+  if (timing.unit === 'days' && !DATE_ONLY.test(String(value))) {
+    const date = new Date(at);
+    const [hours, minutes] = (timing.time || DEFAULT_TIMING.time)
+      .split(':')
+      .map(Number);
+    date.setHours(hours, minutes, 0, 0);
+    at = date.getTime();
+  }
+  return { at, notAfter: offset < 0 ? anchor : null };
+};
+
+export const describeTiming = (timing) => {
+  const amount = Number(timing.amount) || 0;
+  const unit = amount === 1 ? timing.unit.replace(/s$/, '') : timing.unit;
+  if (timing.anchor === 'field') {
+    return amount === 0
+      ? `On ${timing.field || '…'} at ${timing.time}`
+      : `${amount} ${unit} ${timing.direction} ${timing.field || '…'}`;
+  }
+  return amount === 0
+    ? 'When the campaign starts'
+    : `${amount} ${unit} after the campaign starts`;
+};
+
+// Render every step for every recipient with its send time. Send times
+// already in the past are skipped, except for steps off the start, which
+// go out right away. Returns one { campaign, messages, skipped } per
+// step, where `campaign` carries the step's own id, subject and body.
+export const scheduleSteps = (campaign, steps, options, { start, now }) =>
+  steps.map((step, index) => {
+    const stepCampaign = {
+      ...campaign,
+      id: index === 0 ? campaign.id : `${campaign.id}-${index + 1}`,
+      subject: step.subject,
+      body: step.body,
+      // A/B variants only apply to the first email, so follow-ups
+      // aren't logged or compared under one
+      ...(index > 0 && {
+        variants: [],
+        recipients: campaign.recipients.map(
+          ({ variant, ...recipient }) => recipient,
+        ),
+      }),
+    };
+    const messages = [];
+    const skipped = [];
+
+    buildMessages(stepCampaign, options).forEach((message) => {
+      const { at, notAfter, error } = sendTime(
+        step.timing,
+        message.recipient,
+        start,
+      );
+      if (error) {
+        skipped.push({ recipient: message.recipient, reason: error });
+      } else if (at < now && step.timing.anchor === 'field') {
+        skipped.push({ recipient: message.recipient, reason: 'Already past' });
+      } else {
+        messages.push({
+          ...message,
+          step: index,
+          sendAt: at > now ? at : null,
+          notAfter,
+        });
+      }
+    });
+
+    return { campaign: stepCampaign, messages, skipped };
+  });
@@ -0,0 +1,125 @@
+/** @jest-environment node */
+import {
+  createStep,
+  describeTiming,
+  scheduleSteps,
+  sendTime,
+} from './schedule';
+
+const DAY = 86400000;
+const start = new Date(2025, 5, 1, 10, 0).getTime();
+const fieldTiming = (changes) => ({
+  ...createStep(3).timing,
+  anchor: 'field',
+  field: 'Next Appointment',
+  ...changes,
+});
+const client = (value) => ({ clientData: { 'Next Appointment': value } });
+
+test('times steps from the campaign start', () => {
+  expect(sendTime(createStep(7).timing, {}, start)).toEqual({
+    at: start + 7 * DAY,
+  });
+  expect(describeTiming(createStep(1).timing)).toBe(
+    '1 day after the campaign starts',
+  );
+});
+
+test('times steps from a date field at the chosen time of day', () => {
+  const before = sendTime(
+    fieldTiming({ direction: 'before' }),
+    client('2025-06-20'),
+    start,
+  );
+  expect(before).toEqual({
+    at: new Date(2025, 5, 17, 9, 0).getTime(),
+    // A reminder before the appointment is pointless once it's past
+    notAfter: new Date(2025, 5, 20, 9, 0).getTime(),
+  });
+
+  const after = sendTime(
+    fieldTiming({ time: '14:30' }),
+    client(new Date(2025, 5, 20, 8, 15).toISOString()),
+    start,
+  );
+  expect(after).toEqual({
+    at: new Date(2025, 5, 23, 14, 30).getTime(),
+    notAfter: null,
+  });
+
+  expect(sendTime(fieldTiming(), client(''), start)).toEqual({
+    error: 'No Next Appointment',
+  });
+  expect(sendTime(fieldTiming(), client('soon'), start)).toEqual({
+    error: "Next Appointment isn't a date",
+  });
+  expect(describeTiming(fieldTiming({ direction: 'before' }))).toBe(
+    '3 days before Next Appointment',
+  );
+});
+
+test('schedules each step as its own campaign', () => {
+  const campaign = {
+    id: 'cmp1',
+    subject: 'Welcome',
+    body: 'Hi {{name}}',
+    variants: [{ subject: 'Hello', body: 'Hello {{name}}' }],
+    recipients: [
+      {
+        id: 'rec1',
+        name: 'Ann',
+        email: 'ann@example.com',
+        clientData: {},
+        variant: 'A',
+      },
+      {
+        id: 'rec2',
+        name: 'Bob',
+        email: 'bob@example.com',
+        clientData: { 'Next Appointment': '2025-05-01' },
+        variant: 'B',
+      },
+    ],
+  };
+  const steps = [
+    { subject: 'Welcome', body: 'Hi {{name}}', timing: createStep(0).timing },
+    { ...createStep(7), subject: 'Check-in', body: 'How are you?' },
+    {
+      subject: 'Reminder',
+      body: 'See you soon',
+      timing: fieldTiming({ direction: 'before', amount: 1 }),
+    },
+  ];
+
+  const [first, followUp, reminder] = scheduleSteps(
+    campaign,
+    steps,
+    { schema: {} },
+    { start, now: start },
+  );
+
+  expect(first.campaign.id).toBe('cmp1');
+  expect(first.messages.map((m) => m.sendAt)).toEqual([null, null]);
+  expect(followUp.campaign).toMatchObject({
+    id: 'cmp1-2',
+    subject: 'Check-in',
+  });
+  expect(followUp.messages.map((m) => m.sendAt)).toEqual([
+    start + 7 * DAY,
+    start + 7 * DAY,
+  ]);
+  // Only the first email is split between variants
+  expect(first.messages.map((m) => m.recipient.variant)).toEqual(['A', 'B']);
+  expect(first.messages[1].subject).toBe('Hello');
+  expect(followUp.campaign.variants).toEqual([]);
+  expect(followUp.messages.map((m) => m.recipient.variant)).toEqual([
+    undefined,
+    undefined,
+  ]);
+  expect(followUp.messages[1].subject).toBe('Check-in');
+  expect(reminder.messages).toEqual([]);
+  expect(reminder.skipped.map((s) => s.reason)).toEqual([
+    'No Next Appointment',
+    'Already past',
+  ]);
+});
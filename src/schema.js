@@ -0,0 +1,143 @@
+// Field type helpers built on Airtable's table metadata
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+const RECORD_ID_PATTERN = /^rec[a-zA-Z0-9]{14}$/;
+
+export const TEXT_TYPES = [
+  'singleLineText',
+  'multilineText',
+  'richText',
+  'email',
+  'url',
+  'phoneNumber',
+  'barcode',
+  'aiText',
+];
+
+export const NUMBER_TYPES = [
+  'number',
+  'currency',
+  'percent',
+  'rating',
+  'duration',
+  'autoNumber',
+  'count',
+];
+
+export const DATE_TYPES = [
+  'date',
+  'dateTime',
+  'createdTime',
+  'lastModifiedTime',
+];
+
+export const SELECT_TYPES = ['singleSelect', 'multipleSelects'];
+
+// Types whose values can be written back through the REST API
+export const EDITABLE_TYPES = [
+  'singleLineText',
+  'multilineText',
+  'email',
+  'url',
+  'phoneNumber',
+  'number',
+  'currency',
+  'percent',
+  'rating',
+  'date',
+  'dateTime',
+  'checkbox',
+  'singleSelect',
+];
+
+const inferValueType = (value) => {
+  if (typeof value === 'boolean') return 'checkbox';
+  if (typeof value === 'number') return 'number';
+  if (Array.isArray(value)) {
+    const first = value[0];
+    if (first && typeof first === 'object' && first.url) {
+      return 'multipleAttachments';
+    }
+    if (typeof first === 'string' && RECORD_ID_PATTERN.test(first)) {
+      return 'multipleRecordLinks';
+    }
+    return 'multipleSelects';
+  }
+  if (typeof value === 'string') {
+    if (ISO_DATE_PATTERN.test(value)) return 'date';
+    if (ISO_DATE_TIME_PATTERN.test(value)) return 'dateTime';
+    if (value.includes('\n')) return 'multilineText';
+  }
+  return 'singleLineText';
+};
+
+// Build a best-effort schema from the records themselves when the
+// metadata API is unavailable. Every record is scanned so fields left
+// empty on the first record are still found.
+export const inferSchema = (records) => {
+  const fields = new Map();
+  records.forEach((record) => {
+    Object.entries(record.fields).forEach(([name, value]) => {
+      if (!fields.has(name)) {
+        fields.set(name, { name, type: inferValueType(value) });
+      }
+    });
+  });
+  return Array.from(fields.values());
+};
+
+export const schemaByName = (fields) =>
+  Object.fromEntries(fields.map((field) => [field.name, field]));
+
+export const isEditableField = (field) =>
+  !field || EDITABLE_TYPES.includes(field.type);
+
+export const selectChoices = (field) => field?.options?.choices || [];
+
+// Airtable select colors look like "blueLight2" or "greenBright"; map
+// the hue onto Tailwind classes (written out in full so JIT keeps them).
+const BADGE_CLASSES = {
+  blue: 'bg-blue-100 text-blue-800',
+  cyan: 'bg-cyan-100 text-cyan-800',
+  teal: 'bg-teal-100 text-teal-800',
+  green: 'bg-green-100 text-green-800',
+  yellow: 'bg-yellow-100 text-yellow-800',
+  orange: 'bg-orange-100 text-orange-800',
+  red: 'bg-red-100 text-red-800',
+  pink: 'bg-pink-100 text-pink-800',
+  purple: 'bg-purple-100 text-purple-800',
+  gray: 'bg-gray-100 text-gray-800',
+};
+
+export const badgeClass = (field, value) => {
+  const choice = selectChoices(field).find((c) => c.name === value);
+  const hue = choice?.color?.match(/^[a-z]+/)?.[0];
+  return BADGE_CLASSES[hue] || BADGE_CLASSES.gray;
+};
+
+// Plain-text form of any cell value, used for search and display
+export const valueToText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(valueToText).join(', ');
+  if (typeof value === 'object') {
+    return (
+      value.name ||
+      value.filename ||
+      value.email ||
+      value.error ||
+      JSON.stringify(value)
+    );
+  }
+  return String(value);
+};
+
+export const formatDate = (value, type) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  if (type === 'date') {
+    // Date-only values are calendar days; don't shift them by timezone
+    return date.toLocaleDateString(undefined, { timeZone: 'UTC' });
+  }
+  return date.toLocaleString();
+};
@@ -0,0 +1,73 @@
+/**
+ * @jest-environment node
+ */
+import {
+  badgeClass,
+  formatDate,
+  inferSchema,
+  isEditableField,
+  schemaByName,
+  valueToText,
+} from './schema';
+
+test('infers field types from every record', () => {
+  const schema = inferSchema([
+    { id: 'rec1', fields: { Name: 'Ann', Visits: 3 } },
+    {
+      id: 'rec2',
+      fields: {
+        Name: 'Bo',
+        'Opted In': true,
+        Born: '1980-04-02',
+        Seen: '2024-01-05T10:00:00.000Z',
+        Notes: 'line one\nline two',
+        Tags: ['VIP'],
+        Doctor: ['recAAAAAAAAAAAAAA'],
+        Files: [{ url: 'https://x.io/a.pdf', filename: 'a.pdf' }],
+      },
+    },
+  ]);
+
+  expect(schemaByName(schema)).toEqual({
+    Name: { name: 'Name', type: 'singleLineText' },
+    Visits: { name: 'Visits', type: 'number' },
+    'Opted In': { name: 'Opted In', type: 'checkbox' },
+    Born: { name: 'Born', type: 'date' },
+    Seen: { name: 'Seen', type: 'dateTime' },
+    Notes: { name: 'Notes', type: 'multilineText' },
+    Tags: { name: 'Tags', type: 'multipleSelects' },
+    Doctor: { name: 'Doctor', type: 'multipleRecordLinks' },
+    Files: { name: 'Files', type: 'multipleAttachments' },
+  });
+});
+
+test('only writable types are editable', () => {
+  expect(isEditableField({ type: 'email' })).toBe(true);
+  expect(isEditableField({ type: 'formula' })).toBe(false);
+  expect(isEditableField({ type: 'multipleRecordLinks' })).toBe(false);
+  // Fields missing from the schema are treated as plain text
+  expect(isEditableField(undefined)).toBe(true);
+});
+
+test('maps select colors onto badge classes', () => {
+  const field = {
+    type: 'singleSelect',
+    options: { choices: [{ name: 'Active', color: 'greenLight2' }] },
+  };
+  expect(badgeClass(field, 'Active')).toBe('bg-green-100 text-green-800');
+  expect(badgeClass(field, 'Unknown')).toBe('bg-gray-100 text-gray-800');
+});
+
+test('turns cell values into text', () => {
+  expect(valueToText(null)).toBe('');
+  expect(valueToText(['a', 'b'])).toBe('a, b');
+  expect(valueToText({ name: 'Dr. Lee', email: 'lee@x.io' })).toBe('Dr. Lee');
+  expect(valueToText([{ filename: 'a.pdf' }])).toBe('a.pdf');
+  expect(valueToText(false)).toBe('false');
+  expect(formatDate('2024-03-01', 'date')).toBe(
+    new Date(Date.UTC(2024, 2, 1)).toLocaleDateString(undefined, {
+      timeZone: 'UTC',
+    }),
+  );
+  expect(formatDate('soon', 'date')).toBe('soon');
+});
@@ -0,0 +1,159 @@
+// Persistent outgoing mail queue. Items survive a reload in
+// localStorage and are sent one at a time at a throttled rate, retrying
+// transient failures with exponential backoff.
+//
+// Item: { id, campaignId, campaignSubject, recipientId, recipientKey,
+//         name, to, subject, body, html, status, attempts, error,
+//         nextAttemptAt, sentAt, scheduledFor, notAfter, variant }
+// status: 'queued' | 'sending' | 'sent' | 'failed'
+// Scheduled items are queued with `nextAttemptAt` at their send time;
+// `notAfter` drops a reminder that could no longer go out in time.
+
+import { isAbortError, sleep } from './airtable';
+import { createId, recipientKey } from './mailer';
+
+const QUEUE_KEY = 'sendQueue';
+const RETRY_BASE_DELAY = 30000;
+// Longest single wait, so far-off scheduled sends don't overflow
+// setTimeout and a moved (simulated) clock is noticed
+const MAX_IDLE_WAIT = 60000;
+
+export const INTERRUPTED_ERROR =
+  'The page closed while sending; check the outbox before retrying';
+
+export const QUEUE_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+export const loadQueue = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+    // A send interrupted by a reload may or may not have gone out.
+    // Retrying could mail the client twice, so leave it to be checked
+    // and retried by hand.
+    return stored.map((item) =>
+      item.status === 'sending'
+        ? { ...item, status: 'failed', error: INTERRUPTED_ERROR }
+        : item,
+    );
+  } catch {
+    return [];
+  }
+};
+
+export const storeQueue = (queue) => {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+};
+
+// Turn rendered campaign messages into queue items. Messages from a
+// schedule (see schedule.js) carry `sendAt` and `notAfter`.
+export const queueItems = (messages, campaign) =>
+  messages.map((message) => ({
+    id: createId('msg'),
+    campaignId: campaign.id,
+    campaignSubject: campaign.subject,
+    recipientId: message.recipient.id || null,
+    recipientKey: recipientKey(message.recipient),
+    name: message.recipient.name,
+    to: message.to,
+    subject: message.subject,
+    body: message.body,
+    html: message.html || null,
+    status: 'queued',
+    attempts: 0,
+    error: null,
+    nextAttemptAt: message.sendAt || 0,
+    sentAt: null,
+    scheduledFor: message.sendAt || null,
+    notAfter: message.notAfter || null,
+    variant: message.recipient.variant || null,
+  }));
+
+export const isScheduled = (item, now = Date.now()) =>
+  item.status === 'queued' && item.attempts === 0 && item.scheduledFor > now;
+
+export const countByStatus = (items) =>
+  items.reduce(
+    (counts, item) => ({ ...counts, [item.status]: counts[item.status] + 1 }),
+    Object.fromEntries(QUEUE_STATUSES.map((status) => [status, 0])),
+  );
+
+export const retryDelay = (attempts) => RETRY_BASE_DELAY * 2 ** (attempts - 1);
+
+// Send queued items until none are left. `getItems` returns the current
+// queue so items added while running are picked up; `onUpdate(id,
+// changes)` must apply changes to that queue. `suppressed(item)` returns
+// why an item may no longer be sent, or null. Resolves when the queue is
+// drained, or once the current message is done after `signal` aborts.
+export const runSendQueue = async (
+  getItems,
+  sender,
+  {
+    ratePerMinute = 30,
+    maxAttempts = 3,
+    onUpdate,
+    suppressed = () => null,
+    signal,
+    now = Date.now,
+    wait = sleep,
+  } = {},
+) => {
+  const interval = 60000 / Math.max(1, ratePerMinute);
+
+  try {
+    while (!signal?.aborted) {
+      const queued = getItems().filter((item) => item.status === 'queued');
+      if (queued.length === 0) return;
+
+      const item = queued.find((i) => i.nextAttemptAt <= now());
+      if (!item) {
+        // Everything left is waiting to retry
+        const soonest = Math.min(...queued.map((i) => i.nextAttemptAt));
+        await wait(
+          Math.min(MAX_IDLE_WAIT, Math.max(0, soonest - now())),
+          signal,
+        );
+        continue;
+      }
+
+      if (item.notAfter && now() > item.notAfter) {
+        onUpdate(item.id, {
+          status: 'failed',
+          error: 'Not sent: the date it was a reminder for has passed',
+        });
+        continue;
+      }
+
+      const reason = suppressed(item);
+      if (reason) {
+        onUpdate(item.id, { status: 'failed', error: `Not sent: ${reason}` });
+        continue;
+      }
+
+      onUpdate(item.id, { status: 'sending' });
+      try {
+        // Not aborted by `signal`: a message the server may already have
+        // accepted must not go back in the queue and be sent twice
+        const { id } = await sender.send(item);
+        onUpdate(item.id, {
+          status: 'sent',
+          attempts: item.attempts + 1,
+          error: null,
+          sentAt: new Date(now()).toISOString(),
+          messageId: id,
+        });
+      } catch (err) {
+        const attempts = item.attempts + 1;
+        const retry = err.transient && attempts < maxAttempts;
+        onUpdate(item.id, {
+          status: retry ? 'queued' : 'failed',
+          attempts,
+          error: err.message,
+          nextAttemptAt: retry ? now() + retryDelay(attempts) : 0,
+        });
+      }
+
+      await wait(interval, signal);
+    }
+  } catch (err) {
+    if (!isAbortError(err)) throw err;
+  }
+};
@@ -0,0 +1,171 @@
+import {
+  INTERRUPTED_ERROR,
+  countByStatus,
+  loadQueue,
+  queueItems,
+  retryDelay,
+  runSendQueue,
+} from './sendQueue';
+
+const setup = (count) => {
+  let items = queueItems(
+    Array.from({ length: count }, (_, i) => ({
+      recipient: { id: `rec${i}`, name: `Patient ${i}` },
+      to: `p${i}@example.com`,
+      subject: 'Hello',
+      body: 'Body',
+    })),
+    { id: 'cmp1', subject: 'Hello' },
+  );
+  let clock = 0;
+  const waits = [];
+  return {
+    getItems: () => items,
+    onUpdate: (id, changes) => {
+      items = items.map((item) =>
+        item.id === id ? { ...item, ...changes } : item,
+      );
+    },
+    now: () => clock,
+    wait: async (ms) => {
+      waits.push(ms);
+      clock += ms;
+    },
+    waits,
+  };
+};
+
+test('sends every item at the throttled rate', async () => {
+  const queue = setup(3);
+  const sent = [];
+  await runSendQueue(
+    queue.getItems,
+    { send: async (item) => sent.push(item.to) && { id: item.to } },
+    { ...queue, ratePerMinute: 60 },
+  );
+  expect(sent).toEqual(['p0@example.com', 'p1@example.com', 'p2@example.com']);
+  expect(queue.waits).toEqual([1000, 1000, 1000]);
+  expect(countByStatus(queue.getItems())).toMatchObject({ sent: 3 });
+});
+
+test('retries transient failures with backoff and gives up on others', async () => {
+  const queue = setup(2);
+  let calls = 0;
+  const sender = {
+    send: async (item) => {
+      calls++;
+      if (item.to === 'p1@example.com') {
+        throw Object.assign(new Error('SMTP 550: no such user'), {
+          transient: false,
+        });
+      }
+      if (calls === 1) {
+        throw Object.assign(new Error('Error: 503'), { transient: true });
+      }
+      return { id: 'ok' };
+    },
+  };
+
+  await runSendQueue(queue.getItems, sender, {
+    ...queue,
+    ratePerMinute: 60,
+    maxAttempts: 3,
+  });
+
+  const [first, second] = queue.getItems();
+  expect(first).toMatchObject({ status: 'sent', attempts: 2, error: null });
+  expect(second).toMatchObject({
+    status: 'failed',
+    attempts: 1,
+    error: 'SMTP 550: no such user',
+  });
+  // Waited out the retry delay after the throttle interval
+  expect(queue.waits).toContain(retryDelay(1) - 2000);
+});
+
+test('stops after the current message when aborted', async () => {
+  const queue = setup(3);
+  const controller = new AbortController();
+  await runSendQueue(
+    queue.getItems,
+    {
+      send: async () => {
+        controller.abort();
+        return { id: 'ok' };
+      },
+    },
+    {
+      ...queue,
+      signal: controller.signal,
+      wait: async (ms, signal) => {
+        if (signal?.aborted) {
+          throw new DOMException('Aborted', 'AbortError');
+        }
+      },
+    },
+  );
+  expect(countByStatus(queue.getItems())).toMatchObject({
+    sent: 1,
+    queued: 2,
+  });
+});
+
+test('holds scheduled items until their time and drops late reminders', async () => {
+  const queue = setup(2);
+  const [later, reminder] = queue.getItems();
+  queue.onUpdate(later.id, { nextAttemptAt: 150000, scheduledFor: 150000 });
+  queue.onUpdate(reminder.id, {
+    nextAttemptAt: 120000,
+    scheduledFor: 120000,
+    notAfter: 100000,
+  });
+  const sent = [];
+  await runSendQueue(
+    queue.getItems,
+    { send: async (item) => sent.push(item.to) && { id: item.to } },
+    { ...queue, ratePerMinute: 60 },
+  );
+
+  expect(sent).toEqual(['p0@example.com']);
+  // Idle waits are capped, so a moved clock is noticed
+  expect(queue.waits.slice(0, 3)).toEqual([60000, 60000, 30000]);
+  expect(queue.getItems()[1]).toMatchObject({
+    status: 'failed',
+    error: 'Not sent: the date it was a reminder for has passed',
+  });
+});
+
+test('marks sends cut off by a reload as failed', () => {
+  localStorage.setItem(
+    'sendQueue',
+    JSON.stringify([
+      { id: 'a', status: 'sending', error: null },
+      { id: 'b', status: 'queued', error: null },
+    ]),
+  );
+  expect(loadQueue()).toEqual([
+    { id: 'a', status: 'failed', error: INTERRUPTED_ERROR },
+    { id: 'b', status: 'queued', error: null },
+  ]);
+  localStorage.clear();
+});
+
+test('drops items suppressed since they were queued', async () => {
+  const queue = setup(2);
+  const sent = [];
+  await runSendQueue(
+    queue.getItems,
+    { send: async (item) => sent.push(item.to) && { id: item.to } },
+    {
+      ...queue,
+      suppressed: (item) =>
+        item.to === 'p1@example.com' ? 'on the do-not-contact list' : null,
+    },
+  );
+
+  expect(sent).toEqual(['p0@example.com']);
+  expect(queue.getItems()[1]).toMatchObject({
+    status: 'failed',
+    error: 'Not sent: on the do-not-contact list',
+  });
+});
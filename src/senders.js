@@ -0,0 +1,134 @@
+// Mail senders. Every sender has the same shape:
+//
+//   sender.send({ to, subject, body, html }, { signal }) -> Promise<{ id }>
+//
+// and throws an Error with `transient: true` when trying again later may
+// succeed (rate limits, server errors, network trouble), so the send
+// queue knows what to retry. `body` is always plain text; rich-text
+// messages also carry `html`.
+
+import { toEml } from './mailer';
+
+export const SENDER_TYPES = {
+  smtp: 'SMTP relay',
+  http: 'HTTP mail API',
+};
+
+// The development server relays these requests over SMTP (see
+// setupProxy.js) to the server set in its environment; MailHog on
+// localhost:1025 by default.
+export const SMTP_RELAY_URL = '/api/smtp/send';
+
+export const DEFAULT_SENDER_SETTINGS = {
+  type: 'smtp',
+  from: '',
+  apiUrl: '',
+  ratePerMinute: 30,
+  maxAttempts: 3,
+};
+
+const SETTINGS_KEY = 'mailSender';
+
+// Passwords and API keys are kept in memory only, like the Airtable and
+// language model keys
+export const loadSenderSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_SENDER_SETTINGS, ...stored };
+  } catch {
+    return DEFAULT_SENDER_SETTINGS;
+  }
+};
+
+export const storeSenderSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+export const senderConfigError = (settings) => {
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(settings.from.trim())) {
+    return 'Set a valid From address';
+  }
+  if (settings.type === 'http' && !settings.apiUrl.trim()) {
+    return 'Set the mail API URL';
+  }
+  return null;
+};
+
+const sendError = (message, transient) =>
+  Object.assign(new Error(message), { transient });
+
+const postJson = async (url, payload, { headers, signal }) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(payload),
+      signal,
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw sendError(`Network error: ${err.message}`, true);
+  }
+
+  let data = {};
+  try {
+    data = await response.json();
+  } catch {
+    // Some APIs answer with an empty body
+  }
+  if (!response.ok) {
+    const detail = data.error?.message || data.error || data.message;
+    throw sendError(
+      `Error: ${response.status} - ${response.statusText}${
+        detail ? `: ${detail}` : ''
+      }`,
+      response.status === 429 || response.status >= 500,
+    );
+  }
+  return data;
+};
+
+// Posts { from, to, subject, text, html, raw } as JSON to any HTTP
+// endpoint, e.g. a transactional mail provider or a small relay in
+// front of one
+const createHttpSender = (settings, secret) => ({
+  send: async (message, { signal } = {}) => {
+    const data = await postJson(
+      settings.apiUrl,
+      {
+        from: settings.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.body,
+        ...(message.html && { html: message.html }),
+        raw: toEml(message, { from: settings.from, draft: false }),
+      },
+      {
+        headers: secret ? { Authorization: `Bearer ${secret}` } : {},
+        signal,
+      },
+    );
+    return { id: data.id || data.messageId || null };
+  },
+});
+
+const createSmtpSender = (settings) => ({
+  send: async (message, { signal } = {}) => {
+    const data = await postJson(
+      SMTP_RELAY_URL,
+      {
+        from: settings.from,
+        to: [message.to],
+        raw: toEml(message, { from: settings.from, draft: false }),
+      },
+      { signal },
+    );
+    return { id: data.id || null };
+  },
+});
+
+export const createSender = (settings, secret) =>
+  settings.type === 'http'
+    ? createHttpSender(settings, secret)
+    : createSmtpSender(settings);
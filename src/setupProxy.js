@@ -0,0 +1,50 @@
+// Development server hook, loaded by react-scripts start. Adds the SMTP
+// relay endpoint used by the "SMTP relay" sender (see senders.js). The
+// SMTP server is set with SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+// SMTP_USERNAME and SMTP_PASSWORD in .env.local. To try campaigns
+// locally, run MailHog and leave them unset; sent mail shows up at
+// http://localhost:8025.
+
+const { sendMail, relayConfig, rejectRelayRequest } = require('./smtpRelay');
+
+const MAX_BODY = 5 * 1024 * 1024;
+
+const reply = (res, status, payload) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+};
+
+module.exports = (app) => {
+  app.post('/api/smtp/send', (req, res) => {
+    const rejection = rejectRelayRequest(req.headers);
+    if (rejection) {
+      reply(res, rejection[0], { error: rejection[1] });
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) req.destroy();
+    });
+    req.on('end', async () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        reply(res, 400, { error: 'Invalid JSON' });
+        return;
+      }
+      try {
+        const id = await sendMail(relayConfig(), payload);
+        reply(res, 200, { id });
+      } catch (err) {
+        // 503 tells the send queue to retry; 422 means give up
+        const status = err.transient ? 503 : 422;
+        reply(res, status, { error: err.message });
+      }
+    });
+  });
+};
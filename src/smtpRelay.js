@@ -0,0 +1,171 @@
+// Minimal SMTP client used by the development server relay
+// (setupProxy.js). Browsers can't open SMTP connections, so the app
+// posts ready-made RFC 5322 messages here and this hands them to the
+// server named in the environment (see relayConfig): MailHog, a company
+// relay or a provider's SMTP endpoint. Runs in Node, hence CommonJS.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const TIMEOUT = 30000;
+const ADDRESS = /^[^\s<>@]+@[^\s<>@]+$/;
+
+const smtpError = (message, transient) =>
+  Object.assign(new Error(message), { transient });
+
+// Open a connection and return `command(line, expectedCodes)`, which
+// writes a line (or nothing, for the greeting) and resolves with the
+// server's reply once it is complete
+const openSession = ({ host, port, secure }) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+  socket.setEncoding('utf8');
+  socket.setTimeout(TIMEOUT);
+
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const flush = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+  const fail = (err) => {
+    failure = failure || err;
+    flush();
+  };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      // Multi-line replies use "250-" on every line but the last
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({
+          code: Number(line.slice(0, 3)),
+          text: lines.map((l) => l.slice(4)).join('\n'),
+        });
+        lines = [];
+      }
+    }
+    flush();
+  });
+  socket.on('error', (err) =>
+    fail(smtpError(`SMTP connection failed: ${err.message}`, true)),
+  );
+  socket.on('timeout', () => {
+    fail(smtpError('SMTP server timed out', true));
+    socket.destroy();
+  });
+  socket.on('close', () => fail(smtpError('SMTP connection closed', true)));
+
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      flush();
+    });
+    if (!expected.includes(reply.code)) {
+      // 4xx replies are temporary by definition; 5xx are permanent
+      throw smtpError(
+        `SMTP ${reply.code}: ${reply.text}`,
+        reply.code >= 400 && reply.code < 500,
+      );
+    }
+    return reply;
+  };
+
+  return { command, close: () => socket.end() };
+};
+
+// Normalise line endings and escape lines starting with a dot
+const dotStuff = (raw) =>
+  raw
+    .replace(/\r?\n/g, '\r\n')
+    .replace(/\r\n$/, '')
+    .split('\r\n')
+    .map((line) => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+
+// The SMTP server comes from the environment of the development
+// server, never from the browser, so a page can't point the relay at
+// another host. Defaults suit MailHog on localhost:1025.
+const relayConfig = (env = process.env) => ({
+  host: env.SMTP_HOST || 'localhost',
+  port: Number(env.SMTP_PORT) || 1025,
+  secure: env.SMTP_SECURE === 'true',
+  username: env.SMTP_USERNAME || '',
+  password: env.SMTP_PASSWORD || '',
+});
+
+// Only this app may use the relay: the request has to be JSON (which
+// other sites can't send without a CORS preflight) from the page's own
+// origin. Returns [status, message] to refuse with, or null.
+const rejectRelayRequest = (headers) => {
+  if (!/^application\/json\b/i.test(headers['content-type'] || '')) {
+    return [415, 'Expected application/json'];
+  }
+  const origin = headers.origin;
+  const sameOrigin =
+    origin &&
+    ['http', 'https'].some(
+      (scheme) => origin === `${scheme}://${headers.host}`,
+    );
+  if (!sameOrigin) return [403, 'Cross-origin requests are not allowed'];
+  return null;
+};
+
+// Send one raw message. `smtp` is { host, port, secure, username,
+// password }. Resolves with the server's acceptance reply text.
+const sendMail = async (smtp, { from, to, raw }) => {
+  if (!smtp?.host || !smtp.port) {
+    throw smtpError('SMTP host and port are required');
+  }
+  // AUTH PLAIN is the password in base64; never send it unencrypted
+  if (smtp.username && !smtp.secure) {
+    throw smtpError('SMTP login requires TLS; set SMTP_SECURE=true');
+  }
+  const recipients = Array.isArray(to) ? to : [to];
+  if (!ADDRESS.test(from || '')) throw smtpError(`Invalid sender "${from}"`);
+  const invalid = recipients.find((address) => !ADDRESS.test(address || ''));
+  if (recipients.length === 0 || invalid !== undefined) {
+    throw smtpError(`Invalid recipient "${invalid ?? ''}"`);
+  }
+  if (typeof raw !== 'string' || raw === '') {
+    throw smtpError('Message is empty');
+  }
+
+  const session = openSession(smtp);
+  try {
+    await session.command(null, [220]);
+    await session.command(`EHLO ${os.hostname()}`, [250]);
+    if (smtp.username) {
+      const token = Buffer.from(
+        `\0${smtp.username}\0${smtp.password || ''}`,
+      ).toString('base64');
+      await session.command(`AUTH PLAIN ${token}`, [235]);
+    }
+    await session.command(`MAIL FROM:<${from}>`, [250]);
+    for (const address of recipients) {
+      await session.command(`RCPT TO:<${address}>`, [250, 251]);
+    }
+    await session.command('DATA', [354]);
+    const accepted = await session.command(`${dotStuff(raw)}\r\n.`, [250]);
+    await session.command('QUIT', [221]).catch(() => {});
+    return accepted.text;
+  } finally {
+    session.close();
+  }
+};
+
+module.exports = { sendMail, relayConfig, rejectRelayRequest };
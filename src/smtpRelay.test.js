@@ -0,0 +1,170 @@
+/**
+ * @jest-environment node
+ */
+import net from 'net';
+import { rejectRelayRequest, relayConfig, sendMail } from './smtpRelay';
+
+// Just enough of an SMTP server to record a conversation, like MailHog
+const startServer = (replies = {}) =>
+  new Promise((resolve) => {
+    const received = { commands: [], data: '' };
+    const server = net.createServer((socket) => {
+      let inData = false;
+      let buffer = '';
+      socket.write('220 test ESMTP\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 Ok: queued as ABC123\r\n');
+            } else {
+              received.data += `${line}\n`;
+            }
+            continue;
+          }
+          received.commands.push(line);
+          const verb = line.split(/[ :]/)[0];
+          if (replies[verb]) socket.write(`${replies[verb]}\r\n`);
+          else if (verb === 'EHLO')
+            socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+          else if (verb === 'AUTH') socket.write('235 OK\r\n');
+          else if (verb === 'DATA') {
+            inData = true;
+            socket.write('354 Go ahead\r\n');
+          } else if (verb === 'QUIT') {
+            socket.end('221 Bye\r\n');
+          } else socket.write('250 OK\r\n');
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () =>
+      resolve({ server, port: server.address().port, received }),
+    );
+  });
+
+test('delivers a message with dot-stuffing', async () => {
+  const { server, port, received } = await startServer();
+  try {
+    const reply = await sendMail(
+      { host: '127.0.0.1', port },
+      {
+        from: 'clinic@example.com',
+        to: ['ada@example.com'],
+        raw: 'Subject: Hi\r\n\r\nLine one\n.hidden dot\r\n',
+      },
+    );
+    expect(reply).toBe('Ok: queued as ABC123');
+    expect(received.commands).toEqual([
+      expect.stringMatching(/^EHLO /),
+      'MAIL FROM:<clinic@example.com>',
+      'RCPT TO:<ada@example.com>',
+      'DATA',
+      'QUIT',
+    ]);
+    expect(received.data).toBe('Subject: Hi\n\nLine one\n..hidden dot\n');
+  } finally {
+    server.close();
+  }
+});
+
+test('marks 4xx replies transient and 5xx permanent', async () => {
+  const { server, port } = await startServer({
+    RCPT: '450 Mailbox busy',
+  });
+  try {
+    await expect(
+      sendMail(
+        { host: '127.0.0.1', port },
+        { from: 'a@example.com', to: 'b@example.com', raw: 'x' },
+      ),
+    ).rejects.toMatchObject({
+      message: 'SMTP 450: Mailbox busy',
+      transient: true,
+    });
+  } finally {
+    server.close();
+  }
+
+  const rejecting = await startServer({ MAIL: '550 Sender rejected' });
+  try {
+    await expect(
+      sendMail(
+        { host: '127.0.0.1', port: rejecting.port },
+        { from: 'a@example.com', to: 'b@example.com', raw: 'x' },
+      ),
+    ).rejects.toMatchObject({ transient: false });
+  } finally {
+    rejecting.server.close();
+  }
+});
+
+test('rejects addresses that could inject SMTP commands', async () => {
+  await expect(
+    sendMail(
+      { host: '127.0.0.1', port: 25 },
+      { from: 'a@example.com', to: 'b@example.com>\r\nRCPT TO:<c', raw: 'x' },
+    ),
+  ).rejects.toThrow('Invalid recipient');
+});
+
+test('never sends a password without TLS', async () => {
+  const { server, port, received } = await startServer();
+  try {
+    await expect(
+      sendMail(
+        { host: '127.0.0.1', port, username: 'user', password: 'secret' },
+        { from: 'a@example.com', to: 'b@example.com', raw: 'x' },
+      ),
+    ).rejects.toThrow('requires TLS');
+    expect(received.commands).toEqual([]);
+  } finally {
+    server.close();
+  }
+});
+
+test('reads the SMTP server from the environment', () => {
+  expect(relayConfig({})).toEqual({
+    host: 'localhost',
+    port: 1025,
+    secure: false,
+    username: '',
+    password: '',
+  });
+  expect(
+    relayConfig({
+      SMTP_HOST: 'smtp.example.com',
+      SMTP_PORT: '465',
+      SMTP_SECURE: 'true',
+      SMTP_USERNAME: 'clinic',
+      SMTP_PASSWORD: 'pw',
+    }),
+  ).toEqual({
+    host: 'smtp.example.com',
+    port: 465,
+    secure: true,
+    username: 'clinic',
+    password: 'pw',
+  });
+});
+
+test('only accepts JSON from the page itself', () => {
+  const headers = {
+    host: 'localhost:3000',
+    origin: 'http://localhost:3000',
+    'content-type': 'application/json',
+  };
+  expect(rejectRelayRequest(headers)).toBeNull();
+  expect(
+    rejectRelayRequest({ ...headers, 'content-type': 'text/plain' }),
+  ).toEqual([415, 'Expected application/json']);
+  expect(
+    rejectRelayRequest({ ...headers, origin: 'https://evil.example' }),
+  ).toEqual([403, 'Cross-origin requests are not allowed']);
+  const { origin, ...withoutOrigin } = headers;
+  expect(rejectRelayRequest(withoutOrigin)[0]).toBe(403);
+});
@@ -0,0 +1,129 @@
+// Who must not receive campaign email: clients who haven't opted in via
+// the table's consent field, and addresses on the clinic's local
+// do-not-contact list. Both are checked every time campaign recipients
+// are built.
+//
+// Do-not-contact entry: { email, addedAt }
+
+export const SUPPRESSION_REASONS = {
+  noConsent: 'Not opted in',
+  doNotContact: 'On the do-not-contact list',
+};
+
+const DO_NOT_CONTACT_KEY = 'doNotContact';
+const consentKey = (config) =>
+  `emailConsent:${config.baseId}:${config.tableName}`;
+
+const CONSENT_NAME = /opt.?in|consent|subscri/i;
+// Names that record the opposite, like "Unsubscribed" or "Do Not Email"
+const NEGATED_NAME = /unsub|opt.?out|\bno\b|\bdo.?not\b|\bdon'?t\b/i;
+const CONSENT_TYPES = ['checkbox', 'singleSelect', 'singleLineText'];
+const CONSENTING = /^(yes|y|true|opted[ -]?in|opt[ -]?in|subscribed)$/i;
+
+export const normalizeAddress = (email) =>
+  String(email || '')
+    .trim()
+    .toLowerCase();
+
+// Fields that can hold consent, for the settings picker
+export const consentFields = (fields) =>
+  fields.filter((field) => CONSENT_TYPES.includes(field.type));
+
+// A likely consent field, e.g. an "Email Opt-In" checkbox
+export const guessConsentField = (fields) =>
+  consentFields(fields).find(
+    (field) => CONSENT_NAME.test(field.name) && !NEGATED_NAME.test(field.name),
+  )?.name || '';
+
+// Checkboxes consent when ticked; select and text fields when they say
+// something like "Yes" or "Opted in". Blank means no consent.
+export const hasConsent = (value) =>
+  typeof value === 'boolean'
+    ? value
+    : CONSENTING.test(String(value ?? '').trim());
+
+// The stored consent field, or a guess from the schema when the table
+// hasn't been configured yet; a guess is checked against but has to be
+// confirmed before sending. '' turns the consent check off.
+export const loadConsentField = (config, fields) => {
+  const stored = localStorage.getItem(consentKey(config));
+  if (stored !== null) return { field: stored, confirmed: true };
+  const guess = guessConsentField(fields);
+  return { field: guess, confirmed: !guess };
+};
+
+export const storeConsentField = (config, field) => {
+  localStorage.setItem(consentKey(config), field);
+};
+
+export const loadDoNotContact = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(DO_NOT_CONTACT_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+export const storeDoNotContact = (list) => {
+  localStorage.setItem(DO_NOT_CONTACT_KEY, JSON.stringify(list));
+};
+
+export const addDoNotContact = (list, email) => {
+  const address = normalizeAddress(email);
+  if (!address || list.some((entry) => entry.email === address)) return list;
+  return [...list, { email: address, addedAt: new Date().toISOString() }];
+};
+
+export const removeDoNotContact = (list, email) => {
+  const address = normalizeAddress(email);
+  return list.filter((entry) => entry.email !== address);
+};
+
+// Split recipients into those who may be emailed and those who may not,
+// each suppressed one with the reasons why. A consent field missing
+// from the table is skipped rather than suppressing everyone; callers
+// warn about it.
+export const applySuppression = (
+  recipients,
+  { consentField, doNotContact = [], schema = {} },
+) => {
+  const blocked = new Set(doNotContact.map((entry) => entry.email));
+  const checkConsent = Boolean(consentField && schema[consentField]);
+  const allowed = [];
+  const suppressed = [];
+
+  recipients.forEach((recipient) => {
+    const reasons = [];
+    if (checkConsent && !hasConsent(recipient.clientData?.[consentField])) {
+      reasons.push('noConsent');
+    }
+    if (blocked.has(normalizeAddress(recipient.email))) {
+      reasons.push('doNotContact');
+    }
+    if (reasons.length > 0) suppressed.push({ ...recipient, reasons });
+    else allowed.push(recipient);
+  });
+
+  return { allowed, suppressed };
+};
+
+// Why one recipient may not be emailed, e.g. "not opted in", or null.
+// The send queue checks again just before sending, as consent or the
+// do-not-contact list may have changed since a message was queued.
+export const suppressionReason = (recipient, options) => {
+  const [blocked] = applySuppression([recipient], options).suppressed;
+  return blocked
+    ? blocked.reasons
+        .map((reason) => SUPPRESSION_REASONS[reason].toLowerCase())
+        .join(', ')
+    : null;
+};
+
+export const countByReason = (suppressed) =>
+  suppressed.reduce((counts, recipient) => {
+    recipient.reasons.forEach((reason) => {
+      counts[reason] = (counts[reason] || 0) + 1;
+    });
+    return counts;
+  }, {});
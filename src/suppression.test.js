@@ -0,0 +1,116 @@
+import {
+  addDoNotContact,
+  applySuppression,
+  countByReason,
+  guessConsentField,
+  hasConsent,
+  loadConsentField,
+  removeDoNotContact,
+  storeConsentField,
+  suppressionReason,
+} from './suppression';
+
+const schema = {
+  'Email Opt-In': { name: 'Email Opt-In', type: 'checkbox' },
+};
+const recipient = (name, email, optIn) => ({
+  id: `rec${name}`,
+  name,
+  email,
+  clientData: { 'Email Opt-In': optIn },
+});
+
+test('excludes clients without consent or on the do-not-contact list', () => {
+  const doNotContact = addDoNotContact([], '  Cy@Example.com ');
+  const { allowed, suppressed } = applySuppression(
+    [
+      recipient('Ada', 'ada@example.com', true),
+      recipient('Bob', 'bob@example.com', undefined),
+      recipient('Cy', 'cy@example.com', true),
+    ],
+    { consentField: 'Email Opt-In', doNotContact, schema },
+  );
+
+  expect(allowed.map((r) => r.name)).toEqual(['Ada']);
+  expect(suppressed.map((r) => [r.name, r.reasons])).toEqual([
+    ['Bob', ['noConsent']],
+    ['Cy', ['doNotContact']],
+  ]);
+  expect(countByReason(suppressed)).toEqual({ noConsent: 1, doNotContact: 1 });
+
+  const reopened = applySuppression([recipient('Cy', 'cy@example.com', true)], {
+    consentField: 'Email Opt-In',
+    doNotContact: removeDoNotContact(doNotContact, 'cy@example.com'),
+    schema,
+  });
+  expect(reopened.suppressed).toEqual([]);
+});
+
+test('gives the reason a single recipient is suppressed', () => {
+  const options = {
+    consentField: 'Email Opt-In',
+    doNotContact: addDoNotContact([], 'bob@example.com'),
+    schema,
+  };
+  expect(
+    suppressionReason(recipient('Ada', 'ada@example.com', true), options),
+  ).toBeNull();
+  expect(
+    suppressionReason(recipient('Bob', 'Bob@example.com', false), options),
+  ).toBe('not opted in, on the do-not-contact list');
+});
+
+test('skips a consent field the table does not have', () => {
+  const { allowed } = applySuppression(
+    [recipient('Ada', 'ada@example.com', undefined)],
+    { consentField: 'Marketing Consent', schema },
+  );
+  expect(allowed).toHaveLength(1);
+});
+
+test('reads consent from checkboxes, selects and text', () => {
+  expect(hasConsent(true)).toBe(true);
+  expect(hasConsent('Opted in')).toBe(true);
+  expect(hasConsent('Yes')).toBe(true);
+  expect(hasConsent('No')).toBe(false);
+  expect(hasConsent('')).toBe(false);
+  expect(
+    guessConsentField([
+      { name: 'Name', type: 'singleLineText' },
+      { name: 'Email Opt-In', type: 'checkbox' },
+    ]),
+  ).toBe('Email Opt-In');
+});
+
+test('never guesses a field that records the opposite of consent', () => {
+  const fields = [
+    { name: 'Unsubscribed', type: 'checkbox' },
+    { name: 'Email Opt-Out', type: 'checkbox' },
+    { name: 'No Email Consent', type: 'checkbox' },
+    { name: 'Do Not Subscribe', type: 'checkbox' },
+  ];
+  expect(guessConsentField(fields)).toBe('');
+  expect(
+    guessConsentField([
+      ...fields,
+      { name: 'Newsletter Consent', type: 'checkbox' },
+    ]),
+  ).toBe('Newsletter Consent');
+
+  const config = { baseId: 'app1', tableName: 'Clients' };
+  const optIn = [{ name: 'Email Opt-In', type: 'checkbox' }];
+  expect(loadConsentField(config, optIn)).toEqual({
+    field: 'Email Opt-In',
+    confirmed: false,
+  });
+  expect(loadConsentField(config, fields)).toEqual({
+    field: '',
+    confirmed: true,
+  });
+  storeConsentField(config, 'Email Opt-In');
+  expect(loadConsentField(config, optIn)).toEqual({
+    field: 'Email Opt-In',
+    confirmed: true,
+  });
+  localStorage.clear();
+});
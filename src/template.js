@@ -0,0 +1,283 @@
+// Template language for campaign subjects and bodies.
+//
+//   {{Last Visit}}                  any client field, by name
+//   {{name}}                        the recipient's display name
+//   {{Last Visit | date:"us"}}      filters, applied left to right
+//   {{First Name | "there"}}        fallback when the value is empty
+//   {{#if Doctor}}...{{else}}...{{/if}}
+//   {{#if Status = "Active"}}...{{/if}}   also != and {{#unless}}
+//
+// Field names are matched case-insensitively. Rendering reports every
+// field that came out empty without a fallback so the preview can warn
+// about it per recipient.
+
+import { DATE_FORMATS, exportCellValue, formatExportDate } from './exporters';
+import { DATE_TYPES } from './schema';
+
+const TAG = /\{\{([\s\S]*?)\}\}/g;
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+const titleCase = (text) =>
+  text
+    .toLowerCase()
+    .replace(/(^|[\s'-])(\S)/g, (m, p, c) => p + c.toUpperCase());
+
+// Each filter receives the current value (text, or the raw field value
+// for the first filter), its argument and the field definition
+export const FILTERS = {
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  title: (value) => titleCase(toText(value)),
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  first: (value) => toText(value).trim().split(/\s+/)[0] || '',
+  trim: (value) => toText(value).trim(),
+  date: (value, arg, field) => {
+    if (value === '' || value === null || value === undefined) return '';
+    const type =
+      field && DATE_TYPES.includes(field.type) && field.type !== 'date'
+        ? field.type
+        : 'date';
+    return formatExportDate(value, type, arg || 'locale');
+  },
+  default: (value, arg) => (toText(value) === '' ? arg || '' : value),
+};
+
+export const FILTER_HELP = {
+  upper: 'UPPERCASE',
+  lower: 'lowercase',
+  title: 'Title Case',
+  capitalize: 'First letter uppercase',
+  first: 'First word only',
+  trim: 'Remove surrounding spaces',
+  date: `Format a date: ${Object.keys(DATE_FORMATS).join(', ')}`,
+  default: 'Fallback text, same as | "text"',
+};
+
+const QUOTED = /^(?:"([^"]*)"|'([^']*)')$/;
+const unquote = (text) => {
+  const match = text.match(QUOTED);
+  return match ? match[1] ?? match[2] : null;
+};
+
+// Split on | outside quotes
+const splitPipes = (text) =>
+  (text.match(/(?:"[^"]*"|'[^']*'|[^|])+/g) || []).map((part) => part.trim());
+
+const parseValueTag = (tag) => {
+  const [field, ...steps] = splitPipes(tag);
+  const errors = [];
+  const pipeline = steps.map((step) => {
+    const literal = unquote(step);
+    if (literal !== null) return { name: 'default', arg: literal };
+    const match = step.match(/^(\w+)(?:\s*:\s*(.+))?$/);
+    if (!match) {
+      errors.push(`Can't read "${step}" in {{${tag}}}`);
+      return null;
+    }
+    const [, name, rawArg] = match;
+    if (!FILTERS[name]) errors.push(`Unknown filter "${name}" in {{${tag}}}`);
+    const arg = rawArg === undefined ? undefined : unquote(rawArg) ?? rawArg;
+    if (name === 'date' && arg !== undefined && !DATE_FORMATS[arg]) {
+      errors.push(`Unknown date format "${arg}" in {{${tag}}}`);
+    }
+    return { name, arg };
+  });
+  return {
+    node: { type: 'value', field, pipeline: pipeline.filter(Boolean) },
+    errors,
+  };
+};
+
+const parseCondition = (expression) => {
+  const match = expression.match(/^(.+?)\s*(!=|==|=)\s*(.+)$/);
+  if (!match) return { field: expression.trim() };
+  const [, field, operator, rawValue] = match;
+  return {
+    field: field.trim(),
+    operator: operator === '!=' ? '!=' : '=',
+    value: unquote(rawValue.trim()) ?? rawValue.trim(),
+  };
+};
+
+// Parse a template into a tree of text, value and block nodes. Syntax
+// problems are collected rather than thrown so the editor can list them.
+export const parseTemplate = (text = '') => {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const errors = [];
+  let position = 0;
+
+  const current = () => stack[stack.length - 1];
+  const append = (node) => {
+    const top = current();
+    (top.inElse ? top.otherwise : top.children).push(node);
+  };
+  const appendText = (value) => {
+    if (value) append({ type: 'text', text: value });
+  };
+
+  for (const match of text.matchAll(TAG)) {
+    appendText(text.slice(position, match.index));
+    position = match.index + match[0].length;
+    const tag = match[1].trim();
+
+    const open = tag.match(/^#(if|unless)\s+(.+)$/);
+    const close = tag.match(/^\/(if|unless)$/);
+    if (open) {
+      const block = {
+        type: 'block',
+        kind: open[1],
+        condition: parseCondition(open[2]),
+        children: [],
+        otherwise: [],
+      };
+      append(block);
+      stack.push(block);
+    } else if (tag === 'else') {
+      if (current().type !== 'block' || current().inElse) {
+        errors.push('{{else}} without a matching {{#if}}');
+      } else {
+        current().inElse = true;
+      }
+    } else if (close) {
+      if (current().type !== 'block') {
+        errors.push(`{{/${close[1]}}} without a matching {{#${close[1]}}}`);
+      } else {
+        if (current().kind !== close[1]) {
+          errors.push(`{{#${current().kind}}} is closed with {{/${close[1]}}}`);
+        }
+        stack.pop();
+      }
+    } else if (/^[#/]/.test(tag)) {
+      errors.push(`Unknown block {{${tag}}}`);
+    } else if (tag === '') {
+      errors.push('Empty {{ }} tag');
+    } else {
+      const { node, errors: tagErrors } = parseValueTag(tag);
+      errors.push(...tagErrors);
+      append(node);
+    }
+  }
+
+  const rest = text.slice(position);
+  if (rest.includes('{{')) errors.push('A {{ tag is never closed with }}');
+  appendText(rest);
+  stack.slice(1).forEach((block) => {
+    errors.push(`{{#${block.kind} ${block.condition.field}}} is never closed`);
+  });
+
+  return { nodes: root.children, errors };
+};
+
+const walk = (nodes, visit) => {
+  nodes.forEach((node) => {
+    visit(node);
+    if (node.type === 'block') {
+      walk(node.children, visit);
+      walk(node.otherwise, visit);
+    }
+  });
+};
+
+// Field names referenced anywhere in the template
+export const templateFields = (text) => {
+  const names = new Set();
+  walk(parseTemplate(text).nodes, (node) => {
+    if (node.type === 'value') names.add(node.field);
+    if (node.type === 'block') names.add(node.condition.field);
+  });
+  return [...names];
+};
+
+const findField = (name, fieldNames) =>
+  fieldNames.find((f) => f === name) ||
+  fieldNames.find((f) => f.toLowerCase() === name.toLowerCase());
+
+// Syntax errors plus tags that don't match a field of the table
+export const validateTemplate = (text, fieldNames) => {
+  const { errors } = parseTemplate(text);
+  const unknown = templateFields(text).filter(
+    (name) => name.toLowerCase() !== 'name' && !findField(name, fieldNames),
+  );
+  return [...errors, ...unknown.map((name) => `Unknown field {{${name}}}`)];
+};
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Look a tag up in the recipient's fields. Airtable leaves empty fields
+// out of the record, so known schema fields without data are empty.
+const lookup = (name, recipient, schema) => {
+  const data = recipient.clientData || {};
+  const key = findField(name, [...Object.keys(schema), ...Object.keys(data)]);
+  if (key) return { field: schema[key], key, value: data[key] };
+  if (name.toLowerCase() === 'name')
+    return { key: name, value: recipient.name };
+  return { key: name, value: undefined };
+};
+
+const cellText = (value, field, linkedNames) =>
+  toText(exportCellValue(value, field, { dateFormat: 'locale', linkedNames }));
+
+const testCondition = (condition, recipient, schema, linkedNames) => {
+  const { field, value } = lookup(condition.field, recipient, schema);
+  if (!condition.operator) return !isEmpty(value) && value !== false;
+
+  const expected = condition.value.toLowerCase();
+  const actual = Array.isArray(value)
+    ? value.map((item) => cellText([item], field, linkedNames).toLowerCase())
+    : [cellText(value, field, linkedNames).toLowerCase()];
+  const equal = actual.includes(expected);
+  return condition.operator === '!=' ? !equal : equal;
+};
+
+// Render a template for one recipient ({ name, clientData }). Returns
+// the text and the fields that were empty without a fallback. `escape`
+// is applied to field values, e.g. to escape them for HTML bodies.
+export const renderTemplate = (text, recipient, options = {}) => {
+  const { schema = {}, linkedNames = {}, escape = (value) => value } = options;
+  const missing = new Set();
+
+  const render = (nodes) =>
+    nodes
+      .map((node) => {
+        if (node.type === 'text') return node.text;
+        if (node.type === 'block') {
+          const passed = testCondition(
+            node.condition,
+            recipient,
+            schema,
+            linkedNames,
+          );
+          const show = node.kind === 'unless' ? !passed : passed;
+          return render(show ? node.children : node.otherwise);
+        }
+
+        const { field, key, value } = lookup(node.field, recipient, schema);
+        const output = toText(
+          node.pipeline.reduce((current, { name, arg }, index) => {
+            const filter = FILTERS[name];
+            if (!filter) return current;
+            // Date formatting needs the raw value, not its display text
+            const input = index === 0 && name === 'date' ? value : current;
+            return filter(input, arg, field);
+          }, cellText(value, field, linkedNames)),
+        );
+        if (output === '' && isEmpty(value)) missing.add(key);
+        return escape(output);
+      })
+      .join('');
+
+  return { output: render(parseTemplate(text).nodes), missing: [...missing] };
+};
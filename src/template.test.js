@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+import { renderTemplate, templateFields, validateTemplate } from './template';
+
+const schema = {
+  'First Name': { name: 'First Name', type: 'singleLineText' },
+  'Last Visit': { name: 'Last Visit', type: 'date' },
+  Doctor: { name: 'Doctor', type: 'singleLineText' },
+  Status: { name: 'Status', type: 'singleSelect' },
+  Tags: { name: 'Tags', type: 'multipleSelects' },
+};
+
+const recipient = {
+  name: 'Ada Lovelace',
+  clientData: {
+    'First Name': 'ada',
+    'Last Visit': '2024-03-09',
+    Status: 'Active',
+    Tags: ['VIP', 'Follow-up'],
+  },
+};
+
+const render = (text, data = recipient) =>
+  renderTemplate(text, data, { schema });
+
+test('renders fields, filters and fallbacks', () => {
+  expect(
+    render(
+      'Hi {{First Name | capitalize}}, {{name | upper}}, {{ last visit | date:"us" }}, {{Doctor | "your doctor"}}',
+    ),
+  ).toEqual({
+    output: 'Hi Ada, ADA LOVELACE, 03/09/2024, your doctor',
+    missing: [],
+  });
+});
+
+test('reports fields that rendered empty without a fallback', () => {
+  expect(render('Dr. {{Doctor}} {{First Name}}').missing).toEqual(['Doctor']);
+});
+
+test('conditional blocks', () => {
+  const text =
+    '{{#if Doctor}}See {{Doctor}}{{else}}Book a visit{{/if}}.' +
+    '{{#if Status = "active"}} Thanks!{{/if}}' +
+    '{{#unless Tags != "VIP"}} VIP{{/unless}}';
+  expect(render(text)).toEqual({
+    output: 'Book a visit. Thanks! VIP',
+    missing: [],
+  });
+});
+
+test('validates syntax, filters and fields against the schema', () => {
+  const fieldNames = Object.keys(schema);
+  expect(validateTemplate('{{name}} {{Doctor | date}}', fieldNames)).toEqual(
+    [],
+  );
+  expect(
+    validateTemplate(
+      '{{#if Doctor}}{{Docter}} {{name | shout}} {{Last Visit | date:"x"}}',
+      fieldNames,
+    ),
+  ).toEqual([
+    'Unknown filter "shout" in {{name | shout}}',
+    'Unknown date format "x" in {{Last Visit | date:"x"}}',
+    '{{#if Doctor}} is never closed',
+    'Unknown field {{Docter}}',
+  ]);
+  expect(validateTemplate('{{/if}} {{else}} {{oops', fieldNames)).toEqual([
+    '{{/if}} without a matching {{#if}}',
+    '{{else}} without a matching {{#if}}',
+    'A {{ tag is never closed with }}',
+  ]);
+});
+
+test('lists referenced fields', () => {
+  expect(templateFields('{{#if Doctor}}{{First Name | "x"}}{{/if}}')).toEqual([
+    'Doctor',
+    'First Name',
+  ]);
+});
+
+test('escapes field values with the escape option', () => {
+  expect(
+    renderTemplate(
+      '<p>{{name}}</p>',
+      { name: 'A & <B>', clientData: {} },
+      { escape: (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;') },
+    ).output,
+  ).toBe('<p>A &amp; &lt;B></p>');
+});
@@ -0,0 +1,64 @@
+// Per-field validation for client records. The Airtable field type is
+// used when the schema is known; otherwise the kind of value is inferred
+// from the field name.
+
+import { NUMBER_TYPES } from './schema';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+
+const isEmailField = (name, type) =>
+  type ? type === 'email' : /e-?mail/i.test(name);
+const isPhoneField = (name, type) =>
+  type ? type === 'phoneNumber' : /phone|mobile|fax/i.test(name);
+const isDateField = (name, type) =>
+  type ? type === 'date' || type === 'dateTime' : /date|dob|birth/i.test(name);
+
+// Date.parse rolls impossible days over (1990-02-30 becomes March 2), so
+// an ISO date must name the same day after parsing
+const isValidDate = (text) => {
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (!iso) return !Number.isNaN(Date.parse(text));
+  const [y, m, d] = iso.slice(1).map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return (
+    !Number.isNaN(Date.parse(text)) &&
+    date.getUTCMonth() === m - 1 &&
+    date.getUTCDate() === d
+  );
+};
+
+export const validateField = (name, value, type) => {
+  if (value === '' || value === null || value === undefined) return null;
+  if (typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+
+  if (NUMBER_TYPES.includes(type) && Number.isNaN(Number(trimmed))) {
+    return 'Enter a number';
+  }
+  if (isEmailField(name, type) && !EMAIL_PATTERN.test(trimmed)) {
+    return 'Enter a valid email address';
+  }
+  if (isPhoneField(name, type)) {
+    const digits = trimmed.replace(/\D/g, '');
+    if (!PHONE_PATTERN.test(trimmed) || digits.length < 7) {
+      return 'Enter a valid phone number';
+    }
+  }
+  if (isDateField(name, type) && !isValidDate(trimmed)) {
+    return 'Enter a valid date (YYYY-MM-DD)';
+  }
+  return null;
+};
+
+// Returns a map of field name -> error message for every invalid field.
+// `schema` maps field names to their Airtable field definitions.
+export const validateClientFields = (fields, schema = {}) => {
+  const errors = {};
+  Object.entries(fields).forEach(([name, value]) => {
+    const message = validateField(name, value, schema[name]?.type);
+    if (message) errors[name] = message;
+  });
+  return errors;
+};
@@ -0,0 +1,53 @@
+/**
+ * @jest-environment node
+ */
+import { validateClientFields, validateField } from './validation';
+
+test('validates by Airtable field type when the schema is known', () => {
+  expect(validateField('Contact', 'not an email', 'email')).toBe(
+    'Enter a valid email address',
+  );
+  expect(validateField('Contact', 'ann@example.com', 'email')).toBeNull();
+  expect(validateField('Age', 'forty', 'number')).toBe('Enter a number');
+  expect(validateField('Age', ' 42 ', 'number')).toBeNull();
+  expect(validateField('Cell', '12345', 'phoneNumber')).toBe(
+    'Enter a valid phone number',
+  );
+  expect(validateField('Cell', '+1 (555) 010-2030', 'phoneNumber')).toBeNull();
+  expect(validateField('Seen', 'someday', 'date')).toBe(
+    'Enter a valid date (YYYY-MM-DD)',
+  );
+  expect(validateField('Seen', '1990-02-30', 'date')).toBe(
+    'Enter a valid date (YYYY-MM-DD)',
+  );
+  expect(validateField('Seen', '2024-02-29', 'date')).toBeNull();
+  expect(validateField('Seen', '2024-02-29T10:00:00Z', 'dateTime')).toBeNull();
+  // A known type wins over the field name
+  expect(validateField('Email notes', 'call first', 'singleLineText')).toBe(
+    null,
+  );
+});
+
+test('guesses the kind of value from the name without a schema', () => {
+  expect(validateField('E-mail', 'nope')).toBe('Enter a valid email address');
+  expect(validateField('Mobile', 'call me')).toBe('Enter a valid phone number');
+  expect(validateField('DOB', '1990-02-30x')).toBe(
+    'Enter a valid date (YYYY-MM-DD)',
+  );
+  expect(validateField('Notes', 'anything')).toBeNull();
+});
+
+test('leaves empty and non-text values alone', () => {
+  expect(validateField('Email', '')).toBeNull();
+  expect(validateField('Email', null)).toBeNull();
+  expect(validateField('Opted In', true, 'checkbox')).toBeNull();
+});
+
+test('collects the errors of every invalid field', () => {
+  expect(
+    validateClientFields(
+      { Name: 'Ann', Email: 'ann@', Visits: 'x' },
+      { Visits: { name: 'Visits', type: 'number' } },
+    ),
+  ).toEqual({ Email: 'Enter a valid email address', Visits: 'Enter a number' });
+});
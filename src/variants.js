@@ -0,0 +1,129 @@
+// A/B variants: a campaign can carry alternative subjects and bodies,
+// with recipients split between them at random or by percentage. The
+// split is shuffled by a hash of the campaign id, so the preview, the
+// send and the log all agree on who gets which variant.
+//
+// Variant A is the campaign's own subject and body; campaign.variants
+// holds B, C, … as [{ subject, body }].
+// campaign.split: { mode: 'even' | 'percent', weights: [percent] }
+
+export const VARIANT_LABELS = ['A', 'B', 'C', 'D'];
+
+export const SPLIT_MODES = {
+  even: 'Evenly at random',
+  percent: 'By percentage',
+};
+
+export const campaignVariants = (campaign) => [
+  { label: 'A', subject: campaign.subject, body: campaign.body },
+  ...(campaign.variants || []).map((variant, index) => ({
+    label: VARIANT_LABELS[index + 1],
+    subject: variant.subject,
+    body: variant.body,
+  })),
+];
+
+export const hasVariants = (campaign) => campaign.variants?.length > 0;
+
+// Whole percentages that add up to 100, e.g. 34/33/33
+export const evenWeights = (count) =>
+  Array.from(
+    { length: count },
+    (_, index) => Math.floor(100 / count) + (index < 100 % count ? 1 : 0),
+  );
+
+// Percent of recipients per variant
+export const variantWeights = (campaign) => {
+  const count = campaignVariants(campaign).length;
+  const weights = campaign.split?.weights || [];
+  return campaign.split?.mode === 'percent' && weights.length === count
+    ? weights.map((weight) => Number(weight) || 0)
+    : evenWeights(count);
+};
+
+export const splitError = (campaign) => {
+  if (campaign.split?.mode !== 'percent') return null;
+  const total = variantWeights(campaign).reduce((sum, w) => sum + w, 0);
+  return Math.abs(total - 100) > 0.01
+    ? `The percentages add up to ${total}%, not 100%`
+    : null;
+};
+
+// Whole counts per variant that add up to `total`, giving leftovers to
+// the largest remainders
+const splitCounts = (total, weights) => {
+  const sum = weights.reduce((a, b) => a + b, 0) || 1;
+  const exact = weights.map((weight) => (total * weight) / sum);
+  const counts = exact.map(Math.floor);
+  let left = total - counts.reduce((a, b) => a + b, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - counts[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (left > 0) {
+        counts[index]++;
+        left--;
+      }
+    });
+  return counts;
+};
+
+// FNV-1a, enough to shuffle recipients the same way every time
+const hash = (text) => {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+};
+
+// A client emailed at several addresses gets the same variant at each
+const clientKey = (recipient) =>
+  recipient.id || recipient.key || recipient.email;
+
+// Label every recipient with the variant they get
+export const assignVariants = (campaign, recipients) => {
+  if (!hasVariants(campaign)) return recipients;
+  const labels = campaignVariants(campaign).map((v) => v.label);
+  const clients = [...new Set(recipients.map(clientKey))].sort(
+    (a, b) =>
+      hash(`${campaign.id}:${a}`) - hash(`${campaign.id}:${b}`) ||
+      (a < b ? -1 : 1),
+  );
+  const byClient = new Map();
+  let start = 0;
+  splitCounts(clients.length, variantWeights(campaign)).forEach(
+    (count, index) => {
+      clients
+        .slice(start, start + count)
+        .forEach((client) => byClient.set(client, labels[index]));
+      start += count;
+    },
+  );
+  return recipients.map((recipient) => ({
+    ...recipient,
+    variant: byClient.get(clientKey(recipient)),
+  }));
+};
+
+// The subject and body one recipient gets
+export const variantContent = (campaign, recipient) =>
+  (recipient.variant &&
+    campaignVariants(campaign).find((v) => v.label === recipient.variant)) ||
+  campaign;
+
+const NUMBER_WORDS = { two: 2, three: 3, four: 4 };
+
+// How many variants a prompt asks for: "A/B test", "3 variants",
+// "two subject lines"
+export const requestedVariantCount = (prompt) => {
+  const match = prompt.match(
+    /\b(\d|two|three|four)\s+(?:different\s+)?(?:(?:subject[- ]line|email)\s+)?(?:variants|versions|subject lines|options)\b/i,
+  );
+  if (match) {
+    const count = NUMBER_WORDS[match[1].toLowerCase()] || Number(match[1]);
+    return Math.min(Math.max(count, 1), VARIANT_LABELS.length);
+  }
+  return /\ba\/b\b|\bsplit test\b/i.test(prompt) ? 2 : 1;
+};
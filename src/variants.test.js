@@ -0,0 +1,63 @@
+/** @jest-environment node */
+import {
+  assignVariants,
+  requestedVariantCount,
+  splitError,
+  variantContent,
+} from './variants';
+
+const recipients = Array.from({ length: 10 }, (_, i) => ({
+  id: `rec${i}`,
+  key: `rec${i}`,
+  email: `p${i}@example.com`,
+}));
+const campaign = {
+  id: 'cmp1',
+  subject: 'A subject',
+  body: 'A body',
+  variants: [{ subject: 'B subject', body: 'B body' }],
+};
+
+const countLabels = (assigned) =>
+  assigned.reduce((counts, r) => {
+    counts[r.variant] = (counts[r.variant] || 0) + 1;
+    return counts;
+  }, {});
+
+test('splits recipients evenly or by percentage, the same way each time', () => {
+  const even = assignVariants(campaign, recipients);
+  expect(countLabels(even)).toEqual({ A: 5, B: 5 });
+  expect(assignVariants(campaign, recipients)).toEqual(even);
+
+  const weighted = assignVariants(
+    { ...campaign, split: { mode: 'percent', weights: [80, 20] } },
+    recipients,
+  );
+  expect(countLabels(weighted)).toEqual({ A: 8, B: 2 });
+
+  expect(
+    splitError({ ...campaign, split: { mode: 'percent', weights: [60, 30] } }),
+  ).toBe('The percentages add up to 90%, not 100%');
+  expect(assignVariants({ ...campaign, variants: [] }, recipients)).toBe(
+    recipients,
+  );
+});
+
+test('gives a client the same variant at every address', () => {
+  const assigned = assignVariants(campaign, [
+    ...recipients,
+    { id: 'rec1', key: 'rec1:work@example.com', email: 'work@example.com' },
+  ]);
+  const [home, work] = assigned.filter((r) => r.id === 'rec1');
+  expect(work.variant).toBe(home.variant);
+  expect(variantContent(campaign, { ...home, variant: 'B' })).toMatchObject({
+    subject: 'B subject',
+  });
+});
+
+test('reads how many variants a prompt asks for', () => {
+  expect(requestedVariantCount('Recall email, A/B test the subject')).toBe(2);
+  expect(requestedVariantCount('with 3 subject line variants')).toBe(3);
+  expect(requestedVariantCount('two versions of a newsletter')).toBe(2);
+  expect(requestedVariantCount('a newsletter for 9 patients')).toBe(1);
+});
@@ -0,0 +1,186 @@
+// Saved views: a named snapshot of search, filters, sort, visible
+// fields and layout. Views are kept in localStorage per table and can be encoded
+// into the URL query string to share them.
+
+import {
+  countConditions,
+  createGroup,
+  describeFilter,
+  fieldKind,
+  parseFilter,
+} from './filters';
+import { valueToText } from './schema';
+
+export const createView = (overrides = {}) => ({
+  name: '',
+  searchTerm: '',
+  filters: createGroup(),
+  sort: [],
+  visibleFields: null,
+  layout: 'cards',
+  ...overrides,
+});
+
+const storageKey = (config) =>
+  `savedViews:${config.baseId}:${config.tableName}`;
+
+export const loadSavedViews = (config) => {
+  try {
+    const views = JSON.parse(localStorage.getItem(storageKey(config)));
+    return Array.isArray(views) ? views.map(normalizeView) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const storeSavedViews = (config, views) => {
+  localStorage.setItem(storageKey(config), JSON.stringify(views));
+};
+
+const normalizeSort = (sort) =>
+  (Array.isArray(sort) ? sort : [])
+    .filter((key) => key && typeof key.field === 'string')
+    .map((key) => ({
+      field: key.field,
+      direction: key.direction === 'desc' ? 'desc' : 'asc',
+    }));
+
+export const normalizeView = (view = {}) =>
+  createView({
+    name: typeof view.name === 'string' ? view.name : '',
+    searchTerm: typeof view.searchTerm === 'string' ? view.searchTerm : '',
+    filters: parseFilter(JSON.stringify(view.filters ?? null)),
+    sort: normalizeSort(view.sort),
+    visibleFields: Array.isArray(view.visibleFields)
+      ? view.visibleFields.filter((f) => typeof f === 'string')
+      : null,
+    layout: view.layout === 'table' ? 'table' : 'cards',
+  });
+
+// Encode a view as query parameters, e.g.
+// ?q=smith&sort=Last%20Visit:desc,Name:asc&fields=Name,Email&filter={...}
+export const encodeView = (view) => {
+  const params = new URLSearchParams();
+  if (view.name) params.set('view', view.name);
+  if (view.searchTerm) params.set('q', view.searchTerm);
+  if (countConditions(view.filters) > 0) {
+    params.set('filter', JSON.stringify(view.filters));
+  }
+  if (view.sort.length > 0) {
+    params.set(
+      'sort',
+      view.sort
+        .map(
+          ({ field, direction }) => `${encodeURIComponent(field)}:${direction}`,
+        )
+        .join(','),
+    );
+  }
+  if (view.visibleFields) {
+    params.set('fields', view.visibleFields.map(encodeURIComponent).join(','));
+  }
+  if (view.layout === 'table') params.set('layout', 'table');
+  return params.toString();
+};
+
+const readView = (params) => {
+  const list = (value) =>
+    value ? value.split(',').map(decodeURIComponent) : [];
+
+  return createView({
+    name: params.get('view') || '',
+    searchTerm: params.get('q') || '',
+    filters: params.has('filter')
+      ? parseFilter(params.get('filter'))
+      : createGroup(),
+    sort: normalizeSort(
+      list(params.get('sort')).map((key) => {
+        const index = key.lastIndexOf(':');
+        return index === -1
+          ? { field: key, direction: 'asc' }
+          : { field: key.slice(0, index), direction: key.slice(index + 1) };
+      }),
+    ),
+    visibleFields: params.has('fields') ? list(params.get('fields')) : null,
+    layout: params.get('layout') === 'table' ? 'table' : 'cards',
+  });
+};
+
+// A malformed link (say, a stray "%") opens the default view rather
+// than failing
+export const decodeView = (search) => {
+  try {
+    return readView(new URLSearchParams(search));
+  } catch {
+    return createView();
+  }
+};
+
+// Search matches any field containing the text, ignoring case
+export const matchesSearch = (record, searchTerm) => {
+  const needle = searchTerm.toLowerCase();
+  return Object.values(record.fields).some((value) =>
+    valueToText(value).toLowerCase().includes(needle),
+  );
+};
+
+// Summary of a view's filters, search and sort, e.g.
+// `where City is Brooklyn, matching "smith", sorted by Name ascending`
+export const describeView = ({ filters, searchTerm, sort }) =>
+  [
+    countConditions(filters) > 0 && `where ${describeFilter(filters)}`,
+    searchTerm && `matching "${searchTerm}"`,
+    sort.length > 0 &&
+      `sorted by ${sort
+        .map(
+          ({ field, direction }) =>
+            `${field} ${direction === 'desc' ? 'descending' : 'ascending'}`,
+        )
+        .join(', then ')}`,
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+// Column order after dragging `name` onto `target`: dropped on the
+// right half of a column it goes after it, so the last place is
+// reachable too
+export const moveField = (fields, name, target, after = false) => {
+  const rest = fields.filter((field) => field !== name);
+  const index = rest.indexOf(target);
+  if (index === -1) return fields;
+  rest.splice(index + (after ? 1 : 0), 0, name);
+  return rest;
+};
+
+const compareValues = (kind, a, b) => {
+  if (kind === 'number') return Number(a) - Number(b);
+  if (kind === 'checkbox') return Number(Boolean(a)) - Number(Boolean(b));
+  if (kind === 'date') return String(a).localeCompare(String(b));
+  return valueToText(a).localeCompare(valueToText(b), undefined, {
+    numeric: true,
+    sensitivity: 'base',
+  });
+};
+
+// Sort records by several keys in priority order. Empty values always
+// sort last, whichever the direction.
+export const sortClients = (records, sort, schema = {}) => {
+  if (sort.length === 0) return records;
+  return [...records].sort((a, b) => {
+    for (const { field, direction } of sort) {
+      const kind = fieldKind(schema[field]);
+      const av = a.fields[field];
+      const bv = b.fields[field];
+      const aEmpty = av === undefined || av === null || av === '';
+      const bEmpty = bv === undefined || bv === null || bv === '';
+      if (aEmpty || bEmpty) {
+        if (aEmpty && bEmpty) continue;
+        // Unchecked checkboxes are omitted by Airtable; treat them as false
+        if (kind !== 'checkbox') return aEmpty ? 1 : -1;
+      }
+      const result = compareValues(kind, av, bv);
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return 0;
+  });
+};
@@ -0,0 +1,103 @@
+import {
+  createView,
+  decodeView,
+  describeView,
+  encodeView,
+  matchesSearch,
+  moveField,
+  sortClients,
+} from './views';
+
+const schema = {
+  Name: { name: 'Name', type: 'singleLineText' },
+  Age: { name: 'Age', type: 'number' },
+};
+
+test('round-trips a view through the query string', () => {
+  const view = createView({
+    name: 'Seniors, Brooklyn',
+    searchTerm: 'smith',
+    filters: {
+      type: 'group',
+      conjunction: 'and',
+      conditions: [
+        {
+          type: 'condition',
+          field: 'Age',
+          operator: 'greaterThan',
+          value: '65',
+        },
+      ],
+    },
+    sort: [
+      { field: 'Last Visit', direction: 'desc' },
+      { field: 'Name', direction: 'asc' },
+    ],
+    visibleFields: ['Name', 'Email, Work'],
+    layout: 'table',
+  });
+
+  expect(decodeView(`?${encodeView(view)}`)).toEqual(view);
+  expect(decodeView('')).toEqual(createView());
+  expect(decodeView('?q=flu&fields=Name,%E0%A4%A')).toEqual(createView());
+});
+
+test('sorts by several keys with empty values last', () => {
+  const records = [
+    { id: 'a', fields: { Name: 'Bea', Age: 40 } },
+    { id: 'b', fields: { Name: 'Al', Age: 40 } },
+    { id: 'c', fields: { Name: 'Cy' } },
+    { id: 'd', fields: { Name: 'Di', Age: 9 } },
+  ];
+  const ids = (sort) =>
+    sortClients(records, sort, schema).map((record) => record.id);
+
+  expect(
+    ids([
+      { field: 'Age', direction: 'desc' },
+      { field: 'Name', direction: 'asc' },
+    ]),
+  ).toEqual(['b', 'a', 'd', 'c']);
+  expect(ids([{ field: 'Age', direction: 'asc' }])).toEqual([
+    'd',
+    'a',
+    'b',
+    'c',
+  ]);
+});
+
+test('describes a view and searches every field', () => {
+  const view = createView({
+    searchTerm: 'Smith',
+    filters: {
+      type: 'group',
+      conjunction: 'and',
+      conditions: [
+        { type: 'condition', field: 'Age', operator: 'greaterThan', value: 65 },
+      ],
+    },
+    sort: [{ field: 'Name', direction: 'desc' }],
+  });
+  expect(describeView(view)).toBe(
+    'where Age > 65, matching "Smith", sorted by Name descending',
+  );
+  expect(describeView(createView())).toBe('');
+  expect(matchesSearch({ fields: { Name: 'Ann smith' } }, 'SMITH')).toBe(true);
+  expect(matchesSearch({ fields: { Name: 'Ann' } }, 'smith')).toBe(false);
+});
+
+test('moves a column before or after the one it is dropped on', () => {
+  const fields = ['Name', 'Age', 'City'];
+  expect(moveField(fields, 'City', 'Name')).toEqual(['City', 'Name', 'Age']);
+  expect(moveField(fields, 'Name', 'City', true)).toEqual([
+    'Age',
+    'City',
+    'Name',
+  ]);
+  expect(moveField(fields, 'Name', 'Age', true)).toEqual([
+    'Age',
+    'Name',
+    'City',
+  ]);
+  expect(moveField(fields, 'Name', 'Missing')).toBe(fields);
+});